@@ -9,7 +9,7 @@ import {
   coerceMtimeNsecs,
   stripControlCharacters
 } from '../utils.js'
-import globSource from 'ipfs-utils/src/files/glob-source.js'
+import { globSource } from 'ipfs-core-utils/files/glob-source'
 import parseDuration from 'parse-duration'
 import merge from 'it-merge'
 import fs from 'fs'
@@ -32,6 +32,8 @@ async function getTotalBytes (paths) {
  * @param {boolean} [options.preserveMtime]
  * @param {number} [options.mode]
  * @param {import('ipfs-unixfs').MtimeLike} [options.mtime]
+ * @param {string[]} [options.ignore]
+ * @param {string} [options.ignoreRulesPath]
  */
 async function * getSource (target, options = {}) {
   const absolutePath = path.resolve(target)
@@ -52,6 +54,7 @@ async function * getSource (target, options = {}) {
     yield {
       path: path.basename(target),
       content: fs.createReadStream(absolutePath),
+      abspath: absolutePath,
       mtime,
       mode
     }
@@ -72,7 +75,9 @@ async function * getSource (target, options = {}) {
     preserveMode: options.preserveMode,
     preserveMtime: options.preserveMtime,
     mode: options.mode,
-    mtime: options.mtime
+    mtime: options.mtime,
+    ignore: options.ignore,
+    ignoreRulesPath: options.ignoreRulesPath
   })) {
     yield {
       ...content,
@@ -89,6 +94,7 @@ async function * getSource (target, options = {}) {
  * @property {import('multiformats/cid').Version} Argv.cidVersion
  * @property {boolean} Argv.rawLeaves
  * @property {boolean} Argv.onlyHash
+ * @property {boolean} Argv.nocopy
  * @property {string} Argv.hash
  * @property {boolean} Argv.wrapWithDirectory
  * @property {boolean} Argv.pin
@@ -106,6 +112,8 @@ async function * getSource (target, options = {}) {
  * @property {number} Argv.mtimeNsecs
  * @property {boolean} Argv.recursive
  * @property {boolean} Argv.hidden
+ * @property {string[]} Argv.ignore
+ * @property {string} Argv.ignoreRulesPath
  * @property {boolean} Argv.preserveMode
  * @property {boolean} Argv.preserveMtime
  * @property {number} Argv.mode
@@ -149,6 +157,11 @@ const command = {
       default: false,
       describe: 'Only chunk and hash, do not write'
     },
+    nocopy: {
+      boolean: true,
+      default: false,
+      describe: 'Store references to the added files instead of copying their data into the blockstore. (experimental)'
+    },
     'block-write-concurrency': {
       number: true,
       default: 10,
@@ -223,6 +236,16 @@ const command = {
       default: false,
       describe: 'Include files that are hidden. Only takes effect on recursive add.'
     },
+    ignore: {
+      array: true,
+      string: true,
+      default: [],
+      describe: 'A gitignore-style rule of paths to exclude, may be repeated. Rules in .ipfsignore and .gitignore files are always applied. Only takes effect on recursive add.'
+    },
+    'ignore-rules-path': {
+      string: true,
+      describe: 'A file of gitignore-style rules of paths to exclude. Only takes effect on recursive add.'
+    },
     'preserve-mode': {
       boolean: true,
       default: false,
@@ -260,6 +283,7 @@ const command = {
     cidVersion,
     rawLeaves,
     onlyHash,
+    nocopy,
     hash,
     wrapWithDirectory,
     pin,
@@ -277,6 +301,8 @@ const command = {
     mtimeNsecs,
     recursive,
     hidden,
+    ignore,
+    ignoreRulesPath,
     preserveMode,
     preserveMtime,
     mode,
@@ -289,6 +315,7 @@ const command = {
       cidVersion,
       rawLeaves,
       onlyHash,
+      nocopy,
       hashAlg: hash,
       wrapWithDirectory,
       pin,
@@ -335,7 +362,8 @@ const command = {
     }
 
     if (options.rawLeaves == null) {
-      options.rawLeaves = cidVersion > 0
+      // data can only be referenced from raw leaves
+      options.rawLeaves = cidVersion > 0 || nocopy
     }
 
     /** @type {{ secs: number, nsecs?: number } | undefined} */
@@ -348,6 +376,8 @@ const command = {
     const source = file
       ? merge(...file.map(file => getSource(file, {
         hidden,
+        ignore,
+        ignoreRulesPath: ignoreRulesPath ? path.resolve(ignoreRulesPath) : undefined,
         recursive,
         preserveMode,
         preserveMtime,
@@ -17,6 +17,7 @@ const log = logger('ipfs:cli:daemon')
  * @property {boolean} Argv.offline
  * @property {boolean} Argv.enableNamesysPubsub
  * @property {boolean} Argv.enablePreload
+ * @property {boolean} Argv.enableGc
  * @property {boolean} Argv.silent
  * @property {boolean} Argv.migrate
  * @property {string} Argv.pass
@@ -59,11 +60,16 @@ const command = {
         boolean: true,
         default: !isTest // preload by default, unless in test env
       })
+      .option('enable-gc', {
+        boolean: true,
+        desc: 'Enable automatic periodic repo garbage collection. See Datastore.StorageGCWatermark and Datastore.GCPeriod in the config docs',
+        default: false
+      })
 
     return yargs
   },
 
-  async handler ({ ctx: { print, repoPath }, initConfig, silent, migrate, offline, pass, enablePreload, enableNamesysPubsub, enableShardingExperiment, initProfile }) {
+  async handler ({ ctx: { print, repoPath }, initConfig, silent, migrate, offline, pass, enablePreload, enableGc, enableNamesysPubsub, enableShardingExperiment, initProfile }) {
     print('Initializing IPFS daemon...')
     print(`System version: ${os.arch()}/${os.platform()}`)
     print(`Node.js version: ${process.versions.node}`)
@@ -88,6 +94,7 @@ const command = {
       offline: offline,
       pass: pass,
       preload: { enabled: enablePreload },
+      gc: { enabled: enableGc },
       EXPERIMENTAL: {
         ipnsPubsub: enableNamesysPubsub,
         sharding: enableShardingExperiment
@@ -6,6 +6,7 @@ import { coerceCID } from '../../utils.js'
  * @property {import('../../types').Context} Argv.ctx
  * @property {import('multiformats/cid').CID} Argv.key
  * @property {boolean} Argv.recursive
+ * @property {number} Argv.concurrency
  * @property {number} Argv.timeout
  */
 
@@ -26,17 +27,26 @@ const command = {
       default: false,
       boolean: true
     },
+    concurrency: {
+      number: true,
+      describe: 'How many blocks to announce at once when providing recursively'
+    },
     timeout: {
       string: true,
       coerce: parseDuration
     }
   },
 
-  async handler ({ ctx: { ipfs }, key, recursive, timeout }) {
-    await ipfs.dht.provide(key, {
+  async handler ({ ctx: { ipfs, print }, key, recursive, concurrency, timeout }) {
+    for await (const event of ipfs.dht.provide(key, {
       recursive,
+      concurrency,
       timeout
-    })
+    })) {
+      if (event.name === 'PROVIDED') {
+        print(`provided ${event.cid}`)
+      }
+    }
   }
 }
 
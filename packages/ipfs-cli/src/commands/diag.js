@@ -0,0 +1,22 @@
+import { commands } from './diag/index.js'
+
+/** @type {import('yargs').CommandModule} */
+const command = {
+  command: 'diag <command>',
+
+  describe: 'Generate diagnostic reports',
+
+  builder (yargs) {
+    commands.forEach(command => {
+      yargs.command(command)
+    })
+
+    return yargs
+  },
+
+  handler () {
+
+  }
+}
+
+export default command
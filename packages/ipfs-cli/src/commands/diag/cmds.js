@@ -0,0 +1,53 @@
+import parseDuration from 'parse-duration'
+import {
+  stripControlCharacters
+} from '../../utils.js'
+
+/**
+ * @typedef {object} Argv
+ * @property {import('../../types').Context} Argv.ctx
+ * @property {boolean} Argv.verbose
+ * @property {number} Argv.timeout
+ */
+
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'cmds',
+
+  describe: 'List API calls that are in progress or have recently completed',
+
+  builder: {
+    verbose: {
+      alias: 'v',
+      boolean: true,
+      default: false,
+      describe: 'Print the options passed to each call'
+    },
+    timeout: {
+      string: true,
+      coerce: parseDuration
+    }
+  },
+
+  async handler ({ ctx: { ipfs, print }, verbose, timeout }) {
+    const cmds = await ipfs.diag.cmds({
+      timeout
+    })
+
+    for (const cmd of cmds) {
+      const duration = cmd.active || cmd.endTime == null
+        ? 'active'
+        : `${cmd.endTime.getTime() - cmd.startTime.getTime()}ms`
+      const call = [cmd.command, ...cmd.args].map(stripControlCharacters).join(' ')
+      let line = `${cmd.startTime.toISOString()}\t${duration}\t${call}`
+
+      if (verbose) {
+        line += `\t${stripControlCharacters(JSON.stringify(cmd.options))}`
+      }
+
+      print(line)
+    }
+  }
+}
+
+export default command
@@ -0,0 +1,10 @@
+import diagCmds from './cmds.js'
+import diagNet from './net.js'
+import diagSys from './sys.js'
+
+/** @type {import('yargs').CommandModule[]} */
+export const commands = [
+  diagCmds,
+  diagNet,
+  diagSys
+]
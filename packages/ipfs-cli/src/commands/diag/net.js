@@ -0,0 +1,30 @@
+import parseDuration from 'parse-duration'
+
+/**
+ * @typedef {object} Argv
+ * @property {import('../../types').Context} Argv.ctx
+ * @property {number} Argv.timeout
+ */
+
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'net',
+
+  describe: 'Report on connections, transports, NAT and relay status',
+
+  builder: {
+    timeout: {
+      string: true,
+      coerce: parseDuration
+    }
+  },
+
+  async handler ({ ctx: { ipfs, print }, timeout }) {
+    const net = await ipfs.diag.net({
+      timeout
+    })
+    print(JSON.stringify(net, null, 2))
+  }
+}
+
+export default command
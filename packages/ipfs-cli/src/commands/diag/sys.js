@@ -0,0 +1,30 @@
+import parseDuration from 'parse-duration'
+
+/**
+ * @typedef {object} Argv
+ * @property {import('../../types').Context} Argv.ctx
+ * @property {number} Argv.timeout
+ */
+
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'sys',
+
+  describe: 'Report on the runtime, operating system, memory, repo and versions',
+
+  builder: {
+    timeout: {
+      string: true,
+      coerce: parseDuration
+    }
+  },
+
+  async handler ({ ctx: { ipfs, print }, timeout }) {
+    const sys = await ipfs.diag.sys({
+      timeout
+    })
+    print(JSON.stringify(sys, null, 2))
+  }
+}
+
+export default command
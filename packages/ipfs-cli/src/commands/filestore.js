@@ -0,0 +1,22 @@
+import { commands } from './filestore/index.js'
+
+/** @type {import('yargs').CommandModule} */
+const command = {
+  command: 'filestore <command>',
+
+  describe: 'Interact with the filestore, where files added with --nocopy are referenced',
+
+  builder (yargs) {
+    commands.forEach(command => {
+      yargs.command(command)
+    })
+
+    return yargs
+  },
+
+  handler () {
+
+  }
+}
+
+export default command
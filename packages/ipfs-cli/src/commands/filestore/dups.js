@@ -0,0 +1,39 @@
+import parseDuration from 'parse-duration'
+
+/**
+ * @typedef {object} Argv
+ * @property {import('../../types').Context} Argv.ctx
+ * @property {string} Argv.cidBase
+ * @property {number} Argv.timeout
+ */
+
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'dups',
+
+  describe: 'List blocks that are stored as references and have also been copied into the blockstore',
+
+  builder: {
+    'cid-base': {
+      describe: 'Number base to display CIDs in',
+      string: true,
+      default: 'base58btc'
+    },
+    timeout: {
+      string: true,
+      coerce: parseDuration
+    }
+  },
+
+  async handler ({ ctx: { ipfs, print }, cidBase, timeout }) {
+    const base = await ipfs.bases.getBase(cidBase)
+
+    for await (const cid of ipfs.filestore.dups({
+      timeout
+    })) {
+      print(cid.toString(base.encoder))
+    }
+  }
+}
+
+export default command
@@ -0,0 +1,10 @@
+import filestoreDups from './dups.js'
+import filestoreLs from './ls.js'
+import filestoreVerify from './verify.js'
+
+/** @type {import('yargs').CommandModule[]} */
+export const commands = [
+  filestoreDups,
+  filestoreLs,
+  filestoreVerify
+]
@@ -0,0 +1,53 @@
+import parseDuration from 'parse-duration'
+import { coerceCIDs } from '../../utils.js'
+
+/**
+ * @typedef {object} Argv
+ * @property {import('../../types').Context} Argv.ctx
+ * @property {import('multiformats/cid').CID[]} Argv.cid
+ * @property {boolean} Argv.fileOrder
+ * @property {string} Argv.cidBase
+ * @property {number} Argv.timeout
+ */
+
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'ls [cid...]',
+
+  describe: 'List blocks that are stored as references to files',
+
+  builder: {
+    cid: {
+      type: 'array',
+      coerce: coerceCIDs
+    },
+    'file-order': {
+      describe: 'Sort the results by file path and offset',
+      boolean: true,
+      default: false
+    },
+    'cid-base': {
+      describe: 'Number base to display CIDs in',
+      string: true,
+      default: 'base58btc'
+    },
+    timeout: {
+      string: true,
+      coerce: parseDuration
+    }
+  },
+
+  async handler ({ ctx: { ipfs, print }, cid, fileOrder, cidBase, timeout }) {
+    const base = await ipfs.bases.getBase(cidBase)
+
+    for await (const entry of ipfs.filestore.ls({
+      cids: cid,
+      fileOrder,
+      timeout
+    })) {
+      print(`${entry.cid.toString(base.encoder)} ${entry.size} ${entry.path} ${entry.offset}`)
+    }
+  }
+}
+
+export default command
@@ -8,12 +8,15 @@ import config from './config.js'
 import daemon from './daemon.js'
 import dag from './dag.js'
 import dht from './dht.js'
+import diag from './diag.js'
 import dns from './dns.js'
 import files from './files.js'
+import filestore from './filestore.js'
 import get from './get.js'
 import id from './id.js'
 import init from './init.js'
 import key from './key.js'
+import log from './log.js'
 import ls from './ls.js'
 import name from './name.js'
 import object from './object.js'
@@ -41,12 +44,15 @@ export const commandList = [
   daemon,
   dag,
   dht,
+  diag,
   dns,
   files,
+  filestore,
   get,
   id,
   init,
   key,
+  log,
   ls,
   name,
   object,
@@ -21,6 +21,7 @@ const keyTypes = {
  * @property {string} Argv.privateKey
  * @property {string[]} Argv.profile
  * @property {string} Argv.pass
+ * @property {boolean} Argv.swarmKey
  */
 
 /** @type {import('yargs').CommandModule<Argv, Argv>} */
@@ -64,10 +65,14 @@ const command = {
       coerce: (value) => {
         return (value || '').split(',')
       }
+    },
+    swarmKey: {
+      boolean: true,
+      describe: 'Generate a swarm.key file so the node joins a new private network. Copy it to the repos of the other nodes that should be in the network'
     }
   },
 
-  async handler ({ ctx: { print, repoPath }, defaultConfig, algorithm, bits, privateKey, emptyRepo, profile, pass }) {
+  async handler ({ ctx: { print, repoPath }, defaultConfig, algorithm, bits, privateKey, emptyRepo, profile, pass, swarmKey }) {
     let config = {}
     // read and parse config file
     if (defaultConfig) {
@@ -90,7 +95,8 @@ const command = {
           bits: bits,
           privateKey: privateKey,
           emptyRepo: emptyRepo,
-          profiles: profile
+          profiles: profile,
+          swarmKey
         },
         pass: pass,
         start: false,
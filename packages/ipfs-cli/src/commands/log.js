@@ -0,0 +1,22 @@
+import { commands } from './log/index.js'
+
+/** @type {import('yargs').CommandModule} */
+const command = {
+  command: 'log <command>',
+
+  describe: 'Interact with the daemon log output',
+
+  builder (yargs) {
+    commands.forEach(command => {
+      yargs.command(command)
+    })
+
+    return yargs
+  },
+
+  handler () {
+
+  }
+}
+
+export default command
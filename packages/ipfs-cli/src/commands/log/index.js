@@ -0,0 +1,10 @@
+import logLevel from './level.js'
+import logLs from './ls.js'
+import logTail from './tail.js'
+
+/** @type {import('yargs').CommandModule[]} */
+export const commands = [
+  logLevel,
+  logLs,
+  logTail
+]
@@ -0,0 +1,32 @@
+import parseDuration from 'parse-duration'
+
+/**
+ * @typedef {object} Argv
+ * @property {import('../../types').Context} Argv.ctx
+ * @property {string} Argv.subsystem
+ * @property {string} Argv.level
+ * @property {number} Argv.timeout
+ */
+
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'level <subsystem> <level>',
+
+  describe: 'Change the logging level of a subsystem, use "all" for every subsystem. Levels are debug, info, warn, error, dpanic, panic and fatal',
+
+  builder: {
+    timeout: {
+      string: true,
+      coerce: parseDuration
+    }
+  },
+
+  async handler ({ ctx: { ipfs, print }, subsystem, level, timeout }) {
+    const res = await ipfs.log.level(subsystem, level, {
+      timeout
+    })
+    print(res.message)
+  }
+}
+
+export default command
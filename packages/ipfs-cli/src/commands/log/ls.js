@@ -0,0 +1,30 @@
+import parseDuration from 'parse-duration'
+
+/**
+ * @typedef {object} Argv
+ * @property {import('../../types').Context} Argv.ctx
+ * @property {number} Argv.timeout
+ */
+
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'ls',
+
+  describe: 'List the logging subsystems',
+
+  builder: {
+    timeout: {
+      string: true,
+      coerce: parseDuration
+    }
+  },
+
+  async handler ({ ctx: { ipfs, print }, timeout }) {
+    const subsystems = await ipfs.log.ls({
+      timeout
+    })
+    subsystems.forEach(subsystem => print(subsystem))
+  }
+}
+
+export default command
@@ -0,0 +1,31 @@
+import parseDuration from 'parse-duration'
+
+/**
+ * @typedef {object} Argv
+ * @property {import('../../types').Context} Argv.ctx
+ * @property {number} Argv.timeout
+ */
+
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'tail',
+
+  describe: 'Print log messages as they are written, one JSON object per line',
+
+  builder: {
+    timeout: {
+      string: true,
+      coerce: parseDuration
+    }
+  },
+
+  async handler ({ ctx: { ipfs, print }, timeout }) {
+    for await (const event of ipfs.log.tail({
+      timeout
+    })) {
+      print(JSON.stringify(event))
+    }
+  }
+}
+
+export default command
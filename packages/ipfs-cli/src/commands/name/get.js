@@ -0,0 +1,35 @@
+import parseDuration from 'parse-duration'
+
+/**
+ * @typedef {object} Argv
+ * @property {import('../../types').Context} Argv.ctx
+ * @property {string} Argv.name
+ * @property {number} Argv.timeout
+ */
+
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'get <name>',
+
+  describe: 'Write the raw signed IPNS record for a name to stdout',
+
+  builder: {
+    name: {
+      string: true
+    },
+    timeout: {
+      string: true,
+      coerce: parseDuration
+    }
+  },
+
+  async handler ({ ctx: { ipfs, print }, name, timeout }) {
+    const record = await ipfs.name.get(name, {
+      timeout
+    })
+
+    print.write(record)
+  }
+}
+
+export default command
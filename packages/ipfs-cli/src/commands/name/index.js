@@ -1,10 +1,18 @@
+import nameGet from './get.js'
+import nameInspect from './inspect.js'
 import namePublish from './publish.js'
 import namePubsub from './pubsub.js'
+import namePut from './put.js'
+import nameRepublish from './republish.js'
 import nameResolve from './resolve.js'
 
 /** @type {import('yargs').CommandModule[]} */
 export const commands = [
+  nameGet,
+  nameInspect,
   namePublish,
   namePubsub,
+  namePut,
+  nameRepublish,
   nameResolve
 ]
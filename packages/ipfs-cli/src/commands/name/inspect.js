@@ -0,0 +1,76 @@
+import fs from 'fs'
+import concat from 'it-concat'
+import parseDuration from 'parse-duration'
+import { toString as uint8ArrayToString } from 'uint8arrays/to-string'
+import {
+  stripControlCharacters
+} from '../../utils.js'
+
+/**
+ * @typedef {object} Argv
+ * @property {import('../../types').Context} Argv.ctx
+ * @property {string} [Argv.record]
+ * @property {string} [Argv.verify]
+ * @property {number} Argv.timeout
+ */
+
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'inspect [record]',
+
+  describe: 'Decode a raw signed IPNS record, read from a file or stdin',
+
+  builder: {
+    record: {
+      string: true
+    },
+    verify: {
+      describe: 'Verify the record is valid for this name',
+      string: true
+    },
+    timeout: {
+      string: true,
+      coerce: parseDuration
+    }
+  },
+
+  async handler ({ ctx: { ipfs, print, getStdin }, record, verify, timeout }) {
+    let data
+
+    if (record) {
+      data = fs.readFileSync(record)
+    } else {
+      data = (await concat(getStdin(), { type: 'buffer' })).subarray()
+    }
+
+    const result = await ipfs.name.inspect(data, {
+      verify,
+      timeout
+    })
+
+    print(`Value:         ${stripControlCharacters(result.value)}`)
+    print(`Validity Type: ${result.validityType}`)
+    print(`Validity:      ${result.validity.toISOString()}${result.expired ? ' (expired)' : ''}`)
+    print(`Sequence:      ${result.sequence}`)
+
+    if (result.ttl != null) {
+      // ttl is in nanoseconds
+      print(`TTL:           ${result.ttl / 1000000n}ms`)
+    }
+
+    if (result.publicKey != null) {
+      print(`Public Key:    ${uint8ArrayToString(result.publicKey, 'base64pad')}`)
+    }
+
+    print(`Signature V1:  ${result.signatureV1 ? 'yes' : 'no'}`)
+    print(`Signature V2:  ${result.signatureV2 ? 'yes' : 'no'}`)
+
+    if (result.verification != null) {
+      const { name, valid, error } = result.verification
+
+      print(`Valid for ${name}: ${valid ? 'yes' : `no - ${stripControlCharacters(error)}`}`)
+    }
+  }
+}
+
+export default command
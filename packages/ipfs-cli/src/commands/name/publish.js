@@ -43,7 +43,7 @@ const command = {
       string: true
     },
     ttl: {
-      describe: 'Time duration this record should be cached for (caution: experimental)',
+      describe: 'How long resolvers may cache the record for. Default: 1m',
       default: '',
       string: true
     },
@@ -0,0 +1,67 @@
+import fs from 'fs'
+import concat from 'it-concat'
+import parseDuration from 'parse-duration'
+import {
+  stripControlCharacters
+} from '../../utils.js'
+
+/**
+ * @typedef {object} Argv
+ * @property {import('../../types').Context} Argv.ctx
+ * @property {string} Argv.name
+ * @property {string} [Argv.record]
+ * @property {boolean} Argv.force
+ * @property {boolean} Argv.allowOffline
+ * @property {number} Argv.timeout
+ */
+
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'put <name> [record]',
+
+  describe: 'Store a raw signed IPNS record for a name, read from a file or stdin. The private key of the name is not needed.',
+
+  builder: {
+    name: {
+      string: true
+    },
+    record: {
+      string: true
+    },
+    force: {
+      alias: 'f',
+      describe: 'Store the record even if a newer record for the name exists. Default: false',
+      default: false,
+      boolean: true
+    },
+    'allow-offline': {
+      describe: 'When offline, store the record locally instead of failing. Default: false',
+      default: false,
+      boolean: true
+    },
+    timeout: {
+      string: true,
+      coerce: parseDuration
+    }
+  },
+
+  async handler ({ ctx: { ipfs, print, getStdin }, name, record, force, allowOffline, timeout }) {
+    let data
+
+    if (record) {
+      data = fs.readFileSync(record)
+    } else {
+      data = (await concat(getStdin(), { type: 'buffer' })).subarray()
+    }
+
+    await ipfs.name.put(name, data, {
+      force,
+      allowOffline,
+      timeout
+    })
+
+    print(`Stored record for ${stripControlCharacters(name)}`)
+  }
+}
+
+export default command
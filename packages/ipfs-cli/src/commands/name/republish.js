@@ -0,0 +1,29 @@
+import { commands } from './republish/index.js'
+
+/**
+ * @typedef {import('yargs').Argv} Argv
+ */
+
+/*
+Inspect and trigger the republishing of the records of published names.
+*/
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'republish',
+
+  describe: 'IPNS republisher management',
+
+  builder (yargs) {
+    commands.forEach(command => {
+      yargs.command(command)
+    })
+
+    return yargs
+  },
+
+  handler () {
+
+  }
+}
+
+export default command
@@ -0,0 +1,8 @@
+import republishRun from './run.js'
+import republishStatus from './status.js'
+
+/** @type {import('yargs').CommandModule[]} */
+export const commands = [
+  republishRun,
+  republishStatus
+]
@@ -0,0 +1,53 @@
+import parseDuration from 'parse-duration'
+
+/**
+ * @typedef {object} Argv
+ * @property {import('../../../types').Context} Argv.ctx
+ * @property {string} [Argv.key]
+ * @property {number} Argv.timeout
+ */
+
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'run',
+
+  describe: 'Republish the records of published names now',
+
+  builder: {
+    key: {
+      alias: 'k',
+      describe: 'Only republish the name published with this key, as listed by "ipfs key list -l"',
+      string: true
+    },
+    timeout: {
+      string: true,
+      coerce: parseDuration
+    }
+  },
+
+  async handler ({ ctx: { ipfs, print }, key, timeout }) {
+    const statuses = await ipfs.name.republish.run({
+      key,
+      timeout
+    })
+
+    for (const { name, key: keyName, lastRun, nextRun, error } of statuses) {
+      const last = lastRun == null ? 'never' : lastRun.toISOString()
+      const next = nextRun == null ? 'not scheduled' : nextRun.toISOString()
+
+      print(`${name}${keyName == null ? '' : ` (${keyName})`} last run: ${last} next run: ${next}`)
+
+      if (error != null) {
+        print(`  error: ${error}`)
+      }
+    }
+
+    const failed = statuses.filter(status => status.error != null).length
+
+    if (failed > 0) {
+      throw new Error(`${failed} of ${statuses.length} names could not be republished`)
+    }
+  }
+}
+
+export default command
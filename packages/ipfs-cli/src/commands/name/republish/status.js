@@ -0,0 +1,40 @@
+import parseDuration from 'parse-duration'
+
+/**
+ * @typedef {object} Argv
+ * @property {import('../../../types').Context} Argv.ctx
+ * @property {number} Argv.timeout
+ */
+
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'status',
+
+  describe: 'Show when the records of published names were last and will next be republished',
+
+  builder: {
+    timeout: {
+      string: true,
+      coerce: parseDuration
+    }
+  },
+
+  async handler ({ ctx: { ipfs, print }, timeout }) {
+    const statuses = await ipfs.name.republish.status({
+      timeout
+    })
+
+    for (const { name, key, lastRun, nextRun, error } of statuses) {
+      const last = lastRun == null ? 'never' : lastRun.toISOString()
+      const next = nextRun == null ? 'not scheduled' : nextRun.toISOString()
+
+      print(`${name}${key == null ? '' : ` (${key})`} last run: ${last} next run: ${next}`)
+
+      if (error != null) {
+        print(`  error: ${error}`)
+      }
+    }
+  }
+}
+
+export default command
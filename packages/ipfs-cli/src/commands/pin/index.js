@@ -1,10 +1,14 @@
 import pinAdd from './add.js'
 import pinLs from './ls.js'
 import pinRm from './rm.js'
+import pinUpdate from './update.js'
+import pinVerify from './verify.js'
 
 /** @type {import('yargs').CommandModule[]} */
 export const commands = [
   pinAdd,
   pinLs,
-  pinRm
+  pinRm,
+  pinUpdate,
+  pinVerify
 ]
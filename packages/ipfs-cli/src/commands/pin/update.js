@@ -0,0 +1,48 @@
+import parseDuration from 'parse-duration'
+
+/**
+ * @typedef {object} Argv
+ * @property {import('../../types').Context} Argv.ctx
+ * @property {string} Argv.from
+ * @property {string} Argv.to
+ * @property {boolean} Argv.unpin
+ * @property {string} Argv.cidBase
+ * @property {number} Argv.timeout
+ */
+
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'update <from> <to>',
+
+  describe: 'Update a recursive pin, only fetching the blocks of the new DAG that are not in the old one',
+
+  builder: {
+    unpin: {
+      boolean: true,
+      default: true,
+      describe: 'Remove the old pin.'
+    },
+    'cid-base': {
+      describe: 'Number base to display CIDs in',
+      string: true,
+      default: 'base58btc'
+    },
+    timeout: {
+      string: true,
+      coerce: parseDuration
+    }
+  },
+
+  async handler ({ ctx, from, to, unpin, cidBase, timeout }) {
+    const { ipfs, print } = ctx
+    const base = await ipfs.bases.getBase(cidBase)
+    const result = await ipfs.pin.update(from, to, {
+      unpin,
+      timeout
+    })
+
+    print(`updated ${result.from.toString(base.encoder)} to ${result.to.toString(base.encoder)}`)
+  }
+}
+
+export default command
@@ -0,0 +1,54 @@
+import parseDuration from 'parse-duration'
+
+/**
+ * @typedef {object} Argv
+ * @property {import('../../types').Context} Argv.ctx
+ * @property {boolean} Argv.verbose
+ * @property {boolean} Argv.includeOk
+ * @property {string} Argv.cidBase
+ * @property {number} Argv.timeout
+ */
+
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'verify',
+
+  describe: 'Verify that every block of each pin is present and not corrupted',
+
+  builder: {
+    verbose: {
+      boolean: true,
+      default: false,
+      describe: 'Also print the missing or corrupt blocks of each pin.'
+    },
+    'include-ok': {
+      boolean: true,
+      default: false,
+      describe: 'Also print pins that have no problems.'
+    },
+    'cid-base': {
+      describe: 'Number base to display CIDs in',
+      string: true,
+      default: 'base58btc'
+    },
+    timeout: {
+      string: true,
+      coerce: parseDuration
+    }
+  },
+
+  async handler ({ ctx, verbose, includeOk, cidBase, timeout }) {
+    const { ipfs, print } = ctx
+    const base = await ipfs.bases.getBase(cidBase)
+
+    for await (const { cid, ok, badNodes } of ipfs.pin.verify({ verbose, includeOk, timeout })) {
+      print(`${cid.toString(base.encoder)} ${ok ? 'ok' : 'broken'}`)
+
+      for (const node of badNodes || []) {
+        print(`  ${node.cid.toString(base.encoder)}: ${node.error}`)
+      }
+    }
+  }
+}
+
+export default command
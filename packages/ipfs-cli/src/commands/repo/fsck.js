@@ -0,0 +1,40 @@
+import parseDuration from 'parse-duration'
+
+/**
+ * @typedef {object} Argv
+ * @property {import('../../types').Context} Argv.ctx
+ * @property {number} Argv.timeout
+ */
+
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'fsck',
+
+  describe: 'Check the repo for dangling pins, stale locks and an MFS root that cannot be loaded',
+
+  builder: {
+    timeout: {
+      string: true,
+      coerce: parseDuration
+    }
+  },
+
+  async handler ({ ctx: { ipfs, print }, timeout }) {
+    let problems = 0
+
+    for await (const problem of ipfs.repo.fsck({
+      timeout
+    })) {
+      problems++
+      print(`${problem.type}: ${problem.message}`)
+    }
+
+    if (problems > 0) {
+      throw new Error(`found ${problems} problems with the repo`)
+    }
+
+    print('no problems found')
+  }
+}
+
+export default command
@@ -1,10 +1,14 @@
+import repoFsck from './fsck.js'
 import repoGc from './gc.js'
 import repoStat from './stat.js'
+import repoVerify from './verify.js'
 import repoVersion from './version.js'
 
 /** @type {import('yargs').CommandModule[]} */
 export const commands = [
+  repoFsck,
   repoGc,
   repoStat,
+  repoVerify,
   repoVersion
 ]
@@ -0,0 +1,47 @@
+import parseDuration from 'parse-duration'
+
+/**
+ * @typedef {object} Argv
+ * @property {import('../../types').Context} Argv.ctx
+ * @property {boolean} Argv.remove
+ * @property {number} Argv.timeout
+ */
+
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'verify',
+
+  describe: 'Verify all blocks in the repo are not corrupted',
+
+  builder: {
+    remove: {
+      desc: 'Remove corrupt blocks so they can be fetched again. Pinned blocks are not removed.',
+      boolean: true,
+      default: false
+    },
+    timeout: {
+      string: true,
+      coerce: parseDuration
+    }
+  },
+
+  async handler ({ ctx: { ipfs, print }, remove, timeout }) {
+    let failed = 0
+
+    for await (const result of ipfs.repo.verify({
+      remove,
+      timeout
+    })) {
+      failed++
+      print(`${result.cid} ${result.error}${result.removed ? ' (removed)' : ''}`)
+    }
+
+    if (failed > 0) {
+      throw new Error(`verify complete, ${failed} blocks failed verification`)
+    }
+
+    print('verify complete, all blocks validated.')
+  }
+}
+
+export default command
@@ -0,0 +1,46 @@
+import { commands } from './filters/index.js'
+import parseDuration from 'parse-duration'
+
+/**
+ * @typedef {object} Argv
+ * @property {import('../../types').Context} Argv.ctx
+ * @property {boolean} Argv.allow
+ * @property {number} Argv.timeout
+ */
+
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'filters',
+
+  describe: 'List the IP ranges the node will not connect to',
+
+  builder (yargs) {
+    commands.forEach(command => {
+      yargs.command(command)
+    })
+
+    yargs
+      .option('allow', {
+        boolean: true,
+        default: false,
+        describe: 'List the allow list instead, when it is not empty only these ranges can be connected to'
+      })
+      .option('timeout', {
+        string: true,
+        coerce: parseDuration
+      })
+
+    return yargs
+  },
+
+  async handler ({ ctx: { ipfs, print }, allow, timeout }) {
+    const filters = await ipfs.swarm.filters.ls({
+      allow,
+      timeout
+    })
+
+    filters.forEach(filter => print(filter))
+  }
+}
+
+export default command
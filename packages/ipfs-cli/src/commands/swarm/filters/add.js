@@ -0,0 +1,42 @@
+import parseDuration from 'parse-duration'
+
+/**
+ * @typedef {object} Argv
+ * @property {import('../../../types').Context} Argv.ctx
+ * @property {string} Argv.filter
+ * @property {boolean} Argv.allow
+ * @property {number} Argv.timeout
+ */
+
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'add <filter>',
+
+  describe: 'Stop the node connecting to an IP range, e.g. /ip4/10.0.0.0/ipcidr/8. The filter is saved to the config',
+
+  builder: {
+    filter: {
+      string: true
+    },
+    allow: {
+      boolean: true,
+      default: false,
+      describe: 'Use the allow list instead of the deny list'
+    },
+    timeout: {
+      string: true,
+      coerce: parseDuration
+    }
+  },
+
+  async handler ({ ctx: { ipfs, print }, filter, allow, timeout }) {
+    await ipfs.swarm.filters.add(filter, {
+      allow,
+      timeout
+    })
+
+    print(filter)
+  }
+}
+
+export default command
@@ -0,0 +1,8 @@
+import swarmFiltersAdd from './add.js'
+import swarmFiltersRm from './rm.js'
+
+/** @type {import('yargs').CommandModule[]} */
+export const commands = [
+  swarmFiltersAdd,
+  swarmFiltersRm
+]
@@ -0,0 +1,42 @@
+import parseDuration from 'parse-duration'
+
+/**
+ * @typedef {object} Argv
+ * @property {import('../../../types').Context} Argv.ctx
+ * @property {string} Argv.filter
+ * @property {boolean} Argv.allow
+ * @property {number} Argv.timeout
+ */
+
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'rm <filter>',
+
+  describe: 'Remove an IP range filter from the config',
+
+  builder: {
+    filter: {
+      string: true
+    },
+    allow: {
+      boolean: true,
+      default: false,
+      describe: 'Use the allow list instead of the deny list'
+    },
+    timeout: {
+      string: true,
+      coerce: parseDuration
+    }
+  },
+
+  async handler ({ ctx: { ipfs, print }, filter, allow, timeout }) {
+    await ipfs.swarm.filters.rm(filter, {
+      allow,
+      timeout
+    })
+
+    print(filter)
+  }
+}
+
+export default command
@@ -2,11 +2,15 @@ import swarmAddrs from './addrs.js'
 import swarmConnect from './connect.js'
 import swarmDisconnect from './disconnect.js'
 import swarmPeers from './peers.js'
+import swarmPeering from './peering.js'
+import swarmFilters from './filters.js'
 
 /** @type {import('yargs').CommandModule[]} */
 export const commands = [
   swarmAddrs,
   swarmConnect,
   swarmDisconnect,
-  swarmPeers
+  swarmPeers,
+  swarmPeering,
+  swarmFilters
 ]
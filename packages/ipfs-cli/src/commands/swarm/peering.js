@@ -0,0 +1,29 @@
+import { commands } from './peering/index.js'
+
+/**
+ * @typedef {import('yargs').Argv} Argv
+ */
+
+/*
+Manage the peers the node stays connected to.
+*/
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'peering',
+
+  describe: 'Modify the peering subsystem',
+
+  builder (yargs) {
+    commands.forEach(command => {
+      yargs.command(command)
+    })
+
+    return yargs
+  },
+
+  handler () {
+
+  }
+}
+
+export default command
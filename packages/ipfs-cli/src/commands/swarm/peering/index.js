@@ -0,0 +1,10 @@
+import peeringAdd from './add.js'
+import peeringLs from './ls.js'
+import peeringRm from './rm.js'
+
+/** @type {import('yargs').CommandModule[]} */
+export const commands = [
+  peeringAdd,
+  peeringLs,
+  peeringRm
+]
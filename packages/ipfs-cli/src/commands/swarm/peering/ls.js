@@ -0,0 +1,41 @@
+import parseDuration from 'parse-duration'
+
+/**
+ * @typedef {object} Argv
+ * @property {import('../../../types').Context} Argv.ctx
+ * @property {number} Argv.timeout
+ */
+
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'ls',
+
+  describe: 'List the peers the node stays connected to',
+
+  builder: {
+    timeout: {
+      string: true,
+      coerce: parseDuration
+    }
+  },
+
+  async handler ({ ctx: { ipfs, isDaemon, print }, timeout }) {
+    if (!isDaemon) {
+      throw new Error('This command must be run in online mode. Try running \'ipfs daemon\' first.')
+    }
+
+    const peers = await ipfs.swarm.peering.ls({
+      timeout
+    })
+
+    for (const { id, addrs } of peers) {
+      print(`${id}`)
+
+      for (const addr of addrs) {
+        print(`\t${addr}`)
+      }
+    }
+  }
+}
+
+export default command
@@ -0,0 +1,43 @@
+import parseDuration from 'parse-duration'
+import {
+  coercePeerId
+} from '../../../utils.js'
+
+/**
+ * @typedef {object} Argv
+ * @property {import('../../../types').Context} Argv.ctx
+ * @property {import('@libp2p/interface-peer-id').PeerId} Argv.peerId
+ * @property {number} Argv.timeout
+ */
+
+/** @type {import('yargs').CommandModule<Argv, Argv>} */
+const command = {
+  command: 'rm <peerId>',
+
+  describe: 'Remove a peer from the set of peers the node stays connected to',
+
+  builder: {
+    peerId: {
+      string: true,
+      coerce: coercePeerId
+    },
+    timeout: {
+      string: true,
+      coerce: parseDuration
+    }
+  },
+
+  async handler ({ ctx: { ipfs, isDaemon, print }, peerId, timeout }) {
+    if (!isDaemon) {
+      throw new Error('This command must be run in online mode. Try running \'ipfs daemon\' first.')
+    }
+
+    await ipfs.swarm.peering.rm(peerId, {
+      timeout
+    })
+
+    print(`remove ${peerId} success`)
+  }
+}
+
+export default command
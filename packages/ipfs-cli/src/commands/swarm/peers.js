@@ -5,6 +5,10 @@ import parseDuration from 'parse-duration'
 /**
  * @typedef {object} Argv
  * @property {import('../../types').Context} Argv.ctx
+ * @property {boolean} Argv.verbose
+ * @property {boolean} Argv.direction
+ * @property {boolean} Argv.streams
+ * @property {boolean} Argv.latency
  * @property {number} Argv.timeout
  */
 
@@ -15,18 +19,43 @@ const command = {
   describe: 'List peers with open connections',
 
   builder: {
+    verbose: {
+      alias: 'v',
+      boolean: true,
+      default: false,
+      describe: 'Display all extra information'
+    },
+    direction: {
+      boolean: true,
+      default: false,
+      describe: 'Also list information about the direction of connection'
+    },
+    streams: {
+      boolean: true,
+      default: false,
+      describe: 'Also list information about open streams for each peer'
+    },
+    latency: {
+      boolean: true,
+      default: false,
+      describe: 'Also list information about latency to each peer'
+    },
     timeout: {
       string: true,
       coerce: parseDuration
     }
   },
 
-  async handler ({ ctx: { print, ipfs, isDaemon }, timeout }) {
+  async handler ({ ctx: { print, ipfs, isDaemon }, verbose, direction, streams, latency, timeout }) {
     if (!isDaemon) {
       throw new Error('This command must be run in online mode. Try running \'ipfs daemon\' first.')
     }
 
     const result = await ipfs.swarm.peers({
+      verbose,
+      direction,
+      streams,
+      latency,
       timeout
     })
 
@@ -37,7 +66,32 @@ const command = {
         ma = ma.encapsulate(`/ipfs/${item.peer}`)
       }
 
-      print(`${ma}`)
+      let line = `${ma}`
+
+      if (item.latency != null) {
+        line += ` ${item.latency}`
+      }
+
+      if (item.direction != null) {
+        line += ` ${item.direction}`
+      }
+
+      print(line)
+
+      if (verbose) {
+        print(`  agent version: ${item.agentVersion || 'unknown'}`)
+        print(`  connected for: ${Math.round((item.age || 0) / 1000)}s`)
+        print(`  total in: ${item.totalIn}B`)
+        print(`  total out: ${item.totalOut}B`)
+      }
+
+      if (item.streams != null && item.streams.length > 0) {
+        print('  streams:')
+
+        item.streams.forEach(stream => {
+          print(`    ${stream.protocol || '<no protocol name>'} ${stream.direction}`)
+        })
+      }
     })
   }
 }
@@ -26,6 +26,10 @@ export default () => {
       desc: 'Remote API multiaddr to use',
       string: true
     })
+    .options('api-auth', {
+      desc: 'Credentials for the remote API, either bearer:<token> or basic:<username>:<password>',
+      string: true
+    })
     .epilog(ipfsPathHelp)
     .demandCommand(1, 'Please specify a command')
     .showHelpOnFail(false)
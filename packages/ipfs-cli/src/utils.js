@@ -114,7 +114,7 @@ export const rightpad = (val, n) => {
 export const ipfsPathHelp = 'ipfs uses a repository in the local file system. By default, the repo is located at ~/.jsipfs. To change the repo location, set the $IPFS_PATH environment variable: `export IPFS_PATH=/path/to/ipfsrepo`'
 
 /**
- * @param {{ api?: string, silent?: boolean, migrate?: boolean, pass?: string }} argv
+ * @param {{ api?: string, apiAuth?: string, silent?: boolean, migrate?: boolean, pass?: string }} argv
  */
 export async function getIpfs (argv) {
   if (!argv.api && !isDaemonOn()) {
@@ -146,7 +146,7 @@ export async function getIpfs (argv) {
   }
 
   /** @type {import('ipfs-core-types').IPFS} */
-  const ipfs = httpClient({ url: endpoint })
+  const ipfs = httpClient({ url: endpoint, auth: argv.apiAuth })
 
   return {
     isDaemon: true,
@@ -11,6 +11,7 @@ import { fromString as uint8ArrayFromString } from 'uint8arrays/from-string'
 import { matchIterable } from './utils/match-iterable.js'
 import all from 'it-all'
 import map from 'it-map'
+import path from 'path'
 
 // TODO: Test against all algorithms Object.keys(mh.names)
 // This subset is known to work with both go-ipfs and js-ipfs as of 2017-09-05
@@ -30,6 +31,7 @@ const defaultOptions = {
   cidVersion: 0,
   rawLeaves: false,
   onlyHash: false,
+  nocopy: false,
   hashAlg: 'sha2-256',
   wrapWithDirectory: false,
   pin: true,
@@ -71,6 +73,28 @@ describe('add', () => {
     ])
   })
 
+  it('should add a file by reference', async () => {
+    const cid = CID.parse('bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4')
+
+    ipfs.addAll.withArgs(matchIterable(), {
+      ...defaultOptions,
+      nocopy: true,
+      rawLeaves: true
+    }).returns([{
+      cid,
+      path: 'README.md'
+    }])
+    ipfs.bases.getBase.withArgs('base58btc').returns(base58btc)
+
+    const out = await cli('add --progress false --nocopy README.md', { ipfs })
+    expect(out).to.equal(`added ${cid.toString(base58btc)} README.md\n`)
+
+    const files = await all(map(ipfs.addAll.getCall(0).args[0], (file) => file.abspath))
+    expect(files).to.deep.equal([
+      path.resolve('README.md')
+    ])
+  })
+
   it('should add a directory', async () => {
     const cid = CID.parse('QmPZ9gcCEpqKTo6aq61g2nXGUhM4iCL3ewB6LDXZCtioEB')
 
@@ -108,6 +132,27 @@ describe('add', () => {
     ].sort())
   })
 
+  it('should add a directory without ignored files', async () => {
+    const cid = CID.parse('QmPZ9gcCEpqKTo6aq61g2nXGUhM4iCL3ewB6LDXZCtioEB')
+
+    ipfs.addAll.withArgs(matchIterable(), defaultOptions).returns([{
+      cid,
+      path: 'bitswap/index.js'
+    }, {
+      cid,
+      path: 'bitswap'
+    }])
+    ipfs.bases.getBase.withArgs('base58btc').returns(base58btc)
+
+    await cli('add --recursive src/commands/bitswap --ignore stat.js --ignore "w*.js"', { ipfs })
+
+    const files = await all(map(ipfs.addAll.getCall(0).args[0], (file) => file.path))
+    expect(files.sort()).to.deep.equal([
+      'bitswap/index.js',
+      'bitswap/unwant.js'
+    ])
+  })
+
   it('should strip control characters from paths when add a file', async () => {
     const cid = CID.parse('QmPZ9gcCEpqKTo6aq61g2nXGUhM4iCL3ewB6LDXZCtioEB')
 
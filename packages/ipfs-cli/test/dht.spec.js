@@ -17,7 +17,7 @@ describe('dht', () => {
       dht: {
         put: sinon.stub(),
         get: sinon.stub(),
-        provide: sinon.stub(),
+        provide: sinon.stub().returns([]),
         findProvs: sinon.stub(),
         findPeer: sinon.stub(),
         query: sinon.stub()
@@ -96,6 +96,7 @@ describe('dht', () => {
   describe('provide', () => {
     const defaultOptions = {
       recursive: false,
+      concurrency: undefined,
       timeout: undefined
     }
 
@@ -132,6 +133,30 @@ describe('dht', () => {
       })).to.be.true()
     })
 
+    it('should print blocks as they are provided recursively', async () => {
+      const key = CID.parse('QmZjTnYw2TFhn9Nn7tjmPSoTBoY7YRkwPzwSrSbabY24Kp')
+      const child = CID.parse('QmPBcZ5pbfqRGaW2fHfCrjBW1kKbgZdjDWh6AhWvCDmzjW')
+
+      ipfs.dht.provide.withArgs(key, {
+        ...defaultOptions,
+        recursive: true,
+        concurrency: 2
+      }).returns([{
+        name: 'PROVIDED',
+        type: 8,
+        cid: key
+      }, {
+        name: 'PROVIDED',
+        type: 8,
+        cid: child
+      }])
+
+      const out = await cli(`dht provide ${key} -r --concurrency 2`, {
+        ipfs
+      })
+      expect(out).to.equal(`provided ${key}\nprovided ${child}\n`)
+    })
+
     it('should be able to provide data with a timeout', async () => {
       const key = CID.parse('QmZjTnYw2TFhn9Nn7tjmPSoTBoY7YRkwPzwSrSbabY24Kp')
 
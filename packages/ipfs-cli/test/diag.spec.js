@@ -0,0 +1,91 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import { cli } from './utils/cli.js'
+import sinon from 'sinon'
+
+const defaultOptions = {
+  timeout: undefined
+}
+
+describe('diag', () => {
+  let ipfs
+
+  beforeEach(() => {
+    ipfs = {
+      diag: {
+        cmds: sinon.stub(),
+        net: sinon.stub(),
+        sys: sinon.stub()
+      }
+    }
+  })
+
+  describe('cmds', () => {
+    const cmds = [{
+      id: '0',
+      command: 'cat',
+      args: ['QmHash'],
+      options: { offset: 5 },
+      active: false,
+      startTime: new Date('2022-01-01T00:00:00.000Z'),
+      endTime: new Date('2022-01-01T00:00:01.500Z')
+    }, {
+      id: '1',
+      command: 'diag.cmds',
+      args: [],
+      options: {},
+      active: true,
+      startTime: new Date('2022-01-01T00:00:02.000Z')
+    }]
+
+    it('should list commands', async () => {
+      ipfs.diag.cmds.withArgs(defaultOptions).resolves(cmds)
+
+      const out = await cli('diag cmds', { ipfs })
+      expect(out).to.equal(
+        '2022-01-01T00:00:00.000Z\t1500ms\tcat QmHash\n' +
+        '2022-01-01T00:00:02.000Z\tactive\tdiag.cmds\n'
+      )
+    })
+
+    it('should list commands with their options', async () => {
+      ipfs.diag.cmds.withArgs({
+        ...defaultOptions,
+        timeout: 1000
+      }).resolves(cmds)
+
+      const out = await cli('diag cmds --verbose --timeout=1s', { ipfs })
+      expect(out).to.equal(
+        '2022-01-01T00:00:00.000Z\t1500ms\tcat QmHash\t{"offset":5}\n' +
+        '2022-01-01T00:00:02.000Z\tactive\tdiag.cmds\t{}\n'
+      )
+    })
+  })
+
+  describe('net', () => {
+    it('should report on the network', async () => {
+      const net = {
+        online: false,
+        connections: []
+      }
+      ipfs.diag.net.withArgs(defaultOptions).resolves(net)
+
+      const out = await cli('diag net', { ipfs })
+      expect(JSON.parse(out)).to.deep.equal(net)
+    })
+  })
+
+  describe('sys', () => {
+    it('should report on the system', async () => {
+      const sys = {
+        runtime: { name: 'node' },
+        repo: { path: '/repo' }
+      }
+      ipfs.diag.sys.withArgs(defaultOptions).resolves(sys)
+
+      const out = await cli('diag sys', { ipfs })
+      expect(JSON.parse(out)).to.deep.equal(sys)
+    })
+  })
+})
@@ -0,0 +1,122 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import { CID } from 'multiformats/cid'
+import { base58btc } from 'multiformats/bases/base58'
+import { base32 } from 'multiformats/bases/base32'
+import { cli } from './utils/cli.js'
+import sinon from 'sinon'
+
+describe('filestore', () => {
+  const cid = CID.parse('bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4')
+  const cid2 = CID.parse('bafkreiguonpdujs64gkppla5sxyp5vpsxqbgykxkafrgzgdavqzwxc6v6q')
+  let ipfs
+
+  const entries = [{
+    cid,
+    path: '/tmp/file.txt',
+    offset: 0,
+    size: 10
+  }, {
+    cid: cid2,
+    path: '/tmp/file.txt',
+    offset: 10,
+    size: 4
+  }]
+
+  beforeEach(() => {
+    ipfs = {
+      filestore: {
+        ls: sinon.stub(),
+        verify: sinon.stub(),
+        dups: sinon.stub()
+      },
+      bases: {
+        getBase: sinon.stub()
+      }
+    }
+
+    ipfs.bases.getBase.withArgs('base58btc').returns(base58btc)
+    ipfs.bases.getBase.withArgs('base32').returns(base32)
+  })
+
+  describe('ls', () => {
+    const defaultOptions = {
+      cids: undefined,
+      fileOrder: false,
+      timeout: undefined
+    }
+
+    it('lists filestore entries', async () => {
+      ipfs.filestore.ls.withArgs(defaultOptions).returns(entries)
+
+      const out = await cli('filestore ls', { ipfs })
+
+      expect(out).to.equal([
+        `${cid.toString(base58btc)} 10 /tmp/file.txt 0`,
+        `${cid2.toString(base58btc)} 4 /tmp/file.txt 10`,
+        ''
+      ].join('\n'))
+    })
+
+    it('lists requested entries in file order', async () => {
+      ipfs.filestore.ls.withArgs({
+        ...defaultOptions,
+        cids: [cid],
+        fileOrder: true
+      }).returns([entries[0]])
+
+      const out = await cli(`filestore ls ${cid} --file-order --cid-base base32`, { ipfs })
+
+      expect(out).to.equal(`${cid.toString(base32)} 10 /tmp/file.txt 0\n`)
+    })
+
+    it('lists filestore entries with a timeout', async () => {
+      ipfs.filestore.ls.withArgs({
+        ...defaultOptions,
+        timeout: 1000
+      }).returns(entries)
+
+      const out = await cli('filestore ls --timeout=1s', { ipfs })
+
+      expect(out.split('\n')).to.have.lengthOf(3)
+    })
+  })
+
+  describe('verify', () => {
+    const defaultOptions = {
+      cids: undefined,
+      fileOrder: false,
+      timeout: undefined
+    }
+
+    it('reports the status of filestore entries', async () => {
+      ipfs.filestore.verify.withArgs(defaultOptions).returns([{
+        ...entries[0],
+        status: 'ok'
+      }, {
+        ...entries[1],
+        status: 'changed',
+        error: '/tmp/file.txt has changed'
+      }])
+
+      const out = await cli('filestore verify', { ipfs })
+
+      expect(out).to.equal([
+        `ok ${cid.toString(base58btc)} 10 /tmp/file.txt 0`,
+        `changed ${cid2.toString(base58btc)} 4 /tmp/file.txt 10`,
+        ''
+      ].join('\n'))
+    })
+  })
+
+  describe('dups', () => {
+    it('lists duplicated blocks', async () => {
+      ipfs.filestore.dups.withArgs({ timeout: undefined }).returns([cid, cid2])
+
+      const out = await cli('filestore dups', { ipfs })
+
+      expect(out).to.equal(`${cid.toString(base58btc)}\n${cid2.toString(base58btc)}\n`)
+    })
+  })
+})
@@ -0,0 +1,70 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import { cli } from './utils/cli.js'
+import sinon from 'sinon'
+
+const defaultOptions = {
+  timeout: undefined
+}
+
+describe('log', () => {
+  let ipfs
+
+  beforeEach(() => {
+    ipfs = {
+      log: {
+        level: sinon.stub(),
+        ls: sinon.stub(),
+        tail: sinon.stub()
+      }
+    }
+  })
+
+  describe('level', () => {
+    it('should change the level of a subsystem', async () => {
+      ipfs.log.level.withArgs('ipfs:bitswap', 'debug', defaultOptions).resolves({
+        message: "Changed log level of 'ipfs:bitswap' to 'debug'"
+      })
+
+      const out = await cli('log level ipfs:bitswap debug', { ipfs })
+      expect(out).to.equal("Changed log level of 'ipfs:bitswap' to 'debug'\n")
+    })
+
+    it('should change the level with a timeout', async () => {
+      ipfs.log.level.withArgs('all', 'error', {
+        ...defaultOptions,
+        timeout: 1000
+      }).resolves({
+        message: "Changed log level of 'all' to 'error'"
+      })
+
+      const out = await cli('log level all error --timeout=1s', { ipfs })
+      expect(out).to.equal("Changed log level of 'all' to 'error'\n")
+    })
+  })
+
+  describe('ls', () => {
+    it('should list subsystems', async () => {
+      ipfs.log.ls.withArgs(defaultOptions).resolves(['ipfs:bitswap', 'libp2p:dialer'])
+
+      const out = await cli('log ls', { ipfs })
+      expect(out).to.equal('ipfs:bitswap\nlibp2p:dialer\n')
+    })
+  })
+
+  describe('tail', () => {
+    it('should print log events', async () => {
+      const event = {
+        level: 'debug',
+        ts: '2022-01-01T00:00:00.000Z',
+        logger: 'ipfs:bitswap',
+        msg: 'hello'
+      }
+      ipfs.log.tail.withArgs(defaultOptions).returns([event])
+
+      const out = await cli('log tail', { ipfs })
+      expect(out).to.equal(`${JSON.stringify(event)}\n`)
+    })
+  })
+})
@@ -11,7 +11,14 @@ describe('name', () => {
     ipfs = {
       name: {
         publish: sinon.stub(),
-        resolve: sinon.stub()
+        resolve: sinon.stub(),
+        get: sinon.stub(),
+        put: sinon.stub(),
+        inspect: sinon.stub(),
+        republish: {
+          run: sinon.stub(),
+          status: sinon.stub()
+        }
       }
     }
   })
@@ -293,4 +300,165 @@ describe('name', () => {
       expect(out).to.equal(`Published to ${name}: ${value}\n`)
     })
   })
+
+  describe('get', () => {
+    const name = 'k51qzi5uqu5dlvj2baxnqndepeb86cbk3ng7n3i46uzyxzyqj2xjonzllnv0v8'
+    const record = Uint8Array.from([0, 1, 2, 255])
+
+    it('should write the raw record', async () => {
+      ipfs.name.get.withArgs(name, { timeout: undefined }).resolves(record)
+
+      const out = await cli(`name get ${name}`, { ipfs, raw: true })
+      expect(out).to.equalBytes(record)
+    })
+
+    it('get with a timeout', async () => {
+      ipfs.name.get.withArgs(name, { timeout: 1000 }).resolves(record)
+
+      const out = await cli(`name get ${name} --timeout=1s`, { ipfs, raw: true })
+      expect(out).to.equalBytes(record)
+    })
+  })
+
+  describe('put', () => {
+    const name = 'k51qzi5uqu5dlvj2baxnqndepeb86cbk3ng7n3i46uzyxzyqj2xjonzllnv0v8'
+    const record = Uint8Array.from([0, 1, 2, 255])
+    const defaultOptions = {
+      force: false,
+      allowOffline: false,
+      timeout: undefined
+    }
+
+    it('should put a record read from stdin', async () => {
+      const out = await cli(`name put ${name}`, {
+        ipfs,
+        getStdin: function * () {
+          yield record
+        }
+      })
+
+      expect(out).to.equal(`Stored record for ${name}\n`)
+      expect(ipfs.name.put.calledWith(name, sinon.match(bytes => bytes.length === record.length), defaultOptions)).to.be.true()
+    })
+
+    it('should put a record with options', async () => {
+      await cli(`name put ${name} --force --allow-offline --timeout=1s`, {
+        ipfs,
+        getStdin: function * () {
+          yield record
+        }
+      })
+
+      expect(ipfs.name.put.calledWith(name, sinon.match.any, {
+        force: true,
+        allowOffline: true,
+        timeout: 1000
+      })).to.be.true()
+    })
+  })
+
+  describe('inspect', () => {
+    const name = 'k51qzi5uqu5dlvj2baxnqndepeb86cbk3ng7n3i46uzyxzyqj2xjonzllnv0v8'
+    const record = Uint8Array.from([0, 1, 2, 255])
+    const validity = new Date('2030-01-01T00:00:00.000Z')
+    const result = {
+      value: '/ipfs/QmPFVLPmp9zv5Z5KUqLhe2EivAGccQW2r7M7jhVJGLZoZU',
+      validityType: 'EOL',
+      validity,
+      expired: false,
+      sequence: 5n,
+      ttl: 60000000000n,
+      signatureV1: true,
+      signatureV2: true
+    }
+    const stdin = {
+      getStdin: function * () {
+        yield record
+      }
+    }
+
+    it('should inspect a record', async () => {
+      ipfs.name.inspect.withArgs(sinon.match.any, { verify: undefined, timeout: undefined }).resolves(result)
+
+      const out = await cli('name inspect', { ipfs, ...stdin })
+      expect(out).to.equal([
+        `Value:         ${result.value}`,
+        'Validity Type: EOL',
+        'Validity:      2030-01-01T00:00:00.000Z',
+        'Sequence:      5',
+        'TTL:           60000ms',
+        'Signature V1:  yes',
+        'Signature V2:  yes',
+        ''
+      ].join('\n'))
+    })
+
+    it('should verify a record', async () => {
+      ipfs.name.inspect.withArgs(sinon.match.any, { verify: name, timeout: undefined }).resolves({
+        ...result,
+        expired: true,
+        verification: {
+          name,
+          valid: false,
+          error: 'record has expired'
+        }
+      })
+
+      const out = await cli(`name inspect --verify ${name}`, { ipfs, ...stdin })
+      expect(out).to.include('Validity:      2030-01-01T00:00:00.000Z (expired)\n')
+      expect(out).to.include(`Valid for ${name}: no - record has expired\n`)
+    })
+  })
+
+  describe('republish', () => {
+    const name = 'k51qzi5uqu5dlvj2baxnqndepeb86cbk3ng7n3i46uzyxzyqj2xjonzllnv0v8'
+    const lastRun = new Date('2030-01-01T00:00:00.000Z')
+    const nextRun = new Date('2030-01-01T04:00:00.000Z')
+
+    it('should show the republish status', async () => {
+      ipfs.name.republish.status.withArgs({ timeout: undefined }).resolves([{
+        name,
+        key: 'self',
+        lifetime: 86400000,
+        lastRun,
+        nextRun
+      }, {
+        name: 'QmQrX8hka2BtNHa8N8arAq16TCVx5qHcb46c5yPewRycLm',
+        lifetime: 86400000,
+        error: 'record has expired'
+      }])
+
+      const out = await cli('name republish status', { ipfs })
+      expect(out).to.equal([
+        `${name} (self) last run: 2030-01-01T00:00:00.000Z next run: 2030-01-01T04:00:00.000Z`,
+        'QmQrX8hka2BtNHa8N8arAq16TCVx5qHcb46c5yPewRycLm last run: never next run: not scheduled',
+        '  error: record has expired',
+        ''
+      ].join('\n'))
+    })
+
+    it('should republish the name published with a key', async () => {
+      ipfs.name.republish.run.withArgs({ key: 'self', timeout: 1000 }).resolves([{
+        name,
+        key: 'self',
+        lifetime: 86400000,
+        lastRun,
+        nextRun
+      }])
+
+      const out = await cli('name republish run --key self --timeout=1s', { ipfs })
+      expect(out).to.equal(`${name} (self) last run: 2030-01-01T00:00:00.000Z next run: 2030-01-01T04:00:00.000Z\n`)
+    })
+
+    it('should fail when a name could not be republished', async () => {
+      ipfs.name.republish.run.withArgs({ key: undefined, timeout: undefined }).resolves([{
+        name,
+        key: 'self',
+        lifetime: 86400000,
+        error: 'the keychain pass is needed'
+      }])
+
+      await expect(cli('name republish run', { ipfs })).to.eventually.be.rejectedWith(/1 of 1 names could not be republished/)
+    })
+  })
 })
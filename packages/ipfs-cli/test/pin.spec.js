@@ -23,6 +23,8 @@ describe('pin', () => {
         rmAll: sinon.stub(),
         addAll: sinon.stub(),
         ls: sinon.stub(),
+        update: sinon.stub(),
+        verify: sinon.stub(),
         query: sinon.stub()
       },
       bases: {
@@ -338,4 +340,125 @@ describe('pin', () => {
       expect(out).to.equal(`${pins.root} recursive {"herp":"derp"}\n`)
     })
   })
+
+  describe('update', function () {
+    const defaultOptions = {
+      unpin: true,
+      timeout: undefined
+    }
+
+    it('updates a pin', async () => {
+      ipfs.bases.getBase.withArgs('base58btc').returns(base58btc)
+      ipfs.pin.update.withArgs(pins.root.toString(), pins.solarWiki.toString(), defaultOptions).resolves({
+        from: pins.root,
+        to: pins.solarWiki
+      })
+
+      const out = await cli(`pin update ${pins.root} ${pins.solarWiki}`, { ipfs })
+      expect(out).to.equal(`updated ${pins.root} to ${pins.solarWiki}\n`)
+    })
+
+    it('updates a pin without removing the old one', async () => {
+      ipfs.bases.getBase.withArgs('base58btc').returns(base58btc)
+      ipfs.pin.update.withArgs(pins.root.toString(), pins.solarWiki.toString(), {
+        ...defaultOptions,
+        unpin: false
+      }).resolves({
+        from: pins.root,
+        to: pins.solarWiki
+      })
+
+      const out = await cli(`pin update --unpin=false ${pins.root} ${pins.solarWiki}`, { ipfs })
+      expect(out).to.equal(`updated ${pins.root} to ${pins.solarWiki}\n`)
+    })
+
+    it('updates a pin and prints CIDs in the specified base', async () => {
+      ipfs.bases.getBase.withArgs('base64').returns(base64)
+      ipfs.pin.update.withArgs(pins.root.toString(), pins.solarWiki.toString(), defaultOptions).resolves({
+        from: pins.root.toV1(),
+        to: pins.solarWiki.toV1()
+      })
+
+      const out = await cli(`pin update --cid-base=base64 ${pins.root} ${pins.solarWiki}`, { ipfs })
+      expect(out).to.equal(`updated ${pins.root.toV1().toString(base64)} to ${pins.solarWiki.toV1().toString(base64)}\n`)
+    })
+
+    it('updates a pin with a timeout', async () => {
+      ipfs.bases.getBase.withArgs('base58btc').returns(base58btc)
+      ipfs.pin.update.withArgs(pins.root.toString(), pins.solarWiki.toString(), {
+        ...defaultOptions,
+        timeout: 1000
+      }).resolves({
+        from: pins.root,
+        to: pins.solarWiki
+      })
+
+      const out = await cli(`pin update --timeout=1s ${pins.root} ${pins.solarWiki}`, { ipfs })
+      expect(out).to.equal(`updated ${pins.root} to ${pins.solarWiki}\n`)
+    })
+  })
+
+  describe('verify', function () {
+    const defaultOptions = {
+      verbose: false,
+      includeOk: false,
+      timeout: undefined
+    }
+
+    it('prints broken pins', async () => {
+      ipfs.bases.getBase.withArgs('base58btc').returns(base58btc)
+      ipfs.pin.verify.withArgs(defaultOptions).returns([{
+        cid: pins.root,
+        ok: false
+      }])
+
+      const out = await cli('pin verify', { ipfs })
+      expect(out).to.equal(`${pins.root} broken\n`)
+    })
+
+    it('prints bad nodes and ok pins', async () => {
+      ipfs.bases.getBase.withArgs('base58btc').returns(base58btc)
+      ipfs.pin.verify.withArgs({
+        ...defaultOptions,
+        verbose: true,
+        includeOk: true
+      }).returns([{
+        cid: pins.root,
+        ok: false,
+        badNodes: [{
+          cid: pins.mercuryDir,
+          error: 'block not found locally'
+        }]
+      }, {
+        cid: pins.solarWiki,
+        ok: true,
+        badNodes: []
+      }])
+
+      const out = await cli('pin verify --verbose --include-ok', { ipfs })
+      expect(out).to.equal(`${pins.root} broken\n  ${pins.mercuryDir}: block not found locally\n${pins.solarWiki} ok\n`)
+    })
+
+    it('prints CIDs in the specified base', async () => {
+      ipfs.bases.getBase.withArgs('base64').returns(base64)
+      ipfs.pin.verify.withArgs(defaultOptions).returns([{
+        cid: pins.root.toV1(),
+        ok: false
+      }])
+
+      const out = await cli('pin verify --cid-base=base64', { ipfs })
+      expect(out).to.equal(`${pins.root.toV1().toString(base64)} broken\n`)
+    })
+
+    it('verifies pins with a timeout', async () => {
+      ipfs.bases.getBase.withArgs('base58btc').returns(base58btc)
+      ipfs.pin.verify.withArgs({
+        ...defaultOptions,
+        timeout: 1000
+      }).returns([])
+
+      const out = await cli('pin verify --timeout=1s', { ipfs })
+      expect(out).to.equal('')
+    })
+  })
 })
@@ -13,7 +13,9 @@ describe('repo', () => {
       repo: {
         stat: sinon.stub(),
         version: sinon.stub(),
-        gc: sinon.stub()
+        gc: sinon.stub(),
+        verify: sinon.stub(),
+        fsck: sinon.stub()
       }
     }
   })
@@ -186,4 +188,84 @@ describe('repo', () => {
       expect(out).to.equal(`err\nremoved ${cid.toString()}\n`)
     })
   })
+
+  describe('verify', () => {
+    const cid = CID.parse('Qmd286K6pohQcTKYqnS1YhWrCiS4gz7Xi34sdwMe9USZ7u')
+    const defaultOptions = {
+      remove: false,
+      timeout: undefined
+    }
+
+    it('verifies all blocks', async () => {
+      ipfs.repo.verify.withArgs(defaultOptions).returns([])
+
+      const out = await cli('repo verify', { ipfs })
+      expect(out).to.equal('verify complete, all blocks validated.\n')
+    })
+
+    it('reports corrupt blocks', async () => {
+      ipfs.repo.verify.withArgs(defaultOptions).returns([{
+        cid,
+        error: 'corrupt',
+        removed: false
+      }])
+
+      await expect(cli('repo verify', { ipfs })).to.eventually.be.rejectedWith(/1 blocks failed verification/)
+    })
+
+    it('removes corrupt blocks', async () => {
+      ipfs.repo.verify.withArgs({
+        ...defaultOptions,
+        remove: true
+      }).returns([{
+        cid,
+        error: 'corrupt',
+        removed: true
+      }])
+
+      await expect(cli('repo verify --remove', { ipfs })).to.eventually.be.rejectedWith(/1 blocks failed verification/)
+    })
+
+    it('verifies with a timeout', async () => {
+      ipfs.repo.verify.withArgs({
+        ...defaultOptions,
+        timeout: 1000
+      }).returns([])
+
+      const out = await cli('repo verify --timeout=1s', { ipfs })
+      expect(out).to.equal('verify complete, all blocks validated.\n')
+    })
+  })
+
+  describe('fsck', () => {
+    const defaultOptions = {
+      timeout: undefined
+    }
+
+    it('finds no problems', async () => {
+      ipfs.repo.fsck.withArgs(defaultOptions).returns([])
+
+      const out = await cli('repo fsck', { ipfs })
+      expect(out).to.equal('no problems found\n')
+    })
+
+    it('reports problems', async () => {
+      ipfs.repo.fsck.withArgs(defaultOptions).returns([{
+        type: 'stale-lock',
+        message: 'the lock is stale'
+      }])
+
+      await expect(cli('repo fsck', { ipfs })).to.eventually.be.rejectedWith(/found 1 problems/)
+    })
+
+    it('checks with a timeout', async () => {
+      ipfs.repo.fsck.withArgs({
+        ...defaultOptions,
+        timeout: 1000
+      }).returns([])
+
+      const out = await cli('repo fsck --timeout=1s', { ipfs })
+      expect(out).to.equal('no problems found\n')
+    })
+  })
 })
@@ -17,7 +17,17 @@ describe('swarm', () => {
         peers: sinon.stub(),
         addrs: sinon.stub(),
         localAddrs: sinon.stub(),
-        disconnect: sinon.stub()
+        disconnect: sinon.stub(),
+        peering: {
+          add: sinon.stub(),
+          ls: sinon.stub(),
+          rm: sinon.stub()
+        },
+        filters: {
+          add: sinon.stub(),
+          ls: sinon.stub(),
+          rm: sinon.stub()
+        }
       }
     }
   })
@@ -60,6 +70,10 @@ describe('swarm', () => {
 
   describe('peers', () => {
     const defaultOptions = {
+      verbose: false,
+      direction: false,
+      streams: false,
+      latency: false,
       timeout: undefined
     }
 
@@ -75,6 +89,50 @@ describe('swarm', () => {
       expect(out).to.equal('/ip4/192.0.0.1/tcp/5001/p2p/Qmaj2NmcyAXT8dFmZRRytE12wpcaHADzbChKToMEjBsj5Z\n/ip4/192.0.0.2/tcp/5002/p2p/Qmaj2NmcyAXT8dFmZRRytE12wpcaHADzbChKToMEjBsj5a\n')
     })
 
+    it('peers verbose', async () => {
+      ipfs.swarm.peers.withArgs({
+        ...defaultOptions,
+        verbose: true
+      }).resolves([{
+        peer: 'QmfGBRT6BbWJd7yUc2uYdaUZJBbnEFvTqehPFoSMQ6wgdr',
+        addr: '/ip4/192.0.0.1/tcp/5001',
+        latency: '12ms',
+        direction: 'outbound',
+        age: 61400,
+        agentVersion: 'go-ipfs/0.17.0',
+        totalIn: 1024n,
+        totalOut: 2048n,
+        streams: [{
+          protocol: '/ipfs/bitswap/1.2.0',
+          direction: 'outbound'
+        }]
+      }])
+
+      const out = await cli('swarm peers -v', { ipfs, isDaemon: true })
+      expect(out).to.equal(`/ip4/192.0.0.1/tcp/5001/p2p/QmfGBRT6BbWJd7yUc2uYdaUZJBbnEFvTqehPFoSMQ6wgdr 12ms outbound
+  agent version: go-ipfs/0.17.0
+  connected for: 61s
+  total in: 1024B
+  total out: 2048B
+  streams:
+    /ipfs/bitswap/1.2.0 outbound
+`)
+    })
+
+    it('peers with latency', async () => {
+      ipfs.swarm.peers.withArgs({
+        ...defaultOptions,
+        latency: true
+      }).resolves([{
+        peer: 'QmfGBRT6BbWJd7yUc2uYdaUZJBbnEFvTqehPFoSMQ6wgdr',
+        addr: '/ip4/192.0.0.1/tcp/5001',
+        latency: 'n/a'
+      }])
+
+      const out = await cli('swarm peers --latency', { ipfs, isDaemon: true })
+      expect(out).to.equal('/ip4/192.0.0.1/tcp/5001/p2p/QmfGBRT6BbWJd7yUc2uYdaUZJBbnEFvTqehPFoSMQ6wgdr n/a\n')
+    })
+
     it('peers offline', async () => {
       const out = await fail('swarm peers', { ipfs, isDaemon: false })
       expect(out).to.include('This command must be run in online mode')
@@ -197,4 +255,79 @@ describe('swarm', () => {
       expect(out).to.equal(`${ma}\n`)
     })
   })
+  describe('peering', () => {
+    const defaultOptions = {
+      timeout: undefined
+    }
+    const peerId = 'QmQ8ZRx1X8ELkMBpsL6BEAF1wiSvVRGdADdo5NSqEn3Thm'
+
+    it('peering add', async () => {
+      const ma = multiaddr(`/ip4/123.123.123.123/tcp/482/p2p/${peerId}`)
+      ipfs.swarm.peering.add.withArgs(ma, defaultOptions).resolves()
+      const out = await cli(`swarm peering add ${ma}`, { ipfs, isDaemon: true })
+      expect(out).to.equal(`add ${peerId} success\n`)
+    })
+
+    it('peering add offline', async () => {
+      const ma = multiaddr(`/ip4/123.123.123.123/tcp/482/p2p/${peerId}`)
+      const out = await fail(`swarm peering add ${ma}`, { ipfs, isDaemon: false })
+      expect(out).to.include('This command must be run in online mode')
+      expect(ipfs.swarm.peering.add.called).to.be.false()
+    })
+
+    it('peering rm with timeout', async () => {
+      ipfs.swarm.peering.rm.withArgs(peerIdFromString(peerId), {
+        ...defaultOptions,
+        timeout: 1000
+      }).resolves()
+      const out = await cli(`swarm peering rm ${peerId} --timeout=1s`, { ipfs, isDaemon: true })
+      expect(out).to.equal(`remove ${peerId} success\n`)
+    })
+
+    it('peering ls', async () => {
+      ipfs.swarm.peering.ls.withArgs(defaultOptions).resolves([{
+        id: peerIdFromString(peerId),
+        addrs: [multiaddr('/ip4/123.123.123.123/tcp/482'), multiaddr('/ip4/123.123.123.124/tcp/482')]
+      }])
+      const out = await cli('swarm peering ls', { ipfs, isDaemon: true })
+      expect(out).to.equal(`${peerId}\n\t/ip4/123.123.123.123/tcp/482\n\t/ip4/123.123.123.124/tcp/482\n`)
+    })
+  })
+  describe('filters', () => {
+    const defaultOptions = {
+      allow: false,
+      timeout: undefined
+    }
+    const filter = '/ip4/10.0.0.0/ipcidr/8'
+
+    it('filters', async () => {
+      ipfs.swarm.filters.ls.withArgs(defaultOptions).resolves([filter, '/ip4/192.168.0.0/ipcidr/16'])
+      const out = await cli('swarm filters', { ipfs })
+      expect(out).to.equal(`${filter}\n/ip4/192.168.0.0/ipcidr/16\n`)
+    })
+
+    it('filters --allow', async () => {
+      ipfs.swarm.filters.ls.withArgs({
+        ...defaultOptions,
+        allow: true
+      }).resolves([filter])
+      const out = await cli('swarm filters --allow', { ipfs })
+      expect(out).to.equal(`${filter}\n`)
+    })
+
+    it('filters add', async () => {
+      ipfs.swarm.filters.add.withArgs(filter, defaultOptions).resolves()
+      const out = await cli(`swarm filters add ${filter}`, { ipfs })
+      expect(out).to.equal(`${filter}\n`)
+    })
+
+    it('filters rm with timeout', async () => {
+      ipfs.swarm.filters.rm.withArgs(filter, {
+        ...defaultOptions,
+        timeout: 1000
+      }).resolves()
+      const out = await cli(`swarm filters rm ${filter} --timeout=1s`, { ipfs })
+      expect(out).to.equal(`${filter}\n`)
+    })
+  })
 })
@@ -0,0 +1,306 @@
+import fs from 'fs'
+import path from 'path'
+import { BaseBlockstore } from 'blockstore-core'
+import { Key } from 'interface-datastore/key'
+import { CID } from 'multiformats/cid'
+import * as raw from 'multiformats/codecs/raw'
+import * as Digest from 'multiformats/hashes/digest'
+import { base32 } from 'multiformats/bases/base32'
+import { equals as uint8ArrayEquals } from 'uint8arrays/equals'
+import { fromString as uint8ArrayFromString } from 'uint8arrays/from-string'
+import { toString as uint8ArrayToString } from 'uint8arrays/to-string'
+import errCode from 'err-code'
+
+/**
+ * @typedef {import('interface-blockstore').Blockstore} Blockstore
+ * @typedef {import('interface-blockstore').Query} Query
+ * @typedef {import('interface-blockstore').KeyQuery} KeyQuery
+ * @typedef {import('interface-datastore').Datastore} Datastore
+ * @typedef {import('ipfs-core-types/src/utils').AbortOptions} AbortOptions
+ * @typedef {import('ipfs-core-utils/multihashes').Multihashes} Multihashes
+ * @typedef {'ok' | 'changed' | 'no-file' | 'error'} FilestoreStatus
+ *
+ * @typedef {object} FilestoreRef
+ * @property {string} path - absolute path of the file the block was read from
+ * @property {number} offset - where the block starts in the file
+ * @property {number} size - the length of the block
+ */
+
+const PREFIX = '/filestore'
+
+/**
+ * Go-ipfs stores filestore references under the same multihash derived keys
+ * as blocks in the blockstore
+ *
+ * @param {CID} cid
+ */
+function cidToKey (cid) {
+  return new Key(`${PREFIX}/${base32.encode(cid.multihash.bytes).slice(1).toUpperCase()}`, false)
+}
+
+/**
+ * Only raw leaves can be stored by reference so every key maps to a v1 raw CID
+ *
+ * @param {Key} key
+ */
+function keyToCid (key) {
+  const multihash = base32.decode(`b${key.baseNamespace().toLowerCase()}`)
+
+  return CID.createV1(raw.code, Digest.decode(multihash))
+}
+
+/**
+ * A blockstore that, as well as storing blocks in the wrapped blockstore,
+ * can store blocks as references to ranges of files on the local filesystem.
+ * Referenced blocks are read from their files, and their hashes verified,
+ * every time they are requested.
+ */
+export class Filestore extends BaseBlockstore {
+  /**
+   * @param {Blockstore} child - where blocks that are not referenced are stored
+   * @param {Datastore} datastore - where references are stored
+   * @param {object} [options]
+   * @param {Multihashes} [options.hashers] - used to verify referenced blocks
+   * @param {string} [options.root] - only files under this directory can be referenced
+   */
+  constructor (child, datastore, options = {}) {
+    super()
+
+    this.child = child
+    this.datastore = datastore
+    this.hashers = options.hashers
+    this.root = path.resolve(options.root ?? '/')
+  }
+
+  open () {
+    return this.child.open()
+  }
+
+  close () {
+    return this.child.close()
+  }
+
+  /**
+   * @param {CID} cid
+   * @param {Uint8Array} block
+   * @param {AbortOptions} [options]
+   */
+  put (cid, block, options) {
+    return this.child.put(cid, block, options)
+  }
+
+  /**
+   * @param {AsyncIterable<{ key: CID, value: Uint8Array }> | Iterable<{ key: CID, value: Uint8Array }>} source
+   * @param {AbortOptions} [options]
+   */
+  putMany (source, options) {
+    return this.child.putMany(source, options)
+  }
+
+  /**
+   * @param {CID} cid
+   * @param {AbortOptions} [options]
+   */
+  async get (cid, options) {
+    try {
+      return await this.child.get(cid, options)
+    } catch (/** @type {any} */ err) {
+      // only blocks missing from the wrapped blockstore cost a reference lookup
+      if (err.code !== 'ERR_NOT_FOUND' || !(await this.hasRef(cid))) {
+        throw err
+      }
+    }
+
+    return this.read(cid)
+  }
+
+  /**
+   * @param {CID} cid
+   * @param {AbortOptions} [options]
+   */
+  async has (cid, options) {
+    return (await this.child.has(cid, options)) || this.hasRef(cid)
+  }
+
+  /**
+   * Removes the block from the wrapped blockstore and any reference to it
+   *
+   * @param {CID} cid
+   * @param {AbortOptions} [options]
+   */
+  async delete (cid, options) {
+    await this.child.delete(cid, options)
+
+    if (await this.hasRef(cid)) {
+      await this.datastore.delete(cidToKey(cid))
+    }
+  }
+
+  /**
+   * Referenced blocks are not included as reading them means reading every
+   * referenced file
+   *
+   * @param {Query} q
+   * @param {AbortOptions} [options]
+   */
+  query (q, options) {
+    return this.child.query(q, options)
+  }
+
+  /**
+   * @param {KeyQuery} q
+   * @param {AbortOptions} [options]
+   */
+  async * queryKeys (q, options) {
+    yield * this.child.queryKeys(q, options)
+
+    for await (const { cid } of this.refs()) {
+      yield cid
+    }
+  }
+
+  /**
+   * Throws if the file is not under the root directory, the same as go-ipfs
+   *
+   * @param {string} file - absolute path of a file
+   */
+  checkPath (file) {
+    const relative = path.relative(this.root, file)
+
+    if (!path.isAbsolute(file) || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+      throw errCode(new Error(`${file} is outside of the root directory ${this.root} so cannot be referenced`), 'ERR_PATH_OUTSIDE_ROOT')
+    }
+  }
+
+  /**
+   * Stores a block as a reference to part of a file
+   *
+   * @param {CID} cid
+   * @param {FilestoreRef} ref
+   */
+  async putRef (cid, ref) {
+    if (cid.code !== raw.code) {
+      throw errCode(new Error(`Only raw blocks can be stored in the filestore, ${cid} is not raw`), 'ERR_INVALID_CID')
+    }
+
+    await this.datastore.put(cidToKey(cid), uint8ArrayFromString(JSON.stringify(ref)))
+  }
+
+  /**
+   * @param {CID} cid
+   */
+  hasRef (cid) {
+    return this.datastore.has(cidToKey(cid))
+  }
+
+  /**
+   * @param {CID} cid
+   * @returns {Promise<FilestoreRef>}
+   */
+  async getRef (cid) {
+    try {
+      return JSON.parse(uint8ArrayToString(await this.datastore.get(cidToKey(cid))))
+    } catch (/** @type {any} */ err) {
+      if (err.code === 'ERR_NOT_FOUND') {
+        throw errCode(new Error(`${cid} is not in the filestore`), 'ERR_NOT_FOUND')
+      }
+
+      throw err
+    }
+  }
+
+  /**
+   * @returns {AsyncGenerator<FilestoreRef & { cid: CID }>}
+   */
+  async * refs () {
+    for await (const { key, value } of this.datastore.query({ prefix: PREFIX })) {
+      yield {
+        cid: keyToCid(key),
+        ...JSON.parse(uint8ArrayToString(value))
+      }
+    }
+  }
+
+  /**
+   * Yields the CIDs of referenced blocks that are also stored in the wrapped
+   * blockstore
+   */
+  async * dups () {
+    for await (const { cid } of this.refs()) {
+      if (await this.child.has(cid)) {
+        yield cid
+      }
+    }
+  }
+
+  /**
+   * Reads a referenced block from its file, making sure it has not changed
+   * since it was added
+   *
+   * @param {CID} cid
+   */
+  async read (cid) {
+    const ref = await this.getRef(cid)
+    const block = new Uint8Array(ref.size)
+    /** @type {import('fs').promises.FileHandle} */
+    let handle
+
+    try {
+      handle = await fs.promises.open(ref.path, 'r')
+    } catch (/** @type {any} */ err) {
+      if (err.code === 'ENOENT') {
+        throw errCode(new Error(`${ref.path} referenced by ${cid} does not exist`), 'ERR_FILE_NOT_FOUND')
+      }
+
+      throw err
+    }
+
+    try {
+      const { bytesRead } = await handle.read(block, 0, ref.size, ref.offset)
+
+      if (bytesRead !== ref.size) {
+        throw errCode(new Error(`${ref.path} referenced by ${cid} has been truncated`), 'ERR_FILE_CHANGED')
+      }
+    } finally {
+      await handle.close()
+    }
+
+    const hasher = this.hashers && await this.hashers.getHasher(cid.multihash.code)
+
+    if (hasher == null) {
+      throw errCode(new Error(`No hasher for ${cid.multihash.code} is available to verify ${cid}`), 'ERR_MISSING_HASHER')
+    }
+
+    const digest = await hasher.digest(block)
+
+    if (!uint8ArrayEquals(digest.bytes, cid.multihash.bytes)) {
+      throw errCode(new Error(`${ref.path} referenced by ${cid} has changed`), 'ERR_FILE_CHANGED')
+    }
+
+    return block
+  }
+
+  /**
+   * Reports whether the referenced block can still be read from its file
+   *
+   * @param {CID} cid
+   * @returns {Promise<{ status: FilestoreStatus, error?: string }>}
+   */
+  async verify (cid) {
+    try {
+      await this.read(cid)
+
+      return { status: 'ok' }
+    } catch (/** @type {any} */ err) {
+      if (err.code === 'ERR_FILE_NOT_FOUND') {
+        return { status: 'no-file', error: err.message }
+      }
+
+      if (err.code === 'ERR_FILE_CHANGED') {
+        return { status: 'changed', error: err.message }
+      }
+
+      return { status: 'error', error: err.message }
+    }
+  }
+}
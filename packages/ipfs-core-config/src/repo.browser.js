@@ -5,8 +5,19 @@ import { MemoryLock } from 'ipfs-repo/locks/memory'
 
 /**
  * @typedef {import('ipfs-repo-migrations').ProgressCallback} MigrationProgressCallback
+ * @typedef {import('ipfs-repo').IPFSRepo} IPFSRepo
  */
 
+/**
+ * There is no filesystem to reference files on in the browser
+ *
+ * @param {IPFSRepo} repo
+ * @returns {import('./filestore').Filestore | undefined}
+ */
+export function getFilestore (repo) {
+  return undefined
+}
+
 /**
  * @param {(...args: any[]) => void} print
  * @param {import('ipfs-core-utils/multicodecs').Multicodecs} codecs
@@ -15,6 +26,7 @@ import { MemoryLock } from 'ipfs-repo/locks/memory'
  * @param {boolean} [options.autoMigrate]
  * @param {MigrationProgressCallback} [options.onMigrationProgress]
  * @param {number} [options.peerStoreCacheSize]
+ * @param {import('ipfs-core-utils/multihashes').Multihashes} [options.hashers]
  */
 export function createRepo (print, codecs, options) {
   const repoPath = options.path || 'ipfs'
@@ -10,11 +10,26 @@ import { FSLock } from 'ipfs-repo/locks/fs'
 import { MountDatastore } from 'datastore-core/mount'
 import { Key } from 'interface-datastore/key'
 import { LRUDatastore } from './utils/lru-datastore.js'
+import { Filestore } from './filestore.js'
 
 /**
  * @typedef {import('ipfs-repo-migrations').ProgressCallback} MigrationProgressCallback
+ * @typedef {import('ipfs-repo').IPFSRepo} IPFSRepo
  */
 
+/** @type {WeakMap<IPFSRepo, Filestore>} */
+const filestores = new WeakMap()
+
+/**
+ * Returns the filestore of a repo created by `createRepo`
+ *
+ * @param {IPFSRepo} repo
+ * @returns {Filestore | undefined}
+ */
+export function getFilestore (repo) {
+  return filestores.get(repo)
+}
+
 /**
  * @param {(...args: any[]) => void} print
  * @param {import('ipfs-core-utils/multicodecs').Multicodecs} codecs
@@ -23,6 +38,7 @@ import { LRUDatastore } from './utils/lru-datastore.js'
  * @param {boolean} [options.autoMigrate]
  * @param {MigrationProgressCallback} [options.onMigrationProgress]
  * @param {number} [options.peerStoreCacheSize]
+ * @param {import('ipfs-core-utils/multihashes').Multihashes} [options.hashers]
  */
 export function createRepo (print, codecs, options = {}) {
   const repoPath = options.path || path.join(os.homedir(), '.jsipfs')
@@ -47,11 +63,9 @@ export function createRepo (print, codecs, options = {}) {
 
   const defaultDatastore = new LevelDatastore(`${repoPath}/datastore`)
 
-  return create(repoPath, (codeOrName) => codecs.getCodec(codeOrName), {
-    root: new FsDatastore(repoPath, {
-      extension: ''
-    }),
-    blocks: new BlockstoreDatastoreAdapter(
+  // blocks added with `nocopy` are read from the files they were added from
+  const filestore = new Filestore(
+    new BlockstoreDatastoreAdapter(
       new ShardingDatastore(
         new FsDatastore(`${repoPath}/blocks`, {
           extension: '.data'
@@ -59,6 +73,16 @@ export function createRepo (print, codecs, options = {}) {
         new NextToLast(2)
       )
     ),
+    defaultDatastore,
+    // go-ipfs only references files in the directory that contains the repo
+    { hashers: options.hashers, root: path.dirname(path.resolve(repoPath)) }
+  )
+
+  const repo = create(repoPath, (codeOrName) => codecs.getCodec(codeOrName), {
+    root: new FsDatastore(repoPath, {
+      extension: ''
+    }),
+    blocks: filestore,
     datastore: new MountDatastore([{
       prefix: new Key('/peers'),
       datastore: new LRUDatastore(peerStoreCacheSize, defaultDatastore)
@@ -73,4 +97,8 @@ export function createRepo (print, codecs, options = {}) {
     onMigrationProgress: onMigrationProgress,
     repoLock: FSLock
   })
+
+  filestores.set(repo, filestore)
+
+  return repo
 }
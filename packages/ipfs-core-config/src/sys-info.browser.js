@@ -0,0 +1,25 @@
+/* eslint-env browser */
+
+/**
+ * @returns {import('ipfs-core-types/src/diag').SysInfo}
+ */
+export function sysInfo () {
+  // non-standard, only available in chromium based browsers
+  const memory = /** @type {any} */ (performance).memory
+
+  return {
+    runtime: {
+      name: 'browser',
+      version: navigator.userAgent,
+      cpus: navigator.hardwareConcurrency,
+      uptime: performance.now() / 1000
+    },
+    os: {
+      platform: navigator.platform
+    },
+    memory: {
+      heapTotal: memory?.totalJSHeapSize,
+      heapUsed: memory?.usedJSHeapSize
+    }
+  }
+}
@@ -0,0 +1,30 @@
+import os from 'os'
+
+/**
+ * @returns {import('ipfs-core-types/src/diag').SysInfo}
+ */
+export function sysInfo () {
+  const memory = process.memoryUsage()
+
+  return {
+    runtime: {
+      name: 'node',
+      version: process.versions.node,
+      arch: process.arch,
+      cpus: os.cpus().length,
+      uptime: process.uptime()
+    },
+    os: {
+      platform: os.platform(),
+      type: os.type(),
+      release: os.release()
+    },
+    memory: {
+      total: os.totalmem(),
+      free: os.freemem(),
+      rss: memory.rss,
+      heapTotal: memory.heapTotal,
+      heapUsed: memory.heapUsed
+    }
+  }
+}
@@ -36,8 +36,13 @@ export interface Config {
   Bootstrap?: string[]
   Discovery?: DiscoveryConfig
   Datastore?: DatastoreConfig
+  Experimental?: ExperimentalConfig
+  Gateway?: GatewayConfig
   Identity?: IdentityConfig
+  Ipns?: IpnsConfig
   Keychain?: KeychainConfig
+  Peering?: PeeringConfig
+  Pinning?: PinningConfig
   Pubsub?: PubsubConfig
   Swarm?: SwarmConfig
   Routing?: RoutingConfig
@@ -58,6 +63,20 @@ export interface AddressConfig {
 
 export interface APIConfig {
   HTTPHeaders?: Record<string, string[]>
+  Authorizations?: Record<string, APIAuthorization>
+}
+
+export interface APIAuthorization {
+  /**
+   * `bearer:<token>` or `basic:<username>:<password>`
+   */
+  AuthSecret: string
+
+  /**
+   * RPC path prefixes this secret may call, e.g. `/api/v0/version`. Use
+   * `/api/v0` to allow everything
+   */
+  AllowedPaths?: string[]
 }
 
 export interface DiscoveryConfig {
@@ -76,6 +95,30 @@ export interface WebRTCStarDiscovery {
 
 export interface DatastoreConfig {
   Spec?: DatastoreSpec
+
+  /**
+   * An upper limit on the total size of the repo, e.g. `10GB`
+   */
+  StorageMax?: string
+
+  /**
+   * The percentage of `StorageMax` the repo must grow past before automatic
+   * garbage collection runs
+   */
+  StorageGCWatermark?: number
+
+  /**
+   * How often to check whether automatic garbage collection should run, e.g. `1h`
+   */
+  GCPeriod?: string
+}
+
+export interface ExperimentalConfig {
+  /**
+   * Allow files to be added with `nocopy` so their data is read from the
+   * local filesystem instead of being copied into the blockstore
+   */
+  FilestoreEnabled?: boolean
 }
 
 export interface DatastoreType {
@@ -98,6 +141,52 @@ export interface DatastoreSpec {
   mounts?: DatastoreMountPoint[]
 }
 
+export interface GatewayConfig {
+  /**
+   * Hostnames this gateway is reachable under, and how requests to each of
+   * them should be handled. Set a hostname to `null` to disable it.
+   */
+  PublicGateways?: Record<string, PublicGatewaySpec | null>
+
+  /**
+   * If true, the `Host` header of requests to hostnames not listed in
+   * `PublicGateways` is never resolved as a DNSLink name
+   */
+  NoDNSLink?: boolean
+
+  /**
+   * How long to cache DNSLink lookups for, e.g. `"1m"`. TTLs of DNS records
+   * are not honoured.
+   */
+  DNSLinkCacheTTL?: string
+}
+
+export interface PublicGatewaySpec {
+  /**
+   * Content path prefixes served by this hostname, e.g. `['/ipfs', '/ipns']`
+   */
+  Paths?: string[]
+
+  /**
+   * If true, content is served from `<cid>.ipfs.<hostname>` and
+   * `<name>.ipns.<hostname>` and path requests are redirected there so each
+   * content root gets its own origin
+   */
+  UseSubdomains?: boolean
+
+  /**
+   * If true, DNSLink names are encoded into a single DNS label when
+   * redirecting to a subdomain, so they are covered by a wildcard TLS
+   * certificate. Always enabled for https.
+   */
+  InlineDNSLink?: boolean
+
+  /**
+   * If true, the hostname itself is never resolved as a DNSLink name
+   */
+  NoDNSLink?: boolean
+}
+
 export interface IdentityConfig {
   /**
    * The unique PKI identity label for this configs peer. Set on init and never
@@ -123,6 +212,58 @@ export interface DEK {
   hash?: string
 }
 
+export interface PeeringConfig {
+  /**
+   * Peers the node stays connected to
+   */
+  Peers?: PeeringPeerConfig[]
+}
+
+export interface PeeringPeerConfig {
+  /**
+   * The peer id of the peer
+   */
+  ID: string
+
+  /**
+   * Addresses to dial the peer on, if not set they are found with peer routing
+   */
+  Addrs?: string[]
+}
+
+export interface PinningConfig {
+  RemoteServices?: Record<string, RemotePinningService>
+}
+
+export interface RemotePinningService {
+  API: RemotePinningServiceAPI
+}
+
+export interface RemotePinningServiceAPI {
+  /**
+   * The base URL of an IPFS Pinning Service API implementation
+   */
+  Endpoint: string
+
+  /**
+   * The access token sent as a bearer token with each request
+   */
+  Key: string
+}
+
+export interface IpnsConfig {
+  /**
+   * How often the records of published names are republished, e.g. `"4h"`
+   */
+  RepublishPeriod?: string
+
+  /**
+   * How long published records are valid for unless a lifetime is passed to
+   * `name.publish`, e.g. `"24h"`
+   */
+  RecordLifetime?: string
+}
+
 export interface PubsubConfig {
   PubSubRouter?: 'gossipsub' | 'floodsub'
   Enabled?: boolean
@@ -131,6 +272,18 @@ export interface PubsubConfig {
 export interface SwarmConfig {
   ConnMgr?: ConnMgrConfig
   DisableNatPortMap?: boolean
+
+  /**
+   * IP ranges the node will not dial or accept connections from, e.g.
+   * `/ip4/10.0.0.0/ipcidr/8`
+   */
+  AddrFilters?: string[]
+
+  /**
+   * If not empty, the only IP ranges the node will dial or accept connections
+   * from
+   */
+  AddrAllowFilters?: string[]
 }
 
 export interface ConnMgrConfig {
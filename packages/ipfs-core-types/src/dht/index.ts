@@ -44,8 +44,23 @@ export interface API<OptionExtension = {}> {
 
   /**
    * Announce to the network that we are providing given values.
+   *
+   * When `recursive` is true every block in the DAG under the CID is
+   * announced and a `PROVIDED` event is yielded as each one completes,
+   * otherwise the events of the DHT query are yielded.
+   *
+   * @example
+   * ```js
+   * let provided = 0
+   *
+   * for await (const event of ipfs.dht.provide(cid, { recursive: true })) {
+   *   if (event.name === 'PROVIDED') {
+   *     provided++
+   *   }
+   * }
+   * ```
    */
-  provide: (cid: CID, options?: DHTProvideOptions & OptionExtension) => AsyncIterable<QueryEvent>
+  provide: (cid: CID, options?: DHTProvideOptions & OptionExtension) => AsyncIterable<ProvideEvent>
 
   /**
    * Write a key/value pair to the DHT.
@@ -63,7 +78,15 @@ export interface API<OptionExtension = {}> {
 }
 
 export interface DHTProvideOptions extends AbortOptions {
+  /**
+   * Announce every block in the DAG under the CID (default: false)
+   */
   recursive?: boolean
+
+  /**
+   * How many blocks to announce at once when `recursive` is true (default: 4)
+   */
+  concurrency?: number
 }
 
 export enum EventTypes {
@@ -74,7 +97,8 @@ export enum EventTypes {
   PROVIDER,
   VALUE,
   ADDING_PEER,
-  DIALING_PEER
+  DIALING_PEER,
+  PROVIDED
 }
 
 /**
@@ -149,4 +173,15 @@ export interface DialingPeerEvent {
   name: 'DIALING_PEER'
 }
 
+/**
+ * Yielded by a recursive `dht.provide` when a block has been announced
+ */
+export interface ProvidedEvent {
+  type: EventTypes.PROVIDED
+  name: 'PROVIDED'
+  cid: CID
+}
+
 export type QueryEvent = SendingQueryEvent | PeerResponseEvent | FinalPeerEvent | QueryErrorEvent | ProviderEvent | ValueEvent | AddingPeerEvent | DialingPeerEvent
+
+export type ProvideEvent = QueryEvent | ProvidedEvent
@@ -1,16 +1,111 @@
 import type { AbortOptions } from '../utils'
+import type { VersionResult } from '../root'
 
 export interface API<OptionExtension = {}> {
+  /**
+   * List API calls that are in progress or have recently completed
+   */
   cmds: (options?: AbortOptions & OptionExtension) => Promise<CmdsResult[]>
-  net: (options?: AbortOptions & OptionExtension) => Promise<any>
-  sys: (options?: AbortOptions & OptionExtension) => Promise<any>
+
+  /**
+   * Report on the connections, transports, NAT and relay status of the node
+   */
+  net: (options?: AbortOptions & OptionExtension) => Promise<NetResult>
+
+  /**
+   * Report on the runtime, operating system, memory, repo and versions
+   */
+  sys: (options?: AbortOptions & OptionExtension) => Promise<SysResult>
 }
 
 export interface CmdsResult {
   active: boolean
   args: string[]
-  endTime: Date
+  command: string
+  endTime?: Date
   id: string
   options: Record<string, any>
   startTime: Date
 }
+
+export interface NetConnection {
+  id: string
+  peer: string
+  addr: string
+  direction: 'inbound' | 'outbound'
+  /**
+   * When the connection was opened, in ms since the epoch
+   */
+  opened: number
+  multiplexer?: string
+  encryption?: string
+  streams: number
+  relayed: boolean
+}
+
+export interface NetResult {
+  online: boolean
+  connections: NetConnection[]
+  transports: string[]
+  listenAddrs: string[]
+  announceAddrs: string[]
+  nat: {
+    enabled: boolean
+    /**
+     * External addresses that have been mapped or observed by peers
+     */
+    observedAddrs: string[]
+  }
+  relay: {
+    enabled: boolean
+    /**
+     * Circuit relay addresses the node can be dialed on
+     */
+    addrs: string[]
+    /**
+     * How many connections are relayed via another peer
+     */
+    connections: number
+  }
+}
+
+export interface SysInfo {
+  runtime: {
+    name: string
+    version: string
+    arch?: string
+    cpus?: number
+    /**
+     * How long the process has been running, in seconds
+     */
+    uptime: number
+  }
+  os: {
+    platform: string
+    type?: string
+    release?: string
+  }
+  /**
+   * Memory usage in bytes
+   */
+  memory: {
+    total?: number
+    free?: number
+    rss?: number
+    heapTotal?: number
+    heapUsed?: number
+  }
+}
+
+export interface SysResult extends SysInfo {
+  repo: {
+    path: string
+    version: number
+    size: number
+    numObjects: number
+  }
+  versions: VersionResult
+  net: {
+    online: boolean
+  }
+}
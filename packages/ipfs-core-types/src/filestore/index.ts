@@ -0,0 +1,68 @@
+import type { AbortOptions } from '../utils'
+import type { CID } from 'multiformats/cid'
+
+export interface API<OptionExtension = {}> {
+  /**
+   * List blocks that are stored as references to files on the local
+   * filesystem
+   */
+  ls: (options?: LsOptions & OptionExtension) => AsyncIterable<FilestoreEntry>
+
+  /**
+   * Read every block stored in the filestore back from its file and report
+   * whether it is still intact
+   */
+  verify: (options?: VerifyOptions & OptionExtension) => AsyncIterable<VerifyResult>
+
+  /**
+   * List blocks that are stored in the filestore and have also been copied
+   * into the blockstore
+   */
+  dups: (options?: AbortOptions & OptionExtension) => AsyncIterable<CID>
+}
+
+export interface LsOptions extends AbortOptions {
+  /**
+   * Only list these blocks
+   */
+  cids?: CID[]
+
+  /**
+   * Sort the results by file path and offset instead of by CID
+   */
+  fileOrder?: boolean
+}
+
+export interface VerifyOptions extends LsOptions {}
+
+export interface FilestoreEntry {
+  cid: CID
+
+  /**
+   * The absolute path of the file the block is read from
+   */
+  path: string
+
+  /**
+   * Where in the file the block starts
+   */
+  offset: number
+
+  /**
+   * The length of the block in bytes
+   */
+  size: number
+}
+
+/**
+ * - `ok` the block can be read from its file
+ * - `changed` the file has been modified since the block was added
+ * - `no-file` the file no longer exists
+ * - `error` the block could not be read for some other reason
+ */
+export type FilestoreStatus = 'ok' | 'changed' | 'no-file' | 'error'
+
+export interface VerifyResult extends FilestoreEntry {
+  status: FilestoreStatus
+  error?: string
+}
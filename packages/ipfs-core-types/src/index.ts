@@ -7,6 +7,7 @@ import type { API as DAGAPI } from './dag'
 import type { API as DHTAPI } from './dht'
 import type { API as DiagAPI } from './diag'
 import type { API as FilesAPI } from './files'
+import type { API as FilestoreAPI } from './filestore'
 import type { API as KeyAPI } from './key'
 import type { API as LogAPI } from './log'
 import type { API as NameAPI } from './name'
@@ -35,6 +36,7 @@ export interface IPFS<OptionExtension = {}> extends RootAPI<OptionExtension> {
   dht: DHTAPI<OptionExtension>
   diag: DiagAPI<OptionExtension>
   files: FilesAPI<OptionExtension>
+  filestore: FilestoreAPI<OptionExtension>
   key: KeyAPI<OptionExtension>
   log: LogAPI<OptionExtension>
   name: NameAPI<OptionExtension>
@@ -1,7 +1,43 @@
 import type { AbortOptions } from '../utils'
 
 export interface API<OptionExtension = {}> {
-  level: (subsystem: string, level: string, options?: AbortOptions & OptionExtension) => Promise<any>
-  ls: (options?: AbortOptions & OptionExtension) => Promise<any>
-  tail: (options?: AbortOptions & OptionExtension) => AsyncIterable<any>
+  /**
+   * Change the logging level of a subsystem, or all subsystems if `all` is
+   * passed. Valid levels are `debug`, `info`, `warn`, `error`, `dpanic`,
+   * `panic` and `fatal`
+   */
+  level: (subsystem: string, level: string, options?: AbortOptions & OptionExtension) => Promise<LevelResult>
+
+  /**
+   * List the logging subsystems
+   */
+  ls: (options?: AbortOptions & OptionExtension) => Promise<string[]>
+
+  /**
+   * Stream log events as they are written by enabled subsystems
+   */
+  tail: (options?: AbortOptions & OptionExtension) => AsyncIterable<LogEvent>
+}
+
+export interface LevelResult {
+  message: string
+}
+
+export interface LogEvent {
+  /**
+   * `debug`, `error` or `trace`
+   */
+  level: string
+
+  /**
+   * ISO 8601 timestamp
+   */
+  ts: string
+
+  /**
+   * The subsystem that wrote the event
+   */
+  logger: string
+
+  msg: string
 }
@@ -1,6 +1,7 @@
 import type { CID } from 'multiformats/cid'
 import type { AbortOptions } from '../utils'
 import type { API as PubsubAPI } from './pubsub'
+import type { API as RepublishAPI } from './republish'
 import type { PeerId } from '@libp2p/interface-peer-id'
 
 export interface API<OptionExtension = {}> {
@@ -39,7 +40,47 @@ export interface API<OptionExtension = {}> {
    */
   resolve: (value: PeerId | string, options?: ResolveOptions & OptionExtension) => AsyncIterable<string>
 
+  /**
+   * Fetch the raw signed IPNS record for a name. The record is validated
+   * before it is returned.
+   *
+   * @example
+   * ```js
+   * const record = await ipfs.name.get('k51qzi5uqu5dlvj2baxnqndepeb86cbk3ng7n3i46uzyxzyqj2xjonzllnv0v8')
+   * ```
+   */
+  get: (name: PeerId | string, options?: AbortOptions & OptionExtension) => Promise<Uint8Array>
+
+  /**
+   * Store a raw signed IPNS record for a name. The private key of the name is
+   * not needed so records published by other nodes can be republished. The
+   * record must be signed by the key of the name and must not be older than
+   * a record already stored for it.
+   *
+   * @example
+   * ```js
+   * const record = await ipfs.name.get(name)
+   * await otherNode.name.put(name, record)
+   * ```
+   */
+  put: (name: PeerId | string, record: Uint8Array, options?: PutOptions & OptionExtension) => Promise<void>
+
+  /**
+   * Decode a raw IPNS record, optionally verifying that it is a valid record
+   * for a given name
+   *
+   * @example
+   * ```js
+   * const result = await ipfs.name.inspect(record, { verify: name })
+   * console.log(result.value, result.verification.valid)
+   * // Logs: /ipfs/QmQrX8hka2BtNHa8N8arAq16TCVx5qHcb46c5yPewRycLm true
+   * ```
+   */
+  inspect: (record: Uint8Array, options?: InspectOptions & OptionExtension) => Promise<InspectResult>
+
   pubsub: PubsubAPI
+
+  republish: RepublishAPI
 }
 
 export interface PublishOptions extends AbortOptions {
@@ -52,7 +93,8 @@ export interface PublishOptions extends AbortOptions {
    */
   lifetime?: string
   /**
-   * Time duration this record should be cached
+   * How long resolvers may cache the record for, e.g. '5m' (default: '1m').
+   * The record is never cached past its lifetime.
    */
   ttl?: string
   /**
@@ -93,3 +135,73 @@ export interface ResolveOptions extends AbortOptions {
    */
   nocache?: boolean
 }
+
+export interface PutOptions extends AbortOptions {
+  /**
+   * Store the record even if a newer record for the name is already stored
+   */
+  force?: boolean
+
+  /**
+   * When offline, store the record in the local datastore instead of failing
+   */
+  allowOffline?: boolean
+}
+
+export interface InspectOptions extends AbortOptions {
+  /**
+   * Verify the record is valid for this name
+   */
+  verify?: PeerId | string
+}
+
+export interface InspectResult {
+  /**
+   * The path the record points to
+   */
+  value: string
+
+  validityType: 'EOL'
+
+  /**
+   * When the record expires
+   */
+  validity: Date
+
+  expired: boolean
+
+  sequence: bigint
+
+  /**
+   * How long the record may be cached for in nanoseconds
+   */
+  ttl?: bigint
+
+  /**
+   * The public key embedded in the record, if any
+   */
+  publicKey?: Uint8Array
+
+  signatureV1: boolean
+
+  signatureV2: boolean
+
+  /**
+   * Present when the `verify` option is passed
+   */
+  verification?: InspectVerification
+}
+
+export interface InspectVerification {
+  /**
+   * The name the record was verified against
+   */
+  name: string
+
+  valid: boolean
+
+  /**
+   * Why the record is not valid
+   */
+  error?: string
+}
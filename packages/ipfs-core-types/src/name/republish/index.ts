@@ -0,0 +1,67 @@
+import type { AbortOptions } from '../../utils'
+
+export interface API<OptionExtension = {}> {
+  /**
+   * Republish the records of published names now rather than waiting for
+   * them to be due. Returns the status of the republished names.
+   *
+   * @example
+   * ```js
+   * const [status] = await ipfs.name.republish.run({ key: 'self' })
+   * console.log(status.lastRun, status.error)
+   * ```
+   */
+  run: (options?: RunOptions & OptionExtension) => Promise<RepublishStatus[]>
+
+  /**
+   * Report when the records of published names were last and will next be
+   * republished, and why the last republish failed if it did.
+   *
+   * @example
+   * ```js
+   * for (const status of await ipfs.name.republish.status()) {
+   *   console.log(status.key, status.nextRun)
+   * }
+   * ```
+   */
+  status: (options?: AbortOptions & OptionExtension) => Promise<RepublishStatus[]>
+}
+
+export interface RunOptions extends AbortOptions {
+  /**
+   * Only republish the name published with this key
+   */
+  key?: string
+}
+
+export interface RepublishStatus {
+  /**
+   * The published IPNS name
+   */
+  name: string
+
+  /**
+   * The name of the key the name was published with, if it is in the keychain
+   */
+  key?: string
+
+  /**
+   * How long republished records are valid for in ms
+   */
+  lifetime: number
+
+  /**
+   * When the record was last published or republished
+   */
+  lastRun?: Date
+
+  /**
+   * When the record will next be republished, only set while the node is online
+   */
+  nextRun?: Date
+
+  /**
+   * Why the last republish failed
+   */
+  error?: string
+}
@@ -92,6 +92,32 @@ export interface API<OptionExtension = {}> {
    */
   rmAll: (source: AwaitIterable<RmAllInput>, options?: AbortOptions & OptionExtension) => AsyncIterable<CID>
 
+  /**
+   * Replace a recursive pin with another. Only the blocks of the new DAG that
+   * are not part of the old DAG are fetched, which is much faster than adding
+   * a new pin and removing the old one when the DAGs are similar.
+   *
+   * @example
+   * ```js
+   * const { from, to } = await ipfs.pin.update(oldCid, newCid)
+   * console.log(`updated ${from} to ${to}`)
+   * ```
+   */
+  update: (from: string | CID, to: string | CID, options?: UpdateOptions & OptionExtension) => Promise<UpdateResult>
+
+  /**
+   * Check that every block of each pinned DAG is in the local blockstore and
+   * has not been corrupted. By default only pins with problems are reported.
+   *
+   * @example
+   * ```js
+   * for await (const { cid, ok, badNodes } of ipfs.pin.verify({ verbose: true })) {
+   *   console.log(cid, ok, badNodes)
+   * }
+   * ```
+   */
+  verify: (options?: VerifyOptions & OptionExtension) => AsyncIterable<VerifyResult>
+
   remote: Remote<OptionExtension>
 }
 
@@ -172,3 +198,46 @@ export interface RmAllInput {
   path?: string
   recursive?: boolean
 }
+
+export interface UpdateOptions extends AbortOptions {
+  /**
+   * Remove the old pin once the new one has been added (default: true)
+   */
+  unpin?: boolean
+}
+
+export interface UpdateResult {
+  from: CID
+  to: CID
+}
+
+export interface VerifyOptions extends AbortOptions {
+  /**
+   * Report which blocks of each pin are missing or corrupt
+   */
+  verbose?: boolean
+
+  /**
+   * Report pins that have no problems as well
+   */
+  includeOk?: boolean
+}
+
+export interface VerifyBadNode {
+  cid: CID
+  error: string
+}
+
+export interface VerifyResult {
+  cid: CID
+
+  /**
+   * Whether every block of the pinned DAG is present and intact
+   */
+  ok: boolean
+
+  /**
+   * The missing or corrupt blocks, only present when `verbose` is true
+   */
+  badNodes?: VerifyBadNode[]
+}
@@ -2,6 +2,13 @@ import type { AbortOptions } from '../utils'
 import type { CID } from 'multiformats/cid'
 
 export interface API<OptionExtension = {}> {
+  /**
+   * Look for problems that stop the repo from working properly such as pins
+   * whose blocks are missing, a repo lock that is no longer held and an MFS
+   * root that cannot be loaded
+   */
+  fsck: (options?: AbortOptions & OptionExtension) => AsyncIterable<FsckProblem>
+
   /**
    * Perform garbage collection on the repo
    *
@@ -9,11 +16,23 @@ export interface API<OptionExtension = {}> {
    */
   gc: (options?: GCOptions & OptionExtension) => AsyncIterable<GCResult>
 
+  /**
+   * Report whether automatic garbage collection is enabled, its settings and
+   * the results of the last automatic collection
+   */
+  gcStatus: (options?: AbortOptions & OptionExtension) => Promise<GCStatusResult>
+
   /**
    * Return stats about the repo
    */
   stat: (options?: AbortOptions & OptionExtension) => Promise<StatResult>
 
+  /**
+   * Rehash every block in the blockstore and report any whose content does
+   * not match its CID
+   */
+  verify: (options?: VerifyOptions & OptionExtension) => AsyncIterable<VerifyResult>
+
   /**
    * If the repo has been initialized, report the current version,
    * otherwise report the version that would be initialized
@@ -37,6 +56,47 @@ export interface GCSuccess {
 
 export type GCResult = GCSuccess | GCError
 
+export interface GCRun {
+  startTime: Date
+  endTime?: Date
+  repoSizeBefore: bigint
+  repoSizeAfter?: bigint
+  removed: number
+  errors: string[]
+}
+
+export interface GCStatusResult {
+  /**
+   * Whether the repo is garbage collected automatically
+   */
+  enabled: boolean
+
+  /**
+   * Whether an automatic collection is in progress
+   */
+  running: boolean
+
+  /**
+   * How often the repo size is checked in ms
+   */
+  period: number
+
+  /**
+   * The configured `Datastore.StorageMax` in bytes
+   */
+  storageMax: bigint
+
+  /**
+   * The percentage of `storageMax` the repo must grow past to be collected
+   */
+  watermark: number
+
+  /**
+   * The results of the most recent automatic collection
+   */
+  lastRun?: GCRun
+}
+
 export interface StatResult {
   numObjects: bigint
   repoPath: string
@@ -44,3 +104,38 @@ export interface StatResult {
   version: string
   storageMax: bigint
 }
+
+export interface VerifyOptions extends AbortOptions {
+  /**
+   * Remove corrupt blocks from the blockstore so they can be fetched again.
+   * Pinned blocks are not removed.
+   */
+  remove?: boolean
+}
+
+export interface VerifyResult {
+  cid: CID
+
+  /**
+   * Why the block failed verification
+   */
+  error: string
+
+  /**
+   * Whether the block was removed from the blockstore
+   */
+  removed: boolean
+}
+
+export type FsckProblemType = 'dangling-pin' | 'stale-lock' | 'mfs-root'
+
+export interface FsckProblem {
+  type: FsckProblemType
+
+  /**
+   * The pin or MFS root the problem relates to
+   */
+  cid?: CID
+
+  message: string
+}
@@ -171,6 +171,14 @@ export interface AddOptions extends AbortOptions {
    */
   onlyHash?: boolean
 
+  /**
+   * If true, file data will not be copied into the blockstore, instead leaf
+   * blocks will be read from the files that were added when they are needed.
+   * Requires `Experimental.FilestoreEnabled` to be set in the config and
+   * every file to have an `abspath`. (Defaults to `false`)
+   */
+  nocopy?: boolean
+
   /**
    * Pin this object when adding. (Defaults to `true`)
    */
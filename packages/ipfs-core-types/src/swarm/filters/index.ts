@@ -0,0 +1,45 @@
+import type { AbortOptions } from '../../utils'
+
+export interface API<OptionExtension = {}> {
+  /**
+   * Stop the node dialing or accepting connections from an IP range. The
+   * filter is saved to the `Swarm.AddrFilters` config, or to
+   * `Swarm.AddrAllowFilters` if `allow` is true.
+   *
+   * @example
+   * ```js
+   * await ipfs.swarm.filters.add('/ip4/10.0.0.0/ipcidr/8')
+   * ```
+   */
+  add: (filter: string, options?: AbortOptions & FilterOptions & OptionExtension) => Promise<void>
+
+  /**
+   * Remove a filter from the config and stop applying it
+   *
+   * @example
+   * ```js
+   * await ipfs.swarm.filters.rm('/ip4/10.0.0.0/ipcidr/8')
+   * ```
+   */
+  rm: (filter: string, options?: AbortOptions & FilterOptions & OptionExtension) => Promise<void>
+
+  /**
+   * List the filters, these are the filters being applied if the node is
+   * online or the filters in the config if it is not
+   *
+   * @example
+   * ```js
+   * const filters = await ipfs.swarm.filters.ls()
+   * // ['/ip4/10.0.0.0/ipcidr/8']
+   * ```
+   */
+  ls: (options?: AbortOptions & FilterOptions & OptionExtension) => Promise<string[]>
+}
+
+export interface FilterOptions {
+  /**
+   * Operate on the allow list instead of the deny list. When the allow list is
+   * not empty only IP addresses in its ranges can be connected to.
+   */
+  allow?: boolean
+}
@@ -1,6 +1,8 @@
 import type { AbortOptions } from '../utils'
 import type { Multiaddr } from '@multiformats/multiaddr'
 import type { PeerId } from '@libp2p/interface-peer-id'
+import type { API as PeeringAPI } from './peering'
+import type { API as FiltersAPI } from './filters'
 
 export interface API<OptionExtension = {}> {
   /**
@@ -27,6 +29,10 @@ export interface API<OptionExtension = {}> {
    * Return a list of connected peers
    */
   peers: (options?: PeersOptions & OptionExtension) => Promise<PeersResult[]>
+
+  peering: PeeringAPI<OptionExtension>
+
+  filters: FiltersAPI<OptionExtension>
 }
 
 export interface AddrsResult {
@@ -46,6 +52,27 @@ export interface PeersResult {
   peer: PeerId
   latency?: string
   muxer?: string
-  streams?: string[]
+  streams?: PeerStream[]
   direction?: 'inbound' | 'outbound'
+
+  /**
+   * How long the connection has been open in ms
+   */
+  age?: number
+  agentVersion?: string
+
+  /**
+   * Bytes received from the peer over all of its connections
+   */
+  totalIn?: bigint
+
+  /**
+   * Bytes sent to the peer over all of its connections
+   */
+  totalOut?: bigint
+}
+
+export interface PeerStream {
+  protocol: string
+  direction: 'inbound' | 'outbound'
 }
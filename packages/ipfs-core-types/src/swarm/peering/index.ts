@@ -0,0 +1,47 @@
+import type { AbortOptions } from '../../utils'
+import type { Multiaddr } from '@multiformats/multiaddr'
+import type { PeerId } from '@libp2p/interface-peer-id'
+
+export interface API<OptionExtension = {}> {
+  /**
+   * Keep the node connected to a peer. The connection is protected from being
+   * closed by the connection manager and is reopened if it is lost. The address
+   * must end with the peer id of the peer.
+   *
+   * Peers are only added until the node stops, add them to the
+   * `Peering.Peers` config to peer with them every time it starts.
+   *
+   * @example
+   * ```js
+   * await ipfs.swarm.peering.add(multiaddr('/ip4/1.2.3.4/tcp/4001/p2p/QmPeer'))
+   * ```
+   */
+  add: (addr: Multiaddr, options?: AbortOptions & OptionExtension) => Promise<void>
+
+  /**
+   * Stop keeping the node connected to a peer, the peer is not disconnected
+   *
+   * @example
+   * ```js
+   * await ipfs.swarm.peering.rm(peerIdFromString('QmPeer'))
+   * ```
+   */
+  rm: (peerId: PeerId, options?: AbortOptions & OptionExtension) => Promise<void>
+
+  /**
+   * List the peers the node is keeping connected to
+   *
+   * @example
+   * ```js
+   * for (const { id, addrs } of await ipfs.swarm.peering.ls()) {
+   *   console.log(id, addrs)
+   * }
+   * ```
+   */
+  ls: (options?: AbortOptions & OptionExtension) => Promise<PeeringPeer[]>
+}
+
+export interface PeeringPeer {
+  id: PeerId
+  addrs: Multiaddr[]
+}
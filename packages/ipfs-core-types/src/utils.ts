@@ -30,6 +30,11 @@ export type ImportCandidate =
 export interface ToFile extends ToFileMetadata {
   path?: string
   content: ToContent
+
+  /**
+   * Where the file is on the local filesystem, needed to add it with `nocopy`
+   */
+  abspath?: string
 }
 
 export interface ToDirectory extends ToFileMetadata {
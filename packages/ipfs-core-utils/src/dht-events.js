@@ -0,0 +1,11 @@
+/**
+ * Query event types js-IPFS yields in addition to those of the libp2p DHT.
+ * go-IPFS has no equivalents so they only ever come from js-IPFS nodes.
+ */
+
+/**
+ * Yielded by a recursive `dht.provide` as each block is announced
+ *
+ * @type {import('ipfs-core-types/src/dht').EventTypes.PROVIDED}
+ */
+export const PROVIDED = 8
@@ -0,0 +1,12 @@
+import errCode from 'err-code'
+
+/**
+ * @param {string} cwd
+ * @param {string} pattern
+ * @param {import('../types').GlobSourceOptions} [options]
+ * @returns {AsyncGenerator<import('../types').GlobSourceResult, void, unknown>}
+ */
+// eslint-disable-next-line require-yield
+export async function * globSource (cwd, pattern, options) {
+  throw errCode(new Error('globSource is not supported in the browser'), 'ERR_NOT_SUPPORTED')
+}
@@ -0,0 +1,173 @@
+import fs from 'fs'
+import Path from 'path'
+import minimatch from 'minimatch'
+import ignore from 'ignore'
+import errCode from 'err-code'
+
+/**
+ * @typedef {import('../types').GlobSourceOptions} GlobSourceOptions
+ * @typedef {import('../types').GlobSourceResult} GlobSourceResult
+ *
+ * @typedef {object} Rules
+ * @property {string} dir - the directory the rules are relative to
+ * @property {import('ignore').Ignore} rules
+ */
+
+// read from every directory that is walked unless told otherwise
+const DEFAULT_IGNORE_FILES = ['.ipfsignore', '.gitignore']
+
+/**
+ * Create an async iterator that yields paths that match requested glob pattern
+ * and are not excluded by gitignore-style rules
+ *
+ * @param {string} cwd - The directory to start matching the pattern in
+ * @param {string} pattern - Glob pattern to match
+ * @param {GlobSourceOptions} [options] - Optional options
+ * @returns {AsyncGenerator<GlobSourceResult, void, unknown>} File objects that match glob
+ */
+export async function * globSource (cwd, pattern, options = {}) {
+  if (typeof pattern !== 'string') {
+    throw errCode(
+      new Error('Pattern must be a string'),
+      'ERR_INVALID_PATH',
+      { pattern }
+    )
+  }
+
+  if (!Path.isAbsolute(cwd)) {
+    cwd = Path.resolve(process.cwd(), cwd)
+  }
+
+  const rules = ignore()
+
+  if (options.ignoreRulesPath != null) {
+    rules.add(await readRules(Path.resolve(cwd, options.ignoreRulesPath), true))
+  }
+
+  if (options.ignore != null) {
+    rules.add(options.ignore)
+  }
+
+  const walker = walk(cwd, '', [], {
+    pattern,
+    hidden: Boolean(options.hidden),
+    ignoreFiles: options.ignoreFiles || DEFAULT_IGNORE_FILES,
+    rules: { dir: '', rules }
+  })
+
+  for await (const relativePath of walker) {
+    const path = Path.join(cwd, relativePath)
+    const stat = await fs.promises.stat(path)
+
+    let mode = options.mode
+
+    if (options.preserveMode) {
+      mode = stat.mode
+    }
+
+    let mtime = options.mtime
+
+    if (options.preserveMtime) {
+      mtime = stat.mtime
+    }
+
+    yield {
+      path: `/${relativePath}`,
+      content: stat.isFile() ? fs.createReadStream(path) : undefined,
+      abspath: stat.isFile() ? path : undefined,
+      mode,
+      mtime
+    }
+  }
+}
+
+/**
+ * @param {string} path
+ * @param {boolean} [required] - throw if the file does not exist
+ */
+async function readRules (path, required = false) {
+  try {
+    return await fs.promises.readFile(path, 'utf8')
+  } catch (/** @type {any} */ err) {
+    if (err.code === 'ENOENT' && !required) {
+      return ''
+    }
+
+    throw err
+  }
+}
+
+/**
+ * Later rules take precedence so rules in nested directories can re-include
+ * paths excluded by their parents, and rules passed as options override both
+ *
+ * @param {Rules[]} rules
+ * @param {string} path - path relative to the root of the walk
+ * @param {boolean} isDirectory
+ */
+function isIgnored (rules, path, isDirectory) {
+  let ignored = false
+
+  for (const { dir, rules: ig } of rules) {
+    let relativePath = Path.posix.relative(dir, path)
+
+    if (isDirectory) {
+      relativePath = `${relativePath}/`
+    }
+
+    const result = ig.test(relativePath)
+
+    if (result.ignored) {
+      ignored = true
+    } else if (result.unignored) {
+      ignored = false
+    }
+  }
+
+  return ignored
+}
+
+/**
+ * @param {string} root
+ * @param {string} dir - relative to root, posix separated
+ * @param {Rules[]} parentRules
+ * @param {object} options
+ * @param {string} options.pattern
+ * @param {boolean} options.hidden
+ * @param {string[]} options.ignoreFiles
+ * @param {Rules} options.rules
+ * @returns {AsyncGenerator<string, void, undefined>}
+ */
+async function * walk (root, dir, parentRules, options) {
+  const rules = [...parentRules]
+
+  for (const ignoreFile of options.ignoreFiles) {
+    const contents = await readRules(Path.join(root, dir, ignoreFile))
+
+    if (contents !== '') {
+      rules.push({ dir, rules: ignore().add(contents) })
+    }
+  }
+
+  for await (const entry of await fs.promises.opendir(Path.join(root, dir))) {
+    // hidden entries can never match the pattern so do not descend into them
+    if (!options.hidden && entry.name.startsWith('.')) {
+      continue
+    }
+
+    const path = dir === '' ? entry.name : `${dir}/${entry.name}`
+    const isDirectory = entry.isDirectory()
+
+    if (isIgnored([...rules, options.rules], path, isDirectory)) {
+      continue
+    }
+
+    if (minimatch(path, options.pattern, { dot: options.hidden })) {
+      yield path
+    }
+
+    if (isDirectory) {
+      yield * walk(root, path, rules, options)
+    }
+  }
+}
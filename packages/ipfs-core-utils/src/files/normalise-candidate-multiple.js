@@ -99,15 +99,19 @@ export async function * normaliseCandidateMultiple (input, normaliseContent) {
  */
 async function toFileObject (input, normaliseContent) {
   // @ts-expect-error - Those properties don't exist on most input types
-  const { path, mode, mtime, content } = input
+  const { path, mode, mtime, content, abspath } = input
 
-  /** @type {ImporterImportCandidate} */
+  /** @type {ImporterImportCandidate & { abspath?: string }} */
   const file = {
     path: path || '',
     mode: parseMode(mode),
     mtime: parseMtime(mtime)
   }
 
+  if (abspath) {
+    file.abspath = abspath
+  }
+
   if (content) {
     file.content = await normaliseContent(content)
   } else if (!path) { // Not already a file object with path or content prop
@@ -29,7 +29,7 @@ export async function multipartRequest (source, abortController, headers = {}, b
       let index = 0
 
       // @ts-expect-error
-      for await (const { content, path, mode, mtime } of source) {
+      for await (const { content, path, mode, mtime, abspath } of source) {
         let fileSuffix = ''
         const type = content ? 'file' : 'dir'
 
@@ -63,6 +63,11 @@ export async function multipartRequest (source, abortController, headers = {}, b
         yield `--${boundary}\r\n`
         yield `Content-Disposition: form-data; name="${fieldName}"; filename="${encodeURIComponent(path || '')}"\r\n`
         yield `Content-Type: ${content ? 'application/octet-stream' : 'application/x-directory'}\r\n`
+
+        if (abspath) {
+          yield `Abspath: ${encodeURIComponent(abspath)}\r\n`
+        }
+
         yield '\r\n'
 
         if (content) {
@@ -1,7 +1,64 @@
 import type { MultibaseCodec } from 'multiformats/bases/interface'
 import type { BlockCodec } from 'multiformats/codecs/interface'
 import type { MultihashHasher } from 'multiformats/hashes/interface'
+import type { MtimeLike } from 'ipfs-unixfs'
 
 export interface LoadBaseFn { (codeOrName: string): Promise<MultibaseCodec<any>> }
 export interface LoadCodecFn { (codeOrName: number | string): Promise<BlockCodec<any, any>> }
 export interface LoadHasherFn { (codeOrName: number | string): Promise<MultihashHasher> }
+
+export interface GlobSourceOptions {
+  /**
+   * Include .dot files in matched paths
+   */
+  hidden?: boolean
+
+  /**
+   * follow symlinks
+   */
+  followSymlinks?: boolean
+
+  /**
+   * Preserve mode
+   */
+  preserveMode?: boolean
+
+  /**
+   * Preserve mtime
+   */
+  preserveMtime?: boolean
+
+  /**
+   * mode to use - if preserveMode is true this will be ignored
+   */
+  mode?: number
+
+  /**
+   * mtime to use - if preserveMtime is true this will be ignored
+   */
+  mtime?: MtimeLike
+
+  /**
+   * gitignore-style patterns, relative to `cwd`, of paths to exclude
+   */
+  ignore?: string[]
+
+  /**
+   * A file of gitignore-style rules, relative to `cwd`, of paths to exclude
+   */
+  ignoreRulesPath?: string
+
+  /**
+   * Files of gitignore-style rules read from every directory that is
+   * matched, pass an empty array to disable (default: `['.ipfsignore', '.gitignore']`)
+   */
+  ignoreFiles?: string[]
+}
+
+export interface GlobSourceResult {
+  path: string
+  content: AsyncIterable<Uint8Array> | undefined
+  abspath: string | undefined
+  mode: number | undefined
+  mtime: MtimeLike | undefined
+}
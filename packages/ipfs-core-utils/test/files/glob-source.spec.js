@@ -0,0 +1,154 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import all from 'it-all'
+import { nanoid } from 'nanoid'
+import { isNode } from 'ipfs-utils/src/env.js'
+import { globSource } from '../../src/files/glob-source.js'
+
+/**
+ * @param {string} cwd
+ * @param {string} pattern
+ * @param {import('../../src/types').GlobSourceOptions} [options]
+ */
+async function paths (cwd, pattern, options) {
+  const entries = await all(globSource(cwd, pattern, options))
+
+  return entries.map(entry => entry.path).sort()
+}
+
+describe('glob-source', function () {
+  if (!isNode) return
+
+  /** @type {import('fs')} */
+  let fs
+  /** @type {import('path')} */
+  let path
+  /** @type {string} */
+  let dir
+
+  /**
+   * @param {Record<string, string>} files
+   */
+  async function write (files) {
+    for (const [name, content] of Object.entries(files)) {
+      const file = path.join(dir, name)
+
+      await fs.promises.mkdir(path.dirname(file), { recursive: true })
+      await fs.promises.writeFile(file, content)
+    }
+  }
+
+  before(async () => {
+    fs = await import('fs')
+    path = await import('path')
+  })
+
+  beforeEach(async () => {
+    const os = await import('os')
+    dir = path.join(os.tmpdir(), `glob-source-${nanoid()}`)
+
+    await write({
+      'index.js': '',
+      'lib/util.js': '',
+      'node_modules/dep/index.js': '',
+      'dist/bundle.js': '',
+      '.env': ''
+    })
+  })
+
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true })
+  })
+
+  it('yields matching files and directories', async () => {
+    expect(await paths(dir, '**/*')).to.deep.equal([
+      '/dist',
+      '/dist/bundle.js',
+      '/index.js',
+      '/lib',
+      '/lib/util.js',
+      '/node_modules',
+      '/node_modules/dep',
+      '/node_modules/dep/index.js'
+    ])
+  })
+
+  it('yields the absolute paths of files', async () => {
+    const entries = await all(globSource(dir, 'lib/*'))
+
+    expect(entries).to.have.nested.property('[0].abspath', path.join(dir, 'lib', 'util.js'))
+  })
+
+  it('includes hidden files', async () => {
+    expect(await paths(dir, '*', { hidden: true })).to.include('/.env')
+  })
+
+  it('excludes paths matching ignore rules', async () => {
+    expect(await paths(dir, '**/*', { ignore: ['node_modules', '*.js', '!index.js'] })).to.deep.equal([
+      '/dist',
+      '/index.js',
+      '/lib'
+    ])
+  })
+
+  it('excludes paths matching rules in a file', async () => {
+    await fs.promises.writeFile(path.join(dir, '..', `${path.basename(dir)}.rules`), 'dist/\nlib\n')
+
+    try {
+      expect(await paths(dir, '**/*', { ignoreRulesPath: `../${path.basename(dir)}.rules` })).to.deep.equal([
+        '/index.js',
+        '/node_modules',
+        '/node_modules/dep',
+        '/node_modules/dep/index.js'
+      ])
+    } finally {
+      await fs.promises.rm(path.join(dir, '..', `${path.basename(dir)}.rules`))
+    }
+  })
+
+  it('rejects a missing rules file', async () => {
+    await expect(paths(dir, '**/*', { ignoreRulesPath: 'missing' })).to.eventually.be.rejected
+      .with.property('code', 'ENOENT')
+  })
+
+  it('excludes paths matching rules in .gitignore and .ipfsignore files', async () => {
+    await write({
+      '.gitignore': 'node_modules\n',
+      '.ipfsignore': '/dist\n',
+      'lib/.gitignore': '*.js\n',
+      'lib/dist/keep.txt': ''
+    })
+
+    expect(await paths(dir, '**/*')).to.deep.equal([
+      '/index.js',
+      '/lib',
+      '/lib/dist',
+      '/lib/dist/keep.txt'
+    ])
+  })
+
+  it('lets nested rules re-include paths', async () => {
+    await write({
+      '.gitignore': '*.js\n',
+      'lib/.ipfsignore': '!util.js\n'
+    })
+
+    expect(await paths(dir, '**/*.js')).to.deep.equal([
+      '/lib/util.js'
+    ])
+  })
+
+  it('can disable rule files', async () => {
+    await write({
+      '.gitignore': '*\n'
+    })
+
+    expect(await paths(dir, '*', { ignoreFiles: [] })).to.deep.equal([
+      '/dist',
+      '/index.js',
+      '/lib',
+      '/node_modules'
+    ])
+  })
+})
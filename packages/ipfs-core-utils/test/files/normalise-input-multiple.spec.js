@@ -250,6 +250,12 @@ describe('normalise-input-multiple', function () {
     })
   })
 
+  it('keeps the absolute path of a file object', async () => {
+    const [file] = await all(normaliseInput([{ path: 'file.txt', content: BUFFER(), abspath: '/tmp/file.txt' }]))
+
+    expect(file).to.have.property('abspath', '/tmp/file.txt')
+  })
+
   describe('TypedArray', () => {
     testInputType(TYPEDARRAY, 'TypedArray', {
       acceptStream: true,
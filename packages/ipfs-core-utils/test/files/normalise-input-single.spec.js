@@ -244,6 +244,12 @@ describe('normalise-input-single', function () {
     })
   })
 
+  it('keeps the absolute path of a file object', async () => {
+    const [file] = await all(normaliseInput({ path: 'file.txt', content: BUFFER(), abspath: '/tmp/file.txt' }))
+
+    expect(file).to.have.property('abspath', '/tmp/file.txt')
+  })
+
   describe('TypedArray', () => {
     testInputType(TYPEDARRAY, 'TypedArray', {
       acceptStream: true
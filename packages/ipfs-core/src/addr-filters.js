@@ -0,0 +1,142 @@
+import { IpNet } from '@chainsafe/netmask'
+import errCode from 'err-code'
+
+// e.g. /ip4/10.0.0.0/ipcidr/8 - the format go-ipfs uses for `Swarm.AddrFilters`
+const FILTER_REGEX = /^\/(ip4|ip6)\/([^/]+)\/ipcidr\/(\d+)$/
+
+const IP_CODES = [
+  4, // ip4
+  41 // ip6
+]
+
+/**
+ * @typedef {import('@multiformats/multiaddr').Multiaddr} Multiaddr
+ * @typedef {import('ipfs-core-types/src/config').SwarmConfig} SwarmConfig
+ * @typedef {import('ipfs-core-types/src/swarm/filters').FilterOptions} FilterOptions
+ * @typedef {import('libp2p').Libp2pInit['connectionGater']} ConnectionGater
+ *
+ * @typedef {object} Filter
+ * @property {string} filter - the filter as it was added
+ * @property {IpNet} net
+ */
+
+/**
+ * @param {string} filter
+ * @returns {IpNet}
+ */
+export function parseFilter (filter) {
+  const match = `${filter}`.match(FILTER_REGEX)
+
+  if (match == null) {
+    throw errCode(new Error(`Invalid address filter "${filter}" - filters must be in the format /ip4/<network>/ipcidr/<mask bits>`), 'ERR_INVALID_FILTER')
+  }
+
+  try {
+    return new IpNet(match[2], parseInt(match[3], 10))
+  } catch (/** @type {any} */ err) {
+    throw errCode(new Error(`Invalid address filter "${filter}" - ${err.message}`), 'ERR_INVALID_FILTER')
+  }
+}
+
+/**
+ * Decides which IP addresses the node may dial or accept connections from.
+ * An address is denied if it is in a range on the deny list or, when the
+ * allow list is not empty, if it is not in a range on the allow list.
+ * Addresses that do not start with an IP address (e.g. DNS or circuit relay
+ * addresses) are not filtered.
+ */
+export class AddrFilters {
+  /**
+   * @param {SwarmConfig} [config]
+   */
+  constructor (config = {}) {
+    /** @type {Map<string, Filter>} */
+    this.denyList = new Map()
+    /** @type {Map<string, Filter>} */
+    this.allowList = new Map()
+
+    for (const filter of config.AddrFilters || []) {
+      this.add(filter)
+    }
+
+    for (const filter of config.AddrAllowFilters || []) {
+      this.add(filter, { allow: true })
+    }
+  }
+
+  /**
+   * @param {string} filter
+   * @param {FilterOptions} [options]
+   */
+  add (filter, options = {}) {
+    const net = parseFilter(filter)
+    const list = this._list(options)
+
+    if (!list.has(net.toString())) {
+      list.set(net.toString(), { filter, net })
+    }
+  }
+
+  /**
+   * Returns true if the filter was removed
+   *
+   * @param {string} filter
+   * @param {FilterOptions} [options]
+   */
+  rm (filter, options = {}) {
+    return this._list(options).delete(parseFilter(filter).toString())
+  }
+
+  /**
+   * @param {FilterOptions} [options]
+   */
+  ls (options = {}) {
+    return [...this._list(options).values()].map(({ filter }) => filter)
+  }
+
+  /**
+   * @param {Pick<Multiaddr, 'stringTuples'>} addr
+   */
+  denies (addr) {
+    const [[code, ip] = []] = addr.stringTuples()
+
+    if (code == null || !IP_CODES.includes(code) || ip == null) {
+      return false
+    }
+
+    /**
+     * @param {Map<string, Filter>} list
+     */
+    const contains = (list) => [...list.values()].some(({ net }) => net.contains(ip))
+
+    if (contains(this.denyList)) {
+      return true
+    }
+
+    return this.allowList.size > 0 && !contains(this.allowList)
+  }
+
+  /**
+   * The gater reads the filters every time it is called so changes made
+   * after libp2p has been created take effect immediately
+   *
+   * @returns {ConnectionGater}
+   */
+  connectionGater () {
+    /** @type {ConnectionGater} */
+    const gater = {
+      denyDialMultiaddr: async (peerId, addr) => this.denies(addr),
+      denyInboundConnection: async (maConn) => this.denies(maConn.remoteAddr),
+      denyOutboundConnection: async (peerId, maConn) => this.denies(maConn.remoteAddr)
+    }
+
+    return gater
+  }
+
+  /**
+   * @param {FilterOptions} options
+   */
+  _list (options) {
+    return options.allow === true ? this.allowList : this.denyList
+  }
+}
@@ -1,16 +1,20 @@
 import { importer } from 'ipfs-unixfs-importer'
 import { normaliseInput } from 'ipfs-core-utils/files/normalise-input-multiple'
 import { parseChunkerString } from './utils.js'
+import { requireFilestore } from '../filestore/utils.js'
 import { pipe } from 'it-pipe'
 import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
 import mergeOpts from 'merge-options'
+import errCode from 'err-code'
+import { CID } from 'multiformats/cid'
+import * as raw from 'multiformats/codecs/raw'
 const mergeOptions = mergeOpts.bind({ ignoreUndefined: true })
 
 /**
- * @typedef {import('multiformats/cid').CID} CID
  * @typedef {import('ipfs-unixfs-importer').ImportResult} ImportResult
  * @typedef {import('multiformats/hashes/interface').MultihashHasher} MultihashHasher
  * @typedef {import('ipfs-core-utils/multihashes').Multihashes} Multihashes
+ * @typedef {import('ipfs-core-config/filestore').Filestore} Filestore
  */
 
 /**
@@ -24,10 +28,11 @@ const mergeOptions = mergeOpts.bind({ ignoreUndefined: true })
  * @property {import('ipfs-repo').IPFSRepo} repo
  * @property {import('../../types').Preload} preload
  * @property {Multihashes} hashers
+ * @property {Filestore} [filestore]
  * @property {import('ipfs-core-types/src/root').ShardingOptions} [options]
  * @param {Context} context
  */
-export function createAddAll ({ repo, preload, hashers, options }) {
+export function createAddAll ({ repo, preload, hashers, filestore, options }) {
   const isShardingEnabled = options && options.sharding
 
   /**
@@ -69,6 +74,26 @@ export function createAddAll ({ repo, preload, hashers, options }) {
 
     delete opts.trickle
 
+    /** @type {Map<string, string>} */
+    const abspaths = new Map()
+
+    if (opts.nocopy) {
+      /** @type {import('ipfs-core-types/src/config').ExperimentalConfig | undefined} */
+      const experimental = await repo.config.get('Experimental').catch(() => undefined)
+
+      if (experimental == null || !experimental.FilestoreEnabled) {
+        throw errCode(new Error('The filestore is not enabled, set Experimental.FilestoreEnabled to true in the config'), 'ERR_FILESTORE_NOT_ENABLED')
+      }
+
+      if (opts.rawLeaves === false) {
+        throw errCode(new Error('nocopy requires raw leaves'), 'ERR_INVALID_PARAMS')
+      }
+
+      // only raw leaves can be read straight from a file
+      opts.rawLeaves = true
+      opts.bufferImporter = filestoreImporter(requireFilestore(filestore), abspaths)
+    }
+
     /** @type {Record<string, number>} */
     const totals = {}
 
@@ -99,6 +124,7 @@ export function createAddAll ({ repo, preload, hashers, options }) {
 
     const iterator = pipe(
       normaliseInput(source),
+      recordAbspaths(abspaths),
       /**
        * @param {Source<import('ipfs-unixfs-importer').ImportCandidate>} source
        */
@@ -220,3 +246,84 @@ function pinFile (repo, opts) {
 
   return maybePinFile
 }
+
+/**
+ * Remembers where each file came from so leaves added with `nocopy` can
+ * reference it
+ *
+ * @param {Map<string, string>} abspaths
+ */
+function recordAbspaths (abspaths) {
+  /**
+   * @param {Source<import('ipfs-unixfs-importer').ImportCandidate & { abspath?: string }>} source
+   */
+  async function * recordAbspaths (source) {
+    for await (const entry of source) {
+      if (entry.abspath != null) {
+        // the importer normalises paths the same way before passing files to
+        // the buffer importer
+        abspaths.set(normalisePath(entry.path), entry.abspath)
+      }
+
+      yield entry
+    }
+  }
+
+  return recordAbspaths
+}
+
+/**
+ * @param {string} [path]
+ */
+function normalisePath (path = '') {
+  return path
+    .split('/')
+    .filter(path => path && path !== '.')
+    .join('/')
+}
+
+/**
+ * Stores leaves as references to ranges of the files they were read from
+ * instead of copying them into the blockstore
+ *
+ * @param {Filestore} filestore
+ * @param {Map<string, string>} abspaths
+ * @returns {import('ipfs-unixfs-importer').BufferImporter}
+ */
+function filestoreImporter (filestore, abspaths) {
+  return async function * (file, blockstore, options) {
+    const abspath = abspaths.get(normalisePath(file.path))
+
+    if (abspath == null) {
+      throw errCode(new Error(`No absolute path was given for ${file.path || 'file'} so it cannot be added with nocopy`), 'ERR_MISSING_ABSPATH')
+    }
+
+    filestore.checkPath(abspath)
+
+    let offset = 0
+
+    for await (const buffer of file.content) {
+      const start = offset
+      offset += buffer.length
+
+      yield async () => {
+        options.progress(buffer.length, file.path)
+
+        const cid = CID.createV1(raw.code, await options.hasher.digest(buffer))
+
+        if (!options.onlyHash) {
+          await filestore.putRef(cid, {
+            path: abspath,
+            offset: start,
+            size: buffer.length
+          })
+        }
+
+        return {
+          cid,
+          size: buffer.length
+        }
+      }
+    }
+  }
+}
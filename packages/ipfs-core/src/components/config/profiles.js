@@ -9,18 +9,39 @@ import getDefaultConfig from 'ipfs-core-config/config'
  * @property {(config: Config) => Config} transform
  */
 
+// reserved and private IP ranges, same as the go-ipfs server profile
+const PRIVATE_ADDR_FILTERS = [
+  '/ip4/10.0.0.0/ipcidr/8',
+  '/ip4/100.64.0.0/ipcidr/10',
+  '/ip4/169.254.0.0/ipcidr/16',
+  '/ip4/172.16.0.0/ipcidr/12',
+  '/ip4/192.0.0.0/ipcidr/24',
+  '/ip4/192.0.2.0/ipcidr/24',
+  '/ip4/192.168.0.0/ipcidr/16',
+  '/ip4/198.18.0.0/ipcidr/15',
+  '/ip4/198.51.100.0/ipcidr/24',
+  '/ip4/203.0.113.0/ipcidr/24',
+  '/ip4/240.0.0.0/ipcidr/4',
+  '/ip6/100::/ipcidr/64',
+  '/ip6/2001:2::/ipcidr/48',
+  '/ip6/2001:db8::/ipcidr/32',
+  '/ip6/fc00::/ipcidr/7',
+  '/ip6/fe80::/ipcidr/10'
+]
+
 /**
  * @type {Record<string, Transformer>}
  */
 export const profiles = {
   server: {
-    description: 'Recommended for nodes with public IPv4 address (servers, VPSes, etc.), disables host and content discovery and UPnP in local networks.',
+    description: 'Recommended for nodes with public IPv4 address (servers, VPSes, etc.), disables host and content discovery, UPnP and connections to private IP ranges in local networks.',
     transform: (config) => {
       set(config, 'Discovery.MDNS.Enabled', false)
       set(config, 'Discovery.webRTCStar.Enabled', false)
       config.Swarm = {
         ...(config.Swarm || {}),
-        DisableNatPortMap: true
+        DisableNatPortMap: true,
+        AddrFilters: PRIVATE_ADDR_FILTERS
       }
 
       return config
@@ -33,7 +54,8 @@ export const profiles = {
       set(config, 'Discovery.webRTCStar.Enabled', true)
       set(config, 'Swarm', {
         ...(config.Swarm || {}),
-        DisableNatPortMap: false
+        DisableNatPortMap: false,
+        AddrFilters: []
       })
 
       return config
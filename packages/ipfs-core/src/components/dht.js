@@ -7,15 +7,34 @@ import { base36 } from 'multiformats/bases/base36'
 import { concat as uint8ArrayConcat } from 'uint8arrays/concat'
 import { fromString as uint8ArrayFromString } from 'uint8arrays/from-string'
 import { peerIdFromString } from '@libp2p/peer-id'
+import { identity } from 'multiformats/hashes/identity'
+import drain from 'it-drain'
+import map from 'it-map'
+import parallel from 'it-parallel'
+import { pipe } from 'it-pipe'
+import hashlru from 'hashlru'
+import { PROVIDED } from 'ipfs-core-utils/dht-events'
+import { getLinks } from './refs/index.js'
 
 /**
  * @typedef {import('@libp2p/interface-dht').QueryEvent} QueryEvent
  * @typedef {import('./network').Network} Network
  * @typedef {import('@libp2p/interface-peer-id').PeerId} PeerId
+ * @typedef {import('@libp2p/interface-dht').DHT} DHT
+ * @typedef {import('ipfs-core-types/src/dht').ProvidedEvent} ProvidedEvent
+ * @typedef {import('ipfs-core-types/src/dht').DHTProvideOptions} DHTProvideOptions
  */
 
 const IPNS_PREFIX = '/ipns/'
 
+// how many blocks are announced at once by a recursive provide
+const DEFAULT_PROVIDE_CONCURRENCY = 4
+
+// how many CIDs a recursive provide remembers to skip blocks that appear more
+// than once in the DAG. Older ones are forgotten so a huge DAG may have some
+// of its blocks announced twice.
+const MAX_SEEN = 10000
+
 /**
  * @param {string} str
  */
@@ -63,13 +82,94 @@ function toDHTKey (str) {
   ])
 }
 
+/**
+ * Yields the CID of every block in the DAG under the root, depth first so
+ * only the path to the current block is held in memory, throwing if any of
+ * them are not in the local blockstore
+ *
+ * @param {import('ipfs-repo').IPFSRepo} repo
+ * @param {import('ipfs-core-utils/multicodecs').Multicodecs} codecs
+ * @param {CID} root
+ * @param {import('ipfs-core-types/src/utils').AbortOptions} options
+ */
+function walkLocalDag (repo, codecs, root, options) {
+  const seen = hashlru(MAX_SEEN)
+
+  /**
+   * @param {CID} cid
+   * @returns {AsyncGenerator<CID, void, undefined>}
+   */
+  async function * walk (cid) {
+    if (options.signal?.aborted) {
+      throw errCode(new Error('Request aborted'), 'ERR_ABORTED', { name: 'Aborted' })
+    }
+
+    if (seen.has(cid.toString())) {
+      return
+    }
+
+    seen.set(cid.toString(), true)
+
+    // identity hashed blocks carry their own data so are never announced
+    if (cid.multihash.code !== identity.code) {
+      if (!await repo.blocks.has(cid, options)) {
+        throw errCode(new Error(`block ${cid} not found locally, cannot provide`), 'ERR_BLOCK_NOT_FOUND')
+      }
+
+      yield cid
+    }
+
+    for await (const link of getLinks(repo, codecs, cid, options)) {
+      yield * walk(link.cid)
+    }
+  }
+
+  return walk(root)
+}
+
+/**
+ * Announces every block in the DAG under the root, yielding an event as each
+ * one completes
+ *
+ * @param {DHT} dht
+ * @param {import('ipfs-repo').IPFSRepo} repo
+ * @param {import('ipfs-core-utils/multicodecs').Multicodecs} codecs
+ * @param {CID} root
+ * @param {DHTProvideOptions} options
+ * @returns {AsyncIterable<ProvidedEvent>}
+ */
+function provideRecursive (dht, repo, codecs, root, options) {
+  return pipe(
+    walkLocalDag(repo, codecs, root, options),
+    source => map(source, cid => async () => {
+      await drain(dht.provide(cid, {
+        signal: options.signal
+      }))
+
+      /** @type {ProvidedEvent} */
+      const event = {
+        name: 'PROVIDED',
+        type: PROVIDED,
+        cid
+      }
+
+      return event
+    }),
+    source => parallel(source, {
+      concurrency: options.concurrency ?? DEFAULT_PROVIDE_CONCURRENCY,
+      ordered: false
+    })
+  )
+}
+
 /**
  * @param {object} config
  * @param {import('../types').NetworkService} config.network
  * @param {import('ipfs-repo').IPFSRepo} config.repo
+ * @param {import('ipfs-core-utils/multicodecs').Multicodecs} config.codecs
  * @param {PeerId} config.peerId
  */
-export function createDht ({ network, repo, peerId }) {
+export function createDht ({ network, repo, codecs, peerId }) {
   const { get, put, findProvs, findPeer, provide, query } = {
     /**
      * @type {import('ipfs-core-types/src/dht').API<{}>["get"]}
@@ -144,15 +244,15 @@ export function createDht ({ network, repo, peerId }) {
         throw errCode(new Error('block(s) not found locally, cannot provide'), 'ERR_BLOCK_NOT_FOUND')
       }
 
-      if (options.recursive) {
-        // TODO: Implement recursive providing
-        throw errCode(new Error('not implemented yet'), 'ERR_NOT_IMPLEMENTED_YET')
-      }
-
       if (libp2p.dht == null) {
         throw errCode(new Error('dht not configured'), 'ERR_DHT_NOT_CONFIGURED')
       }
 
+      if (options.recursive) {
+        yield * provideRecursive(libp2p.dht, repo, codecs, cid, options)
+        return
+      }
+
       yield * libp2p.dht.provide(cid)
     },
 
@@ -0,0 +1,16 @@
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+
+/**
+ * @param {object} config
+ * @param {import('../../utils/command-tracker').CommandTracker} config.commands
+ */
+export function createCmds ({ commands }) {
+  /**
+   * @type {import('ipfs-core-types/src/diag').API<{}>["cmds"]}
+   */
+  async function cmds (_options = {}) {
+    return commands.list()
+  }
+
+  return withTimeoutOption(cmds)
+}
@@ -0,0 +1,18 @@
+import { createCmds } from './cmds.js'
+import { createNet } from './net.js'
+import { createSys } from './sys.js'
+
+export class DiagAPI {
+  /**
+   * @param {object} config
+   * @param {import('../../utils/command-tracker').CommandTracker} config.commands
+   * @param {import('../../types').NetworkService} config.network
+   * @param {import('ipfs-repo').IPFSRepo} config.repo
+   * @param {import('ipfs-core-types/src/root').API<{}>["version"]} config.version
+   */
+  constructor ({ commands, network, repo, version }) {
+    this.cmds = createCmds({ commands })
+    this.net = createNet({ network, repo })
+    this.sys = createSys({ network, repo, version })
+  }
+}
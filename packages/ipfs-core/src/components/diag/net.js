@@ -0,0 +1,81 @@
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+
+/**
+ * @typedef {import('ipfs-core-types/src/diag').NetResult} NetResult
+ * @typedef {import('@multiformats/multiaddr').Multiaddr} Multiaddr
+ */
+
+const CIRCUIT_RELAY_TRANSPORT = 'libp2p/circuit-relay-v1'
+
+/**
+ * libp2p and ipfs-core can depend on different versions of multiaddr
+ *
+ * @param {Pick<Multiaddr, 'protoNames'>} ma
+ */
+const isRelayed = (ma) => ma.protoNames().includes('p2p-circuit')
+
+/**
+ * @param {object} config
+ * @param {import('../../types').NetworkService} config.network
+ * @param {import('ipfs-repo').IPFSRepo} config.repo
+ */
+export function createNet ({ network, repo }) {
+  /**
+   * @type {import('ipfs-core-types/src/diag').API<{}>["net"]}
+   */
+  async function net (options = {}) {
+    const config = await repo.config.getAll(options)
+    const natEnabled = !config.Swarm?.DisableNatPortMap
+    const online = network.try()
+
+    if (online == null) {
+      return {
+        online: false,
+        connections: [],
+        transports: [],
+        listenAddrs: [],
+        announceAddrs: [],
+        nat: { enabled: natEnabled, observedAddrs: [] },
+        relay: { enabled: false, addrs: [], connections: 0 }
+      }
+    }
+
+    const { libp2p } = online
+    // the transport and address managers are not part of the public libp2p interface
+    const { transportManager, addressManager } = /** @type {any} */ (libp2p).components
+    /** @type {string[]} */
+    const transports = transportManager.getTransports().map((/** @type {any} */ transport) => transport[Symbol.toStringTag])
+    const announceAddrs = libp2p.getMultiaddrs()
+
+    const connections = libp2p.getConnections().map(connection => ({
+      id: connection.id,
+      peer: connection.remotePeer.toString(),
+      addr: connection.remoteAddr.toString(),
+      direction: connection.stat.direction,
+      opened: connection.stat.timeline.open,
+      multiplexer: connection.stat.multiplexer,
+      encryption: connection.stat.encryption,
+      streams: connection.streams.length,
+      relayed: isRelayed(connection.remoteAddr)
+    }))
+
+    return {
+      online: true,
+      connections,
+      transports,
+      listenAddrs: transportManager.getAddrs().map((/** @type {Multiaddr} */ ma) => ma.toString()),
+      announceAddrs: announceAddrs.map(ma => ma.toString()),
+      nat: {
+        enabled: natEnabled,
+        observedAddrs: addressManager.getObservedAddrs().map((/** @type {Multiaddr} */ ma) => ma.toString())
+      },
+      relay: {
+        enabled: transports.includes(CIRCUIT_RELAY_TRANSPORT),
+        addrs: announceAddrs.filter(isRelayed).map(ma => ma.toString()),
+        connections: connections.filter(connection => connection.relayed).length
+      }
+    }
+  }
+
+  return withTimeoutOption(net)
+}
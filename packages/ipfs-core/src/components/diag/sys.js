@@ -0,0 +1,36 @@
+import { sysInfo } from 'ipfs-core-config/sys-info'
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+
+/**
+ * @param {object} config
+ * @param {import('../../types').NetworkService} config.network
+ * @param {import('ipfs-repo').IPFSRepo} config.repo
+ * @param {import('ipfs-core-types/src/root').API<{}>["version"]} config.version
+ */
+export function createSys ({ network, repo, version }) {
+  /**
+   * @type {import('ipfs-core-types/src/diag').API<{}>["sys"]}
+   */
+  async function sys (options = {}) {
+    const [stat, versions] = await Promise.all([
+      repo.stat(),
+      version(options)
+    ])
+
+    return {
+      ...sysInfo(),
+      repo: {
+        path: stat.repoPath,
+        version: stat.version,
+        size: Number(stat.repoSize),
+        numObjects: Number(stat.numObjects)
+      },
+      versions,
+      net: {
+        online: network.try() != null
+      }
+    }
+  }
+
+  return withTimeoutOption(sys)
+}
@@ -0,0 +1,17 @@
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+import { requireFilestore } from './utils.js'
+
+/**
+ * @param {object} config
+ * @param {import('ipfs-core-config/filestore').Filestore} [config.filestore]
+ */
+export function createDups ({ filestore }) {
+  /**
+   * @type {import('ipfs-core-types/src/filestore').API<{}>["dups"]}
+   */
+  async function * dups (options = {}) {
+    yield * requireFilestore(filestore).dups()
+  }
+
+  return withTimeoutOption(dups)
+}
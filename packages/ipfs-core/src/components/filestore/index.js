@@ -0,0 +1,19 @@
+import { createDups } from './dups.js'
+import { createLs } from './ls.js'
+import { createVerify } from './verify.js'
+
+/**
+ * @typedef {import('ipfs-core-config/filestore').Filestore} Filestore
+ */
+
+export class FilestoreAPI {
+  /**
+   * @param {object} config
+   * @param {Filestore} [config.filestore]
+   */
+  constructor ({ filestore }) {
+    this.dups = createDups({ filestore })
+    this.ls = createLs({ filestore })
+    this.verify = createVerify({ filestore })
+  }
+}
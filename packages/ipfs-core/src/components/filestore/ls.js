@@ -0,0 +1,17 @@
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+import { listEntries, requireFilestore } from './utils.js'
+
+/**
+ * @param {object} config
+ * @param {import('ipfs-core-config/filestore').Filestore} [config.filestore]
+ */
+export function createLs ({ filestore }) {
+  /**
+   * @type {import('ipfs-core-types/src/filestore').API<{}>["ls"]}
+   */
+  async function * ls (options = {}) {
+    yield * listEntries(requireFilestore(filestore), options)
+  }
+
+  return withTimeoutOption(ls)
+}
@@ -0,0 +1,61 @@
+import errCode from 'err-code'
+
+/**
+ * @typedef {import('ipfs-core-config/filestore').Filestore} Filestore
+ * @typedef {import('ipfs-core-types/src/filestore').FilestoreEntry} FilestoreEntry
+ * @typedef {import('ipfs-core-types/src/filestore').LsOptions} LsOptions
+ */
+
+/**
+ * @param {Filestore} [filestore]
+ * @returns {Filestore}
+ */
+export function requireFilestore (filestore) {
+  if (filestore == null) {
+    throw errCode(new Error('The filestore is not available with this repo'), 'ERR_FILESTORE_NOT_AVAILABLE')
+  }
+
+  return filestore
+}
+
+/**
+ * Yields the requested filestore entries, or all of them, optionally sorted
+ * by the files they reference
+ *
+ * @param {Filestore} filestore
+ * @param {LsOptions} options
+ * @returns {AsyncGenerator<FilestoreEntry>}
+ */
+export async function * listEntries (filestore, options) {
+  /** @type {AsyncIterable<FilestoreEntry>} */
+  let source = filestore.refs()
+
+  if (options.cids != null && options.cids.length > 0) {
+    const cids = options.cids
+
+    source = (async function * () {
+      for (const cid of cids) {
+        yield { cid, ...await filestore.getRef(cid) }
+      }
+    })()
+  }
+
+  if (!options.fileOrder) {
+    yield * source
+    return
+  }
+
+  const entries = []
+
+  for await (const entry of source) {
+    entries.push(entry)
+  }
+
+  yield * entries.sort((a, b) => {
+    if (a.path === b.path) {
+      return a.offset - b.offset
+    }
+
+    return a.path < b.path ? -1 : 1
+  })
+}
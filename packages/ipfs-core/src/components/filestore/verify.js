@@ -0,0 +1,24 @@
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+import { listEntries, requireFilestore } from './utils.js'
+
+/**
+ * @param {object} config
+ * @param {import('ipfs-core-config/filestore').Filestore} [config.filestore]
+ */
+export function createVerify ({ filestore }) {
+  /**
+   * @type {import('ipfs-core-types/src/filestore').API<{}>["verify"]}
+   */
+  async function * verify (options = {}) {
+    const store = requireFilestore(filestore)
+
+    for await (const entry of listEntries(store, options)) {
+      yield {
+        ...entry,
+        ...await store.verify(entry.cid)
+      }
+    }
+  }
+
+  return withTimeoutOption(verify)
+}
@@ -6,11 +6,53 @@ import { CID } from 'multiformats/cid'
 import { pack } from 'it-tar'
 import { pipe } from 'it-pipe'
 import Pako from 'pako'
-import toBuffer from 'it-to-buffer'
+
+/**
+ * @typedef {NonNullable<Pako.DeflateOptions['level']>} CompressionLevel
+ */
 
 // https://www.gnu.org/software/gzip/manual/gzip.html
 const DEFAULT_COMPRESSION_LEVEL = 6
 
+/**
+ * Gzips the source a chunk at a time so the whole archive never has to be
+ * held in memory
+ *
+ * @param {number} level - between -1 and 9
+ */
+function gzip (level) {
+  /**
+   * @param {AsyncIterable<Uint8Array>} source
+   */
+  return async function * (source) {
+    const deflate = new Pako.Deflate({ gzip: true, level: /** @type {CompressionLevel} */ (level) })
+    /** @type {Uint8Array[]} */
+    let output = []
+
+    deflate.onData = (chunk) => {
+      // deflate only emits Uint8Arrays, the wider type is shared with inflate
+      output.push(/** @type {Uint8Array} */ (chunk))
+    }
+
+    for await (const chunk of source) {
+      deflate.push(chunk, false)
+
+      if (output.length) {
+        yield * output
+        output = []
+      }
+    }
+
+    deflate.push(new Uint8Array(0), true)
+
+    if (deflate.err) {
+      throw errCode(new Error(deflate.msg), 'ERR_COMPRESSION_FAILED')
+    }
+
+    yield * output
+  }
+}
+
 /**
  * @typedef {object} Context
  * @property {import('ipfs-repo').IPFSRepo} repo
@@ -65,18 +107,7 @@ export function createGet ({ repo, preload }) {
       }
 
       if (options.compress) {
-        args.push(
-          /**
-           * @param {AsyncIterable<Uint8Array>} source
-           */
-          async function * (source) {
-            const buf = await toBuffer(source)
-
-            yield Pako.gzip(buf, {
-              level: options.compressionLevel || DEFAULT_COMPRESSION_LEVEL
-            })
-          }
-        )
+        args.push(gzip(options.compressionLevel || DEFAULT_COMPRESSION_LEVEL))
       }
 
       // @ts-expect-error cannot derive type
@@ -129,20 +160,7 @@ export function createGet ({ repo, preload }) {
           throw errCode(new Error('file is not regular'), 'ERR_INVALID_PATH')
         }
 
-        if (options.compress) {
-          args.push(
-            /**
-             * @param {AsyncIterable<Uint8Array>} source
-             */
-            async function * (source) {
-              const buf = await toBuffer(source)
-
-              yield Pako.gzip(buf, {
-                level: options.compressionLevel || DEFAULT_COMPRESSION_LEVEL
-              })
-            }
-          )
-        }
+        args.push(gzip(options.compressionLevel || DEFAULT_COMPRESSION_LEVEL))
       }
 
       // @ts-expect-error cannot derive type
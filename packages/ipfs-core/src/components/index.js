@@ -10,6 +10,7 @@ import * as dagJOSE from 'dag-jose'
 import { identity } from 'multiformats/hashes/identity'
 import { bases, hashes, codecs } from 'multiformats/basics'
 import { initAssets } from 'ipfs-core-config/init-assets'
+import { getFilestore } from 'ipfs-core-config/repo'
 import { AlreadyInitializedError } from '../errors.js'
 import { fromString as uint8ArrayFromString } from 'uint8arrays/from-string'
 import { TimeoutController } from 'timeout-abort-controller'
@@ -20,6 +21,8 @@ import { createDns } from './dns.js'
 import { createIsOnline } from './is-online.js'
 import { createResolve } from './resolve.js'
 import { PinAPI } from './pin/index.js'
+import { PinStatusPoller } from './pin/remote/poller.js'
+import { GCScheduler } from './repo/gc-scheduler.js'
 import { IPNSAPI } from './ipns.js'
 import { NameAPI } from './name/index.js'
 import { createRefs } from './refs/index.js'
@@ -42,7 +45,11 @@ import { StatsAPI } from './stats/index.js'
 import { Storage } from './storage.js'
 import { Network } from './network.js'
 import { Service } from '../utils/service.js'
+import { CommandTracker } from '../utils/command-tracker.js'
 import { SwarmAPI } from './swarm/index.js'
+import { LogAPI } from './log/index.js'
+import { DiagAPI } from './diag/index.js'
+import { FilestoreAPI } from './filestore/index.js'
 import { createPing } from './ping.js'
 import { createDht } from './dht.js'
 import { createPubsub } from './pubsub.js'
@@ -70,11 +77,14 @@ class IPFS {
    * @param {Print} config.print
    * @param {Storage} config.storage
    * @param {import('ipfs-core-utils/multicodecs').Multicodecs} config.codecs
+   * @param {Multihashes} config.hashers
    * @param {Options} config.options
    */
-  constructor ({ print, storage, codecs, options }) {
+  constructor ({ print, storage, codecs, hashers, options }) {
     const { peerId, repo, keychain } = storage
+    const filestore = getFilestore(repo)
     const network = Service.create(Network)
+    const commands = new CommandTracker()
 
     const preload = createPreloader(options.preload)
 
@@ -84,15 +94,7 @@ class IPFS {
     // libp2p can be a function, while IPNS router config expects libp2p config
     const ipns = new IPNSAPI(options)
 
-    /** @type {MultihashHasher[]} */
-    const multihashHashers = Object.values(hashes);
-
-    (options.ipld && options.ipld.hashers ? options.ipld.hashers : []).forEach(hasher => multihashHashers.push(hasher))
-
-    this.hashers = new Multihashes({
-      hashers: multihashHashers,
-      loadHasher: options.ipld && options.ipld.loadHasher
-    })
+    this.hashers = hashers
 
     /** @type {MultibaseCodec[]} */
     const multibaseCodecs = Object.values(bases);
@@ -104,7 +106,13 @@ class IPFS {
       loadBase: options.ipld && options.ipld.loadBase
     })
 
-    const pin = new PinAPI({ repo, codecs })
+    const pinPoller = new PinStatusPoller()
+    const gcScheduler = new GCScheduler({
+      repo,
+      hashers: this.hashers,
+      enabled: options.gc && options.gc.enabled
+    })
+    const pin = new PinAPI({ repo, codecs, hashers: this.hashers, poller: pinPoller })
     const block = new BlockAPI({ codecs, hashers: this.hashers, preload, repo })
 
     const name = new NameAPI({
@@ -128,7 +136,8 @@ class IPFS {
       preload,
       repo,
       options: options.EXPERIMENTAL,
-      hashers: this.hashers
+      hashers: this.hashers,
+      filestore
     })
 
     const files = createFiles({
@@ -159,6 +168,7 @@ class IPFS {
       preload,
       ipns,
       mfsPreload,
+      gcScheduler,
       print,
       keychain,
       hashers: this.hashers,
@@ -170,10 +180,12 @@ class IPFS {
       preload,
       mfsPreload,
       ipns,
+      pinPoller,
+      gcScheduler,
       repo
     })
 
-    this.dht = createDht({ network, repo, peerId })
+    this.dht = createDht({ network, repo, codecs, peerId })
     this.pubsub = createPubsub({ network, config: options.config })
     this.dns = dns
     this.isOnline = isOnline
@@ -192,11 +204,14 @@ class IPFS {
 
     this.dag = dag
     this.files = files
+    this.filestore = new FilestoreAPI({ filestore })
     this.key = new KeyAPI({ keychain })
     this.object = new ObjectAPI({ preload, codecs, repo })
-    this.repo = new RepoAPI({ repo, hashers: this.hashers })
+    this.repo = new RepoAPI({ repo, codecs, hashers: this.hashers, gcScheduler })
     this.stats = new StatsAPI({ repo, network })
-    this.swarm = new SwarmAPI({ network })
+    this.swarm = new SwarmAPI({ network, repo })
+    this.log = new LogAPI()
+    this.diag = new DiagAPI({ commands, network, repo, version: this.version })
 
     // For the backwards compatibility
     Object.defineProperty(this, 'libp2p', {
@@ -208,21 +223,13 @@ class IPFS {
 
     // unimplemented methods
     const notImplemented = () => Promise.reject(errCode(new Error('Not implemented'), 'ERR_NOT_IMPLEMENTED'))
-    const notImplementedIter = async function * () { throw errCode(new Error('Not implemented'), 'ERR_NOT_IMPLEMENTED') } // eslint-disable-line require-yield
     this.commands = notImplemented
-    this.diag = {
-      cmds: notImplemented,
-      net: notImplemented,
-      sys: notImplemented
-    }
-    this.log = {
-      level: notImplemented,
-      ls: notImplemented,
-      tail: notImplementedIter
-    }
     this.mount = notImplemented
 
     this.codecs = codecs
+
+    // record calls made to the API so they can be listed by `ipfs.diag.cmds`
+    commands.track(this)
   }
 
   /**
@@ -299,11 +306,21 @@ export async function create (options = {}) {
     loadCodec: options.ipld && options.ipld.loadCodec
   })
 
+  /** @type {MultihashHasher[]} */
+  const multihashHashers = Object.values(hashes);
+
+  (options.ipld && options.ipld.hashers ? options.ipld.hashers : []).forEach(hasher => multihashHashers.push(hasher))
+
+  const multihashes = new Multihashes({
+    hashers: multihashHashers,
+    loadHasher: options.ipld && options.ipld.loadHasher
+  })
+
   // eslint-disable-next-line no-console
   const print = options.silent ? log : console.log
 
   log('creating repo')
-  const storage = await Storage.start(print, multicodecs, options)
+  const storage = await Storage.start(print, multicodecs, multihashes, options)
 
   log('getting repo config')
   const config = await storage.repo.config.getAll()
@@ -312,6 +329,7 @@ export async function create (options = {}) {
     storage,
     print,
     codecs: multicodecs,
+    hashers: multihashes,
     options: { ...options, config }
   })
 
@@ -82,15 +82,21 @@ export class IPNSAPI {
    * @param {import('ipfs-repo').IPFSRepo} config.repo
    * @param {import('@libp2p/interface-peer-id').PeerId} config.peerId
    * @param {import('@libp2p/interface-keychain').KeyChain} config.keychain
+   * @param {import('../delegated-routing').DelegatedRouting} [config.delegatedRouting]
    */
-  async startOnline ({ libp2p, repo, peerId, keychain }) {
+  async startOnline ({ libp2p, repo, peerId, keychain, delegatedRouting }) {
     if (this.online != null) {
       throw new AlreadyInitializedError()
     }
-    const routing = createRouting({ libp2p, repo, peerId, options: this.options })
+    const routing = createRouting({ libp2p, repo, peerId, options: this.options, delegatedRouting })
+
+    // read the Ipns settings from the repo in case they have changed since the
+    // node was created
+    /** @type {import('ipfs-core-types/src/config').Config} */
+    const config = await repo.config.getAll()
 
     // @ts-expect-error routing is a TieredDatastore which wants keys to be Keys, IPNS needs keys to be Uint8Arrays
-    const ipns = new IPNS(routing, repo.datastore, peerId, keychain, this.options)
+    const ipns = new IPNS(routing, repo.datastore, peerId, keychain, { ...this.options, config })
     await ipns.republisher.start()
     this.online = ipns
   }
@@ -107,7 +113,7 @@ export class IPNSAPI {
    * @param {PeerId} peerId
    * @param {Uint8Array} value
    * @param {number} lifetime
-   * @param {AbortOptions} [options]
+   * @param {import('../ipns/publisher').PublishOptions} [options]
    */
   publish (peerId, value, lifetime, options) {
     return this.getIPNS().publish(peerId, value, lifetime, options)
@@ -125,6 +131,34 @@ export class IPNSAPI {
     return this.getIPNS().resolve(name, options)
   }
 
+  /**
+   * @param {PeerId} peerId
+   * @param {AbortOptions} [options]
+   */
+  get (peerId, options) {
+    return this.getIPNS().get(peerId, options)
+  }
+
+  /**
+   * @param {PeerId} peerId
+   * @param {Uint8Array} record
+   * @param {AbortOptions & { force?: boolean }} [options]
+   */
+  put (peerId, record, options) {
+    return this.getIPNS().put(peerId, record, options)
+  }
+
+  /**
+   * @param {AbortOptions & { names?: string[] }} [options]
+   */
+  republish (options) {
+    return this.getIPNS().republisher.republish(options)
+  }
+
+  republishStatus () {
+    return this.getIPNS().republisher.status()
+  }
+
   /**
    * @param {PeerId} peerId
    * @param {Uint8Array} value
@@ -2,10 +2,6 @@ import get from 'dlv'
 import mergeOpts from 'merge-options'
 import errCode from 'err-code'
 import { routers } from 'ipfs-core-config/libp2p-pubsub-routers'
-import { delegatedPeerRouting } from '@libp2p/delegated-peer-routing'
-import { delegatedContentRouting } from '@libp2p/delegated-content-routing'
-import { create as ipfsHttpClient } from 'ipfs-http-client'
-import { multiaddr } from '@multiformats/multiaddr'
 import { ipfsCore as pkgversion } from '../version.js'
 import { libp2pConfig as getEnvLibp2pOptions } from 'ipfs-core-config/libp2p'
 import { createLibp2p as createNode } from 'libp2p'
@@ -16,6 +12,10 @@ import { ipnsSelector } from 'ipns/selector'
 import { webSockets } from '@libp2p/websockets'
 import { mplex } from '@libp2p/mplex'
 import { noise } from '@chainsafe/libp2p-noise'
+import { preSharedKey } from 'libp2p/pnet'
+import getDefaultConfig from 'ipfs-core-config/config'
+import { BandwidthMetrics } from '../utils/bandwidth-metrics.js'
+import { DelegatedRouting } from '../delegated-routing.js'
 
 const mergeOptions = mergeOpts.bind({ ignoreUndefined: true, concatArrays: true })
 
@@ -35,6 +35,7 @@ const mergeOptions = mergeOpts.bind({ ignoreUndefined: true, concatArrays: true
  * @typedef {import('../types').Options} IPFSOptions
  * @typedef {import('libp2p').Libp2p} LibP2P
  * @typedef {import('libp2p').Libp2pOptions} Libp2pOptions
+ * @typedef {import('libp2p').Libp2pInit} Libp2pInit
  * @typedef {import('ipfs-core-types/src/config').Config} IPFSConfig
  * @typedef {import('@multiformats/multiaddr').Multiaddr} Multiaddr
  */
@@ -47,6 +48,9 @@ const mergeOptions = mergeOpts.bind({ ignoreUndefined: true, concatArrays: true
  * @param {Multiaddr[]|undefined} config.multiaddrs
  * @param {KeychainConfig|undefined} config.keychainConfig
  * @param {Partial<IPFSConfig>|undefined} config.config
+ * @param {Uint8Array} [config.swarmKey] - the pre-shared key of a private network to join
+ * @param {import('../addr-filters').AddrFilters} [config.addrFilters]
+ * @param {DelegatedRouting} [config.delegatedRouting] - receives the configured delegates
  */
 export function createLibp2p ({
   options = {},
@@ -54,7 +58,10 @@ export function createLibp2p ({
   multiaddrs = [],
   repo,
   keychainConfig = {},
-  config = {}
+  config = {},
+  swarmKey,
+  addrFilters,
+  delegatedRouting
 }) {
   const { datastore } = repo
 
@@ -64,7 +71,10 @@ export function createLibp2p ({
     datastore,
     keychainConfig,
     peerId,
-    multiaddrs
+    multiaddrs,
+    swarmKey,
+    addrFilters,
+    delegatedRouting
   })
 
   if (typeof options.libp2p === 'function') {
@@ -85,9 +95,12 @@ export function createLibp2p ({
  * @param {KeychainConfig} input.keychainConfig
  * @param {PeerId} input.peerId
  * @param {Multiaddr[]} input.multiaddrs
+ * @param {Uint8Array} [input.swarmKey]
+ * @param {import('../addr-filters').AddrFilters} [input.addrFilters]
+ * @param {DelegatedRouting} [input.delegatedRouting]
  * @returns {Libp2pOptions}
  */
-function getLibp2pOptions ({ options, config, datastore, keychainConfig, peerId, multiaddrs }) {
+function getLibp2pOptions ({ options, config, datastore, keychainConfig, peerId, multiaddrs, swarmKey, addrFilters, delegatedRouting = new DelegatedRouting() }) {
   const getPubsubRouter = () => {
     const router = get(config, 'Pubsub.Router') || 'gossipsub'
 
@@ -165,7 +178,21 @@ function getLibp2pOptions ({ options, config, datastore, keychainConfig, peerId,
     })
   }
 
-  const boostrapNodes = get(options, 'config.Bootstrap', get(config, 'Bootstrap', []))
+  if (addrFilters != null) {
+    libp2pOptions.connectionGater = addrFilters.connectionGater()
+  }
+
+  if (swarmKey != null) {
+    libp2pOptions.connectionProtector = preSharedKey({
+      psk: swarmKey
+    })
+  }
+
+  const boostrapNodes = withoutPublicAddrs(
+    get(options, 'config.Bootstrap', get(config, 'Bootstrap', [])),
+    swarmKey,
+    getDefaultConfig().Bootstrap
+  )
 
   if (boostrapNodes.length > 0) {
     libp2pOptions.peerDiscovery?.push(
@@ -192,26 +219,20 @@ function getLibp2pOptions ({ options, config, datastore, keychainConfig, peerId,
   )
 
   // Set up Delegate Routing based on the presence of Delegates in the config
-  const delegateHosts = get(options, 'config.Addresses.Delegates',
-    get(config, 'Addresses.Delegates', [])
+  const delegateHosts = withoutPublicAddrs(
+    get(options, 'config.Addresses.Delegates', get(config, 'Addresses.Delegates', [])),
+    swarmKey,
+    getDefaultConfig().Addresses.Delegates
   )
 
-  if (delegateHosts.length > 0) {
-    // Pick a random delegate host
-    const delegateString = delegateHosts[Math.floor(Math.random() * delegateHosts.length)]
-    const delegateAddr = multiaddr(delegateString).toOptions()
-    const delegateApiOptions = {
-      host: delegateAddr.host,
-      // port is a string atm, so we need to convert for the check
-      // @ts-expect-error - parseInt(input:string) => number
-      protocol: parseInt(delegateAddr.port) === 443 ? 'https' : 'http',
-      port: delegateAddr.port
-    }
-
-    const delegateHttpClient = ipfsHttpClient(delegateApiOptions)
+  for (const delegate of delegateHosts) {
+    delegatedRouting.add(delegate)
+  }
 
-    libp2pFinalConfig.contentRouters?.push(delegatedContentRouting(delegateHttpClient))
-    libp2pFinalConfig.peerRouters?.push(delegatedPeerRouting(delegateHttpClient))
+  if (delegatedRouting.delegates.length > 0) {
+    // all delegates are queried through one router so they can fail over
+    libp2pFinalConfig.contentRouters?.push(() => delegatedRouting)
+    libp2pFinalConfig.peerRouters?.push(() => delegatedRouting)
   }
 
   // TODO: fixme
@@ -243,5 +264,32 @@ function getLibp2pOptions ({ options, config, datastore, keychainConfig, peerId,
     libp2pFinalConfig.transports.push(webSockets())
   }
 
+  // count bytes transferred for `ipfs.stats.bw`, forwarding to any other
+  // metrics implementation that has been configured
+  const metrics = /** @type {Libp2pInit['metrics']} */ (libp2pFinalConfig.metrics)
+
+  /** @type {Libp2pInit['metrics']} */
+  const bandwidthMetrics = (components) => new BandwidthMetrics({
+    metrics: metrics?.(components)
+  })
+  libp2pFinalConfig.metrics = bandwidthMetrics
+
   return libp2pFinalConfig
 }
+
+/**
+ * Peers outside of a private network cannot be connected to so remove the
+ * public nodes that are in the default config, leaving any that have been
+ * set up for the private network
+ *
+ * @param {string[]} addrs
+ * @param {Uint8Array | undefined} swarmKey
+ * @param {string[]} publicAddrs
+ */
+function withoutPublicAddrs (addrs, swarmKey, publicAddrs) {
+  if (swarmKey == null) {
+    return addrs
+  }
+
+  return addrs.filter(addr => !publicAddrs.includes(addr))
+}
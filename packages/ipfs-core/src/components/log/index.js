@@ -0,0 +1,11 @@
+import { createLevel } from './level.js'
+import { createLs } from './ls.js'
+import { createTail } from './tail.js'
+
+export class LogAPI {
+  constructor () {
+    this.level = createLevel()
+    this.ls = createLs()
+    this.tail = createTail()
+  }
+}
@@ -0,0 +1,17 @@
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+import { setLevel } from './registry.js'
+
+export function createLevel () {
+  /**
+   * @type {import('ipfs-core-types/src/log').API<{}>["level"]}
+   */
+  async function level (subsystem, level, _options = {}) { // eslint-disable-line require-await
+    setLevel(subsystem, level)
+
+    return {
+      message: `Changed log level of '${subsystem}' to '${level}'`
+    }
+  }
+
+  return withTimeoutOption(level)
+}
@@ -0,0 +1,13 @@
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+import { listSubsystems } from './registry.js'
+
+export function createLs () {
+  /**
+   * @type {import('ipfs-core-types/src/log').API<{}>["ls"]}
+   */
+  async function ls (_options = {}) { // eslint-disable-line require-await
+    return listSubsystems()
+  }
+
+  return withTimeoutOption(ls)
+}
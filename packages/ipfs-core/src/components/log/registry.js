@@ -0,0 +1,237 @@
+import debug from 'debug'
+import errCode from 'err-code'
+
+/**
+ * Keeps track of every logger created via `@libp2p/logger` (which is built on
+ * `debug`) so they can be listed, have their levels changed at runtime and
+ * have their output streamed to `ipfs.log.tail` subscribers.
+ *
+ * This module must be evaluated before dependencies create their loggers so
+ * it is the first thing imported by the package entry point.
+ *
+ * @typedef {import('ipfs-core-types/src/log').LogEvent} LogEvent
+ * @typedef {import('debug').Debugger} Debugger
+ *
+ * @typedef {object} DebugEnv
+ * @property {(instance: Debugger) => void} [init] - called by `debug` for every logger it creates, missing from its type definitions
+ */
+
+/**
+ * Levels understood by go-ipfs, mapped to whether they enable the debug and
+ * error output of a `@libp2p/logger` logger
+ *
+ * @type {Record<string, { debug: boolean, error: boolean }>}
+ */
+const LEVELS = {
+  debug: { debug: true, error: true },
+  info: { debug: true, error: true },
+  warn: { debug: false, error: true },
+  error: { debug: false, error: true },
+  dpanic: { debug: false, error: false },
+  panic: { debug: false, error: false },
+  fatal: { debug: false, error: false }
+}
+
+const ALL = ['all', '*']
+
+/** @type {Set<string>} */
+const subsystems = new Set()
+
+/** @type {Set<(event: LogEvent) => void>} */
+const subscribers = new Set()
+
+/** @type {Map<string, string>} */
+const levels = new Map()
+
+/** @type {string | undefined} */
+let initialNamespaces
+
+/**
+ * `@libp2p/logger` creates `<name>`, `<name>:error` and `<name>:trace` loggers
+ *
+ * @param {string} namespace
+ */
+function parseNamespace (namespace) {
+  const match = namespace.match(/^(.*):(error|trace)$/)
+
+  if (match) {
+    return { subsystem: match[1], level: match[2] }
+  }
+
+  return { subsystem: namespace, level: 'debug' }
+}
+
+/**
+ * @param {any} arg
+ */
+function formatArg (arg) {
+  if (typeof arg === 'string') {
+    return arg
+  }
+
+  if (arg instanceof Error) {
+    return arg.stack || arg.message
+  }
+
+  try {
+    return JSON.stringify(arg)
+  } catch {
+    return String(arg)
+  }
+}
+
+// loggers are only ever created, never registered anywhere, so the only way
+// to list them is to hear about them as `debug` sets each one up. Nothing else
+// about how loggers behave is changed.
+const env = /** @type {DebugEnv} */ (debug)
+const init = env.init
+
+env.init = function (/** @type {Debugger} */ instance) {
+  subsystems.add(parseNamespace(instance.namespace).subsystem)
+
+  if (init) {
+    init(instance)
+  }
+}
+
+/**
+ * Substitutes the `%s`, `%d` etc placeholders that `debug` leaves for
+ * `console.log` to handle
+ *
+ * @param {any[]} args
+ */
+function formatMessage (args) {
+  let index = 1
+  /** @type {any[]} */
+  let rest = args
+
+  if (typeof args[0] === 'string') {
+    const msg = args[0].replace(/%([sdifjoOc%])/g, (match, format) => {
+      if (format === '%') {
+        return '%'
+      }
+
+      if (index >= args.length) {
+        return match
+      }
+
+      const arg = args[index++]
+
+      if (format === 'c') {
+        // css is meaningless outside of a browser console
+        return ''
+      }
+
+      if (format === 'd' || format === 'i') {
+        return String(parseInt(arg, 10))
+      }
+
+      if (format === 'f') {
+        return String(parseFloat(arg))
+      }
+
+      return formatArg(arg)
+    })
+
+    rest = [msg, ...args.slice(index)]
+  }
+
+  return rest.map(formatArg).join(' ')
+}
+
+const formatArgs = debug.formatArgs
+
+/**
+ * Passes what enabled loggers write to subscribers. It is called after custom
+ * formatters such as `%p` have been applied but before the namespace prefix
+ * has been added, and is only in place while there are subscribers.
+ *
+ * @this {Debugger}
+ * @param {any[]} args
+ */
+function publish (args) {
+  const { subsystem, level } = parseNamespace(this.namespace)
+  /** @type {LogEvent} */
+  const event = {
+    level,
+    ts: new Date().toISOString(),
+    logger: subsystem,
+    msg: formatMessage(args)
+  }
+
+  subscribers.forEach(subscriber => subscriber(event))
+  formatArgs.call(this, args)
+}
+
+/**
+ * Returns the names of all known subsystems
+ */
+export function listSubsystems () {
+  return [...subsystems].sort()
+}
+
+/**
+ * Changes the level of a subsystem, or every subsystem if `all` or `*` is
+ * passed. Loggers enabled by the `DEBUG` environment variable stay enabled
+ * unless a level that disables them is set explicitly.
+ *
+ * @param {string} subsystem
+ * @param {string} level
+ */
+export function setLevel (subsystem, level) {
+  if (!LEVELS[level]) {
+    throw errCode(new Error(`invalid log level "${level}", must be one of ${Object.keys(LEVELS).join(', ')}`), 'ERR_INVALID_LOG_LEVEL')
+  }
+
+  if (!subsystem) {
+    throw errCode(new Error('subsystem is required'), 'ERR_INVALID_LOG_SUBSYSTEM')
+  }
+
+  if (initialNamespaces === undefined) {
+    // remember what the `DEBUG` environment variable enabled, the namespaces
+    // are enabled again below
+    initialNamespaces = debug.disable()
+  }
+
+  if (ALL.includes(subsystem)) {
+    levels.clear()
+    levels.set('*', level)
+  } else {
+    levels.set(subsystem, level)
+  }
+
+  /** @type {string[]} */
+  const namespaces = initialNamespaces ? [initialNamespaces] : []
+
+  for (const [name, level] of levels.entries()) {
+    const { debug: enableDebug, error: enableError } = LEVELS[level]
+
+    if (name !== '*') {
+      namespaces.push(enableDebug ? name : `-${name}`)
+      namespaces.push(enableError ? `${name}:error` : `-${name}:error`)
+    } else if (enableDebug) {
+      namespaces.push('*')
+    } else if (enableError) {
+      // subsystem specific levels add to, or skip from, this
+      namespaces.push('*:error')
+    }
+  }
+
+  debug.enable(namespaces.filter(Boolean).join(','))
+}
+
+/**
+ * @param {(event: LogEvent) => void} subscriber
+ */
+export function subscribe (subscriber) {
+  subscribers.add(subscriber)
+  debug.formatArgs = publish
+
+  return () => {
+    subscribers.delete(subscriber)
+
+    if (subscribers.size === 0) {
+      debug.formatArgs = formatArgs
+    }
+  }
+}
@@ -0,0 +1,30 @@
+import { pushable } from 'it-pushable'
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+import { subscribe } from './registry.js'
+
+/**
+ * @typedef {import('ipfs-core-types/src/log').LogEvent} LogEvent
+ */
+
+export function createTail () {
+  /**
+   * @type {import('ipfs-core-types/src/log').API<{}>["tail"]}
+   */
+  async function * tail (options = {}) {
+    /** @type {import('it-pushable').Pushable<LogEvent>} */
+    const events = pushable({ objectMode: true })
+    const unsubscribe = subscribe(event => events.push(event))
+    const onAbort = () => events.end()
+
+    options.signal?.addEventListener('abort', onAbort)
+
+    try {
+      yield * events
+    } finally {
+      unsubscribe()
+      options.signal?.removeEventListener('abort', onAbort)
+    }
+  }
+
+  return withTimeoutOption(tail)
+}
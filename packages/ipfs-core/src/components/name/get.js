@@ -0,0 +1,26 @@
+import errcode from 'err-code'
+import { OFFLINE_ERROR } from '../../utils.js'
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+import { nameToPeerId } from './utils.js'
+
+/**
+ * @param {object} config
+ * @param {import('../ipns').IPNSAPI} config.ipns
+ * @param {import('ipfs-core-types/src/root').API<{}>["isOnline"]} config.isOnline
+ * @param {import('../../types').Options} config.options
+ */
+export function createGet ({ ipns, isOnline, options: { offline } }) {
+  /**
+   * @type {import('ipfs-core-types/src/name').API<{}>["get"]}
+   */
+  async function get (name, options = {}) {
+    // same as resolve, records are only read locally if the node is configured to be offline
+    if (!isOnline() && !offline) {
+      throw errcode(new Error(OFFLINE_ERROR), 'OFFLINE_ERROR')
+    }
+
+    return ipns.get(nameToPeerId(name), options)
+  }
+
+  return withTimeoutOption(get)
+}
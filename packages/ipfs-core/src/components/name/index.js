@@ -1,6 +1,10 @@
+import { createGet } from './get.js'
+import { createInspect } from './inspect.js'
 import { createPublish } from './publish.js'
+import { createPut } from './put.js'
 import { createResolve } from './resolve.js'
 import { PubSubAPI } from './pubsub/index.js'
+import { RepublishAPI } from './republish/index.js'
 
 export class NameAPI {
   /**
@@ -17,6 +21,10 @@ export class NameAPI {
   constructor ({ dns, ipns, repo, codecs, peerId, isOnline, keychain, options }) {
     this.publish = createPublish({ ipns, repo, codecs, peerId, isOnline, keychain })
     this.resolve = createResolve({ dns, ipns, isOnline, options })
+    this.get = createGet({ ipns, isOnline, options })
+    this.put = createPut({ ipns, isOnline })
+    this.inspect = createInspect()
     this.pubsub = new PubSubAPI({ ipns, options })
+    this.republish = new RepublishAPI({ ipns, peerId, isOnline, keychain })
   }
 }
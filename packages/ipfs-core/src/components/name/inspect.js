@@ -0,0 +1,62 @@
+import * as ipns from 'ipns'
+import { ipnsValidator } from 'ipns/validator'
+import errcode from 'err-code'
+import { toString as uint8ArrayToString } from 'uint8arrays/to-string'
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+import { nameToPeerId } from './utils.js'
+
+/**
+ * Decodes a raw IPNS record without needing it to be stored anywhere, so
+ * records can be checked before they are put
+ */
+export function createInspect () {
+  /**
+   * @type {import('ipfs-core-types/src/name').API<{}>["inspect"]}
+   */
+  async function inspect (record, options = {}) {
+    /** @type {import('ipns').IPNSEntry} */
+    let entry
+
+    try {
+      entry = ipns.unmarshal(record)
+    } catch (/** @type {any} */ err) {
+      throw errcode(new Error(`invalid ipns record - ${err.message}`), 'ERR_INVALID_RECORD_DATA')
+    }
+
+    // validity is RFC3339 with nanosecond precision, Date keeps milliseconds
+    const validity = new Date(uint8ArrayToString(entry.validity))
+
+    /** @type {import('ipfs-core-types/src/name').InspectResult} */
+    const result = {
+      value: uint8ArrayToString(entry.value),
+      validityType: entry.validityType,
+      validity,
+      expired: validity.getTime() < Date.now(),
+      sequence: entry.sequence,
+      ttl: entry.ttl,
+      publicKey: entry.pubKey,
+      signatureV1: entry.signature != null && entry.signature.length > 0,
+      signatureV2: entry.signatureV2 != null && entry.signatureV2.length > 0
+    }
+
+    if (options.verify != null) {
+      const peerId = nameToPeerId(options.verify)
+
+      result.verification = {
+        name: peerId.toString(),
+        valid: true
+      }
+
+      try {
+        await ipnsValidator(ipns.peerIdToRoutingKey(peerId), record)
+      } catch (/** @type {any} */ err) {
+        result.verification.valid = false
+        result.verification.error = err.message
+      }
+    }
+
+    return result
+  }
+
+  return withTimeoutOption(inspect)
+}
@@ -8,6 +8,7 @@ import { OFFLINE_ERROR, normalizePath } from '../../utils.js'
 import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
 import { resolvePath } from './utils.js'
 import { peerIdFromKeys } from '@libp2p/peer-id'
+import get from 'dlv'
 
 const log = logger('ipfs:name:publish')
 
@@ -23,6 +24,17 @@ const log = logger('ipfs:name:publish')
  * @param {import('@libp2p/interface-keychain').KeyChain} config.keychain
  */
 export function createPublish ({ ipns, repo, codecs, peerId, isOnline, keychain }) {
+  /**
+   * @param {import('ipfs-core-types/src/utils').AbortOptions} options
+   * @returns {Promise<string>}
+   */
+  const defaultLifetime = async (options) => {
+    /** @type {import('ipfs-core-types/src/config').Config} */
+    const config = await repo.config.getAll(options)
+
+    return get(config, 'Ipns.RecordLifetime', '24h')
+  }
+
   /**
    * @param {string} keyName
    */
@@ -51,7 +63,6 @@ export function createPublish ({ ipns, repo, codecs, peerId, isOnline, keychain
    */
   async function publish (value, options = {}) {
     const resolve = !(options.resolve === false)
-    const lifetime = options.lifetime || '24h'
     const key = options.key || 'self'
 
     if (!isOnline()) {
@@ -67,6 +78,7 @@ export function createPublish ({ ipns, repo, codecs, peerId, isOnline, keychain
       throw err
     }
 
+    const lifetime = options.lifetime || await defaultLifetime(options)
     let pubLifetime = 0
     try {
       pubLifetime = parseDuration(lifetime) || 0
@@ -78,7 +90,17 @@ export function createPublish ({ ipns, repo, codecs, peerId, isOnline, keychain
       throw err
     }
 
-    // TODO: ttl human for cache
+    /** @type {number | undefined} */
+    let ttl
+
+    if (options.ttl != null && options.ttl !== '') {
+      ttl = parseDuration(options.ttl) ?? undefined
+
+      if (ttl == null || ttl < 0) {
+        throw errcode(new Error(`Invalid TTL "${options.ttl}"`), 'ERR_INVALID_TTL')
+      }
+    }
+
     const results = await Promise.all([
       // verify if the path exists, if not, an error will stop the execution
       lookupKey(key),
@@ -89,7 +111,10 @@ export function createPublish ({ ipns, repo, codecs, peerId, isOnline, keychain
     const bytes = uint8ArrayFromString(value)
 
     // Start publishing process
-    const result = await ipns.publish(results[0], bytes, pubLifetime, options)
+    const result = await ipns.publish(results[0], bytes, pubLifetime, {
+      signal: options.signal,
+      ttl
+    })
 
     return {
       name: result.name,
@@ -0,0 +1,24 @@
+import errcode from 'err-code'
+import { OFFLINE_ERROR } from '../../utils.js'
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+import { nameToPeerId } from './utils.js'
+
+/**
+ * @param {object} config
+ * @param {import('../ipns').IPNSAPI} config.ipns
+ * @param {import('ipfs-core-types/src/root').API<{}>["isOnline"]} config.isOnline
+ */
+export function createPut ({ ipns, isOnline }) {
+  /**
+   * @type {import('ipfs-core-types/src/name').API<{}>["put"]}
+   */
+  async function put (name, record, options = {}) {
+    if (!isOnline() && !options.allowOffline) {
+      throw errcode(new Error(OFFLINE_ERROR), 'OFFLINE_ERROR')
+    }
+
+    await ipns.put(nameToPeerId(name), record, options)
+  }
+
+  return withTimeoutOption(put)
+}
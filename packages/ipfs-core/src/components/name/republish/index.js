@@ -0,0 +1,16 @@
+import { createRun } from './run.js'
+import { createStatus } from './status.js'
+
+export class RepublishAPI {
+  /**
+   * @param {object} config
+   * @param {import('../../ipns').IPNSAPI} config.ipns
+   * @param {import('@libp2p/interface-peer-id').PeerId} config.peerId
+   * @param {import('ipfs-core-types/src/root').API<{}>["isOnline"]} config.isOnline
+   * @param {import('@libp2p/interface-keychain').KeyChain} config.keychain
+   */
+  constructor ({ ipns, peerId, isOnline, keychain }) {
+    this.run = createRun({ ipns, peerId, isOnline, keychain })
+    this.status = createStatus({ ipns })
+  }
+}
@@ -0,0 +1,54 @@
+import errcode from 'err-code'
+import { OFFLINE_ERROR } from '../../../utils.js'
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+
+/**
+ * @param {object} config
+ * @param {import('../../ipns').IPNSAPI} config.ipns
+ * @param {import('@libp2p/interface-peer-id').PeerId} config.peerId
+ * @param {import('ipfs-core-types/src/root').API<{}>["isOnline"]} config.isOnline
+ * @param {import('@libp2p/interface-keychain').KeyChain} config.keychain
+ */
+export function createRun ({ ipns, peerId, isOnline, keychain }) {
+  /**
+   * @param {string} keyName
+   */
+  const lookupName = async keyName => {
+    if (keyName === 'self') {
+      return peerId.toString()
+    }
+
+    try {
+      const { id } = await keychain.findKeyByName(keyName)
+
+      return id
+    } catch (/** @type {any} */ err) {
+      throw errcode(err, 'ERR_CANNOT_GET_KEY')
+    }
+  }
+
+  /**
+   * @type {import('ipfs-core-types/src/name/republish').API<{}>["run"]}
+   */
+  async function run (options = {}) {
+    if (!isOnline()) {
+      throw errcode(new Error(OFFLINE_ERROR), 'OFFLINE_ERROR')
+    }
+
+    if (options.key == null) {
+      return ipns.republish({ signal: options.signal })
+    }
+
+    const name = await lookupName(options.key)
+
+    if (!(await ipns.republishStatus()).some(status => status.name === name)) {
+      throw errcode(new Error(`nothing has been published with the key ${options.key}`), 'ERR_NOT_PUBLISHED')
+    }
+
+    const statuses = await ipns.republish({ names: [name], signal: options.signal })
+
+    return statuses.filter(status => status.name === name)
+  }
+
+  return withTimeoutOption(run)
+}
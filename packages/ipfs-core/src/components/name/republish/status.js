@@ -0,0 +1,16 @@
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+
+/**
+ * @param {object} config
+ * @param {import('../../ipns').IPNSAPI} config.ipns
+ */
+export function createStatus ({ ipns }) {
+  /**
+   * @type {import('ipfs-core-types/src/name/republish').API<{}>["status"]}
+   */
+  async function status (_options = {}) { // eslint-disable-line require-await
+    return ipns.republishStatus()
+  }
+
+  return withTimeoutOption(status)
+}
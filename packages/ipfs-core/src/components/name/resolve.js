@@ -7,7 +7,6 @@ import { base36 } from 'multiformats/bases/base36'
 import { peerIdFromString } from '@libp2p/peer-id'
 // @ts-expect-error no types
 import isDomain from 'is-domain-name'
-import { toString as uint8ArrayToString } from 'uint8arrays/to-string'
 import { OFFLINE_ERROR } from '../../utils.js'
 import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
 const mergeOptions = mergeOpts.bind({ ignoreUndefined: true })
@@ -89,7 +88,7 @@ export function createResolve ({ dns, ipns, isOnline, options: { offline } }) {
     // multihash is valid lets resolve with IPNS
     // TODO: convert ipns.resolve to return an iterator
     const value = await ipns.resolve(`/${namespace}/${hash}`, options)
-    yield appendRemainder(value instanceof Uint8Array ? uint8ArrayToString(value) : value, remainder)
+    yield appendRemainder(value, remainder)
   }
 
   return withTimeoutOption(resolve)
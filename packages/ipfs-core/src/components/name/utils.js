@@ -1,8 +1,31 @@
 import * as isIPFS from 'is-ipfs'
 import { toCidAndPath } from 'ipfs-core-utils/to-cid-and-path'
 import drain from 'it-drain'
+import errcode from 'err-code'
+import { isPeerId } from '@libp2p/interface-peer-id'
+import { peerIdFromString } from '@libp2p/peer-id'
 import { resolve } from '../../utils.js'
 
+/**
+ * Returns the peer id of the key an IPNS name is published under. The name
+ * can be a peer id or a libp2p-key CID with or without an `/ipns/` prefix.
+ *
+ * @param {import('@libp2p/interface-peer-id').PeerId | string} name
+ */
+export function nameToPeerId (name) {
+  if (isPeerId(name)) {
+    return name
+  }
+
+  const str = name.toString().replace(/^\/ipns\//, '')
+
+  try {
+    return peerIdFromString(str)
+  } catch (/** @type {any} */ err) {
+    throw errcode(new Error(`Invalid IPNS name ${name}`), 'ERR_IPNS_INVALID_NAME')
+  }
+}
+
 /**
  * resolves the given path by parsing out protocol-specific entries
  * (e.g. /ipns/<node-key>) and then going through the /ipfs/ entries and returning the final node
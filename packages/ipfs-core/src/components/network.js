@@ -3,6 +3,11 @@ import { createLibp2p } from './libp2p.js'
 import { multiaddr } from '@multiformats/multiaddr'
 import errCode from 'err-code'
 import { BlockStorage } from '../block-storage.js'
+import { Peering } from '../peering.js'
+import { loadSwarmKey, isPrivateNetworkForced } from '../utils/swarm-key.js'
+import { AddrFilters } from '../addr-filters.js'
+import { DelegatedRouting } from '../delegated-routing.js'
+import { PeerLatency } from '../utils/peer-latency.js'
 
 /**
  * @typedef {object} Online
@@ -34,13 +39,21 @@ export class Network {
    * @param {Bitswap} bitswap
    * @param {Repo} repo
    * @param {BlockStorage} blockstore
+   * @param {Peering} peering
+   * @param {AddrFilters} addrFilters
+   * @param {DelegatedRouting} delegatedRouting
+   * @param {PeerLatency} latency
    */
-  constructor (peerId, libp2p, bitswap, repo, blockstore) {
+  constructor (peerId, libp2p, bitswap, repo, blockstore, peering, addrFilters, delegatedRouting, latency) {
     this.peerId = peerId
     this.libp2p = libp2p
     this.bitswap = bitswap
     this.repo = repo
     this.blockstore = blockstore
+    this.peering = peering
+    this.addrFilters = addrFilters
+    this.delegatedRouting = delegatedRouting
+    this.latency = latency
   }
 
   /**
@@ -55,6 +68,14 @@ export class Network {
 
     /** @type {IPFSConfig} */
     const config = await repo.config.getAll()
+    const swarmKey = await loadSwarmKey(repo, options)
+
+    if (swarmKey == null && isPrivateNetworkForced()) {
+      throw errCode(new Error('Private network was forced by LIBP2P_FORCE_PNET but no swarm key was found'), 'ERR_PROTECTOR_REQUIRED')
+    }
+
+    const addrFilters = new AddrFilters(config.Swarm)
+    const delegatedRouting = new DelegatedRouting()
 
     const libp2p = await createLibp2p({
       options,
@@ -62,11 +83,21 @@ export class Network {
       peerId,
       multiaddrs: readAddrs(peerId, config),
       config,
-      keychainConfig: undefined
+      keychainConfig: undefined,
+      swarmKey,
+      addrFilters,
+      delegatedRouting
     })
 
+    // the peering config is validated before anything is started
+    const peering = new Peering(libp2p, config.Peering)
+
     await libp2p.start()
 
+    if (swarmKey != null) {
+      print('Swarm is limited to private network of peers with the swarm key')
+    }
+
     for (const ma of libp2p.getMultiaddrs()) {
       print(`Swarm listening on ${ma.toString()}`)
     }
@@ -84,13 +115,21 @@ export class Network {
     // @ts-expect-error private field
     repo.pins.blockstore = blockstore
 
-    return new Network(peerId, libp2p, bitswap, repo, blockstore)
+    await peering.start()
+
+    const latency = new PeerLatency(libp2p)
+    latency.start()
+
+    return new Network(peerId, libp2p, bitswap, repo, blockstore, peering, addrFilters, delegatedRouting, latency)
   }
 
   /**
    * @param {Network} network
    */
   static async stop (network) {
+    await network.peering.stop()
+    network.latency.stop()
+
     network.repo.blocks = network.blockstore.unwrap()
     // @ts-expect-error private field
     network.repo.pins.blockstore = network.blockstore.unwrap()
@@ -0,0 +1,44 @@
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+import errCode from 'err-code'
+import { CID } from 'multiformats/cid'
+import { createClient } from './utils.js'
+import { toPin } from './client.js'
+
+/**
+ * @param {object} config
+ * @param {import('ipfs-repo').IPFSRepo} config.repo
+ * @param {import('./poller').PinStatusPoller} config.poller
+ */
+export function createAdd ({ repo, poller }) {
+  /**
+   * @type {import('ipfs-core-types/src/pin/remote').API<{}>["add"]}
+   */
+  async function add (cid, options) {
+    const { service, name, origins, background, signal } = options
+
+    if (!CID.asCID(cid)) {
+      throw new TypeError(`CID instance expected instead of ${typeof cid}`)
+    }
+
+    const client = await createClient(repo, service)
+    let status = await client.add({
+      cid,
+      name,
+      origins: origins && origins.map(origin => origin.toString())
+    }, { signal })
+
+    if (background) {
+      poller.track(service, client, status)
+    } else {
+      status = await poller.wait(service, client, status, { signal })
+
+      if (status.status === 'failed') {
+        throw errCode(new Error(`remote service ${service} failed to pin ${cid}`), 'ERR_REMOTE_PIN_FAILED')
+      }
+    }
+
+    return toPin(status)
+  }
+
+  return withTimeoutOption(add)
+}
@@ -0,0 +1,185 @@
+import HTTP from 'ipfs-utils/src/http.js'
+import errCode from 'err-code'
+import { CID } from 'multiformats/cid'
+
+/**
+ * @typedef {import('ipfs-core-types/src/utils').AbortOptions} AbortOptions
+ * @typedef {import('ipfs-core-types/src/pin/remote').Status} Status
+ * @typedef {import('ipfs-core-types/src/pin/remote').Pin} Pin
+ *
+ * @typedef {object} PinStatus
+ * @property {string} requestid
+ * @property {Status} status
+ * @property {string} created
+ * @property {{ cid: string, name?: string, origins?: string[], meta?: Record<string, string> }} pin
+ * @property {string[]} delegates
+ *
+ * @typedef {object} ListQuery
+ * @property {CID[]} [cid]
+ * @property {string} [name]
+ * @property {Status[]} [status]
+ */
+
+// the spec caps the number of results per page and CIDs per query
+const MAX_PAGE_SIZE = 1000
+const MAX_CIDS_PER_QUERY = 10
+
+/**
+ * A minimal client for the IPFS Pinning Service API
+ *
+ * @see https://ipfs.github.io/pinning-services-api-spec/
+ */
+export class PinningServiceClient {
+  /**
+   * @param {object} config
+   * @param {string} config.endpoint
+   * @param {string} config.key
+   */
+  constructor ({ endpoint, key }) {
+    this.endpoint = endpoint
+    this.http = new HTTP({
+      headers: {
+        Authorization: `Bearer ${key}`
+      },
+      handleError: async (response) => {
+        /** @type {string} */
+        let message = `${response.status} ${response.statusText}`
+
+        try {
+          const { error } = await response.json()
+
+          if (error && error.reason) {
+            message = error.details ? `${error.reason}: ${error.details}` : error.reason
+          }
+        } catch {}
+
+        throw errCode(new Error(`remote pinning service error: ${message}`), 'ERR_PINNING_SERVICE', {
+          status: response.status
+        })
+      }
+    })
+  }
+
+  /**
+   * Lists pin requests matching the query, following pagination
+   *
+   * @param {ListQuery & AbortOptions} query
+   * @returns {AsyncIterable<PinStatus>}
+   */
+  async * ls ({ cid, name, status, signal }) {
+    const cids = cid || []
+
+    // without CIDs to filter by there is still one query to make
+    for (let i = 0; i === 0 || i < cids.length; i += MAX_CIDS_PER_QUERY) {
+      const batch = cids.slice(i, i + MAX_CIDS_PER_QUERY)
+      /** @type {string|undefined} */
+      let before
+
+      while (true) {
+        const searchParams = new URLSearchParams({ limit: `${MAX_PAGE_SIZE}` })
+
+        if (batch.length) {
+          searchParams.set('cid', batch.map(cid => `${cid}`).join(','))
+        }
+
+        if (name) {
+          searchParams.set('name', name)
+        }
+
+        if (status && status.length) {
+          searchParams.set('status', status.join(','))
+        }
+
+        if (before) {
+          searchParams.set('before', before)
+        }
+
+        const response = await this.http.get(`${this.endpoint}/pins`, {
+          searchParams,
+          signal
+        })
+        /** @type {{ count: number, results: PinStatus[] }} */
+        const { count, results } = await response.json()
+
+        yield * results
+
+        if (results.length === 0 || results.length >= count) {
+          break
+        }
+
+        before = results[results.length - 1].created
+      }
+    }
+  }
+
+  /**
+   * Returns the number of pin requests with the passed status
+   *
+   * @param {Status} status
+   * @param {AbortOptions} [options]
+   */
+  async count (status, options = {}) {
+    const response = await this.http.get(`${this.endpoint}/pins`, {
+      searchParams: new URLSearchParams({ status, limit: '1' }),
+      signal: options.signal
+    })
+    /** @type {{ count: number }} */
+    const { count } = await response.json()
+
+    return count
+  }
+
+  /**
+   * @param {{ cid: CID, name?: string, origins?: string[] }} pin
+   * @param {AbortOptions} [options]
+   * @returns {Promise<PinStatus>}
+   */
+  async add ({ cid, name, origins }, options = {}) {
+    const response = await this.http.post(`${this.endpoint}/pins`, {
+      json: {
+        cid: cid.toString(),
+        name,
+        origins
+      },
+      signal: options.signal
+    })
+
+    return response.json()
+  }
+
+  /**
+   * @param {string} requestid
+   * @param {AbortOptions} [options]
+   * @returns {Promise<PinStatus>}
+   */
+  async get (requestid, options = {}) {
+    const response = await this.http.get(`${this.endpoint}/pins/${encodeURIComponent(requestid)}`, {
+      signal: options.signal
+    })
+
+    return response.json()
+  }
+
+  /**
+   * @param {string} requestid
+   * @param {AbortOptions} [options]
+   */
+  async rm (requestid, options = {}) {
+    await this.http.fetch(`${this.endpoint}/pins/${encodeURIComponent(requestid)}`, {
+      method: 'DELETE',
+      signal: options.signal
+    })
+  }
+}
+
+/**
+ * @param {PinStatus} pinStatus
+ * @returns {Pin}
+ */
+export function toPin ({ status, pin }) {
+  return {
+    status,
+    cid: CID.parse(pin.cid),
+    name: pin.name || ''
+  }
+}
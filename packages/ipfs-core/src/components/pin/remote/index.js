@@ -0,0 +1,20 @@
+import { createAdd } from './add.js'
+import { createLs } from './ls.js'
+import { createRm } from './rm.js'
+import { createRmAll } from './rm-all.js'
+import { createService } from './service.js'
+
+export class PinRemoteAPI {
+  /**
+   * @param {object} config
+   * @param {import('ipfs-repo').IPFSRepo} config.repo
+   * @param {import('./poller').PinStatusPoller} config.poller
+   */
+  constructor ({ repo, poller }) {
+    this.add = createAdd({ repo, poller })
+    this.ls = createLs({ repo })
+    this.rm = createRm({ repo })
+    this.rmAll = createRmAll({ repo })
+    this.service = createService({ repo, poller })
+  }
+}
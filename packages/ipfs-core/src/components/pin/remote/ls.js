@@ -0,0 +1,23 @@
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+import { createClient } from './utils.js'
+import { toPin } from './client.js'
+
+/**
+ * @param {object} config
+ * @param {import('ipfs-repo').IPFSRepo} config.repo
+ */
+export function createLs ({ repo }) {
+  /**
+   * @type {import('ipfs-core-types/src/pin/remote').API<{}>["ls"]}
+   */
+  async function * ls (query) {
+    const { service, cid, name, status = ['pinned'], signal } = query
+    const client = await createClient(repo, service)
+
+    for await (const pinStatus of client.ls({ cid, name, status, signal })) {
+      yield toPin(pinStatus)
+    }
+  }
+
+  return withTimeoutOption(ls)
+}
@@ -0,0 +1,244 @@
+import { logger } from '@libp2p/logger'
+import errCode from 'err-code'
+
+const log = logger('ipfs:components:pin:remote:poller')
+
+const DEFAULT_INTERVAL = 1000
+
+/**
+ * @typedef {import('./client').PinningServiceClient} PinningServiceClient
+ * @typedef {import('./client').PinStatus} PinStatus
+ * @typedef {import('ipfs-core-types/src/utils').AbortOptions} AbortOptions
+ *
+ * @typedef {object} Waiter
+ * @property {(status: PinStatus) => void} resolve
+ * @property {(err: Error) => void} reject
+ *
+ * @typedef {object} TrackedPin
+ * @property {string} service
+ * @property {PinningServiceClient} client
+ * @property {PinStatus} status
+ * @property {Set<Waiter>} waiters
+ * @property {boolean} background - keep polling even when nobody is waiting
+ */
+
+/**
+ * @param {PinStatus} status
+ */
+const isSettled = ({ status }) => status === 'pinned' || status === 'failed'
+
+/**
+ * @param {string} service
+ * @param {PinStatus} status
+ */
+const pinKey = (service, { requestid }) => `${service}/${requestid}`
+
+/**
+ * Tracks pin requests made to remote pinning services in the background,
+ * polling each service until the pins it holds for us are either `pinned`
+ * or `failed`.
+ */
+export class PinStatusPoller {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.interval] - how often to poll in ms
+   */
+  constructor (options = {}) {
+    this.interval = options.interval || DEFAULT_INTERVAL
+
+    /** @type {Map<string, TrackedPin>} */
+    this.pins = new Map()
+
+    /** @type {ReturnType<typeof setTimeout>|undefined} */
+    this.timeout = undefined
+  }
+
+  /**
+   * Starts tracking a pin request, resolving with the final status once the
+   * remote service has settled it
+   *
+   * @param {string} service
+   * @param {PinningServiceClient} client
+   * @param {PinStatus} status
+   * @param {AbortOptions} [options]
+   * @returns {Promise<PinStatus>}
+   */
+  wait (service, client, status, options = {}) {
+    if (isSettled(status)) {
+      return Promise.resolve(status)
+    }
+
+    const tracked = this.watch(service, client, status)
+
+    return new Promise((resolve, reject) => {
+      const { signal } = options
+
+      /** @type {Waiter} */
+      const waiter = {
+        resolve: (status) => {
+          signal && signal.removeEventListener('abort', onAbort)
+          resolve(status)
+        },
+        reject: (err) => {
+          signal && signal.removeEventListener('abort', onAbort)
+          reject(err)
+        }
+      }
+
+      const onAbort = () => {
+        tracked.waiters.delete(waiter)
+
+        // nobody else wants to know how this pin turns out
+        if (tracked.waiters.size === 0 && !tracked.background) {
+          this.pins.delete(pinKey(service, status))
+        }
+
+        reject(errCode(new Error('waiting for remote pin was aborted'), 'ERR_ABORTED'))
+      }
+
+      if (signal) {
+        if (signal.aborted) {
+          onAbort()
+          return
+        }
+
+        signal.addEventListener('abort', onAbort)
+      }
+
+      tracked.waiters.add(waiter)
+    })
+  }
+
+  /**
+   * Starts tracking a pin request without waiting for it to settle
+   *
+   * @param {string} service
+   * @param {PinningServiceClient} client
+   * @param {PinStatus} status
+   * @returns {TrackedPin}
+   */
+  track (service, client, status) {
+    const tracked = this.watch(service, client, status)
+    tracked.background = true
+
+    return tracked
+  }
+
+  /**
+   * Polls the pin request for as long as someone is waiting for it to settle
+   *
+   * @private
+   * @param {string} service
+   * @param {PinningServiceClient} client
+   * @param {PinStatus} status
+   * @returns {TrackedPin}
+   */
+  watch (service, client, status) {
+    let tracked = this.pins.get(pinKey(service, status))
+
+    if (!tracked) {
+      tracked = { service, client, status, waiters: new Set(), background: false }
+      this.pins.set(pinKey(service, status), tracked)
+      log('tracking %s on %s with status %s', status.pin.cid, service, status.status)
+    }
+
+    this.schedule()
+
+    return tracked
+  }
+
+  /**
+   * Stops tracking all pin requests made to the passed service
+   *
+   * @param {string} service
+   */
+  forget (service) {
+    for (const [key, tracked] of this.pins) {
+      if (tracked.service === service) {
+        this.settle(key, tracked, errCode(new Error(`remote pinning service ${service} was removed`), 'ERR_SERVICE_REMOVED'))
+      }
+    }
+  }
+
+  /**
+   * Stops polling and rejects anyone still waiting on a pin to settle
+   */
+  stop () {
+    clearTimeout(this.timeout)
+    this.timeout = undefined
+
+    for (const [key, tracked] of this.pins) {
+      this.settle(key, tracked, errCode(new Error('remote pin poller stopped'), 'ERR_STOPPED'))
+    }
+  }
+
+  /**
+   * @private
+   */
+  schedule () {
+    if (this.timeout != null || this.pins.size === 0) {
+      return
+    }
+
+    this.timeout = setTimeout(() => {
+      this.poll()
+        .catch(err => log.error('error polling remote pins', err))
+        .finally(() => {
+          this.timeout = undefined
+          this.schedule()
+        })
+    }, this.interval)
+  }
+
+  /**
+   * @private
+   */
+  async poll () {
+    await Promise.all(
+      [...this.pins].map(async ([key, tracked]) => {
+        try {
+          const status = await tracked.client.get(tracked.status.requestid)
+
+          if (status.status !== tracked.status.status) {
+            log('%s on %s changed status %s -> %s', status.pin.cid, tracked.service, tracked.status.status, status.status)
+          }
+
+          tracked.status = status
+
+          if (isSettled(status)) {
+            this.settle(key, tracked)
+          }
+        } catch (/** @type {any} */ err) {
+          if (err.status === 404) {
+            // the pin request was removed from the remote service
+            this.settle(key, tracked, errCode(new Error(`remote pin of ${tracked.status.pin.cid} was removed`), 'ERR_NOT_FOUND'))
+            return
+          }
+
+          // transient error, try again on the next tick
+          log.error('could not get status of %s from %s', tracked.status.pin.cid, tracked.service, err)
+        }
+      })
+    )
+  }
+
+  /**
+   * @private
+   * @param {string} key
+   * @param {TrackedPin} tracked
+   * @param {Error} [err]
+   */
+  settle (key, tracked, err) {
+    this.pins.delete(key)
+
+    for (const waiter of tracked.waiters) {
+      if (err) {
+        waiter.reject(err)
+      } else {
+        waiter.resolve(tracked.status)
+      }
+    }
+
+    tracked.waiters.clear()
+  }
+}
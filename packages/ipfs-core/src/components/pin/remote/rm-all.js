@@ -0,0 +1,26 @@
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+import all from 'it-all'
+import { createClient } from './utils.js'
+
+/**
+ * @param {object} config
+ * @param {import('ipfs-repo').IPFSRepo} config.repo
+ */
+export function createRmAll ({ repo }) {
+  /**
+   * @type {import('ipfs-core-types/src/pin/remote').API<{}>["rmAll"]}
+   */
+  async function rmAll (query) {
+    const { service, cid, name, status = ['pinned'], signal } = query
+    const client = await createClient(repo, service)
+
+    // collect matches first so deletions do not disturb pagination
+    const matches = await all(client.ls({ cid, name, status, signal }))
+
+    for (const { requestid } of matches) {
+      await client.rm(requestid, { signal })
+    }
+  }
+
+  return withTimeoutOption(rmAll)
+}
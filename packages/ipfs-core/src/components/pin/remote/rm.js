@@ -0,0 +1,29 @@
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+import errCode from 'err-code'
+import all from 'it-all'
+import { createClient } from './utils.js'
+
+/**
+ * @param {object} config
+ * @param {import('ipfs-repo').IPFSRepo} config.repo
+ */
+export function createRm ({ repo }) {
+  /**
+   * @type {import('ipfs-core-types/src/pin/remote').API<{}>["rm"]}
+   */
+  async function rm (query) {
+    const { service, cid, name, status = ['pinned'], signal } = query
+    const client = await createClient(repo, service)
+    const matches = await all(client.ls({ cid, name, status, signal }))
+
+    if (matches.length > 1) {
+      throw errCode(new Error('multiple remote pins are matching this query, use rmAll to remove all of them'), 'ERR_MULTIPLE_MATCHES')
+    }
+
+    for (const { requestid } of matches) {
+      await client.rm(requestid, { signal })
+    }
+  }
+
+  return withTimeoutOption(rm)
+}
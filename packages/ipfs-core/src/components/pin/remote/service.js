@@ -0,0 +1,142 @@
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+import mortice from 'mortice'
+import { PinningServiceClient } from './client.js'
+import { encodeEndpoint, loadServices } from './utils.js'
+
+/**
+ * @typedef {import('ipfs-core-types/src/pin/remote/service').API<{}>} ServiceAPI
+ * @typedef {import('ipfs-core-types/src/pin/remote/service').Stat} Stat
+ * @typedef {import('ipfs-core-types/src/utils').AbortOptions} AbortOptions
+ */
+
+/** @type {import('ipfs-core-types/src/pin/remote').Status[]} */
+const STATUSES = ['queued', 'pinning', 'pinned', 'failed']
+
+/**
+ * @param {object} config
+ * @param {import('ipfs-repo').IPFSRepo} config.repo
+ * @param {import('./poller').PinStatusPoller} config.poller
+ */
+export function createService ({ repo, poller }) {
+  // serialise config updates so concurrent adds/removes do not clobber each other
+  const mutex = mortice({
+    name: `pin-remote-services:${repo.path}`,
+    singleProcess: true
+  })
+
+  /**
+   * @type {ServiceAPI["add"]}
+   */
+  async function add (name, credentials) {
+    if (!name) {
+      throw new Error('service name is required')
+    }
+
+    if (!credentials || !credentials.endpoint) {
+      throw new Error('service endpoint is required')
+    }
+
+    if (!credentials.key) {
+      throw new Error('service key is required')
+    }
+
+    const release = await mutex.writeLock()
+
+    try {
+      const services = await loadServices(repo)
+
+      if (services[name]) {
+        throw new Error('service already present')
+      }
+
+      services[name] = {
+        API: {
+          Endpoint: encodeEndpoint(credentials.endpoint),
+          Key: credentials.key
+        }
+      }
+
+      await repo.config.set('Pinning.RemoteServices', services, {
+        signal: credentials.signal
+      })
+    } finally {
+      release()
+    }
+  }
+
+  /**
+   * @type {ServiceAPI["rm"]}
+   */
+  async function rm (name, options = {}) {
+    if (!name) {
+      throw new Error('service name is required')
+    }
+
+    const release = await mutex.writeLock()
+
+    try {
+      const services = await loadServices(repo)
+
+      if (!services[name]) {
+        return
+      }
+
+      delete services[name]
+
+      await repo.config.set('Pinning.RemoteServices', services, options)
+    } finally {
+      release()
+    }
+
+    poller.forget(name)
+  }
+
+  /**
+   * @param {PinningServiceClient} client
+   * @param {AbortOptions} options
+   * @returns {Promise<Stat>}
+   */
+  async function stat (client, options) {
+    try {
+      const [queued, pinning, pinned, failed] = await Promise.all(
+        STATUSES.map(status => client.count(status, options))
+      )
+
+      return {
+        status: 'valid',
+        pinCount: { queued, pinning, pinned, failed }
+      }
+    } catch {
+      return {
+        status: 'invalid'
+      }
+    }
+  }
+
+  /**
+   * @param {{ stat?: boolean } & AbortOptions} [options]
+   */
+  async function ls (options = {}) {
+    const services = await loadServices(repo)
+
+    return Promise.all(
+      Object.entries(services).map(async ([service, { API }]) => {
+        const endpoint = new URL(API.Endpoint)
+
+        if (!options.stat) {
+          return { service, endpoint }
+        }
+
+        const client = new PinningServiceClient({ endpoint: API.Endpoint, key: API.Key })
+
+        return { service, endpoint, stat: await stat(client, options) }
+      })
+    )
+  }
+
+  return {
+    add: withTimeoutOption(add),
+    rm: withTimeoutOption(rm),
+    ls: /** @type {ServiceAPI["ls"]} */ (withTimeoutOption(ls))
+  }
+}
@@ -0,0 +1,59 @@
+import { PinningServiceClient } from './client.js'
+
+/**
+ * @typedef {import('ipfs-core-types/src/config').RemotePinningService} RemotePinningService
+ */
+
+/**
+ * @param {any} service
+ * @returns {string}
+ */
+export function encodeService (service) {
+  if (typeof service === 'string' && service !== '') {
+    return service
+  }
+
+  throw new TypeError('service name must be passed')
+}
+
+/**
+ * Normalises an endpoint URL, dropping any trailing slash so paths can be
+ * appended to it
+ *
+ * @param {URL|string} endpoint
+ */
+export function encodeEndpoint (endpoint) {
+  const href = new URL(`${endpoint}`).toString()
+
+  return href.endsWith('/') ? href.slice(0, -1) : href
+}
+
+/**
+ * @param {import('ipfs-repo').IPFSRepo} repo
+ * @returns {Promise<Record<string, RemotePinningService>>}
+ */
+export async function loadServices (repo) {
+  /** @type {import('ipfs-core-types/src/config').Config} */
+  const config = await repo.config.getAll()
+
+  return (config.Pinning && config.Pinning.RemoteServices) || {}
+}
+
+/**
+ * @param {import('ipfs-repo').IPFSRepo} repo
+ * @param {any} name
+ */
+export async function createClient (repo, name) {
+  const service = encodeService(name)
+  const services = await loadServices(repo)
+  const config = services[service]
+
+  if (!config) {
+    throw new Error(`service ${service} not found in the list of remote services`)
+  }
+
+  return new PinningServiceClient({
+    endpoint: config.API.Endpoint,
+    key: config.API.Key
+  })
+}
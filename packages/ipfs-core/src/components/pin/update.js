@@ -0,0 +1,155 @@
+import { logger } from '@libp2p/logger'
+import * as cborg from 'cborg'
+import * as dagPB from '@ipld/dag-pb'
+import { createUnsafe } from 'multiformats/block'
+import { cidToKey } from 'ipfs-repo/utils/blockstore'
+import { PinTypes } from 'ipfs-repo/pin-types'
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+import { resolvePath } from '../../utils.js'
+
+const log = logger('ipfs:pin:update')
+
+/**
+ * @typedef {import('multiformats/cid').CID} CID
+ * @typedef {import('ipfs-core-types/src/utils').AbortOptions} AbortOptions
+ */
+
+/**
+ * @param {object} config
+ * @param {import('ipfs-repo').IPFSRepo} config.repo
+ * @param {import('ipfs-core-utils/multicodecs').Multicodecs} config.codecs
+ */
+export function createUpdate ({ repo, codecs }) {
+  /**
+   * Returns the links of a block keyed by where they are in the block. The
+   * links of dag-pb nodes are keyed by name when every link has a unique name
+   * so that adding or removing entries from a directory does not change the
+   * keys of its other entries. The chunks of files have no names so they are
+   * keyed by index.
+   *
+   * @param {CID} cid
+   * @param {AbortOptions} options
+   */
+  async function getLinks (cid, options) {
+    const bytes = await repo.blocks.get(cid, options)
+    const codec = await codecs.getCodec(cid.code)
+    const block = createUnsafe({ bytes, cid, codec })
+
+    /** @type {Map<string, CID>} */
+    const links = new Map()
+
+    if (cid.code === dagPB.code) {
+      const { Links } = /** @type {dagPB.PBNode} */ (block.value)
+      const names = new Set(Links.map(link => link.Name))
+      const byName = names.size === Links.length && Links.every(link => Boolean(link.Name))
+
+      Links.forEach((link, index) => {
+        links.set(byName ? `${link.Name}` : `${index}`, link.Hash)
+      })
+    } else {
+      for (const [path, child] of block.links()) {
+        links.set(path, child)
+      }
+    }
+
+    return links
+  }
+
+  /**
+   * Makes sure every block of the `to` DAG is in the blockstore, fetching
+   * them if necessary. Subtrees shared with the `from` DAG are skipped as it
+   * is pinned recursively so they are already complete.
+   *
+   * @param {CID} to
+   * @param {CID|undefined} from
+   * @param {Set<string>} seen
+   * @param {AbortOptions} options
+   */
+  async function walkChanged (to, from, seen, options) {
+    if ((from != null && to.equals(from)) || seen.has(to.toString())) {
+      return
+    }
+
+    seen.add(to.toString())
+
+    const links = await getLinks(to, options)
+    const previous = from == null ? new Map() : await getLinks(from, options)
+    const unchanged = new Set([...previous.values()].map(cid => cid.toString()))
+
+    for (const [name, child] of links) {
+      if (!unchanged.has(child.toString())) {
+        await walkChanged(child, previous.get(name), seen, options)
+      }
+    }
+  }
+
+  /**
+   * Writes a recursive pin in the same format as `repo.pins.pinRecursively`,
+   * which would walk the whole DAG to check it is complete. `walkChanged` has
+   * already checked the changed subtrees and the rest are covered by the old
+   * pin.
+   *
+   * @param {CID} cid
+   * @param {AbortOptions} options
+   */
+  async function writeRecursivePin (cid, options) {
+    /** @type {import('interface-datastore').Datastore} */
+    const pinstore = /** @type {any} */ (repo.pins).pinstore
+
+    /** @type {{ depth: number, version?: number, codec?: number }} */
+    const pin = {
+      depth: Infinity
+    }
+
+    if (cid.version !== 0) {
+      pin.version = cid.version
+    }
+
+    if (cid.code !== dagPB.code) {
+      pin.codec = cid.code
+    }
+
+    await pinstore.put(cidToKey(cid), cborg.encode(pin), options)
+  }
+
+  /**
+   * @type {import('ipfs-core-types/src/pin').API<{}>["update"]}
+   */
+  async function update (fromPath, toPath, options = {}) {
+    const unpin = options.unpin !== false
+    const { cid: from } = await resolvePath(repo, codecs, fromPath, options)
+    const { cid: to } = await resolvePath(repo, codecs, toPath, options)
+
+    // stop gc removing blocks of the new DAG before it is pinned
+    const release = await repo.gcLock.readLock()
+
+    try {
+      const { reason } = await repo.pins.isPinnedWithType(from, PinTypes.recursive, options)
+
+      if (reason !== PinTypes.recursive) {
+        throw new Error(`${from} is not pinned recursively`)
+      }
+
+      if (from.equals(to)) {
+        return { from, to }
+      }
+
+      const seen = new Set()
+      await walkChanged(to, from, seen, options)
+
+      log('fetched %d changed blocks updating %c to %c', seen.size, from, to)
+
+      await writeRecursivePin(to, options)
+
+      if (unpin) {
+        await repo.pins.unpin(from, options)
+      }
+    } finally {
+      release()
+    }
+
+    return { from, to }
+  }
+
+  return withTimeoutOption(update)
+}
@@ -0,0 +1,127 @@
+import { createUnsafe } from 'multiformats/block'
+import { equals as uint8ArrayEquals } from 'uint8arrays/equals'
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+
+/**
+ * @typedef {import('multiformats/cid').CID} CID
+ * @typedef {import('ipfs-core-types/src/utils').AbortOptions} AbortOptions
+ * @typedef {import('ipfs-core-types/src/pin').VerifyBadNode} BadNode
+ */
+
+/**
+ * @param {object} config
+ * @param {import('ipfs-repo').IPFSRepo} config.repo
+ * @param {import('ipfs-core-utils/multicodecs').Multicodecs} config.codecs
+ * @param {import('ipfs-core-utils/multihashes').Multihashes} config.hashers
+ */
+export function createVerify ({ repo, codecs, hashers }) {
+  /**
+   * Only the local blockstore is consulted, a missing block is a problem to
+   * report rather than something to fetch from the network
+   *
+   * @param {CID} cid
+   * @param {AbortOptions} options
+   * @returns {Promise<{ error: string, links?: undefined } | { error?: undefined, links: CID[] }>}
+   */
+  async function readBlock (cid, options) {
+    if (!await repo.blocks.has(cid, options)) {
+      return { error: 'block not found locally' }
+    }
+
+    try {
+      const bytes = await repo.blocks.get(cid, options)
+      const hasher = await hashers.getHasher(cid.multihash.code)
+      const digest = await hasher.digest(bytes)
+
+      if (!uint8ArrayEquals(digest.bytes, cid.multihash.bytes)) {
+        return { error: 'block content does not match its hash' }
+      }
+
+      const codec = await codecs.getCodec(cid.code)
+      const block = createUnsafe({ bytes, cid, codec })
+
+      return { links: [...block.links()].map(([, link]) => link) }
+    } catch (/** @type {any} */ err) {
+      return { error: err.message }
+    }
+  }
+
+  /**
+   * Returns the bad nodes in the DAG under `cid`. Results are cached as pins
+   * frequently share subtrees.
+   *
+   * @param {CID} cid
+   * @param {Map<string, BadNode[]>} checked
+   * @param {AbortOptions} options
+   * @returns {Promise<BadNode[]>}
+   */
+  async function checkDag (cid, checked, options) {
+    const cached = checked.get(cid.toString())
+
+    if (cached != null) {
+      return cached
+    }
+
+    const { error, links } = await readBlock(cid, options)
+
+    /** @type {BadNode[]} */
+    let badNodes = []
+
+    if (error != null) {
+      badNodes.push({ cid, error })
+    } else {
+      for (const link of links) {
+        badNodes = badNodes.concat(await checkDag(link, checked, options))
+      }
+    }
+
+    checked.set(cid.toString(), badNodes)
+
+    return badNodes
+  }
+
+  /**
+   * @type {import('ipfs-core-types/src/pin').API<{}>["verify"]}
+   */
+  async function * verify (options = {}) {
+    /** @type {Map<string, BadNode[]>} */
+    const checked = new Map()
+
+    /**
+     * @param {CID} cid
+     * @param {BadNode[]} badNodes
+     */
+    const toResult = (cid, badNodes) => {
+      const ok = badNodes.length === 0
+
+      if (ok && !options.includeOk) {
+        return
+      }
+
+      return {
+        cid,
+        ok,
+        badNodes: options.verbose ? badNodes : undefined
+      }
+    }
+
+    for await (const { cid } of repo.pins.recursiveKeys(options)) {
+      const result = toResult(cid, await checkDag(cid, checked, options))
+
+      if (result != null) {
+        yield result
+      }
+    }
+
+    for await (const { cid } of repo.pins.directKeys(options)) {
+      const { error } = await readBlock(cid, options)
+      const result = toResult(cid, error == null ? [] : [{ cid, error }])
+
+      if (result != null) {
+        yield result
+      }
+    }
+  }
+
+  return withTimeoutOption(verify)
+}
@@ -41,7 +41,7 @@ export function createPing ({ network }) {
    * @type {import('ipfs-core-types/src/root').API<{}>["ping"]}
    */
   async function * ping (peerId, options = {}) {
-    const { libp2p } = await network.use()
+    const { libp2p, latency } = await network.use()
     options.count = options.count || 10
 
     const storedPeer = await libp2p.peerStore.get(peerId)
@@ -65,7 +65,7 @@ export function createPing ({ network }) {
 
     for (let i = 0; i < options.count; i++) {
       try {
-        const time = await libp2p.ping(id)
+        const time = await latency.ping(id)
         totalTime += time
         packetCount++
         yield { ...basePacket, time }
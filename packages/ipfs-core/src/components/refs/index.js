@@ -217,7 +217,7 @@ async function * objectStream (repo, codecs, rootCid, maxDepth, uniqueOnly, opti
  * @param {AbortOptions} options
  * @returns {AsyncGenerator<{ name: string, cid: CID }, void, undefined>}
  */
-async function * getLinks (repo, codecs, cid, options) {
+export async function * getLinks (repo, codecs, cid, options) {
   const block = await repo.blocks.get(cid, options)
   const codec = await codecs.getCodec(cid.code)
   const value = codec.decode(block)
@@ -0,0 +1,111 @@
+import { logger } from '@libp2p/logger'
+import { CID } from 'multiformats/cid'
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+import { MFS_ROOT_KEY } from '../../utils.js'
+
+const log = logger('ipfs:repo:fsck')
+
+/**
+ * @typedef {import('ipfs-core-types/src/repo').FsckProblem} FsckProblem
+ * @typedef {import('ipfs-core-types/src/utils').AbortOptions} AbortOptions
+ * @typedef {import('ipfs-repo/src/types').RepoLock} RepoLock
+ */
+
+/**
+ * Look for inconsistencies in the repo that stop it from working properly
+ *
+ * @param {object} config
+ * @param {import('ipfs-repo').IPFSRepo} config.repo
+ * @param {import('ipfs-core-utils/multicodecs').Multicodecs} config.codecs
+ */
+export function createFsck ({ repo, codecs }) {
+  /**
+   * The lock is held for as long as the repo is open, if it is no longer
+   * held another process could open the repo and write to it at the same time
+   *
+   * @returns {Promise<FsckProblem|undefined>}
+   */
+  async function checkLock () {
+    /** @type {RepoLock|undefined} */
+    const repoLock = /** @type {any} */ (repo).options?.repoLock
+
+    if (repo.closed || repoLock == null || await repoLock.locked(repo.path)) {
+      return
+    }
+
+    return {
+      type: 'stale-lock',
+      message: `the lock on the repo at ${repo.path} is stale or has been removed`
+    }
+  }
+
+  /**
+   * @param {AbortOptions} options
+   * @returns {Promise<FsckProblem|undefined>}
+   */
+  async function checkMfsRoot (options) {
+    /** @type {CID|undefined} */
+    let cid
+
+    try {
+      if (!await repo.datastore.has(MFS_ROOT_KEY, options)) {
+        // it will be created when it is next needed
+        return
+      }
+
+      cid = CID.decode(await repo.datastore.get(MFS_ROOT_KEY, options))
+
+      const codec = await codecs.getCodec(cid.code)
+      codec.decode(await repo.blocks.get(cid, options))
+    } catch (/** @type {any} */ err) {
+      return {
+        type: 'mfs-root',
+        cid,
+        message: `the MFS root could not be loaded: ${err.message}`
+      }
+    }
+  }
+
+  /**
+   * @param {AbortOptions} options
+   * @returns {AsyncGenerator<FsckProblem, void, undefined>}
+   */
+  async function * checkPins (options) {
+    for (const type of ['direct', 'recursive']) {
+      const pins = type === 'direct' ? repo.pins.directKeys(options) : repo.pins.recursiveKeys(options)
+
+      for await (const { cid } of pins) {
+        if (!await repo.blocks.has(cid, options)) {
+          yield {
+            type: 'dangling-pin',
+            cid,
+            message: `${type} pin ${cid} refers to a block that is not in the blockstore`
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * @type {import('ipfs-core-types/src/repo').API<{}>["fsck"]}
+   */
+  async function * fsck (options = {}) {
+    const lock = await checkLock()
+
+    if (lock != null) {
+      yield lock
+    }
+
+    const mfsRoot = await checkMfsRoot(options)
+
+    if (mfsRoot != null) {
+      yield mfsRoot
+    }
+
+    yield * checkPins(options)
+
+    log('checked repo at %s', repo.path)
+  }
+
+  return withTimeoutOption(fsck)
+}
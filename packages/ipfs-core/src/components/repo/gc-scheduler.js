@@ -0,0 +1,201 @@
+import { logger } from '@libp2p/logger'
+// @ts-expect-error no types
+import bytes from 'bytes'
+import parseDuration from 'parse-duration'
+import { createGc } from './gc.js'
+
+const log = logger('ipfs:repo:gc:scheduler')
+
+// defaults match go-ipfs
+const DEFAULT_STORAGE_MAX = '10GB'
+const DEFAULT_STORAGE_GC_WATERMARK = 90
+const DEFAULT_GC_PERIOD = '1h'
+
+/**
+ * @typedef {import('ipfs-core-utils/multihashes').Multihashes} Multihashes
+ * @typedef {import('ipfs-core-types/src/repo').GCRun} GCRun
+ * @typedef {import('ipfs-core-types/src/repo').GCStatusResult} GCStatusResult
+ */
+
+/**
+ * Periodically garbage collects the repo once it grows past
+ * `Datastore.StorageGCWatermark` percent of `Datastore.StorageMax`
+ */
+export class GCScheduler {
+  /**
+   * @param {object} config
+   * @param {import('ipfs-repo').IPFSRepo} config.repo
+   * @param {Multihashes} config.hashers
+   * @param {boolean} [config.enabled]
+   */
+  constructor ({ repo, hashers, enabled = false }) {
+    this.repo = repo
+    this.gc = createGc({ repo, hashers })
+    this.enabled = enabled
+    this.running = false
+    this.period = 0
+    this.storageMax = 0n
+    this.watermark = 0
+
+    /** @type {GCRun|undefined} */
+    this.lastRun = undefined
+
+    /** @type {ReturnType<typeof setTimeout>|undefined} */
+    this.timeout = undefined
+
+    /** @type {AbortController|undefined} */
+    this.controller = undefined
+
+    /** @type {Promise<void>|undefined} */
+    this.pending = undefined
+  }
+
+  async start () {
+    if (!this.enabled) {
+      return
+    }
+
+    /** @type {import('ipfs-core-types/src/config').DatastoreConfig} */
+    const config = await this.repo.config.get('Datastore').catch(() => ({}))
+    const period = config.GCPeriod || DEFAULT_GC_PERIOD
+
+    this.period = parseDuration(period) || 0
+    this.storageMax = BigInt(bytes.parse(config.StorageMax || DEFAULT_STORAGE_MAX) || 0)
+    this.watermark = config.StorageGCWatermark ?? DEFAULT_STORAGE_GC_WATERMARK
+
+    if (this.period <= 0) {
+      throw new Error(`Invalid Datastore.GCPeriod "${period}"`)
+    }
+
+    this.controller = new AbortController()
+
+    // the repo may have grown past the watermark while the node was offline
+    this.check()
+
+    log('checking repo size every %dms, collecting above %d%% of %d bytes', this.period, this.watermark, this.storageMax)
+  }
+
+  async stop () {
+    clearTimeout(this.timeout)
+    this.timeout = undefined
+
+    if (this.controller) {
+      this.controller.abort()
+      this.controller = undefined
+    }
+
+    // aborting stops an in-progress collection at the next block it removes,
+    // it still has to finish marking the blocks to keep before the repo is
+    // closed
+    await this.pending
+  }
+
+  /**
+   * @returns {GCStatusResult}
+   */
+  status () {
+    return {
+      enabled: this.enabled,
+      running: this.running,
+      period: this.period,
+      storageMax: this.storageMax,
+      watermark: this.watermark,
+      lastRun: this.lastRun && { ...this.lastRun }
+    }
+  }
+
+  /**
+   * @private
+   */
+  check () {
+    this.pending = this.maybeCollect()
+      .then(() => {}, err => log.error('automatic garbage collection failed', err))
+      .finally(() => {
+        this.pending = undefined
+        this.timeout = undefined
+        this.schedule()
+      })
+  }
+
+  /**
+   * @private
+   */
+  schedule () {
+    if (!this.controller || this.timeout != null) {
+      return
+    }
+
+    this.timeout = setTimeout(() => this.check(), this.period)
+  }
+
+  /**
+   * @private
+   */
+  async repoSize () {
+    const { repoSize } = await this.repo.stat()
+
+    // ipfs-repo declares the `BigInt` wrapper type but returns a primitive
+    return /** @type {bigint} */ (/** @type {unknown} */ (repoSize))
+  }
+
+  /**
+   * Runs garbage collection if the repo has grown past the watermark
+   *
+   * @returns {Promise<GCRun|undefined>}
+   */
+  async maybeCollect () {
+    if (this.running || !this.controller) {
+      return
+    }
+
+    const { signal } = this.controller
+    const threshold = this.storageMax * BigInt(this.watermark) / 100n
+    const repoSize = await this.repoSize()
+
+    if (repoSize < threshold) {
+      log('repo size %d is below watermark %d', repoSize, threshold)
+      return
+    }
+
+    log('repo size %d is above watermark %d, collecting garbage', repoSize, threshold)
+
+    this.running = true
+
+    /** @type {GCRun} */
+    const run = {
+      startTime: new Date(),
+      repoSizeBefore: repoSize,
+      removed: 0,
+      errors: []
+    }
+
+    try {
+      // gc takes the repo's gcLock write lock so it waits for in-flight adds
+      // and pins to finish before sweeping
+      for await (const result of this.gc({ signal })) {
+        if (result.err) {
+          run.errors.push(result.err.message)
+        } else {
+          run.removed++
+        }
+      }
+    } catch (/** @type {any} */ err) {
+      if (!signal.aborted) {
+        run.errors.push(err.message)
+      }
+    } finally {
+      this.running = false
+    }
+
+    if (!signal.aborted) {
+      run.repoSizeAfter = await this.repoSize()
+    }
+
+    run.endTime = new Date()
+    this.lastRun = run
+
+    log('removed %d blocks with %d errors in %dms', run.removed, run.errors.length, run.endTime.getTime() - run.startTime.getTime())
+
+    return run
+  }
+}
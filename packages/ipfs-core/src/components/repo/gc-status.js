@@ -0,0 +1,16 @@
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+
+/**
+ * @param {object} config
+ * @param {import('./gc-scheduler').GCScheduler} config.gcScheduler
+ */
+export function createGcStatus ({ gcScheduler }) {
+  /**
+   * @type {import('ipfs-core-types/src/repo').API<{}>["gcStatus"]}
+   */
+  async function gcStatus (options = {}) {
+    return gcScheduler.status()
+  }
+
+  return withTimeoutOption(gcStatus)
+}
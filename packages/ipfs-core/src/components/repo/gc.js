@@ -1,4 +1,5 @@
 import { logger } from '@libp2p/logger'
+import errCode from 'err-code'
 import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
 import { loadMfsRoot } from '../files/utils/with-mfs-root.js'
 
@@ -37,7 +38,15 @@ export function createGc ({ repo, hashers }) {
       // temporarily pin mfs root
       await repo.pins.pinRecursively(mfsRootCid)
 
-      yield * repo.gc()
+      // ipfs-repo marks every pinned block before it removes the first one so
+      // only removing blocks can be interrupted
+      for await (const result of repo.gc()) {
+        if (options.signal?.aborted) {
+          throw errCode(new Error('Request aborted'), 'ERR_ABORTED', { name: 'Aborted' })
+        }
+
+        yield result
+      }
     } finally {
       // gc complete, unpin mfs root
       if (mfsRootCid) {
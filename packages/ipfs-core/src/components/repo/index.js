@@ -1,5 +1,8 @@
+import { createFsck } from './fsck.js'
 import { createGc } from './gc.js'
+import { createGcStatus } from './gc-status.js'
 import { createStat } from './stat.js'
+import { createVerify } from './verify.js'
 import { createVersion } from './version.js'
 
 /**
@@ -11,11 +14,16 @@ export class RepoAPI {
   /**
    * @param {object} config
    * @param {import('ipfs-repo').IPFSRepo} config.repo
+   * @param {import('ipfs-core-utils/multicodecs').Multicodecs} config.codecs
    * @param {Multihashes} config.hashers
+   * @param {import('./gc-scheduler').GCScheduler} config.gcScheduler
    */
-  constructor ({ repo, hashers }) {
+  constructor ({ repo, codecs, hashers, gcScheduler }) {
+    this.fsck = createFsck({ repo, codecs })
     this.gc = createGc({ repo, hashers })
+    this.gcStatus = createGcStatus({ gcScheduler })
     this.stat = createStat({ repo })
+    this.verify = createVerify({ repo, hashers })
     this.version = createVersion({ repo })
 
     /**
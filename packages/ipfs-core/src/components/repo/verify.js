@@ -0,0 +1,84 @@
+import { logger } from '@libp2p/logger'
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+import { equals as uint8ArrayEquals } from 'uint8arrays/equals'
+
+const log = logger('ipfs:repo:verify')
+
+/**
+ * @typedef {import('ipfs-core-utils/multihashes').Multihashes} Multihashes
+ * @typedef {import('multiformats/cid').CID} CID
+ * @typedef {import('ipfs-core-types/src/utils').AbortOptions} AbortOptions
+ */
+
+/**
+ * Rehash every block in the blockstore and report those whose content does
+ * not match their CID
+ *
+ * @param {object} config
+ * @param {import('ipfs-repo').IPFSRepo} config.repo
+ * @param {Multihashes} config.hashers
+ */
+export function createVerify ({ repo, hashers }) {
+  /**
+   * Returns a description of what is wrong with the block, if anything
+   *
+   * @param {CID} cid
+   * @param {Uint8Array} block
+   */
+  async function check (cid, block) {
+    try {
+      const hasher = await hashers.getHasher(cid.multihash.code)
+      const digest = await hasher.digest(block)
+
+      if (!uint8ArrayEquals(digest.bytes, cid.multihash.bytes)) {
+        return { error: `block ${cid} has been corrupted, its content does not match its hash`, corrupt: true }
+      }
+    } catch (/** @type {any} */ err) {
+      // the block cannot be verified but that does not mean it is corrupt
+      return { error: err.message, corrupt: false }
+    }
+  }
+
+  /**
+   * @param {CID} cid
+   * @param {AbortOptions} options
+   */
+  async function remove (cid, options) {
+    try {
+      // pinned blocks are protected by the blockstore and must be unpinned
+      // before they can be removed
+      await repo.blocks.delete(cid, options)
+
+      return true
+    } catch (/** @type {any} */ err) {
+      log.error('could not remove corrupt block %c', cid, err)
+
+      return false
+    }
+  }
+
+  /**
+   * @type {import('ipfs-core-types/src/repo').API<{}>["verify"]}
+   */
+  async function * verify (options = {}) {
+    let checked = 0
+
+    for await (const { key: cid, value: block } of repo.blocks.query({}, options)) {
+      const result = await check(cid, block)
+
+      checked++
+
+      if (result != null) {
+        yield {
+          cid,
+          error: result.error,
+          removed: Boolean(options.remove && result.corrupt) && await remove(cid, options)
+        }
+      }
+    }
+
+    log('verified %d blocks', checked)
+  }
+
+  return withTimeoutOption(verify)
+}
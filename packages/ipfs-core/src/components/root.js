@@ -15,12 +15,13 @@ export class RootAPI {
   /**
    * @param {Context} context
    */
-  constructor ({ preload, repo, hashers, options }) {
+  constructor ({ preload, repo, hashers, filestore, options }) {
     const addAll = createAddAll({
       preload,
       repo,
       options,
-      hashers
+      hashers,
+      filestore
     })
 
     this.addAll = addAll
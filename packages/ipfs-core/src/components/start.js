@@ -8,17 +8,18 @@ import { Service } from '../utils/service.js'
  * @param {import('../types').Print} config.print
  * @param {import('../types').Preload} config.preload
  * @param {import('../types').MfsPreload} config.mfsPreload
+ * @param {import('./repo/gc-scheduler').GCScheduler} config.gcScheduler
  * @param {import('./ipns').IPNSAPI} config.ipns
  * @param {import('@libp2p/interface-keychain').KeyChain} config.keychain
  * @param {import('ipfs-core-utils/multihashes').Multihashes} config.hashers
  * @param {import('../types').Options} config.options
  */
-export function createStart ({ network, preload, peerId, keychain, repo, ipns, mfsPreload, print, hashers, options }) {
+export function createStart ({ network, preload, peerId, keychain, repo, ipns, mfsPreload, gcScheduler, print, hashers, options }) {
   /**
    * @type {import('ipfs-core-types/src/root').API<{}>["start"]}
    */
   const start = async () => {
-    const { libp2p } = await Service.start(network, {
+    const { libp2p, delegatedRouting } = await Service.start(network, {
       peerId,
       repo,
       print,
@@ -27,9 +28,10 @@ export function createStart ({ network, preload, peerId, keychain, repo, ipns, m
     })
 
     await Promise.all([
-      ipns.startOnline({ keychain, libp2p, peerId, repo }),
+      ipns.startOnline({ keychain, libp2p, peerId, repo, delegatedRouting }),
       preload.start(),
-      mfsPreload.start()
+      mfsPreload.start(),
+      gcScheduler.start()
     ])
   }
 
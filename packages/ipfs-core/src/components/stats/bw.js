@@ -1,6 +1,7 @@
 import parseDuration from 'parse-duration'
 import errCode from 'err-code'
 import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+import { BandwidthMetrics } from '../../utils/bandwidth-metrics.js'
 
 /**
  * @typedef {import('ipfs-core-types/src/stats').BWOptions} BWOptions
@@ -16,10 +17,10 @@ import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
  * @returns {BandwidthInfo}
  */
 function getBandwidthStats (libp2p, opts) {
-/*
+  /** @type {import('../../utils/bandwidth-metrics').TransferStats | undefined} */
   let stats
 
-  if (!libp2p.metrics) {
+  if (!(libp2p.metrics instanceof BandwidthMetrics)) {
     stats = undefined
   } else if (opts.peer) {
     stats = libp2p.metrics.forPeer(opts.peer)
@@ -28,26 +29,25 @@ function getBandwidthStats (libp2p, opts) {
   } else {
     stats = libp2p.metrics.getGlobal()
   }
-*/
-  //  if (!stats) {
-  return {
-    totalIn: BigInt(0),
-    totalOut: BigInt(0),
-    rateIn: 0.0,
-    rateOut: 0.0
+
+  if (!stats) {
+    return {
+      totalIn: BigInt(0),
+      totalOut: BigInt(0),
+      rateIn: 0.0,
+      rateOut: 0.0
+    }
   }
-  //  }
-/*
+
   const movingAverages = stats.getMovingAverages()
   const snapshot = stats.getSnapshot()
 
   return {
     totalIn: snapshot.dataReceived,
     totalOut: snapshot.dataSent,
-    rateIn: movingAverages.dataReceived[60000].movingAverage / 60,
-    rateOut: movingAverages.dataSent[60000].movingAverage / 60
+    rateIn: movingAverages.dataReceived,
+    rateOut: movingAverages.dataSent
   }
-*/
 }
 
 /**
@@ -7,16 +7,21 @@ import { Service } from '../utils/service.js'
  * @param {import('./ipns').IPNSAPI} config.ipns
  * @param {import('ipfs-repo').IPFSRepo} config.repo
  * @param {import('../types').MfsPreload} config.mfsPreload
+ * @param {import('./pin/remote/poller').PinStatusPoller} config.pinPoller
+ * @param {import('./repo/gc-scheduler').GCScheduler} config.gcScheduler
  */
-export function createStop ({ network, preload, ipns, repo, mfsPreload }) {
+export function createStop ({ network, preload, ipns, repo, mfsPreload, pinPoller, gcScheduler }) {
   /**
    * @type {import('ipfs-core-types/src/root').API<{}>["stop"]}
    */
   const stop = async () => {
+    pinPoller.stop()
+
     await Promise.all([
       preload.stop(),
       ipns.stop(),
-      mfsPreload.stop()
+      mfsPreload.stop(),
+      gcScheduler.stop()
     ])
 
     await Service.stop(network)
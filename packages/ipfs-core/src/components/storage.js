@@ -14,6 +14,7 @@ import { createEd25519PeerId, createRSAPeerId } from '@libp2p/peer-id-factory'
 import errCode from 'err-code'
 import { unmarshalPrivateKey } from '@libp2p/crypto/keys'
 import { Key } from 'interface-datastore/key'
+import { generateSwarmKey, SWARM_KEY } from '../utils/swarm-key.js'
 
 const mergeOptions = mergeOpts.bind({ ignoreUndefined: true })
 const log = logger('ipfs:components:peer:storage')
@@ -50,16 +51,18 @@ export class Storage {
   /**
    * @param {Print} print
    * @param {import('ipfs-core-utils/multicodecs').Multicodecs} codecs
+   * @param {import('ipfs-core-utils/multihashes').Multihashes} hashers
    * @param {IPFSOptions} options
    */
-  static async start (print, codecs, options) {
+  static async start (print, codecs, hashers, options) {
     const { repoAutoMigrate, repo: inputRepo, onMigrationProgress } = options
 
     const repo = (typeof inputRepo === 'string' || inputRepo == null)
       ? createRepo(print, codecs, {
         path: inputRepo,
         autoMigrate: repoAutoMigrate,
-        onMigrationProgress: onMigrationProgress
+        onMigrationProgress: onMigrationProgress,
+        hashers
       })
       : inputRepo
 
@@ -136,6 +139,13 @@ const initRepo = async (print, repo, options) => {
 
   log('repo opened')
 
+  // 5. Create a new private network if requested
+  if (initOptions.swarmKey) {
+    await repo.root.put(SWARM_KEY, generateSwarmKey())
+
+    print('generated swarm key for a new private network')
+  }
+
   /** @type {import('./libp2p').KeychainConfig} */
   const keychainConfig = {
     pass: options.pass
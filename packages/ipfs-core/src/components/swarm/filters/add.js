@@ -0,0 +1,33 @@
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+import { parseFilter } from '../../../addr-filters.js'
+import { getConfigFilters, setConfigFilters, indexOfFilter, closeDenied } from './utils.js'
+
+/**
+ * @param {object} config
+ * @param {import('../../../types').NetworkService} config.network
+ * @param {import('ipfs-repo').IPFSRepo} config.repo
+ */
+export function createAdd ({ network, repo }) {
+  /**
+   * @type {import('ipfs-core-types/src/swarm/filters').API<{}>["add"]}
+   */
+  async function add (filter, options = {}) {
+    // throws if the filter is invalid
+    parseFilter(filter)
+
+    const filters = await getConfigFilters(repo, options)
+
+    if (indexOfFilter(filters, filter) === -1) {
+      await setConfigFilters(repo, [...filters, filter], options)
+    }
+
+    const net = network.try()
+
+    if (net != null) {
+      net.addrFilters.add(filter, options)
+      await closeDenied(net)
+    }
+  }
+
+  return withTimeoutOption(add)
+}
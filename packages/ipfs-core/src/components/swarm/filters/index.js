@@ -0,0 +1,16 @@
+import { createAdd } from './add.js'
+import { createLs } from './ls.js'
+import { createRm } from './rm.js'
+
+export class FiltersAPI {
+  /**
+   * @param {object} config
+   * @param {import('../../../types').NetworkService} config.network
+   * @param {import('ipfs-repo').IPFSRepo} config.repo
+   */
+  constructor ({ network, repo }) {
+    this.add = createAdd({ network, repo })
+    this.ls = createLs({ network, repo })
+    this.rm = createRm({ network, repo })
+  }
+}
@@ -0,0 +1,24 @@
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+import { getConfigFilters } from './utils.js'
+
+/**
+ * @param {object} config
+ * @param {import('../../../types').NetworkService} config.network
+ * @param {import('ipfs-repo').IPFSRepo} config.repo
+ */
+export function createLs ({ network, repo }) {
+  /**
+   * @type {import('ipfs-core-types/src/swarm/filters').API<{}>["ls"]}
+   */
+  async function ls (options = {}) {
+    const net = network.try()
+
+    if (net != null) {
+      return net.addrFilters.ls(options)
+    }
+
+    return getConfigFilters(repo, options)
+  }
+
+  return withTimeoutOption(ls)
+}
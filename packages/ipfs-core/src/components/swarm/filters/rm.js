@@ -0,0 +1,36 @@
+import errCode from 'err-code'
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+import { getConfigFilters, setConfigFilters, indexOfFilter, closeDenied } from './utils.js'
+
+/**
+ * @param {object} config
+ * @param {import('../../../types').NetworkService} config.network
+ * @param {import('ipfs-repo').IPFSRepo} config.repo
+ */
+export function createRm ({ network, repo }) {
+  /**
+   * @type {import('ipfs-core-types/src/swarm/filters').API<{}>["rm"]}
+   */
+  async function rm (filter, options = {}) {
+    const filters = await getConfigFilters(repo, options)
+    const index = indexOfFilter(filters, filter)
+
+    if (index !== -1) {
+      await setConfigFilters(repo, filters.filter((_, i) => i !== index), options)
+    }
+
+    const net = network.try()
+    const removed = net != null && net.addrFilters.rm(filter, options)
+
+    if (index === -1 && !removed) {
+      throw errCode(new Error(`Address filter "${filter}" not found`), 'ERR_NOT_FOUND')
+    }
+
+    // removing a range from the allow list can deny connected addresses
+    if (net != null) {
+      await closeDenied(net)
+    }
+  }
+
+  return withTimeoutOption(rm)
+}
@@ -0,0 +1,59 @@
+import { parseFilter } from '../../../addr-filters.js'
+
+/**
+ * @typedef {import('ipfs-core-types/src/swarm/filters').FilterOptions} FilterOptions
+ * @typedef {import('ipfs-core-types/src/utils').AbortOptions} AbortOptions
+ */
+
+/**
+ * @param {FilterOptions} options
+ */
+export const configKey = (options) => options.allow === true ? 'AddrAllowFilters' : 'AddrFilters'
+
+/**
+ * @param {import('ipfs-repo').IPFSRepo} repo
+ * @param {FilterOptions & AbortOptions} options
+ * @returns {Promise<string[]>}
+ */
+export async function getConfigFilters (repo, options) {
+  /** @type {import('ipfs-core-types/src/config').Config} */
+  const config = await repo.config.getAll(options)
+
+  return (config.Swarm && config.Swarm[configKey(options)]) || []
+}
+
+/**
+ * @param {import('ipfs-repo').IPFSRepo} repo
+ * @param {string[]} filters
+ * @param {FilterOptions & AbortOptions} options
+ */
+export async function setConfigFilters (repo, filters, options) {
+  await repo.config.set(`Swarm.${configKey(options)}`, filters, options)
+}
+
+/**
+ * Filters are equal if they are for the same range, even if they are written
+ * differently, e.g. /ip4/10.0.0.0/ipcidr/8 and /ip4/10.1.2.3/ipcidr/8
+ *
+ * @param {string[]} filters
+ * @param {string} filter
+ */
+export function indexOfFilter (filters, filter) {
+  const net = parseFilter(filter).toString()
+
+  return filters.findIndex(f => parseFilter(f).toString() === net)
+}
+
+/**
+ * The connection gater only runs when a connection is opened so close any
+ * existing connections to addresses that are no longer allowed
+ *
+ * @param {import('../../network').Network} network
+ */
+export async function closeDenied ({ libp2p, addrFilters }) {
+  await Promise.all(
+    libp2p.getConnections()
+      .filter(connection => addrFilters.denies(connection.remoteAddr))
+      .map(connection => connection.close())
+  )
+}
@@ -3,17 +3,22 @@ import { createConnect } from './connect.js'
 import { createDisconnect } from './disconnect.js'
 import { createLocalAddrs } from './local-addrs.js'
 import { createPeers } from './peers.js'
+import { PeeringAPI } from './peering/index.js'
+import { FiltersAPI } from './filters/index.js'
 
 export class SwarmAPI {
   /**
    * @param {object} config
    * @param {import('../../types').NetworkService} config.network
+   * @param {import('ipfs-repo').IPFSRepo} config.repo
    */
-  constructor ({ network }) {
+  constructor ({ network, repo }) {
     this.addrs = createAddrs({ network })
     this.connect = createConnect({ network })
     this.disconnect = createDisconnect({ network })
     this.localAddrs = createLocalAddrs({ network })
     this.peers = createPeers({ network })
+    this.peering = new PeeringAPI({ network })
+    this.filters = new FiltersAPI({ network, repo })
   }
 }
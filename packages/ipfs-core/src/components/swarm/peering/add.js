@@ -0,0 +1,31 @@
+import errCode from 'err-code'
+import { peerIdFromString } from '@libp2p/peer-id'
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+
+const P2P_CODE = 421
+
+/**
+ * @param {object} config
+ * @param {import('../../../types').NetworkService} config.network
+ */
+export function createAdd ({ network }) {
+  /**
+   * @type {import('ipfs-core-types/src/swarm/peering').API<{}>["add"]}
+   */
+  async function add (addr, options = {}) {
+    const { peering } = await network.use(options)
+    const id = addr.getPeerId()
+
+    if (id == null) {
+      throw errCode(new Error(`${addr} does not contain a peer id`), 'ERR_INVALID_MULTIADDR')
+    }
+
+    // the peer store expects addresses without the peer id, a bare
+    // `/p2p/<id>` leaves nothing so the peer is found with peer routing
+    const transportAddr = addr.decapsulateCode(P2P_CODE)
+
+    await peering.add(peerIdFromString(id), transportAddr.protoCodes().length > 0 ? [transportAddr] : [])
+  }
+
+  return withTimeoutOption(add)
+}
@@ -0,0 +1,15 @@
+import { createAdd } from './add.js'
+import { createLs } from './ls.js'
+import { createRm } from './rm.js'
+
+export class PeeringAPI {
+  /**
+   * @param {object} config
+   * @param {import('../../../types').NetworkService} config.network
+   */
+  constructor ({ network }) {
+    this.add = createAdd({ network })
+    this.ls = createLs({ network })
+    this.rm = createRm({ network })
+  }
+}
@@ -0,0 +1,18 @@
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+
+/**
+ * @param {object} config
+ * @param {import('../../../types').NetworkService} config.network
+ */
+export function createLs ({ network }) {
+  /**
+   * @type {import('ipfs-core-types/src/swarm/peering').API<{}>["ls"]}
+   */
+  async function ls (options = {}) {
+    const { peering } = await network.use(options)
+
+    return peering.ls()
+  }
+
+  return withTimeoutOption(ls)
+}
@@ -0,0 +1,18 @@
+import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+
+/**
+ * @param {object} config
+ * @param {import('../../../types').NetworkService} config.network
+ */
+export function createRm ({ network }) {
+  /**
+   * @type {import('ipfs-core-types/src/swarm/peering').API<{}>["rm"]}
+   */
+  async function rm (peerId, options = {}) {
+    const { peering } = await network.use(options)
+
+    await peering.rm(peerId)
+  }
+
+  return withTimeoutOption(rm)
+}
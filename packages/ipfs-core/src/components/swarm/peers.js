@@ -1,7 +1,13 @@
 import { withTimeoutOption } from 'ipfs-core-utils/with-timeout-option'
+import { toString as uint8ArrayToString } from 'uint8arrays/to-string'
+import { BandwidthMetrics } from '../../utils/bandwidth-metrics.js'
 
 /**
  * @typedef {import('ipfs-core-types/src/swarm').PeersResult} PeersResult
+ * @typedef {import('ipfs-core-types/src/swarm').PeersOptions} PeersOptions
+ * @typedef {import('../../utils/peer-latency').PeerLatency} PeerLatency
+ * @typedef {import('libp2p').Libp2p} Libp2p
+ * @typedef {ReturnType<Libp2p['getConnections']>[number]} Connection - as returned by libp2p
  */
 
 /**
@@ -13,28 +19,12 @@ export function createPeers ({ network }) {
    * @type {import('ipfs-core-types/src/swarm').API<{}>["peers"]}
    */
   async function peers (options = {}) {
-    const { libp2p } = await network.use(options)
+    const { libp2p, latency } = await network.use(options)
 
-    if (options.verbose) {
+    if (options.verbose || options.direction || options.streams || options.latency) {
       const peers = []
       for (const connection of libp2p.getConnections()) {
-        /** @type {PeersResult} */
-        const peer = {
-          addr: connection.remoteAddr,
-          peer: connection.remotePeer
-        }
-
-        if (options.verbose || options.direction) {
-          peer.direction = connection.stat.direction
-        }
-
-        if (options.verbose) {
-          peer.muxer = connection.stat.multiplexer
-          peer.latency = 'n/a'
-          peer.streams = [] // TODO: get this from libp2p
-        }
-
-        peers.push(peer)
+        peers.push(await describeConnection(connection, libp2p, latency, options))
       }
 
       return peers
@@ -58,3 +48,49 @@ export function createPeers ({ network }) {
 
   return withTimeoutOption(peers)
 }
+
+/**
+ * Returns the fields of a connection that were asked for
+ *
+ * @param {Connection} connection
+ * @param {Libp2p} libp2p
+ * @param {PeerLatency} latency
+ * @param {PeersOptions} options
+ */
+async function describeConnection (connection, libp2p, latency, options) {
+  /** @type {PeersResult} */
+  const peer = {
+    addr: connection.remoteAddr,
+    peer: connection.remotePeer
+  }
+
+  if (options.verbose || options.direction) {
+    peer.direction = connection.stat.direction
+  }
+
+  // latency is only measured by `ipfs.ping`, listing peers does not ping them
+  if (options.verbose || options.latency) {
+    const measurement = latency.get(connection.remotePeer)
+    peer.latency = measurement == null ? 'n/a' : `${Math.round(measurement.rtt)}ms`
+  }
+
+  if (options.verbose || options.streams) {
+    peer.streams = connection.streams.map(stream => ({
+      protocol: stream.stat.protocol || '',
+      direction: stream.stat.direction
+    }))
+  }
+
+  if (options.verbose) {
+    const agentVersion = await libp2p.peerStore.metadataBook.getValue(connection.remotePeer, 'AgentVersion')
+    const stats = libp2p.metrics instanceof BandwidthMetrics ? libp2p.metrics.forPeer(connection.remotePeer) : undefined
+
+    peer.muxer = connection.stat.multiplexer
+    peer.age = Date.now() - connection.stat.timeline.open
+    peer.agentVersion = agentVersion == null ? '' : uint8ArrayToString(agentVersion)
+    peer.totalIn = stats == null ? 0n : stats.dataReceived
+    peer.totalOut = stats == null ? 0n : stats.dataSent
+  }
+
+  return peer
+}
@@ -0,0 +1,417 @@
+import { logger } from '@libp2p/logger'
+import { delegatedPeerRouting } from '@libp2p/delegated-peer-routing'
+import { delegatedContentRouting } from '@libp2p/delegated-content-routing'
+import { create as ipfsHttpClient } from 'ipfs-http-client'
+import { multiaddr } from '@multiformats/multiaddr'
+import merge from 'it-merge'
+import errCode from 'err-code'
+import { RoutingV1Client } from './routing-v1.js'
+
+const log = logger('ipfs:delegated-routing')
+
+// a delegate that fails is skipped until its backoff expires
+const INITIAL_BACKOFF = 5 * 1000
+const MAX_BACKOFF = 10 * 60 * 1000
+
+// errors that are answers from a working delegate rather than failures
+const EXPECTED_ERRORS = ['ERR_NOT_FOUND', 'ERR_NOT_SUPPORTED']
+
+/**
+ * @typedef {import('@libp2p/interface-peer-id').PeerId} PeerId
+ * @typedef {import('@libp2p/interface-peer-info').PeerInfo} PeerInfo
+ * @typedef {import('@libp2p/interface-content-routing').ContentRouting} ContentRouting
+ * @typedef {import('@libp2p/interface-peer-routing').PeerRouting} PeerRouting
+ * @typedef {import('@libp2p/interfaces/startable').Startable} Startable
+ * @typedef {import('multiformats/cid').CID} CID
+ * @typedef {import('ipfs-core-types/src/utils').AbortOptions} AbortOptions
+ * @typedef {import('@libp2p/delegated-content-routing').Delegate & import('@libp2p/delegated-peer-routing').Delegate} RPCClient
+ *
+ * @typedef {object} Delegate
+ * @property {string} address
+ * @property {Partial<ContentRouting & Startable>} contentRouting
+ * @property {Partial<PeerRouting & Startable>} peerRouting
+ * @property {boolean} routingV1 - whether the delegate speaks the `/routing/v1` API
+ * @property {number} failures - how many times in a row the delegate has failed
+ * @property {number} retryAt - when the delegate may be used again after failing
+ */
+
+/**
+ * `http(s)://` URLs are Routing V1 endpoints, anything else is the multiaddr
+ * of a node exposing the legacy RPC API
+ *
+ * @param {string} address
+ * @returns {Delegate}
+ */
+export function createDelegate (address) {
+  if (/^https?:\/\//.test(address)) {
+    const client = new RoutingV1Client(address)
+
+    return {
+      address,
+      contentRouting: client,
+      peerRouting: client,
+      routingV1: true,
+      failures: 0,
+      retryAt: 0
+    }
+  }
+
+  const delegateAddr = multiaddr(address).toOptions()
+  // the routers declare their own copy of the DHT query event types
+  const client = /** @type {RPCClient} */ (ipfsHttpClient({
+    host: delegateAddr.host,
+    protocol: delegateAddr.port === 443 ? 'https' : 'http',
+    port: delegateAddr.port
+  }))
+
+  return {
+    address,
+    contentRouting: delegatedContentRouting(client)(),
+    peerRouting: delegatedPeerRouting(client)(),
+    routingV1: false,
+    failures: 0,
+    retryAt: 0
+  }
+}
+
+/**
+ * Aborts the controller when the caller's signal aborts. Unlike `anySignal`
+ * the listener can be removed so long lived caller signals do not collect a
+ * listener for every query.
+ *
+ * @param {AbortController} controller
+ * @param {AbortSignal} [signal]
+ * @returns {() => void} removes the listener
+ */
+function followSignal (controller, signal) {
+  if (signal == null) {
+    return () => {}
+  }
+
+  const onAbort = () => controller.abort()
+
+  if (signal.aborted) {
+    onAbort()
+  } else {
+    signal.addEventListener('abort', onAbort)
+  }
+
+  return () => signal.removeEventListener('abort', onAbort)
+}
+
+/**
+ * Content and peer routing through every configured delegate. Queries are sent
+ * to all healthy delegates in parallel, delegates that fail are skipped with
+ * exponential backoff and, if all of them are failing, all of them are tried
+ * again rather than giving up.
+ */
+export class DelegatedRouting {
+  /**
+   * @param {Delegate[]} [delegates]
+   */
+  constructor (delegates = []) {
+    this.delegates = delegates
+    this.started = false
+  }
+
+  /**
+   * @param {string} address
+   */
+  add (address) {
+    this.delegates.push(createDelegate(address))
+  }
+
+  /**
+   * IPNS records are only stored with delegates that speak Routing V1, the
+   * legacy API would publish them to the DHT of the delegate instead
+   *
+   * @returns {DelegatedRouting | undefined}
+   */
+  ipns () {
+    const delegates = this.delegates.filter(delegate => delegate.routingV1)
+
+    if (delegates.length > 0) {
+      // the delegates are shared so their health is too
+      return new DelegatedRouting(delegates)
+    }
+  }
+
+  isStarted () {
+    return this.started
+  }
+
+  async start () {
+    // libp2p starts this once as a content router and once as a peer router
+    if (this.started) {
+      return
+    }
+
+    this.started = true
+
+    for (const { contentRouting, peerRouting } of this.delegates) {
+      await contentRouting.start?.()
+
+      if (peerRouting !== contentRouting) {
+        await peerRouting.start?.()
+      }
+    }
+  }
+
+  async stop () {
+    if (!this.started) {
+      return
+    }
+
+    this.started = false
+
+    for (const { contentRouting, peerRouting } of this.delegates) {
+      await contentRouting.stop?.()
+
+      if (peerRouting !== contentRouting) {
+        await peerRouting.stop?.()
+      }
+    }
+  }
+
+  /**
+   * @param {CID} cid
+   * @param {AbortOptions} [options]
+   */
+  async * findProviders (cid, options = {}) {
+    yield * this._collect(this._available('contentRouting', 'findProviders'), (delegate, signal) => {
+      // @ts-expect-error only delegates with the method are available
+      return delegate.contentRouting.findProviders(cid, { ...options, signal })
+    }, options)
+  }
+
+  /**
+   * @param {CID} cid
+   * @param {AbortOptions} [options]
+   */
+  async provide (cid, options = {}) {
+    await this._all(this._available('contentRouting', 'provide'), (delegate, signal) => {
+      // @ts-expect-error only delegates with the method are available
+      return delegate.contentRouting.provide(cid, { ...options, signal })
+    }, options)
+  }
+
+  /**
+   * @param {Uint8Array} key
+   * @param {Uint8Array} value
+   * @param {AbortOptions} [options]
+   */
+  async put (key, value, options = {}) {
+    await this._all(this._available('contentRouting', 'put'), (delegate, signal) => {
+      // @ts-expect-error only delegates with the method are available
+      return delegate.contentRouting.put(key, value, { ...options, signal })
+    }, options)
+  }
+
+  /**
+   * @param {Uint8Array} key
+   * @param {AbortOptions} [options]
+   * @returns {Promise<Uint8Array>}
+   */
+  async get (key, options = {}) {
+    return this._any(this._available('contentRouting', 'get'), (delegate, signal) => {
+      // @ts-expect-error only delegates with the method are available
+      return delegate.contentRouting.get(key, { ...options, signal })
+    }, options)
+  }
+
+  /**
+   * @param {PeerId} peerId
+   * @param {AbortOptions} [options]
+   * @returns {Promise<PeerInfo>}
+   */
+  async findPeer (peerId, options = {}) {
+    return this._any(this._available('peerRouting', 'findPeer'), (delegate, signal) => {
+      // @ts-expect-error only delegates with the method are available
+      return delegate.peerRouting.findPeer(peerId, { ...options, signal })
+    }, options)
+  }
+
+  /**
+   * @param {Uint8Array} key
+   * @param {AbortOptions} [options]
+   */
+  async * getClosestPeers (key, options = {}) {
+    yield * this._collect(this._available('peerRouting', 'getClosestPeers'), (delegate, signal) => {
+      // @ts-expect-error only delegates with the method are available
+      return delegate.peerRouting.getClosestPeers(key, { ...options, signal })
+    }, options)
+  }
+
+  /**
+   * Returns the delegates that support an operation, leaving out the ones
+   * that are backing off unless that would leave none
+   *
+   * @param {'contentRouting' | 'peerRouting'} type
+   * @param {string} method
+   */
+  _available (type, method) {
+    // @ts-expect-error method is a property of the router
+    const supported = this.delegates.filter(delegate => typeof delegate[type][method] === 'function')
+    const now = Date.now()
+    const healthy = supported.filter(delegate => delegate.retryAt <= now)
+
+    return healthy.length > 0 ? healthy : supported
+  }
+
+  /**
+   * Merges the results of every delegate, a delegate failing ends its own
+   * results without ending the others. Queries still running when the caller
+   * stops reading are cancelled.
+   *
+   * @param {Delegate[]} delegates
+   * @param {(delegate: Delegate, signal: AbortSignal) => AsyncIterable<PeerInfo>} query
+   * @param {AbortOptions} options
+   * @returns {AsyncIterable<PeerInfo>}
+   */
+  async * _collect (delegates, query, options) {
+    const controller = new AbortController()
+    const unfollow = followSignal(controller, options.signal)
+    const signal = controller.signal
+    const seen = new Set()
+    const self = this
+
+    try {
+      const sources = delegates.map(async function * (delegate) {
+        try {
+          yield * query(delegate, signal)
+          self._succeeded(delegate)
+        } catch (/** @type {any} */ err) {
+          self._failed(delegate, err, signal)
+        }
+      })
+
+      for await (const peer of merge(...sources)) {
+        if (!seen.has(peer.id.toString())) {
+          seen.add(peer.id.toString())
+          yield peer
+        }
+      }
+    } finally {
+      unfollow()
+      controller.abort()
+    }
+  }
+
+  /**
+   * Resolves with the first delegate to answer and cancels the rest
+   *
+   * @template T
+   * @param {Delegate[]} delegates
+   * @param {(delegate: Delegate, signal: AbortSignal) => Promise<T>} query
+   * @param {AbortOptions} options
+   * @returns {Promise<T>}
+   */
+  async _any (delegates, query, options) {
+    if (delegates.length === 0) {
+      throw errCode(new Error('No delegates support this operation'), 'ERR_NOT_SUPPORTED')
+    }
+
+    const controller = new AbortController()
+    const unfollow = followSignal(controller, options.signal)
+
+    try {
+      return await Promise.any(delegates.map(delegate => this._call(delegate, query, controller.signal)))
+    } catch (/** @type {any} */ err) {
+      throw err.errors[0]
+    } finally {
+      unfollow()
+      controller.abort()
+    }
+  }
+
+  /**
+   * Succeeds if any delegate succeeds
+   *
+   * @param {Delegate[]} delegates
+   * @param {(delegate: Delegate, signal: AbortSignal) => Promise<void>} query
+   * @param {AbortOptions} options
+   */
+  async _all (delegates, query, options) {
+    const controller = new AbortController()
+    const unfollow = followSignal(controller, options.signal)
+    /** @type {PromiseSettledResult<void>[]} */
+    let results
+
+    try {
+      results = await Promise.allSettled(delegates.map(delegate => this._call(delegate, query, controller.signal)))
+    } finally {
+      unfollow()
+    }
+
+    /** @type {any[]} */
+    const errors = []
+
+    for (const result of results) {
+      if (result.status === 'fulfilled') {
+        return
+      }
+
+      // delegates that cannot perform the operation have not failed
+      if (result.reason.code !== 'ERR_NOT_SUPPORTED') {
+        errors.push(result.reason)
+      }
+    }
+
+    if (errors.length > 0) {
+      throw errors[0]
+    }
+  }
+
+  /**
+   * @template T
+   * @param {Delegate} delegate
+   * @param {(delegate: Delegate, signal: AbortSignal) => Promise<T>} query
+   * @param {AbortSignal} signal
+   */
+  async _call (delegate, query, signal) {
+    try {
+      const result = await query(delegate, signal)
+      this._succeeded(delegate)
+
+      return result
+    } catch (/** @type {any} */ err) {
+      this._failed(delegate, err, signal)
+      throw err
+    }
+  }
+
+  /**
+   * @param {Delegate} delegate
+   */
+  _succeeded (delegate) {
+    if (delegate.failures > 0) {
+      log('delegate %s recovered', delegate.address)
+    }
+
+    delegate.failures = 0
+    delegate.retryAt = 0
+  }
+
+  /**
+   * @param {Delegate} delegate
+   * @param {any} err
+   * @param {AbortSignal} signal
+   */
+  _failed (delegate, err, signal) {
+    // the query was cancelled, the delegate did nothing wrong
+    if (signal.aborted) {
+      return
+    }
+
+    if (EXPECTED_ERRORS.includes(err.code)) {
+      this._succeeded(delegate)
+      return
+    }
+
+    const backoff = Math.min(INITIAL_BACKOFF * 2 ** delegate.failures, MAX_BACKOFF)
+    delegate.failures++
+    delegate.retryAt = Date.now() + backoff
+
+    log.error('delegate %s failed, skipping it for %dms', delegate.address, backoff, err)
+  }
+}
@@ -1,5 +1,7 @@
+// registers loggers as they are created so must be evaluated before anything else
+import './components/log/registry.js'
 import { create as createImport } from './components/index.js'
-import globSourceImport from 'ipfs-utils/src/files/glob-source.js'
+import { globSource as globSourceImport } from 'ipfs-core-utils/files/glob-source'
 import urlSourceImport from 'ipfs-utils/src/files/url-source.js'
 
 /**
@@ -1,13 +1,38 @@
 import errcode from 'err-code'
 import { logger } from '@libp2p/logger'
+import * as ipns from 'ipns'
+import { ipnsValidator } from 'ipns/validator'
+import { ipnsSelector } from 'ipns/selector'
+import { notFoundError } from 'datastore-core/errors'
+import { equals as uint8ArrayEquals } from 'uint8arrays/equals'
 import { IpnsPublisher } from './publisher.js'
 import { IpnsRepublisher } from './republisher.js'
 import { IpnsResolver } from './resolver.js'
 import { TLRU } from '../utils/tlru.js'
+import get from 'dlv'
+import parseDuration from 'parse-duration'
 import { toString as uint8ArrayToString } from 'uint8arrays/to-string'
 
 const log = logger('ipfs:ipns')
-const defaultRecordTtl = 60 * 1000
+const ERR_NOT_FOUND = notFoundError().code
+
+/**
+ * @param {string | undefined} value
+ * @param {string} name
+ */
+function parseConfigDuration (value, name) {
+  if (value == null) {
+    return
+  }
+
+  const ms = parseDuration(value)
+
+  if (ms == null || ms <= 0) {
+    throw errcode(new Error(`Invalid ${name} "${value}"`), 'ERR_INVALID_CONFIG')
+  }
+
+  return ms
+}
 
 /**
  * @typedef {import('@libp2p/interface-keys').PrivateKey} PrivateKey
@@ -25,12 +50,21 @@ export class IPNS {
    * @param {string} options.pass
    * @param {number} [options.initialBroadcastInterval]
    * @param {number} [options.broadcastInterval]
+   * @param {import('ipfs-core-types/src/config').Config} [options.config]
    */
   constructor (routing, datastore, peerId, keychain, options) {
+    /** @type {import('ipfs-core-types/src/config').IpnsConfig} */
+    const config = get(options, 'config.Ipns', {})
+
+    this.recordLifetime = parseConfigDuration(config.RecordLifetime, 'Ipns.RecordLifetime') ?? IpnsRepublisher.defaultRecordLifetime
     this.publisher = new IpnsPublisher(routing, datastore)
-    this.republisher = new IpnsRepublisher(this.publisher, datastore, peerId, keychain, options)
-    this.resolver = new IpnsResolver(routing)
+    this.republisher = new IpnsRepublisher(this.publisher, datastore, peerId, keychain, {
+      ...options,
+      broadcastInterval: options.broadcastInterval ?? parseConfigDuration(config.RepublishPeriod, 'Ipns.RepublishPeriod'),
+      recordLifetime: this.recordLifetime
+    })
     this.cache = new TLRU(1000)
+    this.resolver = new IpnsResolver(routing, this.cache)
     this.routing = routing
   }
 
@@ -40,21 +74,25 @@ export class IPNS {
    * @param {PeerId} peerId
    * @param {Uint8Array} value
    * @param {number} lifetime
-   * @param {AbortOptions} [options]
+   * @param {import('./publisher').PublishOptions} [options]
    */
-  async publish (peerId, value, lifetime = IpnsPublisher.defaultRecordLifetime, options) {
+  async publish (peerId, value, lifetime = IpnsPublisher.defaultRecordLifetime, options = {}) {
     try {
       await this.publisher.publishWithEOL(peerId, value, lifetime, options)
 
       log(`IPNS value ${uint8ArrayToString(value, 'base32')} was published correctly`)
 
-      // // Add to cache
+      try {
+        await this.republisher.track(peerId, lifetime)
+      } catch (/** @type {any} */ err) {
+        log.error('could not track published name for republishing', err)
+      }
+
+      // Add to cache, resolvers will not cache it for longer than this either
       const id = peerId.toString()
-      // @ts-expect-error - parseFloat expects string
-      const ttEol = parseFloat(lifetime)
-      const ttl = (ttEol < defaultRecordTtl) ? ttEol : defaultRecordTtl
+      const ttl = Math.min(options.ttl ?? IpnsPublisher.defaultRecordTtl, lifetime)
 
-      this.cache.set(id, value, ttl)
+      this.cache.set(id, uint8ArrayToString(value), ttl)
 
       log(`IPNS value ${uint8ArrayToString(value, 'base32')} was cached correctly`)
 
@@ -83,17 +121,6 @@ export class IPNS {
       throw errcode(new Error('name received is not valid'), 'ERR_INVALID_NAME')
     }
 
-    // If recursive, we should not try to get the cached value
-    if (!options.nocache && !options.recursive) {
-      // Try to get the record from cache
-      const id = name.split('/')[2]
-      const result = this.cache.get(id)
-
-      if (result) {
-        return result
-      }
-    }
-
     try {
       const result = await this.resolver.resolve(name, options)
 
@@ -107,6 +134,75 @@ export class IPNS {
     }
   }
 
+  /**
+   * Get the raw signed record for a name from the routing, validating it
+   * before it is returned
+   *
+   * @param {PeerId} peerId
+   * @param {AbortOptions} [options]
+   */
+  async get (peerId, options) {
+    const routingKey = ipns.peerIdToRoutingKey(peerId)
+    let record
+
+    try {
+      record = await this.routing.get(routingKey, options)
+    } catch (/** @type {any} */ err) {
+      log.error(err)
+
+      if (err.code === ERR_NOT_FOUND) {
+        throw errcode(new Error(`record requested for ${peerId} was not found in the network`), 'ERR_NO_RECORD_FOUND')
+      }
+
+      throw errcode(new Error(`unexpected error getting the ipns record ${peerId}`), 'ERR_UNEXPECTED_ERROR_GETTING_RECORD')
+    }
+
+    await ipnsValidator(routingKey, record)
+
+    return record
+  }
+
+  /**
+   * Store a record signed by the key of the name, which does not have to be
+   * one of ours, in the routing. Records older than the one already in the
+   * routing are refused unless `force` is set.
+   *
+   * @param {PeerId} peerId
+   * @param {Uint8Array} record
+   * @param {AbortOptions & { force?: boolean }} [options]
+   */
+  async put (peerId, record, options = {}) {
+    const routingKey = ipns.peerIdToRoutingKey(peerId)
+
+    try {
+      await ipnsValidator(routingKey, record)
+    } catch (/** @type {any} */ err) {
+      throw errcode(new Error(`invalid ipns record for ${peerId} - ${err.message}`), 'ERR_INVALID_RECORD')
+    }
+
+    if (!options.force) {
+      /** @type {Uint8Array | undefined} */
+      let existing
+
+      try {
+        existing = await this.get(peerId, options)
+      } catch (/** @type {any} */ err) {
+        log('no valid existing record for %p', peerId, err)
+      }
+
+      if (existing != null && !uint8ArrayEquals(existing, record) && ipnsSelector(routingKey, [record, existing]) !== 0) {
+        throw errcode(new Error(`a newer ipns record for ${peerId} already exists`), 'ERR_OUTDATED_RECORD')
+      }
+    }
+
+    await this.publisher._publishEntry(routingKey, record, options)
+
+    // the cached value may be out of date now
+    this.cache.remove(peerId.toString())
+
+    log(`IPNS record for ${peerId} was put correctly`)
+  }
+
   /**
    * Initialize keyspace
    *
@@ -117,6 +213,6 @@ export class IPNS {
    * @param {AbortOptions} [options]
    */
   async initializeKeyspace (peerId, value, options) { // eslint-disable-line require-await
-    return this.publish(peerId, value, IpnsPublisher.defaultRecordLifetime, options)
+    return this.publish(peerId, value, this.recordLifetime, options)
   }
 }
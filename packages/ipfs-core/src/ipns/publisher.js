@@ -1,9 +1,13 @@
 import { isPeerId } from '@libp2p/interface-peer-id'
+import { unmarshalPrivateKey } from '@libp2p/crypto/keys'
 import { notFoundError } from 'datastore-core/errors'
 import errcode from 'err-code'
 import { logger } from '@libp2p/logger'
+import * as cborg from 'cborg'
 import { toString as uint8ArrayToString } from 'uint8arrays/to-string'
+import { fromString as uint8ArrayFromString } from 'uint8arrays/from-string'
 import { equals as uint8ArrayEquals } from 'uint8arrays/equals'
+import { concat as uint8ArrayConcat } from 'uint8arrays/concat'
 import * as ipns from 'ipns'
 
 const log = logger('ipfs:ipns:publisher')
@@ -14,10 +18,54 @@ const log = logger('ipfs:ipns:publisher')
  * @typedef {import('ipns').IPNSEntry} IPNSEntry
  * @typedef {import('@libp2p/interface-peer-id').PeerId} PeerId
  * @typedef {import('@libp2p/interfaces').AbortOptions} AbortOptions
+ *
+ * @typedef {object} PublishOptionsExtension
+ * @property {number} [ttl] - how long resolvers may cache the record for in ms
+ *
+ * @typedef {AbortOptions & PublishOptionsExtension} PublishOptions
  */
 
 const ERR_NOT_FOUND = notFoundError().code
 const defaultRecordLifetime = 60 * 60 * 1000
+const defaultRecordTtl = 60 * 1000
+
+/**
+ * `ipns.create` sets the TTL of records to their lifetime so set it to the
+ * requested TTL, in nanoseconds as the spec requires, and sign the record
+ * data again as the TTL is covered by the V2 signature
+ *
+ * @param {PeerId} peerId
+ * @param {IPNSEntry} entry
+ * @param {number} ttl - in ms
+ * @returns {Promise<IPNSEntry>}
+ */
+async function setTtl (peerId, entry, ttl) {
+  if (peerId.privateKey == null) {
+    throw errcode(new Error('Missing private key'), 'ERR_MISSING_PRIVATE_KEY')
+  }
+
+  if (entry.data == null) {
+    throw errcode(new Error('Record has no V2 data to set the TTL in'), 'ERR_INVALID_RECORD_DATA')
+  }
+
+  const ttlNs = BigInt(Math.round(ttl)) * 1000000n
+  const data = cborg.encode({
+    ...cborg.decode(entry.data),
+    TTL: ttlNs
+  })
+  const privateKey = await unmarshalPrivateKey(peerId.privateKey)
+  const signatureV2 = await privateKey.sign(uint8ArrayConcat([
+    uint8ArrayFromString('ipns-signature:'),
+    data
+  ]))
+
+  return {
+    ...entry,
+    ttl: ttlNs,
+    data,
+    signatureV2
+  }
+}
 
 // IpnsPublisher is capable of publishing and resolving names to the IPFS routing system.
 export class IpnsPublisher {
@@ -36,7 +84,7 @@ export class IpnsPublisher {
    * @param {PeerId} peerId
    * @param {Uint8Array} value
    * @param {number} lifetime
-   * @param {AbortOptions} [options]
+   * @param {PublishOptions} [options]
    */
   async publishWithEOL (peerId, value, lifetime, options) {
     const record = await this._updateOrCreateRecord(peerId, value, lifetime, options)
@@ -49,7 +97,7 @@ export class IpnsPublisher {
    *
    * @param {PeerId} peerId
    * @param {Uint8Array} value
-   * @param {AbortOptions} options
+   * @param {PublishOptions} options
    */
   publish (peerId, value, options) {
     return this.publishWithEOL(peerId, value, defaultRecordLifetime, options)
@@ -167,9 +215,9 @@ export class IpnsPublisher {
    * @param {PeerId} peerId
    * @param {Uint8Array} value
    * @param {number} lifetime
-   * @param {AbortOptions} [options]
+   * @param {PublishOptions} [options]
    */
-  async _updateOrCreateRecord (peerId, value, lifetime, options) {
+  async _updateOrCreateRecord (peerId, value, lifetime, options = {}) {
     if (!(isPeerId(peerId))) {
       const errMsg = 'peerId received is not valid'
       log.error(errMsg)
@@ -209,6 +257,7 @@ export class IpnsPublisher {
     try {
       // Create record
       entryData = await ipns.create(peerId, value, seqNumber, lifetime)
+      entryData = await setTtl(peerId, entryData, options.ttl ?? defaultRecordTtl)
     } catch (/** @type {any} */ err) {
       const errMsg = `ipns record for ${value} could not be created`
 
@@ -216,8 +265,6 @@ export class IpnsPublisher {
       throw errcode(new Error(errMsg), 'ERR_CREATING_IPNS_RECORD')
     }
 
-    // TODO IMPROVEMENT - set ttl (still experimental feature for go)
-
     try {
       // Marshal record
       const data = ipns.marshal(entryData)
@@ -238,3 +285,4 @@ export class IpnsPublisher {
 }
 
 IpnsPublisher.defaultRecordLifetime = defaultRecordLifetime
+IpnsPublisher.defaultRecordTtl = defaultRecordTtl
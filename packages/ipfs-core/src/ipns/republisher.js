@@ -3,8 +3,12 @@ import { importKey } from '@libp2p/crypto/keys'
 import { isPeerId } from '@libp2p/interface-peer-id'
 import errcode from 'err-code'
 import { logger } from '@libp2p/logger'
-import { peerIdFromKeys } from '@libp2p/peer-id'
+import { peerIdFromKeys, peerIdFromString } from '@libp2p/peer-id'
+import { Key } from 'interface-datastore/key'
+import { notFoundError } from 'datastore-core/errors'
 import { TimeoutController } from 'timeout-abort-controller'
+import { fromString as uint8ArrayFromString } from 'uint8arrays/from-string'
+import { toString as uint8ArrayToString } from 'uint8arrays/to-string'
 
 const log = logger('ipfs:ipns:republisher')
 
@@ -12,14 +16,37 @@ const log = logger('ipfs:ipns:republisher')
  * @typedef {import('@libp2p/interface-keys').PrivateKey} PrivateKey
  * @typedef {import('@libp2p/interface-peer-id').PeerId} PeerId
  * @typedef {import('@libp2p/interfaces').AbortOptions} AbortOptions
+ *
+ * @typedef {object} Entry
+ * @property {PeerId} peerId
+ * @property {number} lifetime - how long republished records are valid for in ms
+ * @property {boolean} published - whether the name has been published, if not there is nothing to republish
+ * @property {number} [lastRun] - when the record was last published or republished
+ * @property {number} [nextRun] - when the record is next due to be republished
+ * @property {string} [error] - why the last republish failed
+ *
+ * @typedef {object} RepublishOptions
+ * @property {boolean} [all] - republish every entry, not just the ones that are due
+ * @property {string[]} [names] - only republish these names
  */
 
+const ERR_NOT_FOUND = notFoundError().code
 const minute = 60 * 1000
 const hour = 60 * minute
 
 const defaultBroadcastInterval = 4 * hour
 const defaultRecordLifetime = 24 * hour
 
+// published names are stored under this prefix so they survive restarts
+const PREFIX = '/ipns-republish'
+
+/**
+ * @param {PeerId} peerId
+ */
+function entryKey (peerId) {
+  return new Key(`${PREFIX}/${peerId}`)
+}
+
 export class IpnsRepublisher {
   /**
    * @param {import('./publisher').IpnsPublisher} publisher
@@ -30,6 +57,7 @@ export class IpnsRepublisher {
    * @param {string} options.pass
    * @param {number} [options.initialBroadcastInterval]
    * @param {number} [options.broadcastInterval]
+   * @param {number} [options.recordLifetime]
    */
   constructor (publisher, datastore, peerId, keychain, options = { pass: '' }) {
     this._publisher = publisher
@@ -37,7 +65,29 @@ export class IpnsRepublisher {
     this._peerId = peerId
     this._keychain = keychain
     this._options = options
+    this._broadcastInterval = options.broadcastInterval || defaultBroadcastInterval
+    this._recordLifetime = options.recordLifetime || defaultRecordLifetime
+
+    /** @type {null|{ timeout?: ReturnType<typeof setTimeout>, runAt?: number }} */
     this._republishHandle = null
+
+    /** @type {Promise<void>} */
+    this._inflight = Promise.resolve()
+
+    /** @type {Promise<void>|null} */
+    this._loading = null
+
+    /**
+     * The node's own key is always republished, as it was before published
+     * names were tracked
+     *
+     * @type {Map<string, Entry>}
+     */
+    this._entries = new Map([[peerId.toString(), {
+      peerId,
+      lifetime: this._recordLifetime,
+      published: false
+    }]])
   }
 
   async start () { // eslint-disable-line require-await
@@ -45,146 +95,375 @@ export class IpnsRepublisher {
       throw errcode(new Error('republisher is already running'), 'ERR_REPUBLISH_ALREADY_RUNNING')
     }
 
-    // TODO: this handler should be isolated in another module
-    const republishHandle = {
-      /** @type {null|(() => Promise<void>)} */
-      _task: null,
-      /** @type {null|Promise<void>} */
-      _inflightTask: null,
-      /** @type {null|NodeJS.Timeout} */
-      _timeoutId: null,
-      /**
-       * @param {function(): number} period
-       */
-      runPeriodically: (period) => {
-        republishHandle._timeoutId = setTimeout(async () => {
-          republishHandle._timeoutId = null
-
-          try {
-            // @ts-expect-error - _task could be null
-            republishHandle._inflightTask = republishHandle._task()
-            await republishHandle._inflightTask
-
-            // Schedule next
-            if (republishHandle._task) {
-              republishHandle.runPeriodically(period)
-            }
-          } catch (/** @type {any} */ err) {
-            log.error(err)
-          }
-        }, period())
-      },
-      cancel: async () => {
-        // do not run again
-        if (republishHandle._timeoutId != null) {
-          clearTimeout(republishHandle._timeoutId)
-        }
-        republishHandle._task = null
+    this._republishHandle = {}
+
+    // republish everything shortly after starting as records may have
+    // expired while the node was not running
+    const firstRun = Date.now() + (this._options.initialBroadcastInterval || minute)
+
+    for (const entry of this._entries.values()) {
+      entry.nextRun = firstRun
+    }
+
+    this._schedule(firstRun)
+  }
+
+  async stop () {
+    const republishHandle = this._republishHandle
+
+    if (!republishHandle) {
+      throw errcode(new Error('republisher is not running'), 'ERR_REPUBLISH_NOT_RUNNING')
+    }
+
+    this._republishHandle = null
+    clearTimeout(republishHandle.timeout)
+
+    // wait for the currently in flight task to complete
+    await this._inflight
+  }
+
+  /**
+   * Records that a name has been published so it will be republished with
+   * the same lifetime
+   *
+   * @param {PeerId} peerId
+   * @param {number} lifetime
+   */
+  async track (peerId, lifetime) {
+    await this._loadEntries()
+
+    const now = Date.now()
+    const entry = this._getEntry(peerId)
+
+    entry.lifetime = lifetime
+    entry.published = true
+    entry.lastRun = now
+    entry.nextRun = now + this._period(entry)
+    entry.error = undefined
+
+    await this._saveEntry(entry)
+    this._reschedule()
+  }
+
+  /**
+   * Republishes names now rather than waiting for them to be due
+   *
+   * @param {AbortOptions & { names?: string[] }} [options]
+   */
+  async republish (options = {}) {
+    await this._run({
+      all: options.names == null,
+      names: options.names,
+      signal: options.signal
+    })
+    this._reschedule()
 
-        // wait for the currently in flight task to complete
-        await republishHandle._inflightTask
+    return this.status()
+  }
+
+  /**
+   * Reports when each published name was last and will next be republished
+   */
+  async status () {
+    await this._loadEntries()
+
+    /** @type {import('ipfs-core-types/src/name/republish').RepublishStatus[]} */
+    const statuses = []
+
+    for (const entry of this._entries.values()) {
+      if (entry.published) {
+        statuses.push({
+          name: entry.peerId.toString(),
+          key: await this._keyName(entry.peerId),
+          lifetime: entry.lifetime,
+          lastRun: entry.lastRun == null ? undefined : new Date(entry.lastRun),
+          nextRun: this._republishHandle == null || entry.nextRun == null ? undefined : new Date(entry.nextRun),
+          error: entry.error
+        })
       }
     }
 
-    const { pass } = this._options
-    let firstRun = true
+    return statuses
+  }
 
-    republishHandle._task = async () => {
+  /**
+   * @param {RepublishOptions & AbortOptions} options
+   */
+  _run (options) {
+    const run = this._inflight.then(async () => {
       const timeoutController = new TimeoutController(30000)
+      const signal = options.signal ?? timeoutController.signal
 
       try {
-        await this._republishEntries(this._peerId, pass, {
-          signal: timeoutController.signal
+        await this._republishEntries(this._peerId, this._options.pass, {
+          ...options,
+          signal
         })
       } finally {
         timeoutController.clear()
       }
+    })
+
+    this._inflight = run.catch(err => {
+      log.error(err)
+    })
+
+    return run
+  }
+
+  /**
+   * Wakes up when the next entry is due, or after the broadcast interval if
+   * none are
+   *
+   * @param {number} runAt
+   */
+  _schedule (runAt) {
+    const republishHandle = this._republishHandle
+
+    if (republishHandle == null) {
+      return
     }
 
-    republishHandle.runPeriodically(() => {
-      if (firstRun) {
-        firstRun = false
-        return this._options.initialBroadcastInterval || minute
+    clearTimeout(republishHandle.timeout)
+    republishHandle.runAt = runAt
+    republishHandle.timeout = setTimeout(() => {
+      this._run({})
+        .catch(() => {})
+        .finally(() => {
+          if (this._republishHandle === republishHandle) {
+            this._reschedule()
+          }
+        })
+    }, Math.max(runAt - Date.now(), 0))
+  }
+
+  _reschedule () {
+    const now = Date.now()
+    let runAt = now + this._broadcastInterval
+
+    for (const entry of this._entries.values()) {
+      if (entry.nextRun != null && entry.nextRun > now && entry.nextRun < runAt) {
+        runAt = entry.nextRun
       }
+    }
 
-      return this._options.broadcastInterval || defaultBroadcastInterval
-    })
+    this._schedule(runAt)
+  }
 
-    this._republishHandle = republishHandle
+  /**
+   * Records are republished at half their lifetime if that is sooner than
+   * the broadcast interval so they never expire between republishes
+   *
+   * @param {Entry} entry
+   */
+  _period (entry) {
+    return Math.min(this._broadcastInterval, Math.floor(entry.lifetime / 2))
   }
 
-  async stop () {
-    const republishHandle = this._republishHandle
+  /**
+   * @param {PeerId} peerId
+   */
+  _getEntry (peerId) {
+    let entry = this._entries.get(peerId.toString())
+
+    if (entry == null) {
+      entry = {
+        peerId,
+        lifetime: this._recordLifetime,
+        published: false,
+        nextRun: this._republishHandle?.runAt
+      }
 
-    if (!republishHandle) {
-      throw errcode(new Error('republisher is not running'), 'ERR_REPUBLISH_NOT_RUNNING')
+      this._entries.set(peerId.toString(), entry)
     }
 
-    this._republishHandle = null
+    return entry
+  }
+
+  /**
+   * @param {Entry} entry
+   */
+  async _saveEntry (entry) {
+    await this._datastore.put(entryKey(entry.peerId), uint8ArrayFromString(JSON.stringify({
+      lifetime: entry.lifetime,
+      lastRun: entry.lastRun,
+      error: entry.error
+    })))
+  }
+
+  _loadEntries () {
+    if (this._loading == null) {
+      this._loading = this._readEntries()
+        .catch(err => {
+          log.error('could not load published names', err)
+        })
+    }
 
-    await republishHandle.cancel()
+    return this._loading
+  }
+
+  async _readEntries () {
+    let found = false
+
+    for await (const { key, value } of this._datastore.query({ prefix: PREFIX })) {
+      found = true
+
+      const peerId = peerIdFromString(key.baseNamespace())
+      const entry = this._getEntry(peerId)
+
+      // entries published since starting are newer than the stored ones
+      if (!entry.published) {
+        const { lifetime, lastRun, error } = JSON.parse(uint8ArrayToString(value))
+
+        entry.lifetime = lifetime
+        entry.lastRun = lastRun
+        entry.error = error
+        entry.published = true
+      }
+    }
+
+    if (!found) {
+      await this._addExistingRecords()
+    }
+  }
+
+  /**
+   * Names published before published names were tracked only have a record in
+   * the datastore so add those belonging to our keys
+   */
+  async _addExistingRecords () {
+    const keys = await this._keychain.listKeys()
+
+    for (const { id } of keys) {
+      const peerId = id === this._peerId.toString() ? this._peerId : peerIdFromString(id)
+
+      if (await this._datastore.has(ipns.getLocalKey(peerId.toBytes()))) {
+        const entry = this._getEntry(peerId)
+        entry.published = true
+
+        await this._saveEntry(entry)
+      }
+    }
   }
 
   /**
    * @param {PeerId} peerId
    * @param {string} pass
-   * @param {AbortOptions} options
+   * @param {AbortOptions & RepublishOptions} options
    */
   async _republishEntries (peerId, pass, options) {
-    // TODO: Should use list of published entries.
-    // We can't currently *do* that because go uses this method for now.
-    try {
-      await this._republishEntry(peerId, options)
-    } catch (/** @type {any} */ err) {
-      const errMsg = 'cannot republish entry for the node\'s private key'
+    await this._loadEntries()
 
-      log.error(errMsg)
-      return
-    }
+    const now = Date.now()
+    const due = [...this._entries.values()].filter(entry => {
+      // self is always attempted in case it has a record that was not tracked
+      if (!entry.published && entry.peerId !== peerId) {
+        return false
+      }
 
-    // keychain needs pass to get the cryptographic keys
-    if (pass) {
-      try {
-        const keys = await this._keychain.listKeys()
+      if (options.names != null) {
+        return options.names.includes(entry.peerId.toString())
+      }
 
-        for (const key of keys) {
-          if (key.name === 'self') {
-            continue
-          }
+      return options.all || entry.nextRun == null || entry.nextRun <= now
+    })
 
-          const pem = await this._keychain.exportKey(key.name, pass)
-          const privKey = await importKey(pem, pass)
-          const peerIdKey = await peerIdFromKeys(privKey.public.bytes, privKey.bytes)
+    for (const entry of due) {
+      const self = entry.peerId === peerId
+
+      try {
+        const privateKey = self ? peerId : await this._exportKey(entry.peerId, pass)
+        const republished = await this._republishEntry(privateKey, { signal: options.signal })
 
-          await this._republishEntry(peerIdKey, options)
+        entry.error = undefined
+
+        if (republished === false) {
+          continue
         }
       } catch (/** @type {any} */ err) {
-        log.error(err)
+        log.error('cannot republish entry for %p', entry.peerId, err)
+        entry.error = err.message
+      }
+
+      const lastRun = Date.now()
+      entry.published = true
+      entry.lastRun = lastRun
+      // retry failures sooner so the record does not expire in the meantime
+      entry.nextRun = lastRun + (entry.error == null ? this._period(entry) : Math.min(minute, this._period(entry)))
+
+      try {
+        await this._saveEntry(entry)
+      } catch (/** @type {any} */ err) {
+        log.error('could not store republish status for %p', entry.peerId, err)
       }
     }
   }
 
   /**
+   * @param {PeerId} peerId
+   * @param {string} pass
+   */
+  async _exportKey (peerId, pass) {
+    // keychain needs pass to get the cryptographic keys
+    if (!pass) {
+      throw errcode(new Error('the keychain pass is needed to republish keys other than self'), 'ERR_NO_KEYCHAIN_PASS')
+    }
+
+    const { name } = await this._keychain.findKeyById(peerId.toString())
+    const pem = await this._keychain.exportKey(name, pass)
+    const privKey = await importKey(pem, pass)
+
+    return peerIdFromKeys(privKey.public.bytes, privKey.bytes)
+  }
+
+  /**
+   * @param {PeerId} peerId
+   */
+  async _keyName (peerId) {
+    if (peerId === this._peerId) {
+      return 'self'
+    }
+
+    try {
+      const { name } = await this._keychain.findKeyById(peerId.toString())
+
+      return name
+    } catch (/** @type {any} */ err) {
+      return undefined
+    }
+  }
+
+  /**
+   * Returns false if there is no record to republish
+   *
    * @param {PeerId} peerId
    * @param {AbortOptions} options
    */
   async _republishEntry (peerId, options) {
     try {
-      const value = await this._getPreviousValue(peerId)
-      await this._publisher.publishWithEOL(peerId, value, defaultRecordLifetime, options)
+      const record = await this._getPreviousRecord(peerId)
+      const lifetime = this._entries.get(peerId.toString())?.lifetime ?? this._recordLifetime
+
+      await this._publisher.publishWithEOL(peerId, record.value, lifetime, {
+        ...options,
+        // keep the ttl the name was published with, it is in nanoseconds
+        ttl: record.ttl == null ? undefined : Number(record.ttl / 1000000n)
+      })
     } catch (/** @type {any} */ err) {
       if (err.code === 'ERR_NO_ENTRY_FOUND') {
-        return
+        return false
       }
 
       throw err
     }
+
+    return true
   }
 
   /**
    * @param {PeerId} peerId
    */
-  async _getPreviousValue (peerId) {
+  async _getPreviousRecord (peerId) {
     if (!(isPeerId(peerId))) {
       throw errcode(new Error('invalid peer ID'), 'ERR_INVALID_PEER_ID')
     }
@@ -198,9 +477,7 @@ export class IpnsRepublisher {
 
       // unmarshal data
       try {
-        const record = ipns.unmarshal(dsVal)
-
-        return record.value
+        return ipns.unmarshal(dsVal)
       } catch (/** @type {any} */ err) {
         log.error(err)
         throw errcode(new Error('found ipns record that we couldn\'t convert to a value'), 'ERR_INVALID_IPNS_RECORD')
@@ -208,7 +485,7 @@ export class IpnsRepublisher {
     } catch (/** @type {any} */ err) {
       // error handling
       // no need to republish
-      if (err && err.notFound) {
+      if (err && (err.notFound || err.code === ERR_NOT_FOUND)) {
         throw errcode(new Error(`no previous entry for record with id: ${peerId.toString()}`), 'ERR_NO_ENTRY_FOUND')
       }
 
@@ -216,3 +493,6 @@ export class IpnsRepublisher {
     }
   }
 }
+
+IpnsRepublisher.defaultBroadcastInterval = defaultBroadcastInterval
+IpnsRepublisher.defaultRecordLifetime = defaultRecordLifetime
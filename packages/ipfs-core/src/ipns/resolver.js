@@ -7,6 +7,7 @@ import { fromString as uint8ArrayFromString } from 'uint8arrays/from-string'
 import { concat as uint8ArrayConcat } from 'uint8arrays/concat'
 import * as Errors from 'datastore-core/errors'
 import { ipnsValidator } from 'ipns/validator'
+import { TLRU } from '../utils/tlru.js'
 
 /**
  * @typedef {import('@libp2p/interface-peer-id').PeerId} PeerId
@@ -18,19 +19,38 @@ const log = logger('ipfs:ipns:resolver')
 const ERR_NOT_FOUND = Errors.notFoundError().code
 
 const defaultMaximumRecursiveDepth = 32
+const defaultCacheTtl = 60 * 1000
+const defaultCacheSize = 1000
+
+/**
+ * Records may be cached for as long as their TTL says, but never past the
+ * time they expire
+ *
+ * @param {import('ipns').IPNSEntry} entry
+ */
+function getCacheTtl (entry) {
+  // ttl is in nanoseconds
+  const ttl = entry.ttl == null ? defaultCacheTtl : Number(entry.ttl / 1000000n)
+  const validity = new Date(uint8ArrayToString(entry.validity)).getTime() - Date.now()
+
+  return Math.min(ttl, validity)
+}
 
 export class IpnsResolver {
   /**
    * @param {import('ipfs-core-types/src/utils').BufferStore} routing
+   * @param {TLRU<string>} [cache] - resolved values keyed by peer id
    */
-  constructor (routing) {
+  constructor (routing, cache = new TLRU(defaultCacheSize)) {
     this._routing = routing
+    this._cache = cache
   }
 
   /**
    * @param {string} name
    * @param {object} [options]
    * @param {boolean} [options.recursive]
+   * @param {boolean} [options.nocache] - do not use cached values
    * @param {AbortSignal} [options.signal]
    */
   async resolve (name, options = {}) {
@@ -66,7 +86,7 @@ export class IpnsResolver {
    *
    * @param {string} name
    * @param {number} depth
-   * @param {AbortOptions} options
+   * @param {AbortOptions & { nocache?: boolean }} options
    * @returns {Promise<string>}
    */
   async resolver (name, depth, options) {
@@ -94,10 +114,20 @@ export class IpnsResolver {
    * Resolve ipns entries from the provided routing
    *
    * @param {string} name
-   * @param {AbortOptions} options
+   * @param {AbortOptions & { nocache?: boolean }} options
    */
   async _resolveName (name, options) {
     const peerId = peerIdFromString(name)
+
+    if (!options.nocache) {
+      const cached = this._cache.get(peerId.toString())
+
+      if (cached != null) {
+        log(`${name} was resolved from the cache`)
+        return cached
+      }
+    }
+
     const routingKey = ipns.peerIdToRoutingKey(peerId)
     let record
 
@@ -114,7 +144,12 @@ export class IpnsResolver {
     }
 
     // We should have the public key by now (inline, or in the entry)
-    return this._validateRecord(peerId, record)
+    const entry = await this._validateRecord(peerId, record)
+    const value = uint8ArrayToString(entry.value)
+
+    this._cache.set(peerId.toString(), value, getCacheTtl(entry))
+
+    return value
   }
 
   /**
@@ -130,8 +165,6 @@ export class IpnsResolver {
       peerId.toBytes()
     ]), record)
 
-    const ipnsEntry = ipns.unmarshal(record)
-
-    return uint8ArrayToString(ipnsEntry.value)
+    return ipns.unmarshal(record)
   }
 }
@@ -14,8 +14,9 @@ import { DHTDatastore } from './dht-datastore.js'
  * @param {import('ipfs-repo').IPFSRepo} arg.repo
  * @param {import('@libp2p/interface-peer-id').PeerId} arg.peerId
  * @param {object} arg.options
+ * @param {import('../../delegated-routing').DelegatedRouting} [arg.delegatedRouting]
  */
-export function createRouting ({ libp2p, repo, peerId, options }) {
+export function createRouting ({ libp2p, repo, peerId, options, delegatedRouting }) {
   // Setup online routing for IPNS with a tiered routing composed by a DHT and a Pubsub router (if properly enabled)
   /** @type {any[]} */
   const ipnsStores = []
@@ -32,6 +33,13 @@ export function createRouting ({ libp2p, repo, peerId, options }) {
     ipnsStores.push(new DHTDatastore(libp2p.dht))
   }
 
+  // Add delegates that can store and resolve IPNS records
+  const ipnsDelegates = delegatedRouting?.ipns()
+
+  if (get(options, 'offline', false) !== true && ipnsDelegates != null) {
+    ipnsStores.push(ipnsDelegates)
+  }
+
   // Add an offline datastore if we are offline or no other datastores are configured
   if (get(options, 'offline', false) || ipnsStores.length === 0) {
     const offlineDatastore = new OfflineDatastore(repo.datastore)
@@ -0,0 +1,234 @@
+import { logger } from '@libp2p/logger'
+import { peerIdFromString } from '@libp2p/peer-id'
+import { multiaddr } from '@multiformats/multiaddr'
+import errCode from 'err-code'
+
+const log = logger('ipfs:peering')
+
+// peers with higher tag values are the last to be closed by the connection manager
+const PEERING_TAG = 'ipfs-peering'
+const PEERING_TAG_VALUE = 100
+
+// defaults match go-ipfs
+const INITIAL_BACKOFF = 5 * 1000
+const MAX_BACKOFF = 10 * 60 * 1000
+
+/**
+ * @typedef {import('libp2p').Libp2p} Libp2p
+ * @typedef {ReturnType<Libp2p['getConnections']>[number]} Connection - as emitted by libp2p
+ * @typedef {import('@libp2p/interface-peer-id').PeerId} PeerId
+ * @typedef {import('@multiformats/multiaddr').Multiaddr} Multiaddr
+ * @typedef {import('ipfs-core-types/src/config').PeeringConfig} PeeringConfig
+ * @typedef {import('ipfs-core-types/src/swarm/peering').PeeringPeer} PeeringPeer
+ *
+ * @typedef {object} Peer
+ * @property {PeerId} id
+ * @property {Multiaddr[]} addrs
+ * @property {number} backoff - how long to wait before the next reconnect
+ * @property {ReturnType<typeof setTimeout>} [timeout]
+ */
+
+/**
+ * Keeps the node connected to a set of peers. Their connections are protected
+ * from being trimmed by the connection manager and they are redialed, with
+ * exponential backoff, whenever they disconnect.
+ */
+export class Peering {
+  /**
+   * @param {Libp2p} libp2p
+   * @param {PeeringConfig} [config]
+   */
+  constructor (libp2p, config = {}) {
+    this.libp2p = libp2p
+    this.started = false
+
+    /** @type {{ id: PeerId, addrs: Multiaddr[] }[]} */
+    this.configured = []
+
+    for (const { ID, Addrs = [] } of config.Peers || []) {
+      try {
+        this.configured.push({
+          id: peerIdFromString(ID),
+          addrs: Addrs.map(addr => multiaddr(addr))
+        })
+      } catch (/** @type {any} */ err) {
+        throw errCode(new Error(`Invalid Peering.Peers entry for "${ID}" - ${err.message}`), 'ERR_INVALID_CONFIG')
+      }
+    }
+
+    /** @type {Map<string, Peer>} */
+    this.peers = new Map()
+
+    this._onConnect = this._onConnect.bind(this)
+    this._onDisconnect = this._onDisconnect.bind(this)
+  }
+
+  async start () {
+    this.started = true
+    this.libp2p.addEventListener('peer:connect', this._onConnect)
+    this.libp2p.addEventListener('peer:disconnect', this._onDisconnect)
+
+    await this._untagRemoved(this.configured.map(({ id }) => id.toString()))
+
+    for (const { id, addrs } of this.configured) {
+      await this.add(id, addrs)
+    }
+
+    log('peering with %d peers', this.peers.size)
+  }
+
+  async stop () {
+    this.started = false
+    this.libp2p.removeEventListener('peer:connect', this._onConnect)
+    this.libp2p.removeEventListener('peer:disconnect', this._onDisconnect)
+
+    for (const peer of this.peers.values()) {
+      clearTimeout(peer.timeout)
+    }
+
+    this.peers.clear()
+  }
+
+  /**
+   * Starts peering with a peer, or adds addresses to a peer that is already
+   * being peered with
+   *
+   * @param {PeerId} id
+   * @param {Multiaddr[]} [addrs]
+   */
+  async add (id, addrs = []) {
+    if (id.equals(this.libp2p.peerId)) {
+      throw errCode(new Error('cannot peer with self'), 'ERR_INVALID_PEER')
+    }
+
+    let peer = this.peers.get(id.toString())
+
+    if (peer == null) {
+      peer = {
+        id,
+        addrs: [],
+        backoff: INITIAL_BACKOFF
+      }
+
+      this.peers.set(id.toString(), peer)
+    }
+
+    for (const addr of addrs) {
+      if (!peer.addrs.some(a => a.equals(addr))) {
+        peer.addrs.push(addr)
+      }
+    }
+
+    if (peer.addrs.length > 0) {
+      await this.libp2p.peerStore.addressBook.add(id, peer.addrs)
+    }
+
+    await this.libp2p.peerStore.tagPeer(id, PEERING_TAG, { value: PEERING_TAG_VALUE })
+
+    this._connect(peer)
+  }
+
+  /**
+   * Stops peering with a peer, the peer is not disconnected
+   *
+   * @param {PeerId} id
+   */
+  async rm (id) {
+    const peer = this.peers.get(id.toString())
+
+    if (peer == null) {
+      return
+    }
+
+    clearTimeout(peer.timeout)
+    this.peers.delete(id.toString())
+
+    await this.libp2p.peerStore.unTagPeer(id, PEERING_TAG)
+  }
+
+  /**
+   * @returns {PeeringPeer[]}
+   */
+  ls () {
+    return [...this.peers.values()].map(({ id, addrs }) => ({
+      id,
+      addrs: [...addrs]
+    }))
+  }
+
+  /**
+   * Tags are stored in the peer store so remove them from peers that were
+   * removed from the config while the node was stopped
+   *
+   * @param {string[]} configured
+   */
+  async _untagRemoved (configured) {
+    for (const { id } of await this.libp2p.peerStore.all()) {
+      if (!configured.includes(id.toString())) {
+        const tags = await this.libp2p.peerStore.getTags(id)
+
+        if (tags.some(tag => tag.name === PEERING_TAG)) {
+          await this.libp2p.peerStore.unTagPeer(id, PEERING_TAG)
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {Peer} peer
+   */
+  _connect (peer) {
+    if (!this.started || peer.timeout != null || this.libp2p.getConnections(peer.id).length > 0) {
+      return
+    }
+
+    this.libp2p.dial(peer.id)
+      .then(() => {
+        log('connected to %p', peer.id)
+      }, (err) => {
+        log('could not connect to %p, retrying in %dms', peer.id, peer.backoff, err)
+        this._reconnect(peer)
+      })
+  }
+
+  /**
+   * @param {Peer} peer
+   */
+  _reconnect (peer) {
+    if (!this.started || peer.timeout != null || this.peers.get(peer.id.toString()) !== peer) {
+      return
+    }
+
+    peer.timeout = setTimeout(() => {
+      peer.timeout = undefined
+      this._connect(peer)
+    }, peer.backoff)
+
+    peer.backoff = Math.min(peer.backoff * 2, MAX_BACKOFF)
+  }
+
+  /**
+   * @param {CustomEvent<Connection>} event
+   */
+  _onConnect (event) {
+    const peer = this.peers.get(event.detail.remotePeer.toString())
+
+    if (peer != null) {
+      clearTimeout(peer.timeout)
+      peer.timeout = undefined
+      peer.backoff = INITIAL_BACKOFF
+    }
+  }
+
+  /**
+   * @param {CustomEvent<Connection>} event
+   */
+  _onDisconnect (event) {
+    const peer = this.peers.get(event.detail.remotePeer.toString())
+
+    if (peer != null) {
+      log('lost connection to %p', peer.id)
+      this._reconnect(peer)
+    }
+  }
+}
@@ -0,0 +1,181 @@
+import HTTP from 'ipfs-utils/src/http.js'
+import errCode from 'err-code'
+import { logger } from '@libp2p/logger'
+import { peerIdFromString } from '@libp2p/peer-id'
+import { multiaddr } from '@multiformats/multiaddr'
+import { base36 } from 'multiformats/bases/base36'
+import { namespace, namespaceLength, peerIdFromRoutingKey } from 'ipns'
+import { toString as uint8ArrayToString } from 'uint8arrays/to-string'
+
+const log = logger('ipfs:routing-v1')
+
+// same as the legacy delegated routers
+const DEFAULT_TIMEOUT = 30e3
+
+const IPNS_RECORD_TYPE = 'application/vnd.ipfs.ipns-record'
+
+/**
+ * @typedef {import('@libp2p/interface-peer-id').PeerId} PeerId
+ * @typedef {import('@libp2p/interface-peer-info').PeerInfo} PeerInfo
+ * @typedef {import('multiformats/cid').CID} CID
+ * @typedef {import('ipfs-core-types/src/utils').AbortOptions} AbortOptions
+ *
+ * @typedef {object} RoutingV1Record
+ * @property {string} [Schema]
+ * @property {string} ID
+ * @property {string[]} [Addrs]
+ * @property {string[]} [Protocols]
+ */
+
+/**
+ * A client for the delegated routing HTTP API served under `/routing/v1`.
+ * Only the operations the API defines are implemented, so it cannot announce
+ * providers, search for the closest peers or store non-IPNS values.
+ *
+ * @see https://specs.ipfs.tech/routing/http-routing-v1/
+ */
+export class RoutingV1Client {
+  /**
+   * @param {string} endpoint - e.g. https://delegated-ipfs.dev
+   */
+  constructor (endpoint) {
+    this.endpoint = `${endpoint}`.replace(/\/+$/, '')
+    this.http = new HTTP({
+      timeout: DEFAULT_TIMEOUT,
+      handleError: async (response) => {
+        throw errCode(new Error(`routing v1 error: ${response.status} ${response.statusText}`), response.status === 404 ? 'ERR_NOT_FOUND' : 'ERR_ROUTING_V1', {
+          status: response.status
+        })
+      }
+    })
+
+    log('enabled routing v1 via %s', this.endpoint)
+  }
+
+  /**
+   * @param {CID} cid
+   * @param {AbortOptions} [options]
+   * @returns {AsyncIterable<PeerInfo>}
+   */
+  async * findProviders (cid, options = {}) {
+    /** @type {{ Providers?: RoutingV1Record[] | null }} */
+    const { Providers } = await this._getJSON(`providers/${cid.toV1()}`, options)
+
+    yield * toPeerInfos(Providers)
+  }
+
+  /**
+   * @param {PeerId} peerId
+   * @param {AbortOptions} [options]
+   * @returns {Promise<PeerInfo>}
+   */
+  async findPeer (peerId, options = {}) {
+    /** @type {{ Peers?: RoutingV1Record[] | null }} */
+    const { Peers } = await this._getJSON(`peers/${peerId.toCID().toString(base36)}`, options)
+    const peer = toPeerInfos(Peers).find(({ id }) => id.equals(peerId))
+
+    if (peer == null) {
+      throw errCode(new Error('Not found'), 'ERR_NOT_FOUND')
+    }
+
+    return peer
+  }
+
+  /**
+   * Fetches the IPNS record stored under the passed DHT key
+   *
+   * @param {Uint8Array} key
+   * @param {AbortOptions} [options]
+   */
+  async get (key, options = {}) {
+    const response = await this.http.get(`${this.endpoint}/routing/v1/ipns/${toIpnsName(key)}`, {
+      headers: {
+        Accept: IPNS_RECORD_TYPE
+      },
+      signal: options.signal
+    })
+
+    return new Uint8Array(await response.arrayBuffer())
+  }
+
+  /**
+   * Publishes the IPNS record stored under the passed DHT key
+   *
+   * @param {Uint8Array} key
+   * @param {Uint8Array} value
+   * @param {AbortOptions} [options]
+   */
+  async put (key, value, options = {}) {
+    await this.http.put(`${this.endpoint}/routing/v1/ipns/${toIpnsName(key)}`, {
+      headers: {
+        'Content-Type': IPNS_RECORD_TYPE
+      },
+      body: value,
+      signal: options.signal
+    })
+  }
+
+  /**
+   * @param {string} path
+   * @param {AbortOptions} options
+   */
+  async _getJSON (path, options) {
+    try {
+      const response = await this.http.get(`${this.endpoint}/routing/v1/${path}`, {
+        headers: {
+          Accept: 'application/json'
+        },
+        signal: options.signal
+      })
+
+      return await response.json()
+    } catch (/** @type {any} */ err) {
+      // the API responds with a 404 when there are no results
+      if (err.code === 'ERR_NOT_FOUND') {
+        return {}
+      }
+
+      throw err
+    }
+  }
+}
+
+/**
+ * Records that cannot be parsed are skipped so one bad entry does not hide
+ * the rest of the results
+ *
+ * @param {RoutingV1Record[] | null | undefined} records
+ * @returns {PeerInfo[]}
+ */
+function toPeerInfos (records) {
+  /** @type {PeerInfo[]} */
+  const peers = []
+
+  for (const record of records || []) {
+    try {
+      peers.push({
+        id: peerIdFromString(record.ID),
+        multiaddrs: (record.Addrs || []).map(addr => multiaddr(addr)),
+        protocols: record.Protocols || []
+      })
+    } catch (err) {
+      log.error('ignoring invalid record %o', record, err)
+    }
+  }
+
+  return peers
+}
+
+/**
+ * The API addresses IPNS names by the CID of the peer id while the DHT uses
+ * `/ipns/` followed by the peer id bytes
+ *
+ * @param {Uint8Array} key
+ */
+function toIpnsName (key) {
+  if (uint8ArrayToString(key.subarray(0, namespaceLength)) !== namespace) {
+    throw errCode(new Error('Only IPNS records can be stored with routing v1'), 'ERR_NOT_SUPPORTED')
+  }
+
+  return peerIdFromRoutingKey(key).toCID().toString(base36)
+}
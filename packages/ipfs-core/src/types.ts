@@ -34,6 +34,14 @@ export interface Options {
    */
   pass?: string
 
+  /**
+   * The pre-shared key of a private network to join, in the format of a go-ipfs
+   * `swarm.key` file. If omitted the `swarm.key` file in the repo is used, if
+   * there is one. Set the `LIBP2P_FORCE_PNET` environment variable to refuse
+   * to start without a key.
+   */
+  swarmKey?: Uint8Array | string
+
   /**
    * Configure circuit relay (see the [circuit relay tutorial](https://github.com/ipfs-examples/js-ipfs-examples/tree/master/examples/circuit-relaying)
    * to learn more)
@@ -52,6 +60,12 @@ export interface Options {
    */
   preload?: PreloadOptions
 
+  /**
+   * Periodically garbage collect the repo once it grows past
+   * `Datastore.StorageGCWatermark` percent of `Datastore.StorageMax`
+   */
+  gc?: GCOptions
+
   /**
    * Enable and configure experimental features
    */
@@ -175,6 +189,12 @@ export interface InitOptions {
    * Set to `false` to disallow initialization if the repo does not already exist
    */
   allowNew?: boolean
+
+  /**
+   * Generate a `swarm.key` file in the repo so the node joins a new private
+   * network instead of the public one
+   */
+  swarmKey?: boolean
 }
 
 export interface RelayOptions {
@@ -196,6 +216,13 @@ export interface RelayOptions {
   }
 }
 
+export interface GCOptions {
+  /**
+   * Whether to garbage collect the repo automatically
+   */
+  enabled?: boolean
+}
+
 export interface PreloadOptions {
   /**
    * Whether to preload anything
@@ -0,0 +1,299 @@
+import map from 'it-map'
+
+/**
+ * @typedef {import('@libp2p/interface-metrics').Metrics} Metrics
+ * @typedef {Parameters<Metrics['trackMultiaddrConnection']>[0]} MultiaddrConnection
+ * @typedef {Parameters<Metrics['trackProtocolStream']>[0]} Stream
+ * @typedef {Parameters<Metrics['trackProtocolStream']>[1]} Connection
+ * @typedef {import('@libp2p/interface-peer-id').PeerId} PeerId
+ *
+ * @typedef {object} Snapshot
+ * @property {bigint} dataReceived - total bytes received
+ * @property {bigint} dataSent - total bytes sent
+ *
+ * @typedef {object} Rates
+ * @property {number} dataReceived - bytes received per second
+ * @property {number} dataSent - bytes sent per second
+ */
+
+// how often moving averages are updated
+const TICK_INTERVAL = 1000
+
+// moving averages smooth transfer rates over roughly this window
+const AVERAGE_WINDOW = 60 * 1000
+
+// stats for peers that have transferred nothing for this long are dropped
+const PEER_IDLE_TIMEOUT = 10 * 60 * 1000
+
+const ALPHA = 1 - Math.exp(-TICK_INTERVAL / AVERAGE_WINDOW)
+
+/**
+ * Byte counters with exponentially weighted moving average transfer rates
+ */
+export class TransferStats {
+  constructor () {
+    this.dataReceived = 0n
+    this.dataSent = 0n
+    this.rateIn = 0
+    this.rateOut = 0
+    this.pendingIn = 0
+    this.pendingOut = 0
+    this.lastActive = Date.now()
+  }
+
+  /**
+   * @param {number} bytes
+   */
+  received (bytes) {
+    this.dataReceived += BigInt(bytes)
+    this.pendingIn += bytes
+    this.lastActive = Date.now()
+  }
+
+  /**
+   * @param {number} bytes
+   */
+  sent (bytes) {
+    this.dataSent += BigInt(bytes)
+    this.pendingOut += bytes
+    this.lastActive = Date.now()
+  }
+
+  /**
+   * Folds the bytes transferred since the last tick into the moving averages
+   *
+   * @param {number} elapsed - ms since the last tick
+   */
+  tick (elapsed) {
+    const seconds = elapsed / 1000
+
+    this.rateIn += ALPHA * ((this.pendingIn / seconds) - this.rateIn)
+    this.rateOut += ALPHA * ((this.pendingOut / seconds) - this.rateOut)
+    this.pendingIn = 0
+    this.pendingOut = 0
+  }
+
+  /**
+   * @returns {Snapshot}
+   */
+  getSnapshot () {
+    return {
+      dataReceived: this.dataReceived,
+      dataSent: this.dataSent
+    }
+  }
+
+  /**
+   * @returns {Rates}
+   */
+  getMovingAverages () {
+    return {
+      dataReceived: this.rateIn,
+      dataSent: this.rateOut
+    }
+  }
+}
+
+/**
+ * A libp2p metrics implementation that counts the bytes sent and received
+ * globally, per peer and per protocol so they can be reported by
+ * `ipfs.stats.bw`. Everything is also passed on to the wrapped metrics
+ * implementation, if any, so Prometheus monitoring keeps working.
+ *
+ * Global stats count every byte on the wire while per-peer and per-protocol
+ * stats only count stream payloads, so they will not add up to the global
+ * figure.
+ *
+ * @implements {Metrics}
+ */
+export class BandwidthMetrics {
+  /**
+   * @param {object} [init]
+   * @param {Metrics} [init.metrics] - another metrics implementation to forward to
+   */
+  constructor (init = {}) {
+    this.metrics = init.metrics
+    this.global = new TransferStats()
+    /** @type {Map<string, TransferStats>} */
+    this.peers = new Map()
+    /** @type {Map<string, TransferStats>} */
+    this.protocols = new Map()
+    /** @type {ReturnType<typeof setInterval> | undefined} */
+    this.interval = undefined
+    this.lastTick = Date.now()
+  }
+
+  isStarted () {
+    return this.interval != null
+  }
+
+  async start () {
+    // libp2p starts the metrics component more than once, concurrently, so
+    // the interval must be set before anything is awaited
+    if (this.isStarted()) {
+      return
+    }
+
+    this.lastTick = Date.now()
+    this.interval = setInterval(() => this._tick(), TICK_INTERVAL)
+
+    // start/stop are not part of the metrics interface but implementations
+    // may still need them
+    await /** @type {any} */ (this.metrics)?.start?.()
+  }
+
+  async stop () {
+    clearInterval(this.interval)
+    this.interval = undefined
+
+    await /** @type {any} */ (this.metrics)?.stop?.()
+  }
+
+  _tick () {
+    const now = Date.now()
+    const elapsed = now - this.lastTick
+    this.lastTick = now
+
+    if (elapsed <= 0) {
+      return
+    }
+
+    this.global.tick(elapsed)
+
+    for (const stats of this.protocols.values()) {
+      stats.tick(elapsed)
+    }
+
+    for (const [peer, stats] of this.peers.entries()) {
+      stats.tick(elapsed)
+
+      if (now - stats.lastActive > PEER_IDLE_TIMEOUT) {
+        this.peers.delete(peer)
+      }
+    }
+  }
+
+  /**
+   * @param {PeerId} peerId
+   */
+  forPeer (peerId) {
+    return this.peers.get(peerId.toString())
+  }
+
+  /**
+   * @param {string} protocol
+   */
+  forProtocol (protocol) {
+    return this.protocols.get(protocol)
+  }
+
+  getGlobal () {
+    return this.global
+  }
+
+  /**
+   * Replaces the source and sink of the passed duplex with ones that count
+   * the bytes flowing through them
+   *
+   * @param {{ source: AsyncIterable<Uint8Array | import('uint8arraylist').Uint8ArrayList>, sink: (source: any) => Promise<void> }} duplex
+   * @param {TransferStats[]} stats
+   */
+  _track (duplex, stats) {
+    const sink = duplex.sink
+    duplex.sink = (source) => sink(map(source, buf => {
+      stats.forEach(s => s.sent(buf.byteLength))
+      return buf
+    }))
+    duplex.source = map(duplex.source, buf => {
+      stats.forEach(s => s.received(buf.byteLength))
+      return buf
+    })
+  }
+
+  /**
+   * @param {Map<string, TransferStats>} map
+   * @param {string} key
+   */
+  _getOrCreate (map, key) {
+    let stats = map.get(key)
+
+    if (stats == null) {
+      stats = new TransferStats()
+      map.set(key, stats)
+    }
+
+    return stats
+  }
+
+  /**
+   * @param {MultiaddrConnection} maConn
+   */
+  trackMultiaddrConnection (maConn) {
+    this.metrics?.trackMultiaddrConnection(maConn)
+    this._track(maConn, [this.global])
+  }
+
+  /**
+   * @param {Stream} stream
+   * @param {Connection} connection
+   */
+  trackProtocolStream (stream, connection) {
+    this.metrics?.trackProtocolStream(stream, connection)
+
+    const stats = [this._getOrCreate(this.peers, connection.remotePeer.toString())]
+
+    if (stream.stat.protocol != null) {
+      stats.push(this._getOrCreate(this.protocols, stream.stat.protocol))
+    }
+
+    this._track(stream, stats)
+  }
+
+  /**
+   * @param {string} name
+   * @param {any} [options]
+   * @returns {any}
+   */
+  registerMetric (name, options) {
+    return this.metrics?.registerMetric(name, options) ?? noopMetric
+  }
+
+  /**
+   * @param {string} name
+   * @param {any} [options]
+   * @returns {any}
+   */
+  registerMetricGroup (name, options) {
+    return this.metrics?.registerMetricGroup(name, options) ?? noopMetric
+  }
+
+  /**
+   * @param {string} name
+   * @param {any} [options]
+   * @returns {any}
+   */
+  registerCounter (name, options) {
+    return this.metrics?.registerCounter(name, options) ?? noopMetric
+  }
+
+  /**
+   * @param {string} name
+   * @param {any} [options]
+   * @returns {any}
+   */
+  registerCounterGroup (name, options) {
+    return this.metrics?.registerCounterGroup(name, options) ?? noopMetric
+  }
+}
+
+const noop = () => {}
+
+// returned when there is nothing to forward registrations to, it satisfies
+// the metric, metric group, counter and counter group interfaces
+const noopMetric = {
+  update: noop,
+  increment: noop,
+  decrement: noop,
+  reset: noop,
+  timer: () => noop
+}
@@ -0,0 +1,304 @@
+import { CID } from 'multiformats/cid'
+import { isPeerId } from '@libp2p/interface-peer-id'
+import { isMultiaddr } from '@multiformats/multiaddr'
+
+/**
+ * @typedef {import('ipfs-core-types/src/diag').CmdsResult} CmdsResult
+ */
+
+// how many completed calls are remembered
+const MAX_COMPLETED = 100
+
+// properties of the IPFS instance that are not part of the API
+const IGNORED = ['preload', 'ipns', 'hashers', 'bases', 'codecs']
+
+// commands whose string arguments are content paths, names or topics. Those
+// of any other command could be a key, a password or a config value so they
+// are not recorded.
+const SAFE_STRING_ARGS = new Set([
+  'bitswap.wantlistForPeer',
+  'block.get',
+  'block.rm',
+  'block.stat',
+  'bootstrap.add',
+  'bootstrap.rm',
+  'cat',
+  'dag.export',
+  'dag.get',
+  'dag.resolve',
+  'dht.findPeer',
+  'dht.findProvs',
+  'dht.get',
+  'dht.provide',
+  'dht.query',
+  'dns',
+  'files.chmod',
+  'files.cp',
+  'files.flush',
+  'files.ls',
+  'files.mkdir',
+  'files.mv',
+  'files.read',
+  'files.rm',
+  'files.stat',
+  'files.touch',
+  'get',
+  'log.level',
+  'ls',
+  'name.resolve',
+  'object.data',
+  'object.get',
+  'object.links',
+  'object.stat',
+  'pin.add',
+  'pin.ls',
+  'pin.remote.add',
+  'pin.remote.ls',
+  'pin.remote.rm',
+  'pin.remote.rmAll',
+  'pin.rm',
+  'pin.update',
+  'ping',
+  'pubsub.peers',
+  'pubsub.publish',
+  'pubsub.subscribe',
+  'pubsub.unsubscribe',
+  'refs',
+  'resolve',
+  'swarm.connect',
+  'swarm.disconnect'
+])
+
+// options whose values are recorded, only the names of others are as they may
+// hold secrets such as the key of a remote pinning service
+const SAFE_OPTIONS = new Set([
+  'background',
+  'chunker',
+  'cidVersion',
+  'count',
+  'create',
+  'flush',
+  'format',
+  'hashAlg',
+  'length',
+  'offset',
+  'onlyHash',
+  'parents',
+  'pin',
+  'preload',
+  'quiet',
+  'rawLeaves',
+  'recursive',
+  'service',
+  'status',
+  'timeout',
+  'trickle',
+  'type',
+  'verbose',
+  'wrapWithDirectory'
+])
+
+/**
+ * Turns an argument into something that can be reported without holding on
+ * to, or serializing, potentially large or secret values such as file
+ * contents or passwords
+ *
+ * @param {any} arg
+ * @param {boolean} safeStrings - whether strings can be reported as they are
+ * @returns {any}
+ */
+function describe (arg, safeStrings) {
+  if (arg == null || typeof arg === 'number' || typeof arg === 'boolean') {
+    return arg
+  }
+
+  if (typeof arg === 'string') {
+    return safeStrings ? arg : '<string>'
+  }
+
+  if (typeof arg === 'bigint') {
+    return arg.toString()
+  }
+
+  if (CID.asCID(arg) != null) {
+    return arg.toString()
+  }
+
+  if (typeof arg === 'function') {
+    return '<function>'
+  }
+
+  if (arg instanceof Uint8Array) {
+    return `<${arg.byteLength} bytes>`
+  }
+
+  if (arg[Symbol.asyncIterator] != null || arg[Symbol.iterator] != null) {
+    return '<stream>'
+  }
+
+  if (isPeerId(arg) || isMultiaddr(arg)) {
+    return arg.toString()
+  }
+
+  return '<object>'
+}
+
+/**
+ * @param {any} options
+ */
+function describeOptions (options) {
+  /** @type {Record<string, any>} */
+  const output = {}
+
+  if (options == null || typeof options !== 'object' || CID.asCID(options) != null) {
+    return output
+  }
+
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined && key !== 'signal' && typeof value !== 'function') {
+      output[key] = SAFE_OPTIONS.has(key) ? describe(value, true) : '<redacted>'
+    }
+  }
+
+  return output
+}
+
+/**
+ * Records API calls that are in progress and the last few that completed so
+ * they can be reported by `ipfs.diag.cmds`
+ */
+export class CommandTracker {
+  constructor () {
+    this.nextId = 0
+    /** @type {Set<CmdsResult>} */
+    this.active = new Set()
+    /** @type {CmdsResult[]} */
+    this.completed = []
+  }
+
+  /**
+   * @param {string} command
+   * @param {any[]} args
+   * @returns {() => void} - call when the command completes
+   */
+  start (command, args) {
+    // the options object is always the last argument
+    const last = args[args.length - 1]
+    const hasOptions = last != null && typeof last === 'object' && last.constructor === Object
+
+    /** @type {CmdsResult} */
+    const entry = {
+      id: `${this.nextId++}`,
+      command,
+      args: (hasOptions ? args.slice(0, -1) : args).map(arg => `${describe(arg, SAFE_STRING_ARGS.has(command))}`),
+      options: hasOptions ? describeOptions(last) : {},
+      active: true,
+      startTime: new Date()
+    }
+
+    this.active.add(entry)
+
+    return () => {
+      entry.active = false
+      entry.endTime = new Date()
+
+      this.active.delete(entry)
+      this.completed.push(entry)
+
+      if (this.completed.length > MAX_COMPLETED) {
+        this.completed.shift()
+      }
+    }
+  }
+
+  /**
+   * @returns {CmdsResult[]}
+   */
+  list () {
+    return [...this.completed, ...this.active]
+      .map(entry => ({ ...entry }))
+  }
+
+  /**
+   * @template {(...args: any[]) => any} T
+   * @param {string} command
+   * @param {T} fn
+   * @returns {T}
+   */
+  wrap (command, fn) {
+    const tracker = this
+
+    /**
+     * @this {any}
+     * @param {any[]} args
+     */
+    const tracked = function (...args) {
+      const result = fn.apply(this, args)
+
+      if (result != null && typeof result.then === 'function') {
+        const done = tracker.start(command, args)
+
+        return result.then(
+          /** @param {any} value */
+          (value) => {
+            done()
+            return value
+          },
+          /** @param {any} err */
+          (err) => {
+            done()
+            throw err
+          })
+      }
+
+      if (result != null && typeof result[Symbol.asyncIterator] === 'function') {
+        // streaming commands are active while the caller consumes them
+        return (async function * () {
+          const done = tracker.start(command, args)
+
+          try {
+            yield * result
+          } finally {
+            done()
+          }
+        })()
+      }
+
+      // synchronous methods such as `ipfs.isOnline` are not worth reporting
+      return result
+    }
+
+    // preserve any sub-commands, e.g. `ipfs.refs.local`
+    return /** @type {T} */ (Object.assign(tracked, fn))
+  }
+
+  /**
+   * Replaces every API method of the passed object, and any namespaces it
+   * contains, with one that records calls
+   *
+   * @param {any} api
+   * @param {string} [prefix]
+   * @param {WeakSet<object>} [seen]
+   */
+  track (api, prefix = '', seen = new WeakSet()) {
+    if (seen.has(api)) {
+      return
+    }
+
+    seen.add(api)
+
+    const entries = Object.entries(api)
+      .filter(([key]) => prefix || !IGNORED.includes(key))
+
+    for (const [key, value] of entries) {
+      const command = `${prefix}${key}`
+
+      if (typeof value === 'function') {
+        api[key] = this.wrap(command, value)
+        this.track(api[key], `${command}.`, seen)
+      } else if (value != null && typeof value === 'object') {
+        this.track(value, `${command}.`, seen)
+      }
+    }
+  }
+}
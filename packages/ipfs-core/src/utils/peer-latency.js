@@ -0,0 +1,83 @@
+/**
+ * @typedef {import('libp2p').Libp2p} Libp2p
+ * @typedef {ReturnType<Libp2p['getConnections']>[number]} Connection - as emitted by libp2p
+ * @typedef {import('@libp2p/interface-peer-id').PeerId} PeerId
+ * @typedef {import('ipfs-core-types/src/utils').AbortOptions} AbortOptions
+ *
+ * @typedef {object} Latency
+ * @property {number} rtt - smoothed round trip time in ms
+ * @property {number} measured - when the peer was last pinged
+ */
+
+// the weight of a new measurement, the same smoothing go-libp2p applies to
+// the latencies in its peer store
+const SMOOTHING = 0.1
+
+/**
+ * Remembers the round trip times of pings to connected peers. Every ping made
+ * through `ping` is recorded and measurements are forgotten when the peer
+ * disconnects.
+ */
+export class PeerLatency {
+  /**
+   * @param {Libp2p} libp2p
+   */
+  constructor (libp2p) {
+    this.libp2p = libp2p
+    /** @type {Map<string, Latency>} */
+    this.latencies = new Map()
+
+    this._onDisconnect = this._onDisconnect.bind(this)
+  }
+
+  start () {
+    this.libp2p.addEventListener('peer:disconnect', this._onDisconnect)
+  }
+
+  stop () {
+    this.libp2p.removeEventListener('peer:disconnect', this._onDisconnect)
+    this.latencies.clear()
+  }
+
+  /**
+   * Pings the peer and records the round trip time
+   *
+   * @param {PeerId} peerId
+   * @param {AbortOptions} [options]
+   */
+  async ping (peerId, options = {}) {
+    const rtt = await this.libp2p.ping(peerId, options)
+    this.record(peerId, rtt)
+
+    return rtt
+  }
+
+  /**
+   * @param {PeerId} peerId
+   * @param {number} rtt - in ms
+   */
+  record (peerId, rtt) {
+    const previous = this.latencies.get(peerId.toString())
+
+    this.latencies.set(peerId.toString(), {
+      rtt: previous == null ? rtt : ((1 - SMOOTHING) * previous.rtt) + (SMOOTHING * rtt),
+      measured: Date.now()
+    })
+  }
+
+  /**
+   * Returns the latency of the peer, if it has been pinged
+   *
+   * @param {PeerId} peerId
+   */
+  get (peerId) {
+    return this.latencies.get(peerId.toString())
+  }
+
+  /**
+   * @param {CustomEvent<Connection>} event
+   */
+  _onDisconnect (event) {
+    this.latencies.delete(event.detail.remotePeer.toString())
+  }
+}
@@ -0,0 +1,70 @@
+import { Key } from 'interface-datastore/key'
+import { preSharedKey, generateKey } from 'libp2p/pnet'
+import { fromString as uint8ArrayFromString } from 'uint8arrays/from-string'
+import errCode from 'err-code'
+
+/**
+ * The pre-shared key of a private network is stored in the root of the repo,
+ * the same place go-ipfs looks for it
+ */
+export const SWARM_KEY = new Key('swarm.key')
+
+// '/key/swarm/psk/1.0.0/\n/base16/\n' followed by 32 hex encoded bytes
+const SWARM_KEY_LENGTH = 95
+
+/**
+ * @typedef {import('ipfs-repo').IPFSRepo} IPFSRepo
+ * @typedef {import('../types').Options} IPFSOptions
+ */
+
+/**
+ * Generates a pre-shared key for a new private network
+ */
+export function generateSwarmKey () {
+  const swarmKey = new Uint8Array(SWARM_KEY_LENGTH)
+  generateKey(swarmKey)
+
+  return swarmKey
+}
+
+/**
+ * Returns the pre-shared key passed as an option or, failing that, the one
+ * stored in the repo. If neither is present the node joins the public network.
+ *
+ * @param {IPFSRepo} repo
+ * @param {IPFSOptions} options
+ * @returns {Promise<Uint8Array | undefined>}
+ */
+export async function loadSwarmKey (repo, options) {
+  /** @type {Uint8Array | undefined} */
+  let swarmKey
+
+  if (typeof options.swarmKey === 'string') {
+    swarmKey = uint8ArrayFromString(options.swarmKey)
+  } else if (options.swarmKey != null) {
+    swarmKey = options.swarmKey
+  } else if (await repo.root.has(SWARM_KEY)) {
+    swarmKey = await repo.root.get(SWARM_KEY)
+  }
+
+  if (swarmKey == null) {
+    return
+  }
+
+  try {
+    // the protector decodes the key when it is created
+    preSharedKey({ psk: swarmKey })()
+  } catch (/** @type {any} */ err) {
+    throw errCode(new Error(`Invalid swarm key - ${err.message}`), 'ERR_INVALID_SWARM_KEY')
+  }
+
+  return swarmKey
+}
+
+/**
+ * Nodes must not connect to the public network when the `LIBP2P_FORCE_PNET`
+ * environment variable is set, this is the same variable libp2p checks
+ */
+export function isPrivateNetworkForced () {
+  return globalThis.process?.env?.LIBP2P_FORCE_PNET != null
+}
@@ -0,0 +1,70 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import { multiaddr } from '@multiformats/multiaddr'
+import { AddrFilters } from '../src/addr-filters.js'
+
+describe('addr-filters', () => {
+  it('rejects invalid filters', () => {
+    expect(() => new AddrFilters({ AddrFilters: ['/ip4/10.0.0.0/tcp/8'] }))
+      .to.throw().with.property('code', 'ERR_INVALID_FILTER')
+    expect(() => new AddrFilters({ AddrFilters: ['/ip4/10.0.0.0/ipcidr/40'] }))
+      .to.throw().with.property('code', 'ERR_INVALID_FILTER')
+  })
+
+  it('denies addresses in filtered ranges', () => {
+    const filters = new AddrFilters({
+      AddrFilters: ['/ip4/10.0.0.0/ipcidr/8', '/ip6/fe80::/ipcidr/10']
+    })
+
+    expect(filters.denies(multiaddr('/ip4/10.1.2.3/tcp/4001'))).to.be.true()
+    expect(filters.denies(multiaddr('/ip6/fe80::1/tcp/4001'))).to.be.true()
+    expect(filters.denies(multiaddr('/ip4/11.1.2.3/tcp/4001'))).to.be.false()
+    expect(filters.denies(multiaddr('/dns4/example.com/tcp/4001'))).to.be.false()
+  })
+
+  it('only allows addresses in allowed ranges', () => {
+    const filters = new AddrFilters({
+      AddrFilters: ['/ip4/10.10.0.0/ipcidr/16'],
+      AddrAllowFilters: ['/ip4/10.0.0.0/ipcidr/8']
+    })
+
+    expect(filters.denies(multiaddr('/ip4/10.1.2.3/tcp/4001'))).to.be.false()
+    expect(filters.denies(multiaddr('/ip4/11.1.2.3/tcp/4001'))).to.be.true()
+
+    // the deny list takes precedence
+    expect(filters.denies(multiaddr('/ip4/10.10.2.3/tcp/4001'))).to.be.true()
+  })
+
+  it('adds and removes filters', () => {
+    const filters = new AddrFilters()
+
+    filters.add('/ip4/10.0.0.0/ipcidr/8')
+    filters.add('/ip4/10.1.2.3/ipcidr/8')
+    filters.add('/ip4/192.168.0.0/ipcidr/16', { allow: true })
+
+    expect(filters.ls()).to.deep.equal(['/ip4/10.0.0.0/ipcidr/8'])
+    expect(filters.ls({ allow: true })).to.deep.equal(['/ip4/192.168.0.0/ipcidr/16'])
+
+    // filters for the same range are the same filter
+    expect(filters.rm('/ip4/10.1.2.3/ipcidr/8')).to.be.true()
+    expect(filters.rm('/ip4/10.0.0.0/ipcidr/8')).to.be.false()
+    expect(filters.ls()).to.be.empty()
+  })
+
+  it('gates connections with the current filters', async () => {
+    const filters = new AddrFilters()
+    const gater = filters.connectionGater()
+    const addr = multiaddr('/ip4/10.1.2.3/tcp/4001')
+
+    // @ts-expect-error peer id is not used
+    await expect(gater?.denyDialMultiaddr?.(undefined, addr)).to.eventually.be.false()
+
+    filters.add('/ip4/10.0.0.0/ipcidr/8')
+
+    // @ts-expect-error peer id is not used
+    await expect(gater?.denyDialMultiaddr?.(undefined, addr)).to.eventually.be.true()
+    // @ts-expect-error incomplete connection
+    await expect(gater?.denyInboundConnection?.({ remoteAddr: addr })).to.eventually.be.true()
+  })
+})
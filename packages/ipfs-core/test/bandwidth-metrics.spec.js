@@ -0,0 +1,120 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import sinon from 'sinon'
+import all from 'it-all'
+import drain from 'it-drain'
+import { createEd25519PeerId } from '@libp2p/peer-id-factory'
+import { BandwidthMetrics } from '../src/utils/bandwidth-metrics.js'
+
+/**
+ * @param {Uint8Array[]} received
+ */
+function createDuplex (received) {
+  return {
+    source: (async function * () { yield * received })(),
+    sink: sinon.stub().callsFake(drain)
+  }
+}
+
+describe('bandwidth metrics', () => {
+  /** @type {BandwidthMetrics} */
+  let metrics
+  /** @type {sinon.SinonFakeTimers} */
+  let clock
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers()
+    metrics = new BandwidthMetrics()
+  })
+
+  afterEach(async () => {
+    await metrics.stop()
+    clock.restore()
+  })
+
+  it('counts bytes sent and received on connections', async () => {
+    const maConn = createDuplex([new Uint8Array(10), new Uint8Array(5)])
+
+    // @ts-expect-error incomplete implementation
+    metrics.trackMultiaddrConnection(maConn)
+
+    await all(maConn.source)
+    await maConn.sink([new Uint8Array(7)])
+
+    expect(metrics.getGlobal().getSnapshot()).to.deep.equal({
+      dataReceived: 15n,
+      dataSent: 7n
+    })
+  })
+
+  it('counts bytes per peer and protocol', async () => {
+    const peerId = await createEd25519PeerId()
+    const stream = {
+      ...createDuplex([new Uint8Array(3)]),
+      stat: { protocol: '/ipfs/bitswap/1.2.0' }
+    }
+
+    // @ts-expect-error incomplete implementation
+    metrics.trackProtocolStream(stream, { remotePeer: peerId })
+
+    await all(stream.source)
+    await stream.sink([new Uint8Array(4)])
+
+    expect(metrics.forPeer(peerId)?.getSnapshot()).to.deep.equal({
+      dataReceived: 3n,
+      dataSent: 4n
+    })
+    expect(metrics.forProtocol('/ipfs/bitswap/1.2.0')?.getSnapshot()).to.deep.equal({
+      dataReceived: 3n,
+      dataSent: 4n
+    })
+    expect(metrics.forProtocol('/ipfs/id/1.0.0')).to.be.undefined()
+  })
+
+  it('calculates moving average transfer rates', async () => {
+    await metrics.start()
+
+    const maConn = createDuplex([])
+
+    // @ts-expect-error incomplete implementation
+    metrics.trackMultiaddrConnection(maConn)
+
+    for (let i = 0; i < 120; i++) {
+      await maConn.sink([new Uint8Array(1000)])
+      await clock.tickAsync(1000)
+    }
+
+    const { dataReceived, dataSent } = metrics.getGlobal().getMovingAverages()
+
+    expect(dataReceived).to.equal(0)
+    expect(dataSent).to.be.within(800, 1000)
+  })
+
+  it('does not leak an interval when started concurrently', async () => {
+    await Promise.all([metrics.start(), metrics.start()])
+    await metrics.stop()
+
+    expect(clock.countTimers()).to.equal(0)
+  })
+
+  it('forwards to another metrics implementation', () => {
+    const other = {
+      trackMultiaddrConnection: sinon.stub(),
+      trackProtocolStream: sinon.stub(),
+      registerMetric: sinon.stub().returns('metric'),
+      registerMetricGroup: sinon.stub(),
+      registerCounter: sinon.stub(),
+      registerCounterGroup: sinon.stub()
+    }
+    metrics = new BandwidthMetrics({ metrics: other })
+
+    const maConn = createDuplex([])
+
+    // @ts-expect-error incomplete implementation
+    metrics.trackMultiaddrConnection(maConn)
+
+    expect(other.trackMultiaddrConnection.calledWith(maConn)).to.be.true()
+    expect(metrics.registerMetric('my_metric')).to.equal('metric')
+  })
+})
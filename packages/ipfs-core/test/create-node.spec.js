@@ -285,6 +285,45 @@ describe('create node', function () {
     await expect(node.start()).to.eventually.be.rejected().with.property('code', 'ERR_WEBSOCKET_STAR_SWARM_ADDR_NOT_SUPPORTED')
   })
 
+  it('should refuse to start without a swarm key when a private network is forced', async () => {
+    const node = await IPFS.create({
+      repo: tempRepo,
+      start: false,
+      config: {
+        Addresses: {
+          Swarm: []
+        },
+        Bootstrap: []
+      },
+      preload: { enabled: false }
+    })
+
+    process.env.LIBP2P_FORCE_PNET = '1'
+
+    try {
+      await expect(node.start()).to.eventually.be.rejected().with.property('code', 'ERR_PROTECTOR_REQUIRED')
+    } finally {
+      delete process.env.LIBP2P_FORCE_PNET
+    }
+  })
+
+  it('should error when the swarm key is invalid', async () => {
+    const node = await IPFS.create({
+      repo: tempRepo,
+      start: false,
+      swarmKey: '/key/swarm/psk/1.0.0/\n/base16/\nnot-a-key',
+      config: {
+        Addresses: {
+          Swarm: []
+        },
+        Bootstrap: []
+      },
+      preload: { enabled: false }
+    })
+
+    await expect(node.start()).to.eventually.be.rejected().with.property('code', 'ERR_INVALID_SWARM_KEY')
+  })
+
   it('should auto-migrate repos by default', async function () {
     this.timeout(80 * 1000)
 
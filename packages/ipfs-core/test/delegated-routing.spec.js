@@ -0,0 +1,206 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import sinon from 'sinon'
+import all from 'it-all'
+import errCode from 'err-code'
+import { CID } from 'multiformats/cid'
+import { createEd25519PeerId } from '@libp2p/peer-id-factory'
+import { DelegatedRouting, createDelegate } from '../src/delegated-routing.js'
+
+const cid = CID.parse('QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn')
+
+/**
+ * @param {string} address
+ * @param {any} router
+ * @returns {import('../src/delegated-routing').Delegate}
+ */
+const fakeDelegate = (address, router) => ({
+  address,
+  contentRouting: router,
+  peerRouting: router,
+  routingV1: false,
+  failures: 0,
+  retryAt: 0
+})
+
+/**
+ * @param {...any} peers
+ */
+const providers = (...peers) => sinon.stub().callsFake(async function * () {
+  yield * peers
+})
+
+const failing = () => sinon.stub().callsFake(async function * () { // eslint-disable-line require-yield
+  throw new Error('delegate is down')
+})
+
+describe('delegated-routing', () => {
+  /** @type {sinon.SinonFakeTimers} */
+  let clock
+  /** @type {import('@libp2p/interface-peer-info').PeerInfo[]} */
+  let peers
+
+  beforeEach(async () => {
+    clock = sinon.useFakeTimers({ toFake: ['Date'] })
+    peers = await Promise.all([0, 1, 2].map(async () => ({
+      id: await createEd25519PeerId(),
+      multiaddrs: [],
+      protocols: []
+    })))
+  })
+
+  afterEach(() => {
+    clock.restore()
+  })
+
+  it('sorts delegates by the API they speak', () => {
+    const routing = new DelegatedRouting()
+    routing.add('/dns4/node0.delegate.ipfs.io/tcp/443/https')
+    routing.add('https://delegated-ipfs.dev')
+
+    expect(routing.delegates.map(({ routingV1 }) => routingV1)).to.deep.equal([false, true])
+    expect(routing.ipns()?.delegates.map(({ address }) => address)).to.deep.equal(['https://delegated-ipfs.dev'])
+    expect(new DelegatedRouting([createDelegate('/ip4/127.0.0.1/tcp/5001')]).ipns()).to.be.undefined()
+  })
+
+  it('merges the providers found by every delegate', async () => {
+    const routing = new DelegatedRouting([
+      fakeDelegate('a', { findProviders: providers(peers[0], peers[1]) }),
+      fakeDelegate('b', { findProviders: providers(peers[1], peers[2]) })
+    ])
+
+    const found = await all(routing.findProviders(cid))
+
+    expect(found.map(({ id }) => id.toString()).sort()).to.deep.equal(peers.map(({ id }) => id.toString()).sort())
+  })
+
+  it('keeps the results of working delegates when one fails', async () => {
+    const down = fakeDelegate('a', { findProviders: failing() })
+    const routing = new DelegatedRouting([
+      down,
+      fakeDelegate('b', { findProviders: providers(peers[0]) })
+    ])
+
+    const found = await all(routing.findProviders(cid))
+
+    expect(found).to.have.lengthOf(1)
+    expect(down.failures).to.equal(1)
+    expect(down.retryAt).to.equal(Date.now() + 5000)
+  })
+
+  it('skips failing delegates until their backoff expires', async () => {
+    const down = fakeDelegate('a', { findProviders: failing() })
+    const up = fakeDelegate('b', { findProviders: providers(peers[0]) })
+    const routing = new DelegatedRouting([down, up])
+
+    await all(routing.findProviders(cid))
+    await all(routing.findProviders(cid))
+
+    expect(down.contentRouting.findProviders).to.have.property('callCount', 1)
+
+    await clock.tickAsync(5000)
+    await all(routing.findProviders(cid))
+
+    // the backoff doubles every time the delegate fails
+    expect(down.contentRouting.findProviders).to.have.property('callCount', 2)
+    expect(down.retryAt).to.equal(Date.now() + 10000)
+  })
+
+  it('tries every delegate when they are all failing', async () => {
+    const routing = new DelegatedRouting([
+      fakeDelegate('a', { findPeer: sinon.stub().rejects(new Error('delegate is down')) }),
+      fakeDelegate('b', { findPeer: sinon.stub().rejects(new Error('delegate is down')) })
+    ])
+
+    await expect(routing.findPeer(peers[0].id)).to.eventually.be.rejectedWith(/delegate is down/)
+    await expect(routing.findPeer(peers[0].id)).to.eventually.be.rejectedWith(/delegate is down/)
+
+    for (const delegate of routing.delegates) {
+      expect(delegate.peerRouting.findPeer).to.have.property('callCount', 2)
+    }
+
+    // the second attempt used them while they were backing off
+    expect(routing.delegates.map(({ failures }) => failures)).to.deep.equal([2, 2])
+  })
+
+  it('finds a peer with the first delegate to answer and cancels the rest', async () => {
+    /** @type {AbortSignal | undefined} */
+    let cancelled
+
+    const slow = fakeDelegate('a', {
+      findPeer: (/** @type {any} */ id, /** @type {any} */ options) => new Promise((resolve, reject) => {
+        cancelled = options.signal
+        options.signal.addEventListener('abort', () => reject(new Error('aborted')))
+      })
+    })
+    const routing = new DelegatedRouting([
+      slow,
+      fakeDelegate('b', { findPeer: sinon.stub().resolves(peers[0]) })
+    ])
+
+    await expect(routing.findPeer(peers[0].id)).to.eventually.equal(peers[0])
+    expect(cancelled).to.have.property('aborted', true)
+
+    // being cancelled is not a failure
+    expect(slow.failures).to.equal(0)
+  })
+
+  it('does not count answers that there are no results as failures', async () => {
+    const delegate = fakeDelegate('a', {
+      findPeer: sinon.stub().rejects(errCode(new Error('Not found'), 'ERR_NOT_FOUND'))
+    })
+    const routing = new DelegatedRouting([delegate])
+
+    await expect(routing.findPeer(peers[0].id)).to.eventually.be.rejected().with.property('code', 'ERR_NOT_FOUND')
+    expect(delegate.failures).to.equal(0)
+  })
+
+  it('provides through every delegate and succeeds if any of them do', async () => {
+    const routing = new DelegatedRouting([
+      fakeDelegate('a', { provide: sinon.stub().rejects(new Error('delegate is down')) }),
+      fakeDelegate('b', { provide: sinon.stub().resolves() }),
+      // Routing V1 delegates cannot provide
+      fakeDelegate('c', {})
+    ])
+
+    await routing.provide(cid)
+
+    expect(routing.delegates[0].contentRouting.provide).to.have.property('called', true)
+    expect(routing.delegates[1].contentRouting.provide).to.have.property('called', true)
+
+    routing.delegates[1].contentRouting.provide = sinon.stub().rejects(new Error('delegate is down'))
+
+    await expect(routing.provide(cid)).to.eventually.be.rejectedWith(/delegate is down/)
+  })
+
+  it('ignores delegates that cannot store a value', async () => {
+    const routing = new DelegatedRouting([
+      fakeDelegate('a', { put: sinon.stub().rejects(errCode(new Error('Only IPNS records'), 'ERR_NOT_SUPPORTED')) })
+    ])
+
+    await routing.put(Uint8Array.from([0, 1, 2]), Uint8Array.from([3, 4, 5]))
+
+    expect(routing.delegates[0].failures).to.equal(0)
+  })
+
+  it('stops listening to the caller\'s signal when a query finishes', async () => {
+    const routing = new DelegatedRouting([
+      fakeDelegate('a', {
+        findProviders: providers(peers[0]),
+        findPeer: sinon.stub().resolves(peers[0]),
+        provide: sinon.stub().resolves()
+      })
+    ])
+    const signal = new AbortController().signal
+    const addEventListener = sinon.spy(signal, 'addEventListener')
+    const removeEventListener = sinon.spy(signal, 'removeEventListener')
+
+    await all(routing.findProviders(cid, { signal }))
+    await routing.findPeer(peers[0].id, { signal })
+    await routing.provide(cid, { signal })
+
+    expect(addEventListener).to.have.property('callCount', 3)
+    expect(removeEventListener.getCalls().map(call => call.args[1])).to.deep.equal(addEventListener.getCalls().map(call => call.args[1]))
+  })
+})
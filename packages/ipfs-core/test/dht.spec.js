@@ -0,0 +1,139 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import sinon from 'sinon'
+import all from 'it-all'
+import delay from 'delay'
+import { MemoryBlockstore } from 'blockstore-core/memory'
+import * as dagCBOR from '@ipld/dag-cbor'
+import * as raw from 'multiformats/codecs/raw'
+import { CID } from 'multiformats/cid'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { identity } from 'multiformats/hashes/identity'
+import { createEd25519PeerId } from '@libp2p/peer-id-factory'
+import { createDht } from '../src/components/dht.js'
+import { codecs } from './utils/codecs.js'
+
+/**
+ * @param {MemoryBlockstore} blockstore
+ * @param {any} value
+ * @param {import('multiformats/codecs/interface').BlockCodec<any, any>} codec
+ */
+async function put (blockstore, value, codec = dagCBOR) {
+  const bytes = codec.encode(value)
+  const cid = CID.createV1(codec.code, await sha256.digest(bytes))
+  await blockstore.put(cid, bytes)
+
+  return cid
+}
+
+describe('dht', () => {
+  /** @type {MemoryBlockstore} */
+  let blockstore
+  /** @type {sinon.SinonStub} */
+  let provide
+  /** @type {ReturnType<typeof createDht>} */
+  let dht
+
+  beforeEach(async () => {
+    blockstore = new MemoryBlockstore()
+    provide = sinon.stub().returns([])
+
+    const network = {
+      use: async () => ({
+        libp2p: {
+          dht: {
+            provide
+          }
+        }
+      })
+    }
+
+    dht = createDht({
+      // @ts-expect-error incomplete implementation
+      network,
+      // @ts-expect-error incomplete implementation
+      repo: { blocks: blockstore },
+      codecs,
+      peerId: await createEd25519PeerId()
+    })
+  })
+
+  describe('provide', () => {
+    it('provides every block in a DAG once', async () => {
+      const leaf = await put(blockstore, Uint8Array.from([0, 1, 2]), raw)
+      const child = await put(blockstore, { leaf })
+      const root = await put(blockstore, { child, leaf, again: child })
+
+      const events = await all(dht.provide(root, { recursive: true }))
+
+      expect(events.map(event => event.name)).to.deep.equal(['PROVIDED', 'PROVIDED', 'PROVIDED'])
+      expect(events.map(event => 'cid' in event && event.cid.toString())).to.have.members([
+        root.toString(),
+        child.toString(),
+        leaf.toString()
+      ])
+      expect(provide.callCount).to.equal(3)
+    })
+
+    it('does not provide identity blocks', async () => {
+      const data = Uint8Array.from([0, 1, 2])
+      const inline = CID.createV1(raw.code, identity.digest(data))
+      // the repo blockstore returns the digest of identity blocks
+      await blockstore.put(inline, data)
+      const root = await put(blockstore, { inline })
+
+      const events = await all(dht.provide(root, { recursive: true }))
+
+      expect(events).to.have.lengthOf(1)
+      expect(provide.calledOnceWith(root)).to.be.true()
+    })
+
+    it('fails when a block in the DAG is not local', async () => {
+      const missing = CID.createV1(raw.code, await sha256.digest(Uint8Array.from([0, 1, 2])))
+      const root = await put(blockstore, { missing })
+
+      await expect(all(dht.provide(root, { recursive: true }))).to.eventually.be.rejected
+        .with.property('code', 'ERR_BLOCK_NOT_FOUND')
+    })
+
+    it('limits how many blocks are provided at once', async () => {
+      const leaves = await Promise.all(
+        new Array(10).fill(0).map((_, i) => put(blockstore, Uint8Array.from([i]), raw))
+      )
+      const root = await put(blockstore, { leaves })
+      let running = 0
+      let maxRunning = 0
+
+      provide.callsFake(async function * () {
+        running++
+        maxRunning = Math.max(running, maxRunning)
+        await delay(10)
+        running--
+        yield { name: 'SENDING_QUERY', type: 0 }
+      })
+
+      await all(dht.provide(root, { recursive: true, concurrency: 2 }))
+
+      expect(provide.callCount).to.equal(11)
+      expect(maxRunning).to.equal(2)
+    })
+
+    it('can be aborted', async () => {
+      const leaves = await Promise.all(
+        new Array(10).fill(0).map((_, i) => put(blockstore, Uint8Array.from([i]), raw))
+      )
+      const root = await put(blockstore, { leaves })
+      const controller = new AbortController()
+
+      provide.callsFake(async function * () {
+        controller.abort()
+        yield { name: 'SENDING_QUERY', type: 0 }
+      })
+
+      await expect(all(dht.provide(root, { recursive: true, signal: controller.signal }))).to.eventually.be.rejected
+        .with.property('code', 'ERR_ABORTED')
+      expect(provide.callCount).to.be.lessThan(11)
+    })
+  })
+})
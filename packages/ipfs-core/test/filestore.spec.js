@@ -0,0 +1,163 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import sinon from 'sinon'
+import all from 'it-all'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { nanoid } from 'nanoid'
+import { isNode } from 'ipfs-utils/src/env.js'
+import { hashes } from 'multiformats/basics'
+import { MemoryBlockstore } from 'blockstore-core/memory'
+import { MemoryDatastore } from 'datastore-core/memory'
+import { Multihashes } from 'ipfs-core-utils/multihashes'
+import { Filestore } from 'ipfs-core-config/filestore'
+import { createAddAll } from '../src/components/add-all/index.js'
+import { FilestoreAPI } from '../src/components/filestore/index.js'
+
+describe('filestore', function () {
+  if (!isNode) return
+
+  /** @type {string} */
+  let dir
+  /** @type {string} */
+  let file
+  /** @type {Filestore} */
+  let filestore
+  /** @type {Record<string, any>} */
+  let config
+  /** @type {ReturnType<typeof createAddAll>} */
+  let addAll
+  /** @type {FilestoreAPI} */
+  let api
+
+  beforeEach(async () => {
+    dir = path.join(os.tmpdir(), `filestore-${nanoid()}`)
+    file = path.join(dir, 'file.txt')
+    await fs.promises.mkdir(dir, { recursive: true })
+    await fs.promises.writeFile(file, 'hello world, hello filestore')
+
+    const hashers = new Multihashes({ hashers: Object.values(hashes) })
+    filestore = new Filestore(new MemoryBlockstore(), new MemoryDatastore(), { hashers, root: dir })
+    config = { Experimental: { FilestoreEnabled: true } }
+
+    /** @type {any} */
+    const repo = {
+      blocks: filestore,
+      config: {
+        get: async (/** @type {string} */ key) => config[key]
+      },
+      gcLock: {
+        readLock: async () => () => {}
+      }
+    }
+
+    addAll = createAddAll({
+      repo,
+      preload: Object.assign(() => {}, { start: () => {}, stop: () => {} }),
+      hashers,
+      filestore
+    })
+    api = new FilestoreAPI({ filestore })
+  })
+
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true })
+  })
+
+  it('adds a file by reference', async () => {
+    const [{ cid }] = await all(addAll([{
+      path: 'file.txt',
+      content: fs.createReadStream(file),
+      abspath: file
+    }], { nocopy: true, chunker: 'size-10', pin: false, preload: false }))
+
+    const entries = await all(api.ls({ fileOrder: true }))
+
+    expect(entries.map(({ path, offset, size }) => ({ path, offset, size }))).to.deep.equal([
+      { path: file, offset: 0, size: 10 },
+      { path: file, offset: 10, size: 10 },
+      { path: file, offset: 20, size: 8 }
+    ])
+    expect(await filestore.has(cid)).to.be.true()
+
+    for (const entry of entries) {
+      expect(await filestore.child.has(entry.cid)).to.be.false()
+      expect(await filestore.get(entry.cid)).to.have.property('byteLength', entry.size)
+    }
+
+    expect(await all(api.dups())).to.be.empty()
+  })
+
+  it('lists requested blocks', async () => {
+    await all(addAll([{ path: 'file.txt', content: fs.createReadStream(file), abspath: file }], { nocopy: true, chunker: 'size-10', pin: false }))
+
+    const [, second] = await all(api.ls({ fileOrder: true }))
+
+    expect(await all(api.ls({ cids: [second.cid] }))).to.deep.equal([second])
+  })
+
+  it('reports changed and missing files', async () => {
+    await all(addAll([{ path: 'file.txt', content: fs.createReadStream(file), abspath: file }], { nocopy: true, chunker: 'size-10', pin: false }))
+
+    expect((await all(api.verify())).map(entry => entry.status)).to.deep.equal(['ok', 'ok', 'ok'])
+
+    await fs.promises.writeFile(file, 'HELLO world, hello filestore')
+
+    const statuses = (await all(api.verify({ fileOrder: true }))).map(entry => entry.status)
+    expect(statuses).to.deep.equal(['changed', 'ok', 'ok'])
+
+    await fs.promises.rm(file)
+
+    expect((await all(api.verify())).map(entry => entry.status)).to.deep.equal(['no-file', 'no-file', 'no-file'])
+  })
+
+  it('lists blocks that have also been copied into the blockstore', async () => {
+    await all(addAll([{ path: 'file.txt', content: fs.createReadStream(file), abspath: file }], { nocopy: true, chunker: 'size-10', pin: false }))
+    await all(addAll([{ path: 'file.txt', content: fs.createReadStream(file) }], { rawLeaves: true, chunker: 'size-10', pin: false }))
+
+    expect(await all(api.dups())).to.have.lengthOf(3)
+  })
+
+  it('reads blocks from the blockstore without looking up references', async () => {
+    const [{ cid }] = await all(addAll([{ path: 'file.txt', content: fs.createReadStream(file) }], { rawLeaves: true, pin: false }))
+    const has = sinon.spy(filestore.datastore, 'has')
+
+    expect(await filestore.get(cid)).to.have.property('byteLength', 28)
+    expect(has.called).to.be.false()
+  })
+
+  it('refuses to add by reference when the filestore is not enabled', async () => {
+    config = {}
+
+    await expect(all(addAll([{ path: 'file.txt', content: fs.createReadStream(file), abspath: file }], { nocopy: true, pin: false })))
+      .to.eventually.be.rejected.with.property('code', 'ERR_FILESTORE_NOT_ENABLED')
+  })
+
+  it('refuses to add by reference without an absolute path', async () => {
+    await expect(all(addAll([{ path: 'file.txt', content: fs.createReadStream(file) }], { nocopy: true, pin: false })))
+      .to.eventually.be.rejected.with.property('code', 'ERR_MISSING_ABSPATH')
+  })
+
+  it('refuses to add files outside of the root directory by reference', async () => {
+    const outside = path.join(os.tmpdir(), `filestore-${nanoid()}.txt`)
+    await fs.promises.writeFile(outside, 'hello world')
+
+    try {
+      await expect(all(addAll([{ path: 'file.txt', content: fs.createReadStream(outside), abspath: outside }], { nocopy: true, pin: false })))
+        .to.eventually.be.rejected.with.property('code', 'ERR_PATH_OUTSIDE_ROOT')
+      await expect(all(addAll([{ path: 'file.txt', content: fs.createReadStream(outside), abspath: `${dir}/../${path.basename(outside)}` }], { nocopy: true, pin: false })))
+        .to.eventually.be.rejected.with.property('code', 'ERR_PATH_OUTSIDE_ROOT')
+    } finally {
+      await fs.promises.rm(outside, { force: true })
+    }
+
+    expect(await all(api.ls())).to.be.empty()
+  })
+
+  it('refuses to add by reference without raw leaves', async () => {
+    await expect(all(addAll([{ path: 'file.txt', content: fs.createReadStream(file), abspath: file }], { nocopy: true, rawLeaves: false, pin: false })))
+      .to.eventually.be.rejected.with.property('code', 'ERR_INVALID_PARAMS')
+  })
+})
@@ -0,0 +1,146 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import sinon from 'sinon'
+import { CID } from 'multiformats/cid'
+import { GCScheduler } from '../src/components/repo/gc-scheduler.js'
+import { createGc } from '../src/components/repo/gc.js'
+
+const cid = CID.parse('QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn')
+
+describe('gc scheduler', () => {
+  /** @type {sinon.SinonFakeTimers} */
+  let clock
+  /** @type {any} */
+  let repo
+  /** @type {GCScheduler} */
+  let scheduler
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers()
+    repo = {
+      config: {
+        get: sinon.stub().withArgs('Datastore').resolves({
+          StorageMax: '1KB',
+          StorageGCWatermark: 50,
+          GCPeriod: '1m'
+        })
+      },
+      stat: sinon.stub().resolves({ repoSize: 100n })
+    }
+    scheduler = new GCScheduler({ repo, hashers: /** @type {any} */ ({}), enabled: true })
+    scheduler.gc = sinon.stub().callsFake(async function * () {
+      yield { cid }
+      yield { err: new Error('could not remove block') }
+    })
+  })
+
+  afterEach(async () => {
+    await scheduler.stop()
+    clock.restore()
+  })
+
+  it('does nothing when disabled', async () => {
+    scheduler = new GCScheduler({ repo, hashers: /** @type {any} */ ({}) })
+    await scheduler.start()
+    await clock.tickAsync(60 * 60 * 1000)
+
+    expect(repo.stat.called).to.be.false()
+    expect(scheduler.status()).to.have.property('enabled', false)
+  })
+
+  it('reads settings from the config', async () => {
+    await scheduler.start()
+
+    expect(scheduler.status()).to.deep.equal({
+      enabled: true,
+      running: false,
+      period: 60 * 1000,
+      storageMax: 1024n,
+      watermark: 50,
+      lastRun: undefined
+    })
+  })
+
+  it('checks the repo size when started', async () => {
+    repo.stat.resolves({ repoSize: 600n })
+
+    await scheduler.start()
+    await clock.tickAsync(0)
+
+    expect(repo.stat.called).to.be.true()
+    // @ts-expect-error sinon stub
+    expect(scheduler.gc.calledOnce).to.be.true()
+  })
+
+  it('does not collect below the watermark', async () => {
+    await scheduler.start()
+    await clock.tickAsync(60 * 1000)
+
+    // once on start and once after a period
+    expect(repo.stat.callCount).to.equal(2)
+    // @ts-expect-error sinon stub
+    expect(scheduler.gc.called).to.be.false()
+  })
+
+  it('collects above the watermark and records the results', async () => {
+    repo.stat.onFirstCall().resolves({ repoSize: 600n })
+    repo.stat.onSecondCall().resolves({ repoSize: 300n })
+
+    await scheduler.start()
+    await clock.tickAsync(60 * 1000)
+
+    // @ts-expect-error sinon stub
+    expect(scheduler.gc.calledOnce).to.be.true()
+    expect(scheduler.status()).to.have.deep.property('lastRun').that.deep.includes({
+      repoSizeBefore: 600n,
+      repoSizeAfter: 300n,
+      removed: 1,
+      errors: ['could not remove block']
+    })
+  })
+
+  it('keeps checking every period', async () => {
+    await scheduler.start()
+    await clock.tickAsync(3 * 60 * 1000)
+
+    expect(repo.stat.callCount).to.equal(4)
+  })
+
+  it('rejects an invalid period', async () => {
+    repo.config.get.withArgs('Datastore').resolves({ GCPeriod: 'sometimes' })
+
+    await expect(scheduler.start()).to.eventually.be.rejectedWith(/Invalid Datastore.GCPeriod/)
+  })
+
+  it('stops removing blocks when stopped', async () => {
+    repo.stat.resolves({ repoSize: 600n })
+    repo.datastore = {
+      open: sinon.stub().resolves(),
+      get: sinon.stub().resolves(cid.bytes)
+    }
+    repo.pins = {
+      pinRecursively: sinon.stub().resolves(),
+      unpin: sinon.stub().resolves()
+    }
+    /** @type {Promise<void> | undefined} */
+    let stopped
+    repo.gc = sinon.stub().callsFake(async function * () {
+      yield { cid }
+      stopped = scheduler.stop()
+      yield { cid }
+      yield { cid }
+    })
+    scheduler.gc = createGc({ repo, hashers: /** @type {any} */ ({}) })
+
+    await scheduler.start()
+    await clock.tickAsync(0)
+    await stopped
+
+    expect(scheduler.status()).to.have.deep.property('lastRun').that.deep.includes({
+      removed: 1,
+      errors: []
+    })
+    expect(repo.pins.unpin.calledWith(cid)).to.be.true()
+  })
+})
@@ -0,0 +1,104 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import all from 'it-all'
+import Pako from 'pako'
+import { extract } from 'it-tar'
+import { pipe } from 'it-pipe'
+import { importer } from 'ipfs-unixfs-importer'
+import { MemoryBlockstore } from 'blockstore-core/memory'
+import { concat as uint8ArrayConcat } from 'uint8arrays/concat'
+import { createGet } from '../src/components/get.js'
+
+/**
+ * @param {number} length
+ */
+function randomBytes (length) {
+  const bytes = new Uint8Array(length)
+
+  for (let i = 0; i < length; i++) {
+    bytes[i] = Math.floor(Math.random() * 256)
+  }
+
+  return bytes
+}
+
+/**
+ * @param {Uint8Array[]} chunks
+ */
+async function untar (chunks) {
+  return pipe(
+    [Pako.ungzip(uint8ArrayConcat(chunks))],
+    extract(),
+    async function (source) {
+      const entries = []
+
+      for await (const { header, body } of source) {
+        entries.push({ name: header.name, content: uint8ArrayConcat(await all(body)) })
+      }
+
+      return entries
+    }
+  )
+}
+
+describe('get', () => {
+  /** @type {MemoryBlockstore} */
+  let blockstore
+  /** @type {ReturnType<typeof createGet>} */
+  let get
+
+  beforeEach(() => {
+    blockstore = new MemoryBlockstore()
+    get = createGet({
+      // @ts-expect-error incomplete implementation
+      repo: { blocks: blockstore },
+      preload: Object.assign(() => {}, { start: () => {}, stop: () => {} })
+    })
+  })
+
+  it('streams a gzipped file', async () => {
+    // incompressible so the output spans many chunks
+    const content = randomBytes(1024 * 1024)
+    const [{ cid }] = await all(importer([{ content }], blockstore))
+
+    const chunks = await all(get(cid, { compress: true, preload: false }))
+
+    expect(chunks).to.have.length.greaterThan(1)
+    expect(Pako.ungzip(uint8ArrayConcat(chunks))).to.equalBytes(content)
+  })
+
+  it('streams a gzipped tar of a directory', async () => {
+    const a = randomBytes(1024)
+    const b = randomBytes(2048)
+    const root = (await all(importer([
+      { path: 'dir/a', content: a },
+      { path: 'dir/b', content: b }
+    ], blockstore))).pop()
+
+    if (root == null) {
+      throw new Error('nothing imported')
+    }
+
+    const entries = await untar(await all(get(root.cid, { archive: true, compress: true, compressionLevel: 9, preload: false })))
+
+    expect(entries.map(entry => entry.name)).to.deep.equal([
+      `${root.cid}`,
+      `${root.cid}/a`,
+      `${root.cid}/b`
+    ])
+    expect(entries[1].content).to.equalBytes(a)
+    expect(entries[2].content).to.equalBytes(b)
+  })
+
+  it('refuses to gzip a directory without archiving it', async () => {
+    const root = (await all(importer([{ path: 'dir/a', content: randomBytes(10) }], blockstore))).pop()
+
+    if (root == null) {
+      throw new Error('nothing imported')
+    }
+
+    await expect(all(get(root.cid, { compress: true, preload: false }))).to.eventually.be.rejected
+      .with.property('code', 'ERR_INVALID_PATH')
+  })
+})
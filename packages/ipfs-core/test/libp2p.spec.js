@@ -1,10 +1,15 @@
 /* eslint-env mocha */
 
 import { expect } from 'aegir/chai'
+import sinon from 'sinon'
 import { MemoryDatastore } from 'datastore-core/memory'
 import { createLibp2p as libp2pComponent } from '../src/components/libp2p.js'
 import { GossipSub } from '@chainsafe/libp2p-gossipsub'
 import { createEd25519PeerId } from '@libp2p/peer-id-factory'
+import { start, stop } from '@libp2p/interfaces/startable'
+import getDefaultConfig from 'ipfs-core-config/config'
+import { generateSwarmKey } from '../src/utils/swarm-key.js'
+import { DelegatedRouting } from '../src/delegated-routing.js'
 
 /**
  * @type {import('@libp2p/interface-transport').Transport}
@@ -100,4 +105,142 @@ describe('libp2p customization', function () {
       expect(libp2p.pubsub).to.be.an.instanceOf(GossipSub)
     })
   })
+
+  describe('private networks', () => {
+    /**
+     * @param {Uint8Array} [swarmKey]
+     */
+    const getOptions = async (swarmKey) => {
+      /** @type {import('libp2p').Libp2pOptions | undefined} */
+      let libp2pOptions
+
+      await libp2pComponent({
+        peerId,
+        // @ts-expect-error repo is not complete implementation
+        repo: { datastore },
+        options: {
+          libp2p: async (args) => {
+            libp2pOptions = args.libp2pOptions
+
+            // not a libp2p node
+            return /** @type {import('libp2p').Libp2p} */ ({})
+          }
+        },
+        config: {
+          ...testConfig,
+          Bootstrap: [
+            ...getDefaultConfig().Bootstrap,
+            '/ip4/10.0.0.1/tcp/4001/p2p/QmaCpDMGvV2BGHeYERUEnRQAwe3N8SzbUtfsmvsqQLuvuJ'
+          ],
+          Addresses: {
+            ...testConfig.Addresses,
+            Delegates: getDefaultConfig().Addresses.Delegates
+          }
+        },
+        swarmKey
+      })
+
+      if (libp2pOptions == null) {
+        throw new Error('libp2p was not created')
+      }
+
+      return libp2pOptions
+    }
+
+    it('should use public bootstrap nodes and delegates without a swarm key', async () => {
+      const libp2pOptions = await getOptions()
+
+      expect(libp2pOptions).to.not.have.property('connectionProtector')
+      expect(libp2pOptions.peerDiscovery).to.have.lengthOf(1)
+      expect(libp2pOptions.contentRouters).to.have.lengthOf(1)
+      expect(libp2pOptions.peerRouters).to.have.lengthOf(1)
+    })
+
+    it('should protect connections and drop public delegates with a swarm key', async () => {
+      const libp2pOptions = await getOptions(generateSwarmKey())
+
+      expect(libp2pOptions).to.have.property('connectionProtector').that.is.a('function')
+      expect(libp2pOptions.contentRouters).to.be.empty()
+      expect(libp2pOptions.peerRouters).to.be.empty()
+    })
+
+    it('should only bootstrap from private nodes with a swarm key', async () => {
+      const libp2pOptions = await getOptions(generateSwarmKey())
+
+      const [createBootstrap] = libp2pOptions.peerDiscovery ?? []
+
+      if (createBootstrap == null) {
+        throw new Error('bootstrap was not configured')
+      }
+
+      /** @type {any} */
+      const components = {
+        peerStore: {
+          tagPeer: async () => {}
+        }
+      }
+      const bootstrap = createBootstrap(components)
+      /** @type {string[]} */
+      const discovered = []
+      const clock = sinon.useFakeTimers()
+
+      bootstrap.addEventListener('peer', (event) => {
+        discovered.push(event.detail.multiaddrs[0].toString())
+      })
+
+      try {
+        await start(bootstrap)
+        await clock.tickAsync(1000)
+      } finally {
+        await stop(bootstrap)
+        clock.restore()
+      }
+
+      expect(discovered).to.deep.equal([
+        '/ip4/10.0.0.1/tcp/4001/p2p/QmaCpDMGvV2BGHeYERUEnRQAwe3N8SzbUtfsmvsqQLuvuJ'
+      ])
+    })
+  })
+
+  describe('delegated routing', () => {
+    it('should route through every delegate', async () => {
+      const delegatedRouting = new DelegatedRouting()
+      /** @type {import('libp2p').Libp2pOptions | undefined} */
+      let libp2pOptions
+
+      await libp2pComponent({
+        peerId,
+        // @ts-expect-error repo is not complete implementation
+        repo: { datastore },
+        options: {
+          libp2p: async (args) => {
+            libp2pOptions = args.libp2pOptions
+
+            // not a libp2p node
+            return /** @type {import('libp2p').Libp2p} */ ({})
+          }
+        },
+        config: {
+          ...testConfig,
+          Addresses: {
+            ...testConfig.Addresses,
+            Delegates: [
+              ...getDefaultConfig().Addresses.Delegates,
+              'https://delegated-ipfs.dev'
+            ]
+          }
+        },
+        delegatedRouting
+      })
+
+      expect(libp2pOptions?.contentRouters).to.have.lengthOf(1)
+      expect(libp2pOptions?.peerRouters).to.have.lengthOf(1)
+      // @ts-expect-error not components
+      expect(libp2pOptions?.contentRouters?.[0]({})).to.equal(delegatedRouting)
+      expect(delegatedRouting.delegates.map(({ address }) => address)).to.deep.equal([
+        ...getDefaultConfig().Addresses.Delegates,
+        'https://delegated-ipfs.dev'
+      ])
+    })
+  })
 })
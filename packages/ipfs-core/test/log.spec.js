@@ -0,0 +1,90 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import debug from 'debug'
+import { createLevel } from '../src/components/log/level.js'
+import { createLs } from '../src/components/log/ls.js'
+import { createTail } from '../src/components/log/tail.js'
+import { logger } from '@libp2p/logger'
+
+describe('log', () => {
+  /** @type {string} */
+  let namespaces
+  /** @type {typeof debug.log} */
+  let write
+  const level = createLevel()
+  const ls = createLs()
+  const tail = createTail()
+  const log = logger('ipfs:test:log')
+
+  before(() => {
+    namespaces = debug.disable()
+    write = debug.log
+    debug.log = () => {}
+  })
+
+  after(() => {
+    debug.log = write
+    debug.enable(namespaces)
+  })
+
+  it('lists subsystems', async () => {
+    const subsystems = await ls()
+
+    expect(subsystems).to.include('ipfs:test:log')
+    expect(subsystems).to.not.include('ipfs:test:log:error')
+  })
+
+  it('changes the level of a subsystem', async () => {
+    await expect(level('ipfs:test:log', 'debug')).to.eventually.deep.equal({
+      message: "Changed log level of 'ipfs:test:log' to 'debug'"
+    })
+    expect(debug.enabled('ipfs:test:log')).to.be.true()
+    expect(debug.enabled('ipfs:test:log:error')).to.be.true()
+
+    await level('ipfs:test:log', 'error')
+    expect(debug.enabled('ipfs:test:log')).to.be.false()
+    expect(debug.enabled('ipfs:test:log:error')).to.be.true()
+
+    await level('ipfs:test:log', 'fatal')
+    expect(debug.enabled('ipfs:test:log')).to.be.false()
+    expect(debug.enabled('ipfs:test:log:error')).to.be.false()
+  })
+
+  it('changes the level of every subsystem', async () => {
+    await level('all', 'warn')
+    expect(debug.enabled('ipfs:test:log')).to.be.false()
+    expect(debug.enabled('ipfs:test:log:error')).to.be.true()
+
+    await level('all', 'fatal')
+    expect(debug.enabled('ipfs:test:log:error')).to.be.false()
+  })
+
+  it('rejects invalid levels', async () => {
+    await expect(level('ipfs:test:log', 'loud')).to.eventually.be.rejected.with.property('code', 'ERR_INVALID_LOG_LEVEL')
+  })
+
+  it('tails the log', async () => {
+    await level('ipfs:test:log', 'debug')
+
+    const controller = new AbortController()
+    const events = []
+
+    setTimeout(() => {
+      log('hello %s', 'world')
+      log.error('oh no')
+      controller.abort()
+    }, 10)
+
+    for await (const event of tail({ signal: controller.signal })) {
+      events.push(event)
+    }
+
+    expect(events).to.have.lengthOf(2)
+    expect(events[0]).to.include({ level: 'debug', logger: 'ipfs:test:log', msg: 'hello world' })
+    expect(events[1]).to.include({ level: 'error', logger: 'ipfs:test:log', msg: 'oh no' })
+    expect(events[0]).to.have.property('ts').that.is.a('string')
+
+    await level('all', 'fatal')
+  })
+})
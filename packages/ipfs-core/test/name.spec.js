@@ -13,6 +13,11 @@ import { IpnsResolver } from '../src/ipns/resolver.js'
 import { OfflineDatastore } from '../src/ipns/routing/offline-datastore.js'
 import { IpnsPubsubDatastore } from '../src/ipns/routing/pubsub-datastore.js'
 import { DHTDatastore } from '../src/ipns/routing/dht-datastore.js'
+import { IPNS } from '../src/ipns/index.js'
+import { createInspect } from '../src/components/name/inspect.js'
+import { createPublish } from '../src/components/name/publish.js'
+import { IPNSAPI } from '../src/components/ipns.js'
+import { MemoryDatastore } from 'datastore-core/memory'
 import { fromString as uint8ArrayFromString } from 'uint8arrays/from-string'
 
 const ipfsRef = '/ipfs/QmPFVLPmp9zv5Z5KUqLhe2EivAGccQW2r7M7jhVJGLZoZU'
@@ -87,6 +92,166 @@ describe('name', function () {
     })
   })
 
+  describe('republish status', () => {
+    /** @type {MemoryDatastore} */
+    let datastore
+    /** @type {import('@libp2p/interface-peer-id').PeerId} */
+    let peerId
+    /** @type {IPNS[]} */
+    let nodes
+
+    /**
+     * @param {any} [options]
+     */
+    const createNode = (options = {}) => {
+      const keychain = {
+        listKeys: sinon.stub().resolves([{ name: 'self', id: peerId.toString() }]),
+        findKeyById: sinon.stub().rejects(new Error('not found'))
+      }
+      // @ts-expect-error keychain is not complete implementation
+      const node = new IPNS(new OfflineDatastore(datastore), datastore, peerId, keychain, { pass: '', ...options })
+      nodes.push(node)
+
+      return node
+    }
+
+    beforeEach(async () => {
+      datastore = new MemoryDatastore()
+      peerId = await createEd25519PeerId()
+      nodes = []
+    })
+
+    afterEach(async () => {
+      for (const node of nodes) {
+        if (node.republisher._republishHandle != null) {
+          await node.republisher.stop()
+        }
+      }
+    })
+
+    it('should remember published names and their lifetimes', async () => {
+      await createNode().publish(peerId, uint8ArrayFromString(ipfsRef), 10 * 60 * 1000)
+
+      const [status, ...rest] = await createNode().republisher.status()
+
+      expect(rest).to.be.empty()
+      expect(status).to.include({
+        name: peerId.toString(),
+        key: 'self',
+        lifetime: 10 * 60 * 1000,
+        nextRun: undefined,
+        error: undefined
+      })
+      expect(status.lastRun).to.be.an.instanceOf(Date)
+    })
+
+    it('should republish with the published lifetime', async () => {
+      await createNode().publish(peerId, uint8ArrayFromString(ipfsRef), 10 * 60 * 1000)
+
+      const node = createNode()
+      const publishWithEOL = sinon.spy(node.publisher, 'publishWithEOL')
+
+      await node.republisher.republish()
+
+      expect(publishWithEOL.calledWith(peerId, sinon.match.any, 10 * 60 * 1000)).to.be.true()
+    })
+
+    it('should schedule names with short lifetimes sooner', async () => {
+      const node = createNode({ broadcastInterval: 60 * 60 * 1000 })
+      await node.republisher.start()
+      await node.publish(peerId, uint8ArrayFromString(ipfsRef), 10 * 60 * 1000)
+
+      const [status] = await node.republisher.status()
+
+      expect(status.nextRun).to.be.an.instanceOf(Date)
+      expect(status.lastRun).to.be.an.instanceOf(Date)
+      expect(status.nextRun?.getTime()).to.equal((status.lastRun?.getTime() ?? 0) + 5 * 60 * 1000)
+    })
+
+    it('should report republish errors', async () => {
+      const otherPeerId = await createEd25519PeerId()
+      const node = createNode()
+
+      await node.publish(otherPeerId, uint8ArrayFromString(ipfsRef), 10 * 60 * 1000)
+
+      const statuses = await node.republisher.republish()
+
+      expect(statuses).to.have.lengthOf(1)
+      expect(statuses[0]).to.have.property('name', otherPeerId.toString())
+      expect(statuses[0]).to.have.property('error').that.includes('keychain pass')
+    })
+
+    it('should find names published before they were tracked', async () => {
+      await createNode().publisher.publishWithEOL(peerId, uint8ArrayFromString(ipfsRef), 10 * 60 * 1000)
+
+      const statuses = await createNode().republisher.status()
+
+      expect(statuses).to.have.lengthOf(1)
+      expect(statuses[0]).to.have.property('name', peerId.toString())
+    })
+
+    it('should use the configured record lifetime', async () => {
+      const node = createNode({ config: { Ipns: { RecordLifetime: '2h' } } })
+
+      await node.initializeKeyspace(peerId, uint8ArrayFromString(ipfsRef))
+
+      const [status] = await node.republisher.status()
+      expect(status).to.have.property('lifetime', 2 * 60 * 60 * 1000)
+    })
+
+    it('should read the record lifetime from the repo when started', async () => {
+      const api = new IPNSAPI({ pass: '', offline: true })
+      /** @type {any} */
+      const repo = {
+        datastore,
+        config: {
+          getAll: sinon.stub().resolves({ Ipns: { RecordLifetime: '2h' } })
+        }
+      }
+
+      // @ts-expect-error libp2p and the keychain are not used offline
+      await api.startOnline({ repo, peerId, keychain: {} })
+      const { recordLifetime } = api.getIPNS()
+      await api.stop()
+
+      expect(recordLifetime).to.equal(2 * 60 * 60 * 1000)
+    })
+
+    it('should refuse an invalid republish period', () => {
+      expect(() => createNode({ config: { Ipns: { RepublishPeriod: 'derp' } } }))
+        .to.throw()
+        .with.property('code', 'ERR_INVALID_CONFIG')
+    })
+  })
+
+  describe('publish', () => {
+    it('should use the record lifetime from the repo config', async () => {
+      const peerId = await createEd25519PeerId()
+      /** @type {any} */
+      const ipns = {
+        publish: sinon.stub().resolves({ name: peerId.toString(), value: uint8ArrayFromString(ipfsRef) })
+      }
+      /** @type {any} */
+      const repo = {
+        config: {
+          getAll: sinon.stub().resolves({ Ipns: { RecordLifetime: '2h' } })
+        }
+      }
+      const publish = createPublish({
+        ipns,
+        repo,
+        codecs: /** @type {any} */ ({}),
+        peerId,
+        isOnline: () => true,
+        keychain: /** @type {any} */ ({})
+      })
+
+      await publish(ipfsRef, { resolve: false })
+
+      expect(ipns.publish.calledWith(sinon.match.any, sinon.match.any, 2 * 60 * 60 * 1000)).to.be.true()
+    })
+  })
+
   describe('publisher', () => {
     it('should fail to publish if does not receive private key', () => {
       // @ts-expect-error constructor needs args
@@ -237,6 +402,149 @@ describe('name', function () {
       await expect(resolver.resolve(`/ipns/${peerId.toString()}`))
         .to.eventually.be.rejected()
     })
+
+    it('should resolve names from the cache unless nocache is set', async () => {
+      const peerId = await createEd25519PeerId()
+      const record = await ipns.create(peerId, uint8ArrayFromString(ipfsRef), 1, 10e3)
+      const routing = {
+        get: sinon.stub().returns(ipns.marshal(record))
+      }
+      // @ts-expect-error routing is not complete implementation
+      const resolver = new IpnsResolver(routing)
+
+      await expect(resolver.resolve(`/ipns/${peerId.toString()}`)).to.eventually.equal(ipfsRef)
+      await expect(resolver.resolve(`/ipns/${peerId.toCID().toString()}`)).to.eventually.equal(ipfsRef)
+      expect(routing.get.callCount).to.equal(1)
+
+      await expect(resolver.resolve(`/ipns/${peerId.toString()}`, { nocache: true })).to.eventually.equal(ipfsRef)
+      expect(routing.get.callCount).to.equal(2)
+    })
+
+    it('should not cache records for longer than their ttl', async () => {
+      const datastore = new MemoryDatastore()
+      const routing = new OfflineDatastore(datastore)
+      const publisher = new IpnsPublisher(routing, datastore)
+      const peerId = await createEd25519PeerId()
+
+      const record = ipns.unmarshal(await publisher.publishWithEOL(peerId, uint8ArrayFromString(ipfsRef), 10e3, { ttl: 100 }))
+      expect(record.ttl).to.equal(100000000n)
+
+      const get = sinon.spy(routing, 'get')
+      const resolver = new IpnsResolver(routing)
+
+      await expect(resolver.resolve(`/ipns/${peerId.toString()}`)).to.eventually.equal(ipfsRef)
+      await expect(resolver.resolve(`/ipns/${peerId.toString()}`)).to.eventually.equal(ipfsRef)
+      expect(get.callCount).to.equal(1)
+
+      await delay(150)
+
+      await expect(resolver.resolve(`/ipns/${peerId.toString()}`)).to.eventually.equal(ipfsRef)
+      expect(get.callCount).to.equal(2)
+    })
+
+    it('should not cache records past their validity', async () => {
+      const peerId = await createEd25519PeerId()
+      const record = await ipns.create(peerId, uint8ArrayFromString(ipfsRef), 1, 200)
+      const routing = {
+        get: sinon.stub().returns(ipns.marshal(record))
+      }
+      // @ts-expect-error routing is not complete implementation
+      const resolver = new IpnsResolver(routing)
+
+      await expect(resolver.resolve(`/ipns/${peerId.toString()}`)).to.eventually.equal(ipfsRef)
+
+      await delay(250)
+
+      await expect(resolver.resolve(`/ipns/${peerId.toString()}`))
+        .to.eventually.be.rejected()
+        .with.property('code', 'ERR_IPNS_EXPIRED_RECORD')
+    })
+  })
+
+  describe('records', () => {
+    /** @type {IPNS} */
+    let node
+    /** @type {import('@libp2p/interface-peer-id').PeerId} */
+    let peerId
+
+    beforeEach(async () => {
+      const datastore = new MemoryDatastore()
+      peerId = await createEd25519PeerId()
+      // @ts-expect-error sinon.stub() is not complete keychain implementation
+      node = new IPNS(new OfflineDatastore(datastore), datastore, peerId, sinon.stub(), { pass: '' })
+    })
+
+    it('should put and get a record signed by another key', async () => {
+      const record = ipns.marshal(await ipns.create(peerId, uint8ArrayFromString(ipfsRef), 1, 10e3))
+
+      await node.put(peerId, record)
+
+      expect(await node.get(peerId)).to.equalBytes(record)
+    })
+
+    it('should fail to get a record that does not exist', async () => {
+      await expect(node.get(peerId))
+        .to.eventually.be.rejected()
+        .with.property('code', 'ERR_NO_RECORD_FOUND')
+    })
+
+    it('should refuse to put a record signed by a different key', async () => {
+      const otherPeerId = await createEd25519PeerId()
+      const record = ipns.marshal(await ipns.create(otherPeerId, uint8ArrayFromString(ipfsRef), 1, 10e3))
+
+      await expect(node.put(peerId, record))
+        .to.eventually.be.rejected()
+        .with.property('code', 'ERR_INVALID_RECORD')
+    })
+
+    it('should refuse to replace a record with an older one unless forced', async () => {
+      const older = ipns.marshal(await ipns.create(peerId, uint8ArrayFromString(ipfsRef), 1, 10e3))
+      const newer = ipns.marshal(await ipns.create(peerId, uint8ArrayFromString(ipfsRef), 2, 10e3))
+
+      await node.put(peerId, newer)
+
+      await expect(node.put(peerId, older))
+        .to.eventually.be.rejected()
+        .with.property('code', 'ERR_OUTDATED_RECORD')
+
+      await node.put(peerId, older, { force: true })
+
+      expect(await node.get(peerId)).to.equalBytes(older)
+    })
+
+    it('should inspect a record', async () => {
+      const record = ipns.marshal(await ipns.create(peerId, uint8ArrayFromString(ipfsRef), 5, 10e3))
+      const result = await createInspect()(record, { verify: `/ipns/${peerId}` })
+
+      expect(result).to.include({
+        value: ipfsRef,
+        validityType: 'EOL',
+        expired: false,
+        sequence: 5n,
+        signatureV1: true,
+        signatureV2: true
+      })
+      expect(result.validity).to.be.an.instanceOf(Date)
+      expect(result.verification).to.deep.equal({
+        name: peerId.toString(),
+        valid: true
+      })
+    })
+
+    it('should report a record that is not valid for a name', async () => {
+      const otherPeerId = await createEd25519PeerId()
+      const record = ipns.marshal(await ipns.create(peerId, uint8ArrayFromString(ipfsRef), 1, 10e3))
+      const result = await createInspect()(record, { verify: otherPeerId })
+
+      expect(result).to.have.nested.property('verification.valid', false)
+      expect(result).to.have.nested.property('verification.error').that.is.a('string')
+    })
+
+    it('should fail to inspect invalid record data', async () => {
+      await expect(createInspect()(uint8ArrayFromString('not a record')))
+        .to.eventually.be.rejected()
+        .with.property('code', 'ERR_INVALID_RECORD_DATA')
+    })
   })
 
   describe('routing config', function () {
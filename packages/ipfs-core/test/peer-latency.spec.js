@@ -0,0 +1,51 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import sinon from 'sinon'
+import { EventEmitter, CustomEvent } from '@libp2p/interfaces/events'
+import { createEd25519PeerId } from '@libp2p/peer-id-factory'
+import { PeerLatency } from '../src/utils/peer-latency.js'
+
+describe('peer latency', () => {
+  /** @type {any} */
+  let libp2p
+  /** @type {import('@libp2p/interface-peer-id').PeerId} */
+  let peerId
+  /** @type {PeerLatency} */
+  let latency
+
+  beforeEach(async () => {
+    peerId = await createEd25519PeerId()
+    libp2p = Object.assign(new EventEmitter(), {
+      ping: sinon.stub().resolves(100)
+    })
+    latency = new PeerLatency(libp2p)
+    latency.start()
+  })
+
+  afterEach(() => {
+    latency.stop()
+  })
+
+  it('records the round trip time of pings', async () => {
+    await expect(latency.ping(peerId)).to.eventually.equal(100)
+
+    expect(latency.get(peerId)).to.have.property('rtt', 100)
+  })
+
+  it('smooths measurements', async () => {
+    await latency.ping(peerId)
+    libp2p.ping.resolves(200)
+    await latency.ping(peerId)
+
+    expect(latency.get(peerId)).to.have.property('rtt', 110)
+  })
+
+  it('forgets peers that disconnect', async () => {
+    await latency.ping(peerId)
+
+    libp2p.dispatchEvent(new CustomEvent('peer:disconnect', { detail: { remotePeer: peerId } }))
+
+    expect(latency.get(peerId)).to.be.undefined()
+  })
+})
@@ -0,0 +1,139 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import sinon from 'sinon'
+import { EventEmitter, CustomEvent } from '@libp2p/interfaces/events'
+import { createEd25519PeerId } from '@libp2p/peer-id-factory'
+import { Peering } from '../src/peering.js'
+
+describe('peering', () => {
+  /** @type {sinon.SinonFakeTimers} */
+  let clock
+  /** @type {any} */
+  let libp2p
+  /** @type {import('@libp2p/interface-peer-id').PeerId} */
+  let remotePeer
+  /** @type {Peering} */
+  let peering
+
+  /**
+   * @param {string} type
+   */
+  const emit = (type) => {
+    libp2p.dispatchEvent(new CustomEvent(type, { detail: { remotePeer } }))
+  }
+
+  beforeEach(async () => {
+    clock = sinon.useFakeTimers()
+    remotePeer = await createEd25519PeerId()
+    libp2p = Object.assign(new EventEmitter(), {
+      peerId: await createEd25519PeerId(),
+      peerStore: {
+        all: sinon.stub().resolves([]),
+        getTags: sinon.stub().resolves([]),
+        tagPeer: sinon.stub().resolves(),
+        unTagPeer: sinon.stub().resolves(),
+        addressBook: {
+          add: sinon.stub().resolves()
+        }
+      },
+      getConnections: sinon.stub().returns([]),
+      dial: sinon.stub().resolves()
+    })
+    peering = new Peering(libp2p, {
+      Peers: [{
+        ID: remotePeer.toString(),
+        Addrs: ['/ip4/1.2.3.4/tcp/4001']
+      }]
+    })
+  })
+
+  afterEach(async () => {
+    await peering.stop()
+    clock.restore()
+  })
+
+  it('rejects invalid config', () => {
+    expect(() => new Peering(libp2p, { Peers: [{ ID: 'not-a-peer-id' }] }))
+      .to.throw().with.property('code', 'ERR_INVALID_CONFIG')
+  })
+
+  it('protects and connects to configured peers', async () => {
+    await peering.start()
+
+    const [id, addrs] = libp2p.peerStore.addressBook.add.getCall(0).args
+    expect(id.equals(remotePeer)).to.be.true()
+    expect(addrs.map(String)).to.deep.equal(['/ip4/1.2.3.4/tcp/4001'])
+    expect(libp2p.peerStore.tagPeer.calledWith(sinon.match.any, 'ipfs-peering', { value: 100 })).to.be.true()
+    expect(libp2p.dial.calledOnce).to.be.true()
+    expect(peering.ls().map(({ id, addrs }) => ({ id: id.toString(), addrs: addrs.map(String) }))).to.deep.equal([{
+      id: remotePeer.toString(),
+      addrs: ['/ip4/1.2.3.4/tcp/4001']
+    }])
+  })
+
+  it('removes the tag from peers that are no longer configured', async () => {
+    const removed = await createEd25519PeerId()
+    libp2p.peerStore.all.resolves([{ id: remotePeer }, { id: removed }])
+    libp2p.peerStore.getTags.resolves([{ name: 'ipfs-peering', value: 100 }])
+
+    await peering.start()
+
+    expect(libp2p.peerStore.unTagPeer.calledOnceWith(removed, 'ipfs-peering')).to.be.true()
+  })
+
+  it('reconnects with backoff after disconnecting', async () => {
+    await peering.start()
+    libp2p.dial.resetHistory()
+    libp2p.dial.rejects(new Error('could not dial'))
+
+    emit('peer:disconnect')
+
+    await clock.tickAsync(5000)
+    expect(libp2p.dial.callCount).to.equal(1)
+
+    // the second attempt waits twice as long
+    await clock.tickAsync(5000)
+    expect(libp2p.dial.callCount).to.equal(1)
+    await clock.tickAsync(5000)
+    expect(libp2p.dial.callCount).to.equal(2)
+
+    // connecting resets the backoff
+    libp2p.dial.resolves()
+    await clock.tickAsync(20000)
+    expect(libp2p.dial.callCount).to.equal(3)
+    emit('peer:connect')
+    emit('peer:disconnect')
+
+    await clock.tickAsync(5000)
+    expect(libp2p.dial.callCount).to.equal(4)
+  })
+
+  it('adds and removes peers', async () => {
+    await peering.start()
+
+    const other = await createEd25519PeerId()
+    await peering.add(other)
+
+    expect(peering.ls().map(({ id }) => id.toString())).to.deep.equal([remotePeer.toString(), other.toString()])
+
+    await peering.rm(remotePeer)
+
+    expect(peering.ls().map(({ id }) => id.toString())).to.deep.equal([other.toString()])
+    expect(libp2p.peerStore.unTagPeer.calledOnceWith(remotePeer, 'ipfs-peering')).to.be.true()
+
+    // removed peers are not reconnected to
+    libp2p.dial.resetHistory()
+    emit('peer:disconnect')
+    await clock.tickAsync(60000)
+
+    expect(libp2p.dial.called).to.be.false()
+  })
+
+  it('refuses to peer with self', async () => {
+    await peering.start()
+
+    await expect(peering.add(libp2p.peerId)).to.eventually.be.rejected()
+      .with.property('code', 'ERR_INVALID_PEER')
+  })
+})
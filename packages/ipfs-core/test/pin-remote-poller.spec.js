@@ -0,0 +1,113 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import sinon from 'sinon'
+import errCode from 'err-code'
+import { PinStatusPoller } from '../src/components/pin/remote/poller.js'
+
+/**
+ * @param {import('ipfs-core-types/src/pin/remote').Status} status
+ * @returns {import('../src/components/pin/remote/client').PinStatus}
+ */
+const pinStatus = (status) => ({
+  requestid: 'request-1',
+  status,
+  created: new Date(0).toISOString(),
+  pin: { cid: 'QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn' },
+  delegates: []
+})
+
+describe('remote pin poller', () => {
+  /** @type {sinon.SinonFakeTimers} */
+  let clock
+  /** @type {PinStatusPoller} */
+  let poller
+  /** @type {any} */
+  let client
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers()
+    poller = new PinStatusPoller({ interval: 1000 })
+    client = {
+      get: sinon.stub().resolves(pinStatus('pinning'))
+    }
+  })
+
+  afterEach(() => {
+    poller.stop()
+    clock.restore()
+  })
+
+  it('resolves immediately when the pin has already settled', async () => {
+    await expect(poller.wait('service', client, pinStatus('pinned'))).to.eventually.have.property('status', 'pinned')
+    expect(client.get.called).to.be.false()
+  })
+
+  it('polls until the pin settles', async () => {
+    const result = poller.wait('service', client, pinStatus('queued'))
+
+    await clock.tickAsync(1000)
+    expect(client.get.callCount).to.equal(1)
+
+    client.get.resolves(pinStatus('pinned'))
+    await clock.tickAsync(1000)
+
+    await expect(result).to.eventually.have.property('status', 'pinned')
+    expect(poller.pins.size).to.equal(0)
+
+    await clock.tickAsync(5000)
+    expect(client.get.callCount).to.equal(2)
+  })
+
+  it('stops polling when the only wait is aborted', async () => {
+    const controller = new AbortController()
+    const result = poller.wait('service', client, pinStatus('queued'), { signal: controller.signal })
+
+    await clock.tickAsync(1000)
+    controller.abort()
+
+    await expect(result).to.eventually.be.rejected().with.property('code', 'ERR_ABORTED')
+    expect(poller.pins.size).to.equal(0)
+
+    await clock.tickAsync(5000)
+    expect(client.get.callCount).to.equal(1)
+  })
+
+  it('keeps polling pins tracked in the background when a wait is aborted', async () => {
+    const controller = new AbortController()
+    poller.track('service', client, pinStatus('queued'))
+    const result = poller.wait('service', client, pinStatus('queued'), { signal: controller.signal })
+
+    controller.abort()
+    await expect(result).to.eventually.be.rejected().with.property('code', 'ERR_ABORTED')
+
+    await clock.tickAsync(2000)
+    expect(client.get.callCount).to.equal(2)
+  })
+
+  it('rejects waits when the pin is removed from the service', async () => {
+    client.get.rejects(errCode(new Error('Not found'), 'ERR_PINNING_SERVICE', { status: 404 }))
+    const result = expect(poller.wait('service', client, pinStatus('queued'))).to.eventually.be.rejected()
+
+    await clock.tickAsync(1000)
+
+    await result.with.property('code', 'ERR_NOT_FOUND')
+  })
+
+  it('retries after transient errors', async () => {
+    client.get.onFirstCall().rejects(new Error('Bad gateway'))
+    client.get.onSecondCall().resolves(pinStatus('failed'))
+    const result = poller.wait('service', client, pinStatus('queued'))
+
+    await clock.tickAsync(2000)
+
+    await expect(result).to.eventually.have.property('status', 'failed')
+  })
+
+  it('rejects waits for pins on a removed service', async () => {
+    const result = poller.wait('service', client, pinStatus('queued'))
+    poller.forget('service')
+
+    await expect(result).to.eventually.be.rejected().with.property('code', 'ERR_SERVICE_REMOVED')
+  })
+})
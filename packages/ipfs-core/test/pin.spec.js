@@ -0,0 +1,220 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import sinon from 'sinon'
+import all from 'it-all'
+import { importer } from 'ipfs-unixfs-importer'
+import { fromString as uint8ArrayFromString } from 'uint8arrays/from-string'
+import { hashes } from 'multiformats/basics'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { CID } from 'multiformats/cid'
+import * as raw from 'multiformats/codecs/raw'
+import { Multihashes } from 'ipfs-core-utils/multihashes'
+import { createTempRepo } from './utils/create-repo.js'
+import { codecs } from './utils/codecs.js'
+import { createUpdate } from '../src/components/pin/update.js'
+import { createVerify } from '../src/components/pin/verify.js'
+
+/**
+ * @param {import('ipfs-repo').IPFSRepo} repo
+ * @param {Record<string, string>} files
+ * @param {import('ipfs-unixfs-importer').UserImporterOptions} [options]
+ */
+async function importDir (repo, files, options = {}) {
+  const entries = await all(importer(Object.entries(files).map(([path, content]) => ({
+    path: `dir/${path}`,
+    content: uint8ArrayFromString(content)
+  })), repo.blocks, { cidVersion: 1, ...options }))
+
+  return {
+    /** @type {Record<string, import('multiformats/cid').CID>} */
+    cids: Object.fromEntries(entries.map(entry => [entry.path, entry.cid])),
+    root: entries[entries.length - 1].cid
+  }
+}
+
+describe('pin', () => {
+  /** @type {import('ipfs-repo').IPFSRepo} */
+  let repo
+
+  beforeEach(async () => {
+    repo = await createTempRepo()
+  })
+
+  describe('update', () => {
+    /** @type {ReturnType<typeof createUpdate>} */
+    let update
+    /** @type {Awaited<ReturnType<typeof importDir>>} */
+    let v1
+    /** @type {Awaited<ReturnType<typeof importDir>>} */
+    let v2
+
+    beforeEach(async () => {
+      update = createUpdate({ repo, codecs })
+
+      v1 = await importDir(repo, {
+        'index.html': 'version 1',
+        'about.html': 'about',
+        'assets/style.css': 'body {}'
+      })
+      v2 = await importDir(repo, {
+        'index.html': 'version 2',
+        'about.html': 'about',
+        'assets/style.css': 'body {}',
+        'news.html': 'news'
+      })
+
+      await repo.pins.pinRecursively(v1.root)
+    })
+
+    it('replaces a recursive pin', async () => {
+      const result = await update(v1.root, v2.root)
+
+      expect(result.from).to.deep.equal(v1.root)
+      expect(result.to).to.deep.equal(v2.root)
+      expect(await repo.pins.isPinnedWithType(v2.root, 'recursive')).to.have.property('pinned', true)
+      expect(await repo.pins.isPinnedWithType(v1.root, 'recursive')).to.have.property('pinned', false)
+
+      const pins = await all(repo.pins.recursiveKeys())
+      expect(pins.map(pin => pin.cid.toString())).to.deep.equal([v2.root.toString()])
+    })
+
+    it('only walks blocks that have changed', async () => {
+      const get = sinon.spy(repo.blocks, 'get')
+
+      await update(v1.root, v2.root)
+
+      const fetched = get.getCalls().map(call => call.args[0].toString())
+
+      expect(fetched).to.include(v2.cids['dir/index.html'].toString())
+      expect(fetched).to.include(v2.cids['dir/news.html'].toString())
+      expect(fetched).to.not.include(v2.cids['dir/about.html'].toString())
+      expect(fetched).to.not.include(v2.cids['dir/assets'].toString())
+      expect(fetched).to.not.include(v2.cids['dir/assets/style.css'].toString())
+    })
+
+    it('walks the chunks of files that have changed', async () => {
+      const from = await importDir(repo, { 'file.txt': 'aaaabbbbcccc' }, { maxChunkSize: 4, rawLeaves: true })
+      const to = await importDir(repo, { 'file.txt': 'aaaaXbbbcccc' }, { maxChunkSize: 4, rawLeaves: true })
+      await repo.pins.pinRecursively(from.root)
+
+      // repo.blocks and the pin manager both read from this blockstore
+      /** @type {import('interface-blockstore').Blockstore} */
+      const blockstore = /** @type {any} */ (repo.pins).blockstore
+      const get = sinon.spy(blockstore, 'get')
+      const has = sinon.spy(blockstore, 'has')
+
+      await update(from.root, to.root)
+
+      const read = [...get.getCalls(), ...has.getCalls()].map(call => call.args[0].toString())
+      const chunk = async (/** @type {string} */ content) => CID.createV1(raw.code, await sha256.digest(uint8ArrayFromString(content))).toString()
+
+      expect(read).to.include(await chunk('Xbbb'))
+      expect(read).to.not.include(await chunk('aaaa'))
+      expect(read).to.not.include(await chunk('cccc'))
+      expect(await repo.pins.isPinnedWithType(to.root, 'recursive')).to.have.property('pinned', true)
+    })
+
+    it('keeps the old pin', async () => {
+      await update(v1.root, v2.root, { unpin: false })
+
+      expect(await repo.pins.isPinnedWithType(v1.root, 'recursive')).to.have.property('pinned', true)
+      expect(await repo.pins.isPinnedWithType(v2.root, 'recursive')).to.have.property('pinned', true)
+    })
+
+    it('fails when the new DAG is incomplete', async () => {
+      await repo.blocks.delete(v2.cids['dir/news.html'])
+
+      await expect(update(v1.root, v2.root)).to.eventually.be.rejected()
+      expect(await repo.pins.isPinnedWithType(v1.root, 'recursive')).to.have.property('pinned', true)
+      expect(await repo.pins.isPinnedWithType(v2.root, 'recursive')).to.have.property('pinned', false)
+    })
+
+    it('refuses to update a pin that is not recursive', async () => {
+      const { root: cid } = await importDir(repo, { 'other.txt': 'other' })
+
+      await repo.pins.pinDirectly(cid)
+
+      await expect(update(cid, v2.root)).to.eventually.be.rejectedWith(/is not pinned recursively/)
+    })
+  })
+
+  describe('verify', () => {
+    /** @type {ReturnType<typeof createVerify>} */
+    let verify
+    /** @type {Awaited<ReturnType<typeof importDir>>} */
+    let site
+    /** @type {Awaited<ReturnType<typeof importDir>>} */
+    let other
+    /**
+     * Bypasses the pinned blockstore so pinned blocks can be damaged
+     *
+     * @type {import('interface-blockstore').Blockstore}
+     */
+    let blockstore
+
+    beforeEach(async () => {
+      blockstore = /** @type {any} */ (repo.pins).blockstore
+
+      verify = createVerify({ repo, codecs, hashers: new Multihashes({ hashers: Object.values(hashes) }) })
+
+      site = await importDir(repo, {
+        'index.html': 'index',
+        'assets/style.css': 'body {}'
+      })
+      other = await importDir(repo, {
+        'other.txt': 'other'
+      })
+
+      await repo.pins.pinRecursively(site.root)
+      await repo.pins.pinRecursively(other.root)
+    })
+
+    it('reports nothing when every pin is complete', async () => {
+      expect(await all(verify())).to.be.empty()
+    })
+
+    it('reports complete pins', async () => {
+      const results = await all(verify({ includeOk: true }))
+
+      expect(results.map(result => result.cid.toString()).sort()).to.deep.equal([site.root.toString(), other.root.toString()].sort())
+      expect(results.every(result => result.ok)).to.be.true()
+    })
+
+    it('reports pins with missing blocks', async () => {
+      await blockstore.delete(site.cids['dir/assets/style.css'])
+
+      const results = await all(verify())
+
+      expect(results).to.have.lengthOf(1)
+      expect(results).to.have.nested.property('[0].cid').that.deep.equals(site.root)
+      expect(results).to.have.nested.property('[0].ok', false)
+      expect(results).to.have.nested.property('[0].badNodes', undefined)
+    })
+
+    it('reports which blocks are missing or corrupt', async () => {
+      const missing = site.cids['dir/assets/style.css']
+      const corrupt = site.cids['dir/index.html']
+
+      await blockstore.delete(missing)
+      await blockstore.delete(corrupt)
+      await blockstore.put(corrupt, uint8ArrayFromString('corrupt'))
+
+      const results = await all(verify({ verbose: true }))
+      const badNodes = results[0].badNodes ?? []
+
+      expect(badNodes.map(node => node.cid.toString()).sort()).to.deep.equal([missing.toString(), corrupt.toString()].sort())
+      expect(badNodes.find(node => node.cid.equals(corrupt))).to.have.property('error').that.includes('does not match its hash')
+    })
+
+    it('reports direct pins with missing blocks', async () => {
+      const { root } = await importDir(repo, { 'direct.txt': 'direct' })
+      await repo.pins.pinDirectly(root)
+      await blockstore.delete(root)
+
+      const results = await all(verify())
+
+      expect(results.map(result => result.cid.toString())).to.deep.equal([root.toString()])
+    })
+  })
+})
@@ -0,0 +1,164 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import sinon from 'sinon'
+import all from 'it-all'
+import { CID } from 'multiformats/cid'
+import { sha256 } from 'multiformats/hashes/sha2'
+import * as Digest from 'multiformats/hashes/digest'
+import { hashes, codecs } from 'multiformats/basics'
+import * as raw from 'multiformats/codecs/raw'
+import * as dagPB from '@ipld/dag-pb'
+import { UnixFS } from 'ipfs-unixfs'
+import { MemoryBlockstore } from 'blockstore-core/memory'
+import { MemoryDatastore } from 'datastore-core/memory'
+import { fromString as uint8ArrayFromString } from 'uint8arrays/from-string'
+import { Multihashes } from 'ipfs-core-utils/multihashes'
+import { Multicodecs } from 'ipfs-core-utils/multicodecs'
+import { createVerify } from '../src/components/repo/verify.js'
+import { createFsck } from '../src/components/repo/fsck.js'
+import { MFS_ROOT_KEY } from '../src/utils.js'
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} [code]
+ */
+async function createCid (bytes, code = raw.code) {
+  return CID.createV1(code, await sha256.digest(bytes))
+}
+
+describe('repo', () => {
+  /** @type {MemoryBlockstore} */
+  let blocks
+  /** @type {MemoryDatastore} */
+  let datastore
+  /** @type {any} */
+  let repo
+
+  beforeEach(() => {
+    blocks = new MemoryBlockstore()
+    datastore = new MemoryDatastore()
+    repo = {
+      closed: false,
+      path: '/repo',
+      blocks,
+      datastore,
+      pins: {
+        directKeys: sinon.stub().returns([]),
+        recursiveKeys: sinon.stub().returns([])
+      },
+      options: {
+        repoLock: {
+          locked: sinon.stub().resolves(true)
+        }
+      }
+    }
+  })
+
+  describe('verify', () => {
+    /** @type {ReturnType<typeof createVerify>} */
+    let verify
+    /** @type {CID} */
+    let good
+    /** @type {CID} */
+    let bad
+
+    beforeEach(async () => {
+      verify = createVerify({ repo, hashers: new Multihashes({ hashers: Object.values(hashes) }) })
+
+      const content = uint8ArrayFromString('hello world')
+      good = await createCid(content)
+      bad = await createCid(uint8ArrayFromString('goodbye world'))
+
+      await blocks.put(good, content)
+      await blocks.put(bad, content)
+    })
+
+    it('reports corrupt blocks', async () => {
+      const results = await all(verify())
+
+      expect(results).to.have.lengthOf(1)
+      expect(results).to.have.nested.property('[0].cid').that.deep.equals(bad)
+      expect(results).to.have.nested.property('[0].removed', false)
+      expect(results).to.have.nested.property('[0].error').that.includes('corrupted')
+      expect(await blocks.has(bad)).to.be.true()
+    })
+
+    it('removes corrupt blocks', async () => {
+      const results = await all(verify({ remove: true }))
+
+      expect(results).to.have.nested.property('[0].removed', true)
+      expect(await blocks.has(bad)).to.be.false()
+      expect(await blocks.has(good)).to.be.true()
+    })
+
+    it('does not remove blocks that cannot be verified', async () => {
+      const content = uint8ArrayFromString('hello world')
+      const cid = CID.createV1(raw.code, Digest.create(0x9999, (await sha256.digest(content)).digest))
+      await blocks.put(cid, content)
+
+      const results = await all(verify({ remove: true }))
+
+      expect(results.map(result => `${result.cid}`)).to.include(`${cid}`)
+      expect(results.find(result => result.cid.equals(cid))).to.have.property('removed', false)
+      expect(await blocks.has(cid)).to.be.true()
+    })
+  })
+
+  describe('fsck', () => {
+    /** @type {ReturnType<typeof createFsck>} */
+    let fsck
+
+    beforeEach(() => {
+      fsck = createFsck({ repo, codecs: new Multicodecs({ codecs: [...Object.values(codecs), dagPB] }) })
+    })
+
+    it('finds no problems in a healthy repo', async () => {
+      const buf = dagPB.encode({ Data: new UnixFS({ type: 'directory' }).marshal(), Links: [] })
+      const root = await createCid(buf, dagPB.code)
+      const pinned = await createCid(uint8ArrayFromString('hello world'))
+
+      await blocks.put(root, buf)
+      await blocks.put(pinned, uint8ArrayFromString('hello world'))
+      await datastore.put(MFS_ROOT_KEY, root.bytes)
+      repo.pins.recursiveKeys.returns([{ cid: pinned }])
+
+      expect(await all(fsck())).to.be.empty()
+    })
+
+    it('finds dangling pins', async () => {
+      const direct = await createCid(uint8ArrayFromString('direct'))
+      const recursive = await createCid(uint8ArrayFromString('recursive'))
+
+      repo.pins.directKeys.returns([{ cid: direct }])
+      repo.pins.recursiveKeys.returns([{ cid: recursive }])
+
+      const problems = await all(fsck())
+
+      expect(problems.map(problem => problem.type)).to.deep.equal(['dangling-pin', 'dangling-pin'])
+      expect(problems.map(problem => `${problem.cid}`)).to.deep.equal([`${direct}`, `${recursive}`])
+    })
+
+    it('finds a stale lock', async () => {
+      repo.options.repoLock.locked.withArgs('/repo').resolves(false)
+
+      expect(await all(fsck())).to.have.nested.property('[0].type', 'stale-lock')
+    })
+
+    it('finds an MFS root that cannot be loaded', async () => {
+      const root = await createCid(uint8ArrayFromString('missing'), dagPB.code)
+      await datastore.put(MFS_ROOT_KEY, root.bytes)
+
+      const problems = await all(fsck())
+
+      expect(problems).to.have.nested.property('[0].type', 'mfs-root')
+      expect(problems).to.have.nested.property('[0].cid').that.deep.equals(root)
+    })
+
+    it('finds an MFS root that is not a CID', async () => {
+      await datastore.put(MFS_ROOT_KEY, uint8ArrayFromString('garbage'))
+
+      expect(await all(fsck())).to.have.nested.property('[0].type', 'mfs-root')
+    })
+  })
+})
@@ -0,0 +1,155 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import http from 'http'
+import all from 'it-all'
+import { CID } from 'multiformats/cid'
+import { base36 } from 'multiformats/bases/base36'
+import { isNode } from 'ipfs-utils/src/env.js'
+import { createEd25519PeerId } from '@libp2p/peer-id-factory'
+import { peerIdToRoutingKey } from 'ipns'
+import { fromString as uint8ArrayFromString } from 'uint8arrays/from-string'
+import { RoutingV1Client } from '../src/routing-v1.js'
+
+const cid = CID.parse('QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn')
+
+describe('routing-v1', function () {
+  if (!isNode) return
+
+  /** @type {http.Server} */
+  let server
+  /** @type {RoutingV1Client} */
+  let client
+  /** @type {Map<string, { status?: number, type?: string, body: any }>} */
+  let responses
+  /** @type {{ method?: string, url?: string, headers: http.IncomingHttpHeaders, body: Buffer }[]} */
+  let requests
+
+  before(async () => {
+    // a stub delegate that responds to requests with whatever the test set up
+    server = http.createServer((req, res) => {
+      /** @type {Buffer[]} */
+      const chunks = []
+
+      req.on('data', chunk => chunks.push(chunk))
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) })
+
+        const response = responses.get(`${req.method} ${req.url}`)
+
+        if (response == null) {
+          res.writeHead(404)
+          res.end()
+          return
+        }
+
+        res.writeHead(response.status || 200, { 'Content-Type': response.type || 'application/json' })
+        res.end(response.type == null ? JSON.stringify(response.body) : response.body)
+      })
+    })
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(undefined)))
+
+    const address = server.address()
+
+    if (address == null || typeof address === 'string') {
+      throw new Error('server is not listening on a port')
+    }
+
+    // a trailing slash is fine
+    client = new RoutingV1Client(`http://127.0.0.1:${address.port}/`)
+  })
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  beforeEach(() => {
+    responses = new Map()
+    requests = []
+  })
+
+  it('finds providers', async () => {
+    const peerId = await createEd25519PeerId()
+
+    responses.set(`GET /routing/v1/providers/${cid.toV1()}`, {
+      body: {
+        Providers: [{
+          Schema: 'peer',
+          ID: peerId.toString(),
+          Addrs: ['/ip4/1.2.3.4/tcp/4001'],
+          Protocols: ['transport-bitswap']
+        }, {
+          Schema: 'peer',
+          ID: 'not-a-peer-id'
+        }]
+      }
+    })
+
+    const providers = await all(client.findProviders(cid))
+
+    expect(providers).to.have.lengthOf(1)
+    expect(providers[0].id.equals(peerId)).to.be.true()
+    expect(providers[0].multiaddrs.map(String)).to.deep.equal(['/ip4/1.2.3.4/tcp/4001'])
+    expect(providers[0].protocols).to.deep.equal(['transport-bitswap'])
+    expect(requests[0].headers).to.have.property('accept', 'application/json')
+  })
+
+  it('finds no providers when the delegate has none', async () => {
+    await expect(all(client.findProviders(cid))).to.eventually.be.empty()
+  })
+
+  it('finds a peer', async () => {
+    const peerId = await createEd25519PeerId()
+
+    responses.set(`GET /routing/v1/peers/${peerId.toCID().toString(base36)}`, {
+      body: {
+        Peers: [{
+          Schema: 'peer',
+          ID: peerId.toString(),
+          Addrs: ['/ip4/1.2.3.4/tcp/4001']
+        }]
+      }
+    })
+
+    const peer = await client.findPeer(peerId)
+
+    expect(peer.id.equals(peerId)).to.be.true()
+    expect(peer.multiaddrs.map(String)).to.deep.equal(['/ip4/1.2.3.4/tcp/4001'])
+  })
+
+  it('does not find unknown peers', async () => {
+    await expect(client.findPeer(await createEd25519PeerId())).to.eventually.be.rejected()
+      .with.property('code', 'ERR_NOT_FOUND')
+  })
+
+  it('puts and gets IPNS records', async () => {
+    const peerId = await createEd25519PeerId()
+    const path = `/routing/v1/ipns/${peerId.toCID().toString(base36)}`
+    const record = uint8ArrayFromString('a signed record')
+
+    responses.set(`PUT ${path}`, { body: {} })
+    responses.set(`GET ${path}`, { type: 'application/vnd.ipfs.ipns-record', body: Buffer.from(record) })
+
+    await client.put(peerIdToRoutingKey(peerId), record)
+
+    expect(requests[0].headers).to.have.property('content-type', 'application/vnd.ipfs.ipns-record')
+    expect(Uint8Array.from(requests[0].body)).to.equalBytes(record)
+
+    expect(await client.get(peerIdToRoutingKey(peerId))).to.equalBytes(record)
+    expect(requests[1].headers).to.have.property('accept', 'application/vnd.ipfs.ipns-record')
+  })
+
+  it('refuses to store values that are not IPNS records', async () => {
+    await expect(client.put(uint8ArrayFromString('/pk/foo'), uint8ArrayFromString('bar'))).to.eventually.be.rejected()
+      .with.property('code', 'ERR_NOT_SUPPORTED')
+    expect(requests).to.be.empty()
+  })
+
+  it('reports errors from the delegate', async () => {
+    responses.set(`GET /routing/v1/providers/${cid.toV1()}`, { status: 500, body: {} })
+
+    await expect(all(client.findProviders(cid))).to.eventually.be.rejected()
+      .with.property('code', 'ERR_ROUTING_V1')
+  })
+})
@@ -0,0 +1,115 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import sinon from 'sinon'
+import { multiaddr } from '@multiformats/multiaddr'
+import { createEd25519PeerId } from '@libp2p/peer-id-factory'
+import { fromString as uint8ArrayFromString } from 'uint8arrays/from-string'
+import { createPeers } from '../src/components/swarm/peers.js'
+import { BandwidthMetrics } from '../src/utils/bandwidth-metrics.js'
+import { PeerLatency } from '../src/utils/peer-latency.js'
+
+describe('swarm', () => {
+  describe('peers', () => {
+    /** @type {sinon.SinonFakeTimers} */
+    let clock
+    /** @type {any} */
+    let libp2p
+    /** @type {any} */
+    let connection
+    /** @type {PeerLatency} */
+    let latency
+    /** @type {ReturnType<typeof createPeers>} */
+    let peers
+
+    beforeEach(async () => {
+      clock = sinon.useFakeTimers({ now: 100000, toFake: ['Date'] })
+
+      const remotePeer = await createEd25519PeerId()
+      connection = {
+        remotePeer,
+        remoteAddr: multiaddr('/ip4/1.2.3.4/tcp/4001'),
+        stat: {
+          direction: 'outbound',
+          multiplexer: '/mplex/6.7.0',
+          timeline: { open: 40000 }
+        },
+        streams: [{
+          stat: { protocol: '/ipfs/bitswap/1.2.0', direction: 'inbound' }
+        }]
+      }
+
+      const metrics = new BandwidthMetrics()
+      /** @type {any} */
+      const stream = {
+        source: (async function * () {})(),
+        sink: async () => {},
+        stat: {
+          direction: 'inbound',
+          timeline: { open: 0 }
+        }
+      }
+      metrics.trackProtocolStream(stream, connection)
+      metrics.forPeer(remotePeer)?.received(10)
+      metrics.forPeer(remotePeer)?.sent(20)
+
+      libp2p = {
+        metrics,
+        getConnections: () => [connection],
+        ping: sinon.stub().resolves(12),
+        peerStore: {
+          metadataBook: {
+            getValue: sinon.stub().withArgs(remotePeer, 'AgentVersion').resolves(uint8ArrayFromString('go-ipfs/0.17.0'))
+          }
+        }
+      }
+      latency = new PeerLatency(libp2p)
+
+      // @ts-expect-error incomplete network service
+      peers = createPeers({ network: { use: async () => ({ libp2p, latency }) } })
+    })
+
+    afterEach(() => {
+      clock.restore()
+    })
+
+    it('lists peers', async () => {
+      const result = await peers()
+
+      expect(result).to.have.lengthOf(1)
+      expect(result[0]).to.have.all.keys('addr', 'peer')
+    })
+
+    it('lists verbose peer information', async () => {
+      // as if the peer had been pinged with ipfs.ping
+      await latency.ping(connection.remotePeer)
+
+      const [peer] = await peers({ verbose: true })
+
+      expect(peer).to.deep.include({
+        direction: 'outbound',
+        muxer: '/mplex/6.7.0',
+        latency: '12ms',
+        streams: [{ protocol: '/ipfs/bitswap/1.2.0', direction: 'inbound' }],
+        age: 60000,
+        agentVersion: 'go-ipfs/0.17.0',
+        totalIn: 10n,
+        totalOut: 20n
+      })
+    })
+
+    it('does not ping peers', async () => {
+      await peers({ verbose: true })
+      await peers({ latency: true })
+
+      expect(libp2p.ping.called).to.be.false()
+    })
+
+    it('reports unknown latency for peers that have not been pinged', async () => {
+      const [peer] = await peers({ latency: true })
+
+      expect(peer).to.have.property('latency', 'n/a')
+      expect(peer).to.not.have.property('streams')
+    })
+  })
+})
@@ -1,11 +1,12 @@
 import { configure } from '../lib/configure.js'
 import { toUrlSearchParams } from '../lib/to-url-search-params.js'
 import { mapEvent } from './map-event.js'
+import { Provided } from './response-types.js'
+import { CID } from 'multiformats/cid'
 
 /**
  * @typedef {import('../types').HTTPClientExtraOptions} HTTPClientExtraOptions
  * @typedef {import('ipfs-core-types/src/dht').API<HTTPClientExtraOptions>} DHTAPI
- * @typedef {import('multiformats/cid').CID} CID
  */
 
 export const createProvide = configure(api => {
@@ -26,7 +27,15 @@ export const createProvide = configure(api => {
     })
 
     for await (const event of res.ndjson()) {
-      yield mapEvent(event)
+      if (event.Type === Provided) {
+        yield {
+          name: 'PROVIDED',
+          type: event.Type,
+          cid: CID.parse(event.Extra)
+        }
+      } else {
+        yield mapEvent(event)
+      }
     }
   }
 
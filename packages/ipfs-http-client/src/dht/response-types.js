@@ -9,3 +9,6 @@ export const Provider = 4
 export const Value = 5
 export const AddingPeer = 6
 export const DialingPeer = 7
+
+// js-ipfs only, yielded by a recursive dht.provide as each block is announced
+export { PROVIDED as Provided } from 'ipfs-core-utils/dht-events'
@@ -17,7 +17,24 @@ export const createCmds = configure(api => {
       headers: options.headers
     })
 
-    return res.json()
+    const data = await res.json()
+
+    return (data || []).map(toCoreInterface)
   }
   return cmds
 })
+
+/**
+ * @param {any} entry
+ */
+function toCoreInterface (entry) {
+  return {
+    active: entry.Active,
+    args: entry.Args || [],
+    command: entry.Command,
+    endTime: entry.Active ? undefined : new Date(entry.EndTime),
+    id: `${entry.ID}`,
+    options: entry.Options || {},
+    startTime: new Date(entry.StartTime)
+  }
+}
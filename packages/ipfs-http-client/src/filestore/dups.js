@@ -0,0 +1,30 @@
+import { CID } from 'multiformats/cid'
+import { configure } from '../lib/configure.js'
+import { toUrlSearchParams } from '../lib/to-url-search-params.js'
+
+/**
+ * @typedef {import('../types').HTTPClientExtraOptions} HTTPClientExtraOptions
+ * @typedef {import('ipfs-core-types/src/filestore').API<HTTPClientExtraOptions>} FilestoreAPI
+ */
+
+export const createDups = configure(api => {
+  /**
+   * @type {FilestoreAPI["dups"]}
+   */
+  async function * dups (options = {}) {
+    const res = await api.post('filestore/dups', {
+      signal: options.signal,
+      searchParams: toUrlSearchParams(options),
+      headers: options.headers
+    })
+
+    for await (const { Ref, Err } of res.ndjson()) {
+      if (Err) {
+        throw new Error(Err)
+      }
+
+      yield CID.parse(Ref)
+    }
+  }
+  return dups
+})
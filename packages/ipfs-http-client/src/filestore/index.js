@@ -0,0 +1,14 @@
+import { createDups } from './dups.js'
+import { createLs } from './ls.js'
+import { createVerify } from './verify.js'
+
+/**
+ * @param {import('../types').Options} config
+ */
+export function createFilestore (config) {
+  return {
+    dups: createDups(config),
+    ls: createLs(config),
+    verify: createVerify(config)
+  }
+}
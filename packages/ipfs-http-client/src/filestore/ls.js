@@ -0,0 +1,31 @@
+import { configure } from '../lib/configure.js'
+import { toUrlSearchParams } from '../lib/to-url-search-params.js'
+import { toEntry } from './utils.js'
+
+/**
+ * @typedef {import('../types').HTTPClientExtraOptions} HTTPClientExtraOptions
+ * @typedef {import('ipfs-core-types/src/filestore').API<HTTPClientExtraOptions>} FilestoreAPI
+ */
+
+export const createLs = configure(api => {
+  /**
+   * @type {FilestoreAPI["ls"]}
+   */
+  async function * ls (options = {}) {
+    const { cids = [], ...rest } = options
+
+    const res = await api.post('filestore/ls', {
+      signal: options.signal,
+      searchParams: toUrlSearchParams({
+        ...rest,
+        arg: cids.map(cid => `${cid}`)
+      }),
+      headers: options.headers
+    })
+
+    for await (const entry of res.ndjson()) {
+      yield toEntry(entry)
+    }
+  }
+  return ls
+})
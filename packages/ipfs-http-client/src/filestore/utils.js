@@ -0,0 +1,46 @@
+import { CID } from 'multiformats/cid'
+
+/**
+ * @typedef {import('ipfs-core-types/src/filestore').FilestoreStatus} FilestoreStatus
+ */
+
+/**
+ * The numeric statuses reported by the server
+ *
+ * @type {Record<number, FilestoreStatus>}
+ */
+const STATUSES = {
+  0: 'ok',
+  10: 'error',
+  11: 'no-file',
+  12: 'changed'
+}
+
+/**
+ * @param {any} entry
+ */
+export function toEntry (entry) {
+  return {
+    cid: CID.parse(entry.Key['/']),
+    path: entry.FilePath,
+    offset: entry.Offset,
+    size: entry.Size
+  }
+}
+
+/**
+ * @param {any} entry
+ */
+export function toVerifyResult (entry) {
+  /** @type {import('ipfs-core-types/src/filestore').VerifyResult} */
+  const result = {
+    ...toEntry(entry),
+    status: STATUSES[entry.Status] || 'error'
+  }
+
+  if (entry.ErrorMsg) {
+    result.error = entry.ErrorMsg
+  }
+
+  return result
+}
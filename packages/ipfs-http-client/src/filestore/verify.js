@@ -0,0 +1,31 @@
+import { configure } from '../lib/configure.js'
+import { toUrlSearchParams } from '../lib/to-url-search-params.js'
+import { toVerifyResult } from './utils.js'
+
+/**
+ * @typedef {import('../types').HTTPClientExtraOptions} HTTPClientExtraOptions
+ * @typedef {import('ipfs-core-types/src/filestore').API<HTTPClientExtraOptions>} FilestoreAPI
+ */
+
+export const createVerify = configure(api => {
+  /**
+   * @type {FilestoreAPI["verify"]}
+   */
+  async function * verify (options = {}) {
+    const { cids = [], ...rest } = options
+
+    const res = await api.post('filestore/verify', {
+      signal: options.signal,
+      searchParams: toUrlSearchParams({
+        ...rest,
+        arg: cids.map(cid => `${cid}`)
+      }),
+      headers: options.headers
+    })
+
+    for await (const entry of res.ndjson()) {
+      yield toVerifyResult(entry)
+    }
+  }
+  return verify
+})
@@ -17,6 +17,7 @@ import { createDag } from './dag/index.js'
 import { createDht } from './dht/index.js'
 import { createDiag } from './diag/index.js'
 import { createFiles } from './files/index.js'
+import { createFilestore } from './filestore/index.js'
 import { createKey } from './key/index.js'
 import { createLog } from './log/index.js'
 import { createName } from './name/index.js'
@@ -43,7 +44,7 @@ import { createResolve } from './resolve.js'
 import { createStart } from './start.js'
 import { createStop } from './stop.js'
 import { createVersion } from './version.js'
-import globSourceImport from 'ipfs-utils/src/files/glob-source.js'
+import { globSource as globSourceImport } from 'ipfs-core-utils/files/glob-source'
 
 /**
  * @typedef {import('multiformats/codecs/interface').BlockCodec<any, any>} BlockCodec
@@ -118,6 +119,7 @@ export function create (options = {}) {
     diag: createDiag(options),
     dns: createDns(options),
     files: createFiles(options),
+    filestore: createFilestore(options),
     get: createGet(options),
     getEndpointConfig: createGetEndpointConfig(options),
     id: createId(options),
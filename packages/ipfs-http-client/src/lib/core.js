@@ -9,6 +9,8 @@ import HTTP from 'ipfs-utils/src/http.js'
 import mergeOpts from 'merge-options'
 import { toUrlString } from 'ipfs-core-utils/to-url-string'
 import getAgent from 'ipfs-core-utils/agent'
+import { fromString as uint8ArrayFromString } from 'uint8arrays/from-string'
+import { toString as uint8ArrayToString } from 'uint8arrays/to-string'
 
 const log = logger('ipfs-http-client:lib:error-handler')
 const merge = mergeOpts.bind({ ignoreUndefined: true })
@@ -23,6 +25,57 @@ const DEFAULT_PORT = isBrowser || isWebWorker ? location.port : '5001'
  * @typedef {import('@multiformats/multiaddr').Multiaddr} Multiaddr
  */
 
+/**
+ * @param {string} credentials - `<username>:<password>`
+ */
+const toBasicAuth = (credentials) => {
+  return `Basic ${uint8ArrayToString(uint8ArrayFromString(credentials), 'base64pad')}`
+}
+
+/**
+ * Returns the `Authorization` header for credentials passed as the `auth`
+ * option or embedded in the API URL, if any
+ *
+ * @param {string | undefined} auth - `bearer:<token>` or `basic:<username>:<password>`
+ * @param {URL} url
+ */
+const getAuthorization = (auth, url) => {
+  if (auth) {
+    if (auth.startsWith('basic:')) {
+      return toBasicAuth(auth.substring('basic:'.length))
+    }
+
+    if (auth.startsWith('bearer:')) {
+      return `Bearer ${auth.substring('bearer:'.length)}`
+    }
+
+    return `Bearer ${auth}`
+  }
+
+  if (url.username || url.password) {
+    return toBasicAuth(`${decodeURIComponent(url.username)}:${decodeURIComponent(url.password)}`)
+  }
+}
+
+/**
+ * @param {Headers | Record<string, string>} [headers]
+ * @returns {Record<string, string>}
+ */
+const toHeadersRecord = (headers = {}) => {
+  /** @type {Record<string, string>} */
+  const record = {}
+
+  if (typeof headers.forEach === 'function') {
+    /** @type {Headers} */ (headers).forEach((value, key) => {
+      record[key] = value
+    })
+  } else {
+    Object.assign(record, headers)
+  }
+
+  return record
+}
+
 /**
  * @param {Options|URL|Multiaddr|string} [options]
  * @returns {Options}
@@ -53,6 +106,15 @@ const normalizeOptions = (options = {}) => {
     url = new URL(`${protocol}://${host}:${port}`)
   }
 
+  const authorization = getAuthorization(opts.auth, url)
+
+  if (authorization) {
+    // fetch refuses to request URLs that include credentials
+    url = new URL(url)
+    url.username = ''
+    url.password = ''
+  }
+
   if (opts.apiPath) {
     url.pathname = opts.apiPath
   } else if (url.pathname === '/' || url.pathname === undefined) {
@@ -71,6 +133,7 @@ const normalizeOptions = (options = {}) => {
 
   return {
     ...opts,
+    headers: authorization ? { authorization, ...toHeadersRecord(opts.headers) } : opts.headers,
     host: url.host,
     protocol: url.protocol.replace(':', ''),
     port: Number(url.port),
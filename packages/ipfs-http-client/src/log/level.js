@@ -1,4 +1,3 @@
-import { objectToCamel } from '../lib/object-to-camel.js'
 import { configure } from '../lib/configure.js'
 import { toUrlSearchParams } from '../lib/to-url-search-params.js'
 
@@ -24,7 +23,9 @@ export const createLevel = configure(api => {
       headers: options.headers
     })
 
-    return objectToCamel(await res.json())
+    const { Message } = await res.json()
+
+    return { message: Message }
   }
   return level
 })
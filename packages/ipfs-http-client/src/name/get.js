@@ -0,0 +1,26 @@
+import { configure } from '../lib/configure.js'
+import { toUrlSearchParams } from '../lib/to-url-search-params.js'
+
+/**
+ * @typedef {import('../types').HTTPClientExtraOptions} HTTPClientExtraOptions
+ * @typedef {import('ipfs-core-types/src/name').API<HTTPClientExtraOptions>} NameAPI
+ */
+
+export const createGet = configure(api => {
+  /**
+   * @type {NameAPI["get"]}
+   */
+  async function get (name, options = {}) {
+    const res = await api.post('name/get', {
+      signal: options.signal,
+      searchParams: toUrlSearchParams({
+        arg: `${name}`,
+        ...options
+      }),
+      headers: options.headers
+    })
+
+    return new Uint8Array(await res.arrayBuffer())
+  }
+  return get
+})
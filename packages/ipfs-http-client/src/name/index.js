@@ -1,6 +1,10 @@
+import { createGet } from './get.js'
+import { createInspect } from './inspect.js'
 import { createPublish } from './publish.js'
+import { createPut } from './put.js'
 import { createResolve } from './resolve.js'
 import { createPubsub } from './pubsub/index.js'
+import { createRepublish } from './republish/index.js'
 
 /**
  * @param {import('../types').Options} config
@@ -9,6 +13,10 @@ export function createName (config) {
   return {
     publish: createPublish(config),
     resolve: createResolve(config),
-    pubsub: createPubsub(config)
+    get: createGet(config),
+    put: createPut(config),
+    inspect: createInspect(config),
+    pubsub: createPubsub(config),
+    republish: createRepublish(config)
   }
 }
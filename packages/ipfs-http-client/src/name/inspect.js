@@ -0,0 +1,53 @@
+import { multipartRequest } from 'ipfs-core-utils/multipart-request'
+import { fromString as uint8ArrayFromString } from 'uint8arrays/from-string'
+import { configure } from '../lib/configure.js'
+import { toUrlSearchParams } from '../lib/to-url-search-params.js'
+import { abortSignal } from '../lib/abort-signal.js'
+
+/**
+ * @typedef {import('../types').HTTPClientExtraOptions} HTTPClientExtraOptions
+ * @typedef {import('ipfs-core-types/src/name').API<HTTPClientExtraOptions>} NameAPI
+ */
+
+export const createInspect = configure(api => {
+  /**
+   * @type {NameAPI["inspect"]}
+   */
+  async function inspect (record, options = {}) {
+    // allow aborting requests on body errors
+    const controller = new AbortController()
+    const signal = abortSignal(controller.signal, options.signal)
+
+    const res = await api.post('name/inspect', {
+      signal,
+      searchParams: toUrlSearchParams({
+        ...options,
+        ...(options.verify == null ? {} : { verify: `${options.verify}` })
+      }),
+      ...(
+        await multipartRequest([record], controller, options.headers)
+      )
+    })
+    const data = await res.json()
+
+    return {
+      value: data.Value,
+      validityType: data.ValidityType,
+      validity: new Date(data.Validity),
+      expired: data.Expired,
+      sequence: BigInt(data.Sequence),
+      ttl: data.TTL == null ? undefined : BigInt(data.TTL),
+      publicKey: data.PublicKey == null ? undefined : uint8ArrayFromString(data.PublicKey, 'base64pad'),
+      signatureV1: data.SignatureV1,
+      signatureV2: data.SignatureV2,
+      verification: data.Verification == null
+        ? undefined
+        : {
+            name: data.Verification.Name,
+            valid: data.Verification.Valid,
+            error: data.Verification.Error
+          }
+    }
+  }
+  return inspect
+})
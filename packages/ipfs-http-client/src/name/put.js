@@ -0,0 +1,34 @@
+import { multipartRequest } from 'ipfs-core-utils/multipart-request'
+import { configure } from '../lib/configure.js'
+import { toUrlSearchParams } from '../lib/to-url-search-params.js'
+import { abortSignal } from '../lib/abort-signal.js'
+
+/**
+ * @typedef {import('../types').HTTPClientExtraOptions} HTTPClientExtraOptions
+ * @typedef {import('ipfs-core-types/src/name').API<HTTPClientExtraOptions>} NameAPI
+ */
+
+export const createPut = configure(api => {
+  /**
+   * @type {NameAPI["put"]}
+   */
+  async function put (name, record, options = {}) {
+    // allow aborting requests on body errors
+    const controller = new AbortController()
+    const signal = abortSignal(controller.signal, options.signal)
+
+    const res = await api.post('name/put', {
+      signal,
+      searchParams: toUrlSearchParams({
+        arg: `${name}`,
+        ...options
+      }),
+      ...(
+        await multipartRequest([record], controller, options.headers)
+      )
+    })
+
+    await res.text()
+  }
+  return put
+})
@@ -0,0 +1,12 @@
+import { createRun } from './run.js'
+import { createStatus } from './status.js'
+
+/**
+ * @param {import('../../types').Options} config
+ */
+export function createRepublish (config) {
+  return {
+    run: createRun(config),
+    status: createStatus(config)
+  }
+}
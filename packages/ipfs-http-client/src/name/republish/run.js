@@ -0,0 +1,24 @@
+import { configure } from '../../lib/configure.js'
+import { toUrlSearchParams } from '../../lib/to-url-search-params.js'
+import { toStatuses } from './utils.js'
+
+/**
+ * @typedef {import('../../types').HTTPClientExtraOptions} HTTPClientExtraOptions
+ * @typedef {import('ipfs-core-types/src/name/republish').API<HTTPClientExtraOptions>} NameRepublishAPI
+ */
+
+export const createRun = configure(api => {
+  /**
+   * @type {NameRepublishAPI["run"]}
+   */
+  async function run (options = {}) {
+    const res = await api.post('name/republish/run', {
+      signal: options.signal,
+      searchParams: toUrlSearchParams(options),
+      headers: options.headers
+    })
+
+    return toStatuses(await res.json())
+  }
+  return run
+})
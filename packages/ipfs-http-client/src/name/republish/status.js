@@ -0,0 +1,24 @@
+import { configure } from '../../lib/configure.js'
+import { toUrlSearchParams } from '../../lib/to-url-search-params.js'
+import { toStatuses } from './utils.js'
+
+/**
+ * @typedef {import('../../types').HTTPClientExtraOptions} HTTPClientExtraOptions
+ * @typedef {import('ipfs-core-types/src/name/republish').API<HTTPClientExtraOptions>} NameRepublishAPI
+ */
+
+export const createStatus = configure(api => {
+  /**
+   * @type {NameRepublishAPI["status"]}
+   */
+  async function status (options = {}) {
+    const res = await api.post('name/republish/status', {
+      signal: options.signal,
+      searchParams: toUrlSearchParams(options),
+      headers: options.headers
+    })
+
+    return toStatuses(await res.json())
+  }
+  return status
+})
@@ -0,0 +1,14 @@
+/**
+ * @param {any} res
+ * @returns {import('ipfs-core-types/src/name/republish').RepublishStatus[]}
+ */
+export function toStatuses (res) {
+  return (res.Keys || []).map((/** @type {any} */ status) => ({
+    name: status.Name,
+    key: status.Key,
+    lifetime: status.Lifetime,
+    lastRun: status.LastRun == null ? undefined : new Date(status.LastRun),
+    nextRun: status.NextRun == null ? undefined : new Date(status.NextRun),
+    error: status.Error
+  }))
+}
@@ -3,6 +3,8 @@ import { createAdd } from './add.js'
 import { createLs } from './ls.js'
 import { createRmAll } from './rm-all.js'
 import { createRm } from './rm.js'
+import { createUpdate } from './update.js'
+import { createVerify } from './verify.js'
 import { createRemote } from './remote/index.js'
 
 /**
@@ -15,6 +17,8 @@ export function createPin (config) {
     ls: createLs(config),
     rmAll: createRmAll(config),
     rm: createRm(config),
+    update: createUpdate(config),
+    verify: createVerify(config),
     remote: createRemote(config)
   }
 }
@@ -0,0 +1,34 @@
+import { CID } from 'multiformats/cid'
+import { configure } from '../lib/configure.js'
+import { toUrlSearchParams } from '../lib/to-url-search-params.js'
+
+/**
+ * @typedef {import('../types').HTTPClientExtraOptions} HTTPClientExtraOptions
+ * @typedef {import('ipfs-core-types/src/pin').API<HTTPClientExtraOptions>} PinAPI
+ */
+
+export const createUpdate = configure(api => {
+  /**
+   * @type {PinAPI["update"]}
+   */
+  async function update (from, to, options = {}) {
+    const res = await api.post('pin/update', {
+      signal: options.signal,
+      headers: options.headers,
+      searchParams: toUrlSearchParams({
+        arg: [
+          `${from}`,
+          `${to}`
+        ],
+        ...options
+      })
+    })
+    const { Pins } = await res.json()
+
+    return {
+      from: CID.parse(Pins[0]),
+      to: CID.parse(Pins[1])
+    }
+  }
+  return update
+})
@@ -0,0 +1,33 @@
+import { CID } from 'multiformats/cid'
+import { configure } from '../lib/configure.js'
+import { toUrlSearchParams } from '../lib/to-url-search-params.js'
+
+/**
+ * @typedef {import('../types').HTTPClientExtraOptions} HTTPClientExtraOptions
+ * @typedef {import('ipfs-core-types/src/pin').API<HTTPClientExtraOptions>} PinAPI
+ */
+
+export const createVerify = configure(api => {
+  /**
+   * @type {PinAPI["verify"]}
+   */
+  async function * verify (options = {}) {
+    const res = await api.post('pin/verify', {
+      signal: options.signal,
+      headers: options.headers,
+      searchParams: toUrlSearchParams(options)
+    })
+
+    for await (const { Cid, PinStatus } of res.ndjson()) {
+      yield {
+        cid: CID.parse(Cid),
+        ok: PinStatus.Ok,
+        badNodes: PinStatus.BadNodes && PinStatus.BadNodes.map((/** @type {{ Cid: string, Err: string }} */ node) => ({
+          cid: CID.parse(node.Cid),
+          error: node.Err
+        }))
+      }
+    }
+  }
+  return verify
+})
@@ -0,0 +1,30 @@
+import { CID } from 'multiformats/cid'
+import { configure } from '../lib/configure.js'
+import { toUrlSearchParams } from '../lib/to-url-search-params.js'
+
+/**
+ * @typedef {import('../types').HTTPClientExtraOptions} HTTPClientExtraOptions
+ * @typedef {import('ipfs-core-types/src/repo').API<HTTPClientExtraOptions>} RepoAPI
+ */
+
+export const createFsck = configure(api => {
+  /**
+   * @type {RepoAPI["fsck"]}
+   */
+  async function * fsck (options = {}) {
+    const res = await api.post('repo/fsck', {
+      signal: options.signal,
+      searchParams: toUrlSearchParams(options),
+      headers: options.headers
+    })
+
+    for await (const problem of res.ndjson()) {
+      yield {
+        type: problem.Type,
+        cid: problem.Key ? CID.parse(problem.Key['/']) : undefined,
+        message: problem.Message
+      }
+    }
+  }
+  return fsck
+})
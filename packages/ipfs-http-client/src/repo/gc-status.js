@@ -0,0 +1,39 @@
+import { configure } from '../lib/configure.js'
+import { toUrlSearchParams } from '../lib/to-url-search-params.js'
+
+/**
+ * @typedef {import('../types').HTTPClientExtraOptions} HTTPClientExtraOptions
+ * @typedef {import('ipfs-core-types/src/repo').API<HTTPClientExtraOptions>} RepoAPI
+ */
+
+export const createGcStatus = configure(api => {
+  /**
+   * @type {RepoAPI["gcStatus"]}
+   */
+  async function gcStatus (options = {}) {
+    const res = await api.post('repo/gc/status', {
+      signal: options.signal,
+      searchParams: toUrlSearchParams(options),
+      headers: options.headers
+    })
+    const data = await res.json()
+    const lastRun = data.LastRun
+
+    return {
+      enabled: data.Enabled,
+      running: data.Running,
+      period: data.Period,
+      storageMax: BigInt(data.StorageMax),
+      watermark: data.Watermark,
+      lastRun: lastRun && {
+        startTime: new Date(lastRun.StartTime),
+        endTime: lastRun.EndTime ? new Date(lastRun.EndTime) : undefined,
+        repoSizeBefore: BigInt(lastRun.RepoSizeBefore),
+        repoSizeAfter: lastRun.RepoSizeAfter ? BigInt(lastRun.RepoSizeAfter) : undefined,
+        removed: lastRun.Removed,
+        errors: lastRun.Errors || []
+      }
+    }
+  }
+  return gcStatus
+})
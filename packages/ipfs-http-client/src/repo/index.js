@@ -1,5 +1,8 @@
+import { createFsck } from './fsck.js'
 import { createGc } from './gc.js'
+import { createGcStatus } from './gc-status.js'
 import { createStat } from './stat.js'
+import { createVerify } from './verify.js'
 import { createVersion } from './version.js'
 
 /**
@@ -7,8 +10,11 @@ import { createVersion } from './version.js'
  */
 export function createRepo (config) {
   return {
+    fsck: createFsck(config),
     gc: createGc(config),
+    gcStatus: createGcStatus(config),
     stat: createStat(config),
+    verify: createVerify(config),
     version: createVersion(config)
   }
 }
@@ -0,0 +1,30 @@
+import { CID } from 'multiformats/cid'
+import { configure } from '../lib/configure.js'
+import { toUrlSearchParams } from '../lib/to-url-search-params.js'
+
+/**
+ * @typedef {import('../types').HTTPClientExtraOptions} HTTPClientExtraOptions
+ * @typedef {import('ipfs-core-types/src/repo').API<HTTPClientExtraOptions>} RepoAPI
+ */
+
+export const createVerify = configure(api => {
+  /**
+   * @type {RepoAPI["verify"]}
+   */
+  async function * verify (options = {}) {
+    const res = await api.post('repo/verify', {
+      signal: options.signal,
+      searchParams: toUrlSearchParams(options),
+      headers: options.headers
+    })
+
+    for await (const result of res.ndjson()) {
+      yield {
+        cid: CID.parse(result.Key['/']),
+        error: result.Error,
+        removed: result.Removed
+      }
+    }
+  }
+  return verify
+})
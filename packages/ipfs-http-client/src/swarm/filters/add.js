@@ -0,0 +1,26 @@
+import { configure } from '../../lib/configure.js'
+import { toUrlSearchParams } from '../../lib/to-url-search-params.js'
+
+/**
+ * @typedef {import('../../types').HTTPClientExtraOptions} HTTPClientExtraOptions
+ * @typedef {import('ipfs-core-types/src/swarm/filters').API<HTTPClientExtraOptions>} SwarmFiltersAPI
+ */
+
+export const createAdd = configure(api => {
+  /**
+   * @type {SwarmFiltersAPI["add"]}
+   */
+  async function add (filter, options = {}) {
+    const res = await api.post('swarm/filters/add', {
+      signal: options.signal,
+      searchParams: toUrlSearchParams({
+        arg: filter,
+        ...options
+      }),
+      headers: options.headers
+    })
+
+    await res.text()
+  }
+  return add
+})
@@ -0,0 +1,14 @@
+import { createAdd } from './add.js'
+import { createLs } from './ls.js'
+import { createRm } from './rm.js'
+
+/**
+ * @param {import('../../types').Options} config
+ */
+export function createFilters (config) {
+  return {
+    add: createAdd(config),
+    ls: createLs(config),
+    rm: createRm(config)
+  }
+}
@@ -0,0 +1,26 @@
+import { configure } from '../../lib/configure.js'
+import { toUrlSearchParams } from '../../lib/to-url-search-params.js'
+
+/**
+ * @typedef {import('../../types').HTTPClientExtraOptions} HTTPClientExtraOptions
+ * @typedef {import('ipfs-core-types/src/swarm/filters').API<HTTPClientExtraOptions>} SwarmFiltersAPI
+ */
+
+export const createLs = configure(api => {
+  /**
+   * @type {SwarmFiltersAPI["ls"]}
+   */
+  async function ls (options = {}) {
+    const res = await api.post('swarm/filters', {
+      signal: options.signal,
+      searchParams: toUrlSearchParams(options),
+      headers: options.headers
+    })
+
+    /** @type {{ Strings?: string[] }} */
+    const { Strings } = await res.json()
+
+    return Strings || []
+  }
+  return ls
+})
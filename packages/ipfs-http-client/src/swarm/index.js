@@ -3,6 +3,8 @@ import { createConnect } from './connect.js'
 import { createDisconnect } from './disconnect.js'
 import { createLocalAddrs } from './local-addrs.js'
 import { createPeers } from './peers.js'
+import { createPeering } from './peering/index.js'
+import { createFilters } from './filters/index.js'
 
 /**
  * @param {import('../types').Options} config
@@ -13,6 +15,8 @@ export function createSwarm (config) {
     connect: createConnect(config),
     disconnect: createDisconnect(config),
     localAddrs: createLocalAddrs(config),
-    peers: createPeers(config)
+    peers: createPeers(config),
+    peering: createPeering(config),
+    filters: createFilters(config)
   }
 }
@@ -0,0 +1,26 @@
+import { configure } from '../../lib/configure.js'
+import { toUrlSearchParams } from '../../lib/to-url-search-params.js'
+
+/**
+ * @typedef {import('../../types').HTTPClientExtraOptions} HTTPClientExtraOptions
+ * @typedef {import('ipfs-core-types/src/swarm/peering').API<HTTPClientExtraOptions>} SwarmPeeringAPI
+ */
+
+export const createAdd = configure(api => {
+  /**
+   * @type {SwarmPeeringAPI["add"]}
+   */
+  async function add (addr, options = {}) {
+    const res = await api.post('swarm/peering/add', {
+      signal: options.signal,
+      searchParams: toUrlSearchParams({
+        arg: addr.toString(),
+        ...options
+      }),
+      headers: options.headers
+    })
+
+    await res.text()
+  }
+  return add
+})
@@ -0,0 +1,31 @@
+import { multiaddr } from '@multiformats/multiaddr'
+import { peerIdFromString } from '@libp2p/peer-id'
+import { configure } from '../../lib/configure.js'
+import { toUrlSearchParams } from '../../lib/to-url-search-params.js'
+
+/**
+ * @typedef {import('../../types').HTTPClientExtraOptions} HTTPClientExtraOptions
+ * @typedef {import('ipfs-core-types/src/swarm/peering').API<HTTPClientExtraOptions>} SwarmPeeringAPI
+ */
+
+export const createLs = configure(api => {
+  /**
+   * @type {SwarmPeeringAPI["ls"]}
+   */
+  async function ls (options = {}) {
+    const res = await api.post('swarm/peering/ls', {
+      signal: options.signal,
+      searchParams: toUrlSearchParams(options),
+      headers: options.headers
+    })
+
+    /** @type {{ Peers?: { ID: string, Addrs?: string[] }[] }} */
+    const { Peers } = await res.json()
+
+    return (Peers || []).map(peer => ({
+      id: peerIdFromString(peer.ID),
+      addrs: (peer.Addrs || []).map(addr => multiaddr(addr))
+    }))
+  }
+  return ls
+})
@@ -0,0 +1,26 @@
+import { configure } from '../../lib/configure.js'
+import { toUrlSearchParams } from '../../lib/to-url-search-params.js'
+
+/**
+ * @typedef {import('../../types').HTTPClientExtraOptions} HTTPClientExtraOptions
+ * @typedef {import('ipfs-core-types/src/swarm/peering').API<HTTPClientExtraOptions>} SwarmPeeringAPI
+ */
+
+export const createRm = configure(api => {
+  /**
+   * @type {SwarmPeeringAPI["rm"]}
+   */
+  async function rm (peerId, options = {}) {
+    const res = await api.post('swarm/peering/rm', {
+      signal: options.signal,
+      searchParams: toUrlSearchParams({
+        arg: peerId.toString(),
+        ...options
+      }),
+      headers: options.headers
+    })
+
+    await res.text()
+  }
+  return rm
+})
@@ -19,7 +19,7 @@ export const createPeers = configure(api => {
       headers: options.headers
     })
 
-    /** @type {{ Peers: { Peer: string, Addr: string, Muxer?: string, Latency?: string, Streams?: string[], Direction?: 0 | 1 }[] }} */
+    /** @type {{ Peers: { Peer: string, Addr: string, Muxer?: string, Latency?: string, Streams?: { Protocol: string, Direction: 'inbound' | 'outbound' }[], Direction?: 0 | 1, Age?: number, AgentVersion?: string, TotalIn?: string, TotalOut?: string }[] }} */
     const { Peers } = await res.json()
 
     return (Peers || []).map(peer => {
@@ -28,8 +28,12 @@ export const createPeers = configure(api => {
         peer: peerIdFromString(peer.Peer),
         muxer: peer.Muxer,
         latency: peer.Latency,
-        streams: peer.Streams,
-        direction: peer.Direction == null ? undefined : peer.Direction === 0 ? 'inbound' : 'outbound'
+        streams: peer.Streams == null ? undefined : peer.Streams.map(stream => ({ protocol: stream.Protocol, direction: stream.Direction })),
+        direction: peer.Direction == null ? undefined : peer.Direction === 0 ? 'inbound' : 'outbound',
+        age: peer.Age,
+        agentVersion: peer.AgentVersion,
+        totalIn: peer.TotalIn == null ? undefined : BigInt(peer.TotalIn),
+        totalOut: peer.TotalOut == null ? undefined : BigInt(peer.TotalOut)
       }
     })
   }
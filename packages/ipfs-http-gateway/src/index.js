@@ -2,7 +2,10 @@ import Hapi from '@hapi/hapi'
 import Pino from 'hapi-pino'
 import { logger, enabled } from '@libp2p/logger'
 import toMultiaddr from '@multiformats/uri-to-multiaddr'
+import parseDuration from 'parse-duration'
 import routes from './routes/index.js'
+import resources from './resources/index.js'
+import { DNSLinkCache } from './utils/dnslink.js'
 
 const LOG = 'ipfs:http-gateway'
 const LOG_ERROR = 'ipfs:http-gateway:error'
@@ -68,8 +71,13 @@ export class HttpGateway {
     const config = await ipfs.config.getAll()
     const addresses = config.Addresses || { Swarm: [], Gateway: [] }
     const gatewayAddrs = addresses?.Gateway || []
+    const publicGateways = config.Gateway?.PublicGateways
+    const noDNSLink = config.Gateway?.NoDNSLink
+    const dnslinkCacheTTL = parseDuration(config.Gateway?.DNSLinkCacheTTL ?? '') ?? undefined
 
-    this._gatewayServers = await serverCreator(gatewayAddrs, this._createGatewayServer, ipfs)
+    this._gatewayServers = await serverCreator(gatewayAddrs, (host, port, ipfs) => {
+      return this._createGatewayServer(host, port, ipfs, { publicGateways, noDNSLink, dnslinkCacheTTL })
+    }, ipfs)
 
     this._log('started')
   }
@@ -78,8 +86,9 @@ export class HttpGateway {
    * @param {string} host
    * @param {string} port
    * @param {IPFS} ipfs
+   * @param {import('./types').GatewayServerOptions} [options]
    */
-  async _createGatewayServer (host, port, ipfs) {
+  async _createGatewayServer (host, port, ipfs, options = {}) {
     const server = Hapi.server({
       host,
       port,
@@ -91,6 +100,9 @@ export class HttpGateway {
       }
     })
     server.app.ipfs = ipfs
+    server.app.publicGateways = options.publicGateways
+    server.app.noDNSLink = options.noDNSLink
+    server.app.dnslink = new DNSLinkCache({ ipfs, maxTTL: options.dnslinkCacheTTL })
 
     await server.register({
       plugin: Pino,
@@ -101,6 +113,7 @@ export class HttpGateway {
       }
     })
 
+    server.ext('onRequest', resources.gateway.onRequest)
     server.route(routes.gateway)
 
     return server
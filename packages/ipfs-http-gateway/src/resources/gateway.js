@@ -1,99 +1,520 @@
 import { logger } from '@libp2p/logger'
-import { fromString as uint8ArrayFromString } from 'uint8arrays/from-string'
 import Boom from '@hapi/boom'
 import Ammo from '@hapi/ammo'
 import last from 'it-last'
 import { CID } from 'multiformats/cid'
-import { base32 } from 'multiformats/bases/base32'
 import { resolver, utils } from 'ipfs-http-response'
-import * as isIPFS from 'is-ipfs'
 // @ts-expect-error no types
 import toStream from 'it-to-stream'
 import * as PathUtils from '../utils/path.js'
+import {
+  findGateway,
+  fromSubdomainLabel,
+  hasPath,
+  parseSubdomain,
+  toSubdomainLabel
+} from '../utils/subdomain.js'
+import { MAX_REDIRECTS_FILE_SIZE, matchRedirect, parseRedirects } from '../utils/redirects.js'
 
 const { detectContentType } = utils
 
 const log = logger('ipfs:http-gateway')
 
+/**
+ * @typedef {import('@hapi/hapi').ResponseObject} ResponseObject
+ *
+ * @typedef {object} ResolvedFile
+ * @property {CID} cid
+ * @property {string} ipfsPath - the path of the file, for directories that of their index file
+ * @property {boolean} directory
+ */
+
+/**
+ * Verifiable response formats, keyed by their `?format=` name
+ *
+ * @see https://specs.ipfs.tech/http-gateways/trustless-gateway/
+ */
+const RESPONSE_FORMATS = {
+  raw: {
+    contentType: 'application/vnd.ipld.raw',
+    extension: 'bin'
+  },
+  car: {
+    contentType: 'application/vnd.ipld.car',
+    extension: 'car'
+  }
+}
+
+/**
+ * @param {import('../types').Request} request
+ */
+function getProtocol (request) {
+  const proto = request.headers['x-forwarded-proto']
+
+  return proto === 'https' || proto === 'http' ? proto : request.server.info.protocol
+}
+
+/**
+ * Maps a content path back to the path the client requested, which for
+ * subdomain requests does not include the content root
+ *
+ * @param {import('../types').Request} request
+ * @param {string} path
+ */
+function toRequestPath (request, path) {
+  const { contentRoot } = request.app
+
+  if (!contentRoot) {
+    return path
+  }
+
+  return path.substring(contentRoot.length) || '/'
+}
+
+/**
+ * Rewrites the request so it is served from beneath the passed content root
+ *
+ * @param {import('../types').Request} request
+ * @param {string} contentRoot - e.g. `/ipfs/<cid>` or `/ipns/<name>`
+ */
+function setContentRoot (request, contentRoot) {
+  request.app.contentRoot = contentRoot
+  request.setUrl(`${contentRoot}${request.url.pathname}${request.url.search}`)
+}
+
+/**
+ * @param {import('../types').Request} request
+ * @param {import('@hapi/hapi').ResponseToolkit} h
+ * @param {import('../utils/subdomain').SubdomainHost} subdomain
+ */
+function serveSubdomain (request, h, subdomain) {
+  const { namespace } = subdomain
+  const root = fromSubdomainLabel(namespace, subdomain.root)
+
+  if (namespace === 'ipfs') {
+    let label
+    try {
+      label = toSubdomainLabel(namespace, root, { inlineDNSLink: false })
+    } catch (/** @type {any} */ err) {
+      throw Boom.badRequest(err.message)
+    }
+
+    if (label !== subdomain.root) {
+      // use the canonical case-insensitive CID encoding
+      return h.redirect(`${getProtocol(request)}://${label}${request.info.host.substring(subdomain.root.length)}${request.url.pathname}${request.url.search}`)
+        .permanent(true)
+        .takeover()
+    }
+  }
+
+  setContentRoot(request, `/${namespace}/${root}`)
+
+  return h.continue
+}
+
+/**
+ * @param {import('../types').Request} request
+ * @param {import('@hapi/hapi').ResponseToolkit} h
+ * @param {import('../utils/subdomain').GatewayHost} gateway
+ * @param {'ipfs'|'ipns'} namespace
+ * @param {string} root
+ * @param {string} rest - the remainder of the path after the content root
+ */
+function redirectToSubdomain (request, h, gateway, namespace, root, rest) {
+  const protocol = getProtocol(request)
+  let label
+  try {
+    label = toSubdomainLabel(namespace, decodeURIComponent(root), {
+      // wildcard TLS certificates only cover a single label
+      inlineDNSLink: Boolean(gateway.spec.InlineDNSLink) || protocol === 'https'
+    })
+  } catch (/** @type {any} */ err) {
+    throw Boom.badRequest(err.message)
+  }
+
+  return h.redirect(`${protocol}://${label}.${namespace}.${request.info.host}${rest || '/'}${request.url.search}`)
+    .permanent(true)
+    .takeover()
+}
+
+/**
+ * Returns the verifiable format requested via `?format=` or the `Accept`
+ * header, if any. `?format=` takes precedence.
+ *
+ * @param {import('../types').Request} request
+ * @returns {'raw'|'car'|undefined}
+ */
+function getResponseFormat (request) {
+  const { format } = request.query
+
+  if (format) {
+    if (format === 'raw' || format === 'car') {
+      return format
+    }
+
+    throw Boom.badRequest(`unsupported format "${format}"`)
+  }
+
+  const accept = request.headers.accept || ''
+
+  for (const type of accept.split(',')) {
+    const mediaType = type.split(';')[0].trim()
+
+    if (mediaType === RESPONSE_FORMATS.raw.contentType) {
+      return 'raw'
+    }
+
+    if (mediaType === RESPONSE_FORMATS.car.contentType) {
+      return 'car'
+    }
+  }
+}
+
+/**
+ * Serves the block or DAG at the passed path without deserializing it so the
+ * client can verify the response against the requested CID
+ *
+ * @param {import('../types').Request} request
+ * @param {import('@hapi/hapi').ResponseToolkit} h
+ * @param {string} ipfsPath
+ * @param {'raw'|'car'} format
+ */
+async function serveVerifiable (request, h, ipfsPath, format) {
+  const { ipfs } = request.server.app
+  const { contentType, extension } = RESPONSE_FORMATS[format]
+
+  let cid
+  try {
+    const resolved = await ipfs.resolve(ipfsPath)
+    cid = CID.parse(resolved.split('/')[2])
+  } catch (/** @type {any} */ err) {
+    const errorToString = err.toString()
+    log.error('err: ', errorToString)
+
+    if (errorToString.startsWith('Error: no link named')) {
+      throw Boom.boomify(err, { statusCode: 404 })
+    }
+
+    throw Boom.boomify(err, { statusCode: 400 })
+  }
+
+  const etag = `"${cid}.${format}"`
+  const cachedEtag = request.headers['if-none-match']
+  if (cachedEtag === etag || cachedEtag === `W/${etag}`) {
+    return h.response().code(304) // Not Modified
+  }
+
+  let res
+  if (format === 'raw') {
+    const block = await ipfs.block.get(cid)
+    res = h.response(Buffer.from(block.buffer, block.byteOffset, block.byteLength))
+    res.header('Content-Length', `${block.byteLength}`)
+  } else {
+    res = h.response(toStream.readable(ipfs.dag.export(cid)))
+  }
+
+  res.code(200)
+  res.header('Content-Type', format === 'car' ? `${contentType}; version=1` : contentType)
+  res.header('Content-Disposition', `attachment; filename="${cid}.${extension}"`)
+  res.header('X-Content-Type-Options', 'nosniff')
+  res.header('Vary', 'Accept')
+  res.header('etag', etag)
+
+  if (request.path.startsWith('/ipfs/')) {
+    res.header('Cache-Control', 'public, max-age=29030400, immutable')
+  }
+
+  log('HTTP path ', request.path)
+  log('IPFS path ', ipfsPath)
+  log('format ', format)
+
+  return res
+}
+
+/**
+ * Resolves an `/ipns/` path to the content path it points to. DNSLink names
+ * are looked up in the cache so websites served by their `Host` header do not
+ * need a DNS lookup on every request.
+ *
+ * @param {import('../types').Request} request
+ * @param {string} path
+ * @returns {Promise<string>}
+ */
+async function resolvePath (request, path) {
+  const { ipfs, dnslink } = request.server.app
+
+  if (!path.startsWith('/ipns/')) {
+    return path
+  }
+
+  const [name, ...rest] = path.substring('/ipns/'.length).split('/')
+  const target = await dnslink.resolve(name)
+
+  if (target) {
+    path = [target.replace(/\/$/, ''), ...rest].join('/')
+  }
+
+  if (path.startsWith('/ipns/')) {
+    path = await last(ipfs.name.resolve(path, { recursive: true })) || path
+  }
+
+  return path
+}
+
+/**
+ * Reads a small UTF-8 file, returning undefined if it does not exist
+ *
+ * @param {import('ipfs-core-types').IPFS} ipfs
+ * @param {string} path
+ * @param {number} maxSize
+ */
+async function readTextFile (ipfs, path, maxSize) {
+  const decoder = new TextDecoder()
+  let text = ''
+  let size = 0
+
+  try {
+    for await (const buf of ipfs.cat(path, { length: maxSize + 1 })) {
+      size += buf.byteLength
+      text += decoder.decode(buf, { stream: true })
+    }
+  } catch (/** @type {any} */ err) {
+    if (err.code === 'ERR_NOT_FOUND') {
+      return
+    }
+
+    throw err
+  }
+
+  if (size > maxSize) {
+    throw Boom.badImplementation(`${path} is larger than ${maxSize} bytes`)
+  }
+
+  return text + decoder.decode()
+}
+
+/**
+ * Serves another content path in place of the requested one
+ *
+ * @param {import('../types').Request} request
+ * @param {import('@hapi/hapi').ResponseToolkit} h
+ * @param {string} path
+ * @param {number} statusCode
+ * @returns {Promise<ResponseObject>}
+ */
+async function serveRewrite (request, h, path, statusCode) {
+  request.app.rewrite = path
+
+  const res = await Gateway.handler(request, h)
+
+  if (statusCode !== 200 && res.statusCode === 200) {
+    res.code(statusCode)
+  }
+
+  return res
+}
+
+/**
+ * Applies the `_redirects` file and custom `404.html` page at the root of a
+ * site when the requested path does not exist. Only sites served from their
+ * own origin are considered as on a path gateway every site shares one.
+ *
+ * @see https://specs.ipfs.tech/http-gateways/web-redirects-file/
+ *
+ * @param {import('../types').Request} request
+ * @param {import('@hapi/hapi').ResponseToolkit} h
+ * @param {import('@hapi/boom').Boom} notFound
+ * @returns {Promise<ResponseObject>}
+ */
+async function serveNotFound (request, h, notFound) {
+  const { ipfs } = request.server.app
+  const { contentRoot, rewrite } = request.app
+
+  if (!contentRoot || rewrite) {
+    throw notFound
+  }
+
+  const root = await resolvePath(request, contentRoot)
+  const redirects = await readTextFile(ipfs, `${root}/_redirects`, MAX_REDIRECTS_FILE_SIZE)
+
+  if (redirects !== undefined) {
+    let rules
+    try {
+      rules = parseRedirects(redirects)
+    } catch (/** @type {any} */ err) {
+      throw Boom.boomify(err, { statusCode: 500 })
+    }
+
+    const redirect = matchRedirect(rules, decodeURI(toRequestPath(request, request.path)))
+
+    if (redirect) {
+      log('redirecting %s to %s with status %d', request.path, redirect.to, redirect.status)
+
+      if (redirect.status === 301 || redirect.status === 302) {
+        return h.redirect(redirect.to).permanent(redirect.status === 301)
+      }
+
+      return serveRewrite(request, h, `${contentRoot}${redirect.to}`, redirect.status)
+    }
+  }
+
+  try {
+    return await serveRewrite(request, h, `${contentRoot}/404.html`, 404)
+  } catch (/** @type {any} */ err) {
+    if (Boom.isBoom(err) && err.output.statusCode === 404) {
+      // the site has no custom error page
+      throw notFound
+    }
+
+    throw err
+  }
+}
+
+/**
+ * Resolves the requested path to the file to serve, which for directories is
+ * their index file. Directories without one are listed and paths that do not
+ * exist are handed to `serveNotFound` instead.
+ *
+ * @param {import('../types').Request} request
+ * @param {import('@hapi/hapi').ResponseToolkit} h
+ * @param {string} path - the requested path
+ * @param {string} ipfsPath - the `/ipfs/` path it resolves to
+ * @returns {Promise<ResolvedFile | ResponseObject>}
+ */
+async function resolveFile (request, h, path, ipfsPath) {
+  const { ipfs } = request.server.app
+
+  try {
+    const { cid } = await resolver.cid(ipfs, ipfsPath)
+
+    return { cid, ipfsPath, directory: false }
+  } catch (/** @type {any} */ err) {
+    const errorToString = err.toString()
+    log.error('err: ', errorToString, ' fileName: ', err.fileName)
+
+    // switch case with true feels so wrong.
+    switch (true) {
+      case (errorToString === 'Error: This dag node is a directory'): {
+        const data = await resolver.directory(ipfs, ipfsPath, err.cid)
+
+        if (typeof data === 'string') {
+          // no index file found
+          if (!path.endsWith('/')) {
+            // add trailing slash for directory listings
+            return h.redirect(`${toRequestPath(request, path)}/`).permanent(true)
+          }
+          // send directory listing
+          return h.response(data)
+        }
+
+        // found index file: return <ipfsPath>/<found-index-file>
+        ipfsPath = PathUtils.joinURLParts(ipfsPath, data[0].Name)
+        const { cid } = await resolver.cid(ipfs, ipfsPath)
+
+        return { cid, ipfsPath, directory: true }
+      }
+      case (errorToString.startsWith('Error: no link named')):
+        return serveNotFound(request, h, Boom.boomify(err, { statusCode: 404 }))
+      case (errorToString.startsWith('Error: multihash length inconsistent')):
+      case (errorToString.startsWith('Error: Non-base58 character')):
+      case (errorToString.startsWith('Error: invalid character')):
+        throw Boom.boomify(err, { statusCode: 400 })
+      default:
+        log.error(err)
+        throw err
+    }
+  }
+}
+
 export const Gateway = {
 
   /**
+   * Maps requests for `<root>.ipfs.<host>`, `<root>.ipns.<host>` and hosts
+   * with a DNSLink record to content paths, and redirects path requests made
+   * to a public gateway with subdomains enabled to their subdomain form
+   *
    * @param {import('../types').Request} request
    * @param {import('@hapi/hapi').ResponseToolkit} h
    */
-  async handler (request, h) {
-    const { ipfs } = request.server.app
-    const path = request.path
+  async onRequest (request, h) {
+    const { publicGateways = {}, noDNSLink, dnslink } = request.server.app
+    const { hostname } = request.info
+    const subdomain = parseSubdomain(publicGateways, hostname)
+
+    if (subdomain) {
+      return serveSubdomain(request, h, subdomain)
+    }
 
-    let ipfsPath = path
+    const gateway = findGateway(publicGateways, hostname)
 
-    if (path.startsWith('/ipns/')) {
-      ipfsPath = await last(ipfs.name.resolve(path, { recursive: true })) || path
+    if (gateway && gateway.spec.UseSubdomains) {
+      const match = request.path.match(/^\/(ipfs|ipns)\/([^/]+)(.*)$/)
+
+      if (match && hasPath(gateway.spec, match[1])) {
+        return redirectToSubdomain(request, h, gateway, /** @type {'ipfs'|'ipns'} */ (match[1]), match[2], match[3])
+      }
     }
 
+    const skipDNSLink = gateway ? gateway.spec.NoDNSLink : noDNSLink
+
+    if (!skipDNSLink && await dnslink.resolve(hostname)) {
+      // serve the website the DNSLink record of the host points to
+      setContentRoot(request, `/ipns/${hostname}`)
+    }
+
+    return h.continue
+  },
+
+  /**
+   * @param {import('../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   * @returns {Promise<ResponseObject>}
+   */
+  async handler (request, h) {
+    const { ipfs } = request.server.app
+    const path = request.app.rewrite || request.path
+
+    let ipfsPath = await resolvePath(request, path)
+
     // The resolver from ipfs-http-response supports only immutable /ipfs/ for now,
     // so we convert /ipns/ to /ipfs/ before passing it to the resolver ¯\_(ツ)_/¯
     // This could be removed if a solution proposed in
     //  https://github.com/ipfs/js-ipfs-http-response/issues/22 lands upstream
     ipfsPath = decodeURI(ipfsPath)
 
-    let directory = false
-    let data
-    try {
-      data = await resolver.cid(ipfs, ipfsPath)
-    } catch (/** @type {any} */ err) {
-      const errorToString = err.toString()
-      log.error('err: ', errorToString, ' fileName: ', err.fileName)
-
-      // switch case with true feels so wrong.
-      switch (true) {
-        case (errorToString === 'Error: This dag node is a directory'):
-          directory = true
-          data = await resolver.directory(ipfs, ipfsPath, err.cid)
-
-          if (typeof data === 'string') {
-            // no index file found
-            if (!path.endsWith('/')) {
-              // add trailing slash for directory listings
-              return h.redirect(`${path}/`).permanent(true)
-            }
-            // send directory listing
-            return h.response(data)
-          }
+    const format = getResponseFormat(request)
 
-          // found index file: return <ipfsPath>/<found-index-file>
-          ipfsPath = PathUtils.joinURLParts(ipfsPath, data[0].Name)
-          data = await resolver.cid(ipfs, ipfsPath)
-          break
-        case (errorToString.startsWith('Error: no link named')):
-          throw Boom.boomify(err, { statusCode: 404 })
-        case (errorToString.startsWith('Error: multihash length inconsistent')):
-        case (errorToString.startsWith('Error: Non-base58 character')):
-        case (errorToString.startsWith('Error: invalid character')):
-          throw Boom.boomify(err, { statusCode: 400 })
-        default:
-          log.error(err)
-          throw err
-      }
+    if (format) {
+      return serveVerifiable(request, h, ipfsPath, format)
     }
 
-    if (!directory && path.endsWith('/')) {
+    const file = await resolveFile(request, h, path, ipfsPath)
+
+    if (!('cid' in file)) {
+      return file
+    }
+
+    const { cid, directory } = file
+    ipfsPath = file.ipfsPath
+
+    if (!directory && path.endsWith('/') && toRequestPath(request, path) !== '/') {
       // remove trailing slash for files
-      return h.redirect(PathUtils.removeTrailingSlash(path)).permanent(true)
+      return h.redirect(PathUtils.removeTrailingSlash(toRequestPath(request, path))).permanent(true)
     }
     if (directory && !path.endsWith('/')) {
       // add trailing slash for directories with implicit index.html
-      return h.redirect(`${path}/`).permanent(true)
+      return h.redirect(`${toRequestPath(request, path)}/`).permanent(true)
     }
-    if (request.headers['service-worker'] === 'script') {
-      // Disallow Service Worker registration on /ipfs scope
+    if (request.headers['service-worker'] === 'script' && !request.app.contentRoot) {
+      // Disallow Service Worker registration on /ipfs scope, subdomain
+      // requests are fine as each content root has its own origin
       // https://github.com/ipfs/go-ipfs/issues/4025
       if (path.match(/^\/ip[nf]s\/[^/]+$/)) throw Boom.badRequest('navigator.serviceWorker: registration is not allowed for this scope')
     }
 
     // Support If-None-Match & Etag (Conditional Requests from RFC7232)
     // https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/ETag
-    const etag = `"${data.cid}"`
+    const etag = `"${cid}"`
     const cachedEtag = request.headers['if-none-match']
     if (cachedEtag === etag || cachedEtag === `W/${etag}`) {
       return h.response().code(304) // Not Modified
@@ -106,7 +527,7 @@ export const Gateway = {
 
     // This necessary to set correct Content-Length and validate Range requests
     // Note: we need `size` (raw data), not `cumulativeSize` (data + DAGNodes)
-    const { size } = await ipfs.files.stat(`/ipfs/${data.cid}`)
+    const { size } = await ipfs.files.stat(`/ipfs/${cid}`)
 
     // Handle Byte Range requests (https://tools.ietf.org/html/rfc7233#section-2.1)
     const catOptions = {}
@@ -131,7 +552,7 @@ export const Gateway = {
       }
     }
 
-    const { source, contentType } = await detectContentType(ipfsPath, ipfs.cat(data.cid, catOptions))
+    const { source, contentType } = await detectContentType(ipfsPath, ipfs.cat(cid, catOptions))
     const responseStream = toStream.readable(source)
 
     const res = h.response(responseStream).code(rangeResponse ? 206 : 200)
@@ -194,18 +615,6 @@ export const Gateway = {
         // "set modtime to a really long time ago, since files are immutable and should stay cached"
         // Source: https://github.com/ipfs/go-ipfs/blob/v0.4.20/core/corehttp/gateway_handler.go#L228-L229
         response.headers['Last-Modified'] = 'Thu, 01 Jan 1970 00:00:01 GMT'
-        // Suborigin for /ipfs/: https://github.com/ipfs/in-web-browsers/issues/66
-        const rootCid = path.split('/')[2]
-        const ipfsOrigin = CID.parse(rootCid).toV1().toString(base32)
-        response.headers.Suborigin = `ipfs000${ipfsOrigin}`
-      } else if (path.startsWith('/ipns/')) {
-        // Suborigin for /ipns/: https://github.com/ipfs/in-web-browsers/issues/66
-        const root = path.split('/')[2]
-        // encode CID/FQDN in base32 (Suborigin allows only a-z)
-        const ipnsOrigin = isIPFS.cid(root)
-          ? CID.parse(root).toV1().toString(base32)
-          : base32.encode(uint8ArrayFromString(root))
-        response.headers.Suborigin = `ipns000${ipnsOrigin}`
       }
     }
     return h.continue
@@ -1,10 +1,28 @@
 import type { IPFS } from 'ipfs-core-types'
+import type { PublicGatewaySpec } from 'ipfs-core-types/src/config'
+import type { DNSLinkCache } from './utils/dnslink'
 import type { Request, Server } from '@hapi/hapi'
 import type { Multiaddr } from '@multiformats/multiaddr'
 
 declare module '@hapi/hapi' {
   interface ServerApplicationState {
     ipfs: IPFS
+    publicGateways?: Record<string, PublicGatewaySpec | null>
+    noDNSLink?: boolean
+    dnslink: DNSLinkCache
+  }
+  interface RequestApplicationState {
+    /**
+     * Set when content is requested via a subdomain or DNSLink host, e.g.
+     * `/ipfs/<cid>`
+     */
+    contentRoot?: string
+
+    /**
+     * The content path served in place of the requested path when a
+     * `_redirects` rule rewrites it or a custom `404.html` is served
+     */
+    rewrite?: string
   }
   interface ServerInfo {
     ma: Multiaddr
@@ -12,3 +30,23 @@ declare module '@hapi/hapi' {
 }
 
 export type { Request, Server }
+
+export interface GatewayServerOptions {
+  /**
+   * Hostnames this gateway is reachable under, see `Gateway.PublicGateways`
+   * in the config
+   */
+  publicGateways?: Record<string, PublicGatewaySpec | null>
+
+  /**
+   * If true, never serve websites based on the DNSLink record of the `Host`
+   * header of requests to hostnames not in `publicGateways`
+   */
+  noDNSLink?: boolean
+
+  /**
+   * The longest time to cache DNSLink lookups for in ms, records with shorter
+   * TTLs are cached for their TTL
+   */
+  dnslinkCacheTTL?: number
+}
@@ -0,0 +1,150 @@
+import dgram from 'dgram'
+import dns from 'dns'
+import { isIPv6 } from 'net'
+import dnsPacket from 'dns-packet'
+import { logger } from '@libp2p/logger'
+
+const log = logger('ipfs:http-gateway:dns-ttl')
+
+const DNS_PORT = 53
+const QUERY_TIMEOUT = 5000
+const DNSLINK_PREFIX = 'dnslink='
+
+/**
+ * @typedef {object} Server
+ * @property {string} address
+ * @property {number} port
+ */
+
+/**
+ * Parses a server in the format returned by `dns.getServers()`, e.g.
+ * `1.2.3.4`, `1.2.3.4:1053`, `2001:db8::1` or `[2001:db8::1]:1053`
+ *
+ * @param {string} server
+ * @returns {Server}
+ */
+export function parseServer (server) {
+  const bracketed = server.match(/^\[(.+)\]:(\d+)$/)
+
+  if (bracketed != null) {
+    return { address: bracketed[1], port: parseInt(bracketed[2], 10) }
+  }
+
+  const parts = server.split(':')
+
+  if (parts.length === 2) {
+    return { address: parts[0], port: parseInt(parts[1], 10) }
+  }
+
+  return { address: server, port: DNS_PORT }
+}
+
+/**
+ * @param {import('dns-packet').TxtData} data
+ */
+function txtToString (data) {
+  return Array.isArray(data) ? data.map(chunk => chunk.toString()).join('') : data.toString()
+}
+
+/**
+ * Node's resolver does not return the TTLs of TXT records so the DNS server is
+ * asked directly
+ *
+ * @param {string} name
+ * @param {Server} server
+ * @returns {Promise<import('dns-packet').Answer[]>}
+ */
+function queryTxt (name, server) {
+  const socket = dgram.createSocket(isIPv6(server.address) ? 'udp6' : 'udp4')
+  const id = Math.floor(Math.random() * 65536)
+
+  return new Promise((resolve, reject) => {
+    /**
+     * @param {Error | undefined} err
+     * @param {import('dns-packet').Answer[]} [answers]
+     */
+    const finish = (err, answers = []) => {
+      clearTimeout(timeout)
+      socket.close()
+
+      if (err != null) {
+        reject(err)
+      } else {
+        resolve(answers)
+      }
+    }
+
+    const timeout = setTimeout(() => {
+      finish(new Error(`Querying ${server.address}:${server.port} for ${name} timed out`))
+    }, QUERY_TIMEOUT)
+
+    socket.on('error', err => finish(err))
+    socket.on('message', (message) => {
+      /** @type {import('dns-packet').DecodedPacket} */
+      let response
+
+      try {
+        response = dnsPacket.decode(message)
+      } catch {
+        return
+      }
+
+      if (response.id !== id) {
+        return
+      }
+
+      // a truncated response may be missing some of the records
+      if (((response.flags ?? 0) & dnsPacket.TRUNCATED_RESPONSE) !== 0) {
+        finish(undefined, [])
+        return
+      }
+
+      finish(undefined, response.answers)
+    })
+
+    socket.send(dnsPacket.encode({
+      type: 'query',
+      id,
+      flags: dnsPacket.RECURSION_DESIRED,
+      questions: [{ type: 'TXT', name }]
+    }), server.port, server.address)
+  })
+}
+
+/**
+ * Returns the TTL in ms of the DNSLink TXT record of the hostname, looking in
+ * the same places in the same order as `ipfs.dns`, or undefined if it cannot
+ * be read
+ *
+ * @param {string} hostname
+ * @param {object} [options]
+ * @param {string} [options.server] - defaults to the first of `dns.getServers()`
+ * @returns {Promise<number | undefined>}
+ */
+export async function dnslinkRecordTTL (hostname, options = {}) {
+  const server = options.server ?? dns.getServers()[0]
+
+  if (server == null) {
+    return
+  }
+
+  for (const name of [hostname, `_dnslink.${hostname}`]) {
+    /** @type {number[]} */
+    const ttls = []
+
+    try {
+      for (const answer of await queryTxt(name, parseServer(server))) {
+        if (answer.type === 'TXT' && txtToString(answer.data).startsWith(DNSLINK_PREFIX)) {
+          ttls.push(answer.ttl ?? 0)
+        }
+      }
+    } catch (/** @type {any} */ err) {
+      log.error('could not read the TTL of the DNSLink record of %s', hostname, err)
+      return
+    }
+
+    if (ttls.length > 0) {
+      return Math.min(...ttls) * 1000
+    }
+  }
+}
@@ -0,0 +1,79 @@
+import { logger } from '@libp2p/logger'
+import hashlru from 'hashlru'
+import { isIP } from 'net'
+import { dnslinkRecordTTL } from './dns-ttl.js'
+
+const log = logger('ipfs:http-gateway:dnslink')
+
+// lookups are cached for the TTL of the DNSLink record but never for longer
+// than this, see `Gateway.DNSLinkCacheTTL` in the config
+const DEFAULT_MAX_TTL = 60 * 1000
+const DEFAULT_CACHE_SIZE = 1000
+
+const NOT_FOUND_CODES = ['ENOTFOUND', 'ENODATA', 'ERR_DNSLINK_NOT_FOUND']
+
+/**
+ * Remembers the content paths DNSLink names point to so that websites can be
+ * served without a DNS lookup on every request
+ */
+export class DNSLinkCache {
+  /**
+   * @param {object} config
+   * @param {import('ipfs-core-types').IPFS} config.ipfs
+   * @param {number} [config.maxTTL] - the longest time to cache lookups for in ms
+   * @param {number} [config.size] - how many hostnames to cache
+   * @param {(hostname: string) => Promise<number | undefined>} [config.recordTTL] - returns the TTL of the DNSLink record in ms
+   */
+  constructor ({ ipfs, maxTTL = DEFAULT_MAX_TTL, size = DEFAULT_CACHE_SIZE, recordTTL = dnslinkRecordTTL }) {
+    this.ipfs = ipfs
+    this.maxTTL = maxTTL
+    this.recordTTL = recordTTL
+    this.lru = hashlru(size)
+  }
+
+  /**
+   * Returns the content path the DNSLink record of the hostname points to, or
+   * undefined if it has none
+   *
+   * @param {string} hostname
+   * @returns {Promise<string | undefined>}
+   */
+  async resolve (hostname) {
+    if (!hostname.includes('.') || isIP(hostname) || hostname.startsWith('[')) {
+      return
+    }
+
+    const cached = this.lru.get(hostname)
+
+    if (cached && cached.expires > Date.now()) {
+      return cached.path
+    }
+
+    /** @type {string | undefined} */
+    let path
+    // read in parallel with the lookup, it never rejects
+    const recordTTL = this.recordTTL(hostname)
+
+    try {
+      path = await this.ipfs.dns(hostname, { recursive: true })
+      log('%s is a DNSLink to %s', hostname, path)
+    } catch (/** @type {any} */ err) {
+      if (!NOT_FOUND_CODES.includes(err.code)) {
+        // don't cache transient failures
+        log.error('could not resolve DNSLink for %s', hostname, err)
+        return
+      }
+    }
+
+    // hostnames without a record, or with a TTL that could not be read, are
+    // cached for the maximum time
+    const ttl = path == null ? this.maxTTL : Math.min((await recordTTL) ?? this.maxTTL, this.maxTTL)
+
+    this.lru.set(hostname, {
+      path,
+      expires: Date.now() + ttl
+    })
+
+    return path
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Parses and evaluates Netlify-compatible `_redirects` files
+ *
+ * @see https://specs.ipfs.tech/http-gateways/web-redirects-file/
+ *
+ * @typedef {object} RedirectRule
+ * @property {string} from
+ * @property {string} to
+ * @property {200|301|302|404} status
+ * @property {RegExp} pattern - matches `from`
+ * @property {string[]} params - the placeholder names captured by `pattern`
+ *
+ * @typedef {object} Redirect
+ * @property {string} to - the destination with placeholders substituted
+ * @property {200|301|302|404} status
+ */
+
+// larger files are rejected rather than parsed
+export const MAX_REDIRECTS_FILE_SIZE = 64 * 1024
+
+const STATUS_CODES = [200, 301, 302, 404]
+const DEFAULT_STATUS = 301
+
+/**
+ * @param {string} str
+ */
+function escapeRegExp (str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Turns the `from` path of a rule into a regular expression, `:name`
+ * segments capture a single path segment and a trailing `*` captures the
+ * rest of the path as `:splat`
+ *
+ * @param {string} from
+ */
+function compile (from) {
+  /** @type {string[]} */
+  const params = []
+  const segments = from.split('/')
+
+  const source = segments.map((segment, index) => {
+    if (segment === '*' && index === segments.length - 1) {
+      params.push('splat')
+      return '(.*)'
+    }
+
+    if (segment.startsWith(':') && segment.length > 1) {
+      params.push(segment.substring(1))
+      return '([^/]+)'
+    }
+
+    return escapeRegExp(segment)
+  }).join('/')
+
+  // `/foo` and `/foo/` are the same page
+  const pattern = new RegExp(`^${source}${source.endsWith('/') || source.endsWith('(.*)') ? '' : '/?'}$`)
+
+  return { pattern, params }
+}
+
+/**
+ * Parses the contents of a `_redirects` file, throwing if any rule is
+ * malformed so broken sites fail loudly instead of serving the wrong content
+ *
+ * @param {string} text
+ * @returns {RedirectRule[]}
+ */
+export function parseRedirects (text) {
+  /** @type {RedirectRule[]} */
+  const rules = []
+  const lines = text.split(/\r?\n/)
+
+  lines.forEach((line, index) => {
+    const fields = line.trim().split(/\s+/)
+
+    if (fields[0] === '' || fields[0].startsWith('#')) {
+      return
+    }
+
+    if (fields.length < 2) {
+      throw new Error(`_redirects line ${index + 1}: missing redirect destination`)
+    }
+
+    if (fields.length > 3) {
+      throw new Error(`_redirects line ${index + 1}: too many fields, query parameter and country conditions are not supported`)
+    }
+
+    const [from, to, code = `${DEFAULT_STATUS}`] = fields
+
+    if (!from.startsWith('/')) {
+      throw new Error(`_redirects line ${index + 1}: "${from}" must be an absolute path`)
+    }
+
+    // a trailing `!` forces the rule to apply even when the path exists,
+    // rules are only evaluated for missing paths so it makes no difference
+    const status = Number(code.endsWith('!') ? code.slice(0, -1) : code)
+
+    if (!STATUS_CODES.includes(status)) {
+      throw new Error(`_redirects line ${index + 1}: unsupported status code "${code}"`)
+    }
+
+    rules.push({
+      from,
+      to,
+      status: /** @type {200|301|302|404} */ (status),
+      ...compile(from)
+    })
+  })
+
+  return rules
+}
+
+/**
+ * Returns the first rule matching the passed path, if any
+ *
+ * @param {RedirectRule[]} rules
+ * @param {string} path - the path relative to the root of the site
+ * @returns {Redirect|undefined}
+ */
+export function matchRedirect (rules, path) {
+  for (const rule of rules) {
+    const match = rule.pattern.exec(path)
+
+    if (match) {
+      /** @type {Record<string, string>} */
+      const values = {}
+      rule.params.forEach((name, index) => {
+        values[name] = match[index + 1]
+      })
+
+      return {
+        to: rule.to.replace(/:(\w+)/g, (placeholder, name) => name in values ? values[name] : placeholder),
+        status: rule.status
+      }
+    }
+  }
+}
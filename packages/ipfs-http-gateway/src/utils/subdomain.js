@@ -0,0 +1,162 @@
+import { CID } from 'multiformats/cid'
+import { base32 } from 'multiformats/bases/base32'
+import { base36 } from 'multiformats/bases/base36'
+import { base58btc } from 'multiformats/bases/base58'
+import { peerIdFromString } from '@libp2p/peer-id'
+
+/**
+ * @typedef {import('ipfs-core-types/src/config').PublicGatewaySpec} PublicGatewaySpec
+ *
+ * @typedef {object} GatewayHost
+ * @property {string} hostname - the configured public gateway hostname
+ * @property {PublicGatewaySpec} spec
+ *
+ * @typedef {object} SubdomainHost
+ * @property {string} hostname - the configured public gateway hostname
+ * @property {PublicGatewaySpec} spec
+ * @property {'ipfs'|'ipns'} namespace
+ * @property {string} root - the content root encoded in the leftmost label
+ */
+
+// the maximum length of a single DNS label
+const MAX_LABEL_LENGTH = 63
+
+const DEFAULT_PATHS = ['/ipfs', '/ipns']
+
+// CIDs may arrive in any of these encodings
+const CID_DECODER = base32.decoder.or(base36.decoder).or(base58btc.decoder)
+
+/**
+ * @param {PublicGatewaySpec} spec
+ * @param {string} namespace
+ */
+export function hasPath (spec, namespace) {
+  return (spec.Paths || DEFAULT_PATHS).includes(`/${namespace}`)
+}
+
+/**
+ * Returns the configured public gateway the hostname belongs to, if any
+ *
+ * @param {Record<string, PublicGatewaySpec | null>} publicGateways
+ * @param {string} hostname
+ * @returns {GatewayHost|undefined}
+ */
+export function findGateway (publicGateways, hostname) {
+  const spec = publicGateways[hostname]
+
+  if (spec) {
+    return { hostname, spec }
+  }
+}
+
+/**
+ * Parses a hostname of the form `<root>.<ipfs|ipns>.<public gateway>`
+ *
+ * @param {Record<string, PublicGatewaySpec | null>} publicGateways
+ * @param {string} hostname
+ * @returns {SubdomainHost|undefined}
+ */
+export function parseSubdomain (publicGateways, hostname) {
+  for (const namespace of /** @type {const} */ (['ipfs', 'ipns'])) {
+    const marker = `.${namespace}.`
+    const index = hostname.indexOf(marker)
+    const gateway = index > 0 ? findGateway(publicGateways, hostname.substring(index + marker.length)) : undefined
+
+    if (gateway && gateway.spec.UseSubdomains && hasPath(gateway.spec, namespace)) {
+      return {
+        ...gateway,
+        namespace,
+        root: hostname.substring(0, index)
+      }
+    }
+  }
+}
+
+/**
+ * Encodes a DNSLink FQDN as a single DNS label, e.g. `en.wikipedia-on-ipfs.org`
+ * becomes `en-wikipedia--on--ipfs-org`
+ *
+ * @param {string} fqdn
+ */
+export function toDNSLinkLabel (fqdn) {
+  return fqdn.replace(/-/g, '--').replace(/\./g, '-')
+}
+
+/**
+ * Reverses `toDNSLinkLabel`
+ *
+ * @param {string} label
+ */
+export function fromDNSLinkLabel (label) {
+  return label
+    .split('--')
+    .map(part => part.replace(/-/g, '.'))
+    .join('-')
+}
+
+/**
+ * Returns the content root as it should appear in the leftmost subdomain
+ * label, or throws if it cannot be represented as a single DNS label
+ *
+ * @param {'ipfs'|'ipns'} namespace
+ * @param {string} root
+ * @param {object} options
+ * @param {boolean} options.inlineDNSLink
+ */
+export function toSubdomainLabel (namespace, root, { inlineDNSLink }) {
+  if (namespace === 'ipfs') {
+    const label = CID.parse(root, CID_DECODER).toV1().toString(base32)
+
+    if (label.length > MAX_LABEL_LENGTH) {
+      throw new Error(`CID incompatible with DNS label length limit of ${MAX_LABEL_LENGTH}: ${label}`)
+    }
+
+    return label
+  }
+
+  if (root.includes('.')) {
+    // a DNSLink name
+    return inlineDNSLink ? toDNSLinkLabel(root) : root
+  }
+
+  let cid
+  try {
+    cid = peerIdFromString(root).toCID()
+  } catch {
+    cid = CID.parse(root, CID_DECODER).toV1()
+  }
+
+  const label = cid.toString(base32)
+
+  if (label.length <= MAX_LABEL_LENGTH) {
+    return label
+  }
+
+  // libp2p keys inlining public keys are too long for base32
+  const shorter = cid.toString(base36)
+
+  if (shorter.length > MAX_LABEL_LENGTH) {
+    throw new Error(`key incompatible with DNS label length limit of ${MAX_LABEL_LENGTH}: ${shorter}`)
+  }
+
+  return shorter
+}
+
+/**
+ * Turns the leftmost subdomain label back into a content root
+ *
+ * @param {'ipfs'|'ipns'} namespace
+ * @param {string} label
+ */
+export function fromSubdomainLabel (namespace, label) {
+  if (namespace === 'ipns' && !label.includes('.')) {
+    try {
+      CID.parse(label, CID_DECODER)
+    } catch {
+      // not a key so must be an inlined DNSLink name
+      return fromDNSLinkLabel(label)
+    }
+  }
+
+  return label
+}
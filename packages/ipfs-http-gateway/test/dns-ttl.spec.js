@@ -0,0 +1,67 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import dgram from 'dgram'
+import dnsPacket from 'dns-packet'
+import { dnslinkRecordTTL, parseServer } from '../src/utils/dns-ttl.js'
+
+describe('dns-ttl', () => {
+  /** @type {dgram.Socket} */
+  let server
+  /** @type {string} */
+  let address
+  /** @type {Record<string, import('dns-packet').Answer[]>} */
+  let records
+
+  beforeEach(async () => {
+    records = {}
+    server = dgram.createSocket('udp4')
+    server.on('message', (message, remote) => {
+      const query = dnsPacket.decode(message)
+      const name = query.questions?.[0].name ?? ''
+
+      server.send(dnsPacket.encode({
+        type: 'response',
+        id: query.id,
+        questions: query.questions,
+        answers: records[name] ?? []
+      }), remote.port, remote.address)
+    })
+
+    await new Promise(resolve => server.bind(0, '127.0.0.1', () => resolve(undefined)))
+    address = `127.0.0.1:${server.address().port}`
+  })
+
+  afterEach(() => {
+    server.close()
+  })
+
+  it('parses DNS servers', () => {
+    expect(parseServer('1.2.3.4')).to.deep.equal({ address: '1.2.3.4', port: 53 })
+    expect(parseServer('1.2.3.4:1053')).to.deep.equal({ address: '1.2.3.4', port: 1053 })
+    expect(parseServer('2001:db8::1')).to.deep.equal({ address: '2001:db8::1', port: 53 })
+    expect(parseServer('[2001:db8::1]:1053')).to.deep.equal({ address: '2001:db8::1', port: 1053 })
+  })
+
+  it('returns the shortest TTL of the DNSLink records of a hostname', async () => {
+    records['example.com'] = [
+      { type: 'TXT', name: 'example.com', ttl: 3600, data: 'v=spf1 -all' },
+      { type: 'TXT', name: 'example.com', ttl: 300, data: 'dnslink=/ipfs/QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o' },
+      { type: 'TXT', name: 'example.com', ttl: 600, data: 'dnslink=/ipns/example.org' }
+    ]
+
+    expect(await dnslinkRecordTTL('example.com', { server: address })).to.equal(300 * 1000)
+  })
+
+  it('reads the TTL of _dnslink subdomains', async () => {
+    records['_dnslink.example.com'] = [
+      { type: 'TXT', name: '_dnslink.example.com', ttl: 120, data: 'dnslink=/ipfs/QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o' }
+    ]
+
+    expect(await dnslinkRecordTTL('example.com', { server: address })).to.equal(120 * 1000)
+  })
+
+  it('returns undefined for hostnames without DNSLink records', async () => {
+    expect(await dnslinkRecordTTL('example.com', { server: address })).to.be.undefined()
+  })
+})
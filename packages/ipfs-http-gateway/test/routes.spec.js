@@ -6,7 +6,10 @@ import { fromString as uint8ArrayFromString } from 'uint8arrays/from-string'
 import { fileTypeFromBuffer } from 'file-type'
 import { CID } from 'multiformats/cid'
 import { base32 } from 'multiformats/bases/base32'
-import { http } from './utils/http.js'
+import { base36 } from 'multiformats/bases/base36'
+import { sha256 } from 'multiformats/hashes/sha2'
+import * as raw from 'multiformats/codecs/raw'
+import { http, createServer } from './utils/http.js'
 import sinon from 'sinon'
 import fs from 'fs'
 
@@ -24,8 +27,16 @@ describe('HTTP Gateway', function () {
         stat: sinon.stub()
       },
       cat: sinon.stub(),
-      dag: {
+      dns: sinon.stub().rejects(Object.assign(new Error('No dnslink records found'), {
+        code: 'ERR_DNSLINK_NOT_FOUND'
+      })),
+      resolve: sinon.stub(),
+      block: {
         get: sinon.stub()
+      },
+      dag: {
+        get: sinon.stub(),
+        export: sinon.stub()
       }
     }
   })
@@ -101,7 +112,7 @@ describe('HTTP Gateway', function () {
     expect(res.headers['last-modified']).to.equal('Thu, 01 Jan 1970 00:00:01 GMT')
     expect(res.headers.etag).to.equal('"QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o"')
     expect(res.headers['x-ipfs-path']).to.equal('/ipfs/QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o')
-    expect(res.headers.suborigin).to.equal('ipfs000bafybeicg2rebjoofv4kbyovkw7af3rpiitvnl6i7ckcywaq6xjcxnc2mby')
+    expect(res.headers.suborigin).to.equal(undefined)
   })
 
   it('returns CORS headers', async () => {
@@ -506,7 +517,7 @@ describe('HTTP Gateway', function () {
     expect(res.headers['cache-control']).to.equal('public, max-age=29030400, immutable')
     expect(res.headers['last-modified']).to.equal('Thu, 01 Jan 1970 00:00:01 GMT')
     expect(res.headers.etag).to.equal(`"${fileCid}"`)
-    expect(res.headers.suborigin).to.equal(`ipfs000${dirCid.toV1().toString(base32)}`)
+    expect(res.headers.suborigin).to.equal(undefined)
 
     const fileSignature = await fileTypeFromBuffer(res.rawPayload)
     expect(fileSignature.mime).to.equal('image/jpeg')
@@ -597,7 +608,7 @@ describe('HTTP Gateway', function () {
     expect(res.headers['last-modified']).to.equal('Thu, 01 Jan 1970 00:00:01 GMT')
     expect(res.headers['content-length']).to.equal(res.rawPayload.length)
     expect(res.headers.etag).to.equal(undefined)
-    expect(res.headers.suborigin).to.equal(`ipfs000${dirCid.toV1().toString(base32)}`)
+    expect(res.headers.suborigin).to.equal(undefined)
 
     // check if the cat picture is in the payload as a way to check
     // if this is an index of this directory
@@ -635,7 +646,7 @@ describe('HTTP Gateway', function () {
     expect(res.headers['last-modified']).to.equal('Thu, 01 Jan 1970 00:00:01 GMT')
     expect(res.headers['content-length']).to.equal(res.rawPayload.length.toString())
     expect(res.headers.etag).to.equal(`"${fileCid}"`)
-    expect(res.headers.suborigin).to.equal(`ipfs000${dirCid.toV1().toString(base32)}`)
+    expect(res.headers.suborigin).to.equal(undefined)
     expect(res.rawPayload).to.deep.equal(content)
   })
 
@@ -669,7 +680,7 @@ describe('HTTP Gateway', function () {
     expect(res.headers['last-modified']).to.equal('Thu, 01 Jan 1970 00:00:01 GMT')
     expect(res.headers['content-length']).to.equal(res.rawPayload.length.toString())
     expect(res.headers.etag).to.equal(`"${fileCid}"`)
-    expect(res.headers.suborigin).to.equal(`ipfs000${dirCid.toV1().toString(base32)}`)
+    expect(res.headers.suborigin).to.equal(undefined)
     expect(res.rawPayload).to.deep.equal(content)
   })
 
@@ -761,7 +772,7 @@ describe('HTTP Gateway', function () {
     expect(res.headers['last-modified']).to.equal('Thu, 01 Jan 1970 00:00:01 GMT')
     expect(res.headers['content-length']).to.equal(res.rawPayload.length.toString())
     expect(res.headers.etag).to.equal(`"${fileCid}"`)
-    expect(res.headers.suborigin).to.equal(`ipfs000${dirCid.toV1().toString(base32)}`)
+    expect(res.headers.suborigin).to.equal(undefined)
     expect(res.rawPayload).to.deep.equal(content)
   })
 
@@ -798,7 +809,7 @@ describe('HTTP Gateway', function () {
     expect(res.headers['last-modified']).to.equal('Thu, 01 Jan 1970 00:00:01 GMT')
     expect(res.headers['content-length']).to.equal(res.rawPayload.length.toString())
     expect(res.headers.etag).to.equal(`"${fileCid}"`)
-    expect(res.headers.suborigin).to.equal(`ipfs000${dirCid.toV1().toString(base32)}`)
+    expect(res.headers.suborigin).to.equal(undefined)
   })
 
   it('load a file from IPNS', async () => {
@@ -835,7 +846,7 @@ describe('HTTP Gateway', function () {
     expect(res.headers['cache-control']).to.equal('no-cache') // TODO: should be record TTL
     expect(res.headers['last-modified']).to.equal(undefined)
     expect(res.headers.etag).to.equal(`"${fileCid}"`)
-    expect(res.headers.suborigin).to.equal(`ipns000${CID.parse(id).toV1().toString()}`)
+    expect(res.headers.suborigin).to.equal(undefined)
 
     const fileSignature = await fileTypeFromBuffer(res.rawPayload)
     expect(fileSignature.mime).to.equal('image/jpeg')
@@ -875,11 +886,673 @@ describe('HTTP Gateway', function () {
     expect(res.headers['last-modified']).to.equal(undefined)
     expect(res.headers['content-length']).to.equal(res.rawPayload.length)
     expect(res.headers.etag).to.equal(undefined)
-    expect(res.headers.suborigin).to.equal(`ipns000${CID.parse(id).toV1().toString()}`)
+    expect(res.headers.suborigin).to.equal(undefined)
 
     // check if the cat picture is in the payload as a way to check
     // if this is an index of this directory
     const listedFile = res.payload.match(/\/cat\.jpg/g)
     expect(listedFile).to.have.lengthOf(1)
   })
+
+  it('returns a raw block for ?format=raw', async () => {
+    const cid = CID.parse('QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o')
+    const block = uint8ArrayFromString('raw block bytes')
+    ipfs.resolve.withArgs(`/ipfs/${cid}`).resolves(`/ipfs/${cid}`)
+    ipfs.block.get.withArgs(cid).resolves(block)
+
+    const res = await http({
+      method: 'GET',
+      url: `/ipfs/${cid}?format=raw`
+    }, { ipfs })
+
+    expect(res).to.have.property('statusCode', 200)
+    expect(res.rawPayload).to.eql(uint8ArrayFromString('raw block bytes'))
+    expect(res.headers['content-type']).to.equal('application/vnd.ipld.raw')
+    expect(res.headers['content-length']).to.equal(`${block.byteLength}`)
+    expect(res.headers['content-disposition']).to.equal(`attachment; filename="${cid}.bin"`)
+    expect(res.headers['x-content-type-options']).to.equal('nosniff')
+    expect(res.headers.etag).to.equal(`"${cid}.raw"`)
+    expect(res.headers['cache-control']).to.equal('public, max-age=29030400, immutable')
+    expect(ipfs.cat.called).to.be.false()
+  })
+
+  it('returns a raw block when requested via the Accept header', async () => {
+    const cid = CID.parse('QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o')
+    const childCid = CID.parse('QmdFyxZXsFiP4csgfM5uPu99AvFiKH62CSPDw5TP92nr7w')
+    ipfs.resolve.withArgs(`/ipfs/${cid}/file.txt`).resolves(`/ipfs/${childCid}`)
+    ipfs.block.get.withArgs(childCid).resolves(uint8ArrayFromString('child'))
+
+    const res = await http({
+      method: 'GET',
+      url: `/ipfs/${cid}/file.txt`,
+      headers: {
+        accept: 'application/vnd.ipld.raw, */*;q=0.1'
+      }
+    }, { ipfs })
+
+    expect(res).to.have.property('statusCode', 200)
+    expect(res.payload).to.equal('child')
+    expect(res.headers['content-type']).to.equal('application/vnd.ipld.raw')
+    expect(res.headers.etag).to.equal(`"${childCid}.raw"`)
+    expect(res.headers.vary).to.include('Accept')
+  })
+
+  it('returns a CAR file for ?format=car', async () => {
+    const cid = CID.parse('QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o')
+    ipfs.resolve.withArgs(`/ipfs/${cid}`).resolves(`/ipfs/${cid}`)
+    ipfs.dag.export.withArgs(cid).returns([
+      uint8ArrayFromString('car header'),
+      uint8ArrayFromString('car blocks')
+    ])
+
+    const res = await http({
+      method: 'GET',
+      url: `/ipfs/${cid}?format=car`
+    }, { ipfs })
+
+    expect(res).to.have.property('statusCode', 200)
+    expect(res.payload).to.equal('car headercar blocks')
+    expect(res.headers['content-type']).to.equal('application/vnd.ipld.car; version=1')
+    expect(res.headers['content-disposition']).to.equal(`attachment; filename="${cid}.car"`)
+    expect(res.headers.etag).to.equal(`"${cid}.car"`)
+    expect(res.headers['cache-control']).to.equal('public, max-age=29030400, immutable')
+  })
+
+  it('returns 304 Not Modified for a cached CAR file', async () => {
+    const cid = CID.parse('QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o')
+    ipfs.resolve.withArgs(`/ipfs/${cid}`).resolves(`/ipfs/${cid}`)
+
+    const res = await http({
+      method: 'GET',
+      url: `/ipfs/${cid}`,
+      headers: {
+        accept: 'application/vnd.ipld.car',
+        'If-None-Match': `"${cid}.car"`
+      }
+    }, { ipfs })
+
+    expect(res).to.have.property('statusCode', 304)
+    expect(ipfs.dag.export.called).to.be.false()
+  })
+
+  it('returns 400 for an unsupported ?format', async () => {
+    const cid = CID.parse('QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o')
+
+    const res = await http({
+      method: 'GET',
+      url: `/ipfs/${cid}?format=tar`
+    }, { ipfs })
+
+    expect(res).to.have.property('statusCode', 400)
+  })
+
+  describe('subdomains', () => {
+    const publicGateways = {
+      'localhost': {
+        UseSubdomains: true
+      },
+      'example.com': {
+        Paths: ['/ipfs'],
+        UseSubdomains: false
+      }
+    }
+
+    it('redirects /ipfs/ path requests to a subdomain', async () => {
+      const cid = CID.parse('QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o')
+
+      const res = await http({
+        method: 'GET',
+        url: `/ipfs/${cid}/file.txt?filename=foo.txt`,
+        headers: { host: 'localhost:8080' }
+      }, { ipfs, publicGateways })
+
+      expect(res).to.have.property('statusCode', 301)
+      expect(res.headers.location).to.equal(`http://${cid.toV1().toString(base32)}.ipfs.localhost:8080/file.txt?filename=foo.txt`)
+    })
+
+    it('redirects /ipns/ path requests with DNSLink names to an inlined subdomain over https', async () => {
+      const res = await http({
+        method: 'GET',
+        url: '/ipns/en.wikipedia-on-ipfs.org/wiki/',
+        headers: {
+          host: 'localhost',
+          'x-forwarded-proto': 'https'
+        }
+      }, { ipfs, publicGateways })
+
+      expect(res).to.have.property('statusCode', 301)
+      expect(res.headers.location).to.equal('https://en-wikipedia--on--ipfs-org.ipns.localhost/wiki/')
+    })
+
+    it('does not redirect path requests for hosts without subdomains', async () => {
+      const cid = CID.parse('QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o')
+      const content = uint8ArrayFromString('hello world\n')
+      ipfs.files.stat.withArgs(`/ipfs/${cid}`).resolves({
+        cid,
+        type: 'file',
+        size: content.length
+      })
+      ipfs.cat.withArgs(cid).returns([
+        content
+      ])
+
+      const res = await http({
+        method: 'GET',
+        url: `/ipfs/${cid}`,
+        headers: { host: 'example.com' }
+      }, { ipfs, publicGateways })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res.payload).to.equal('hello world\n')
+    })
+
+    it('serves content from an /ipfs/ subdomain', async () => {
+      const cid = CID.parse('QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o').toV1()
+      const content = uint8ArrayFromString('hello world\n')
+      ipfs.files.stat.withArgs(`/ipfs/${cid}/`).resolves({
+        cid,
+        type: 'file',
+        size: content.length
+      })
+      ipfs.files.stat.withArgs(`/ipfs/${cid}`).resolves({
+        cid,
+        type: 'file',
+        size: content.length
+      })
+      ipfs.cat.withArgs(cid).returns([
+        content
+      ])
+
+      const res = await http({
+        method: 'GET',
+        url: '/',
+        headers: { host: `${cid}.ipfs.localhost:8080` }
+      }, { ipfs, publicGateways })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res.payload).to.equal('hello world\n')
+      expect(res.headers['x-ipfs-path']).to.equal(`/ipfs/${cid}/`)
+      expect(res.headers['cache-control']).to.equal('public, max-age=29030400, immutable')
+    })
+
+    it('redirects subdomains to the canonical CID encoding', async () => {
+      const cid = CID.parse('QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o').toV1()
+
+      const res = await http({
+        method: 'GET',
+        url: '/index.html',
+        headers: { host: `${cid.toString(base36)}.ipfs.localhost` }
+      }, { ipfs, publicGateways })
+
+      expect(res).to.have.property('statusCode', 301)
+      expect(res.headers.location).to.equal(`http://${cid}.ipfs.localhost/index.html`)
+    })
+
+    it('resolves inlined DNSLink names from an /ipns/ subdomain', async () => {
+      const cid = CID.parse('QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o')
+      const content = uint8ArrayFromString('hello world\n')
+      ipfs.name.resolve.withArgs('/ipns/en.wikipedia-on-ipfs.org/file.txt').returns([`/ipfs/${cid}/file.txt`])
+      ipfs.files.stat.withArgs(`/ipfs/${cid}/file.txt`).resolves({
+        cid,
+        type: 'file',
+        size: content.length
+      })
+      ipfs.files.stat.withArgs(`/ipfs/${cid}`).resolves({
+        cid,
+        type: 'file',
+        size: content.length
+      })
+      ipfs.cat.withArgs(cid).returns([
+        content
+      ])
+
+      const res = await http({
+        method: 'GET',
+        url: '/file.txt',
+        headers: { host: 'en-wikipedia--on--ipfs-org.ipns.localhost' }
+      }, { ipfs, publicGateways })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res.payload).to.equal('hello world\n')
+      expect(res.headers['x-ipfs-path']).to.equal('/ipns/en.wikipedia-on-ipfs.org/file.txt')
+    })
+
+    it('redirects directories relative to the subdomain', async () => {
+      const cid = CID.parse('QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o').toV1()
+      ipfs.files.stat.withArgs(`/ipfs/${cid}/dir`).resolves({
+        cid,
+        type: 'directory'
+      })
+      ipfs.files.stat.withArgs(`/ipfs/${cid}/dir/index.html`).rejects(new Error('does not exist'))
+      ipfs.files.stat.withArgs(`/ipfs/${cid}/dir/index.htm`).rejects(new Error('does not exist'))
+      ipfs.files.stat.withArgs(`/ipfs/${cid}/dir/index.shtml`).rejects(new Error('does not exist'))
+      ipfs.dag.get.withArgs(cid).returns({
+        value: {
+          Links: []
+        }
+      })
+
+      const res = await http({
+        method: 'GET',
+        url: '/dir',
+        headers: { host: `${cid}.ipfs.localhost` }
+      }, { ipfs, publicGateways })
+
+      expect(res).to.have.property('statusCode', 301)
+      expect(res.headers.location).to.equal('/dir/')
+    })
+  })
+
+  describe('dnslink', () => {
+    const cid = CID.parse('QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o')
+    const content = uint8ArrayFromString('<html></html>')
+
+    beforeEach(() => {
+      ipfs.dns.withArgs('example.com').resolves(`/ipfs/${cid}`)
+      ipfs.files.stat.withArgs(`/ipfs/${cid}/index.html`).resolves({
+        cid,
+        type: 'file',
+        size: content.length
+      })
+      ipfs.files.stat.withArgs(`/ipfs/${cid}`).resolves({
+        cid,
+        type: 'file',
+        size: content.length
+      })
+      ipfs.cat.withArgs(cid).returns([
+        content
+      ])
+    })
+
+    it('serves a website by the DNSLink record of the Host header', async () => {
+      const res = await http({
+        method: 'GET',
+        url: '/index.html',
+        headers: { host: 'example.com' }
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res.payload).to.equal('<html></html>')
+      expect(res.headers['x-ipfs-path']).to.equal('/ipns/example.com/index.html')
+      expect(res.headers['cache-control']).to.equal('no-cache')
+
+      // the path the DNSLink record points to is served from the cache
+      expect(ipfs.name.resolve.called).to.be.false()
+    })
+
+    it('resolves DNSLink names in /ipns/ paths', async () => {
+      const res = await http({
+        method: 'GET',
+        url: '/ipns/example.com/index.html'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res.payload).to.equal('<html></html>')
+      expect(ipfs.name.resolve.called).to.be.false()
+    })
+
+    it('resolves IPNS names that DNSLink records point to', async () => {
+      ipfs.dns.withArgs('example.com').resolves('/ipns/k51qzi5uqu5dlvj2baxnqndepeb86cbk3ng7n3i46uzyxzyqj2xjonzllnv0v8')
+      ipfs.name.resolve.withArgs('/ipns/k51qzi5uqu5dlvj2baxnqndepeb86cbk3ng7n3i46uzyxzyqj2xjonzllnv0v8/index.html').returns([`/ipfs/${cid}/index.html`])
+
+      const res = await http({
+        method: 'GET',
+        url: '/index.html',
+        headers: { host: 'example.com' }
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res.payload).to.equal('<html></html>')
+    })
+
+    it('serves paths as usual for hosts without a DNSLink record', async () => {
+      const res = await http({
+        method: 'GET',
+        url: `/ipfs/${cid}`,
+        headers: { host: 'no-dnslink.com' }
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res.headers['x-ipfs-path']).to.equal(`/ipfs/${cid}`)
+    })
+
+    it('caches DNSLink lookups', async () => {
+      const server = await createServer({ ipfs })
+
+      for (let i = 0; i < 2; i++) {
+        const res = await server.inject({
+          method: 'GET',
+          url: '/index.html',
+          headers: { host: 'example.com' }
+        })
+
+        expect(res).to.have.property('statusCode', 200)
+      }
+
+      for (let i = 0; i < 2; i++) {
+        const res = await server.inject({
+          method: 'GET',
+          url: `/ipfs/${cid}`,
+          headers: { host: 'no-dnslink.com' }
+        })
+
+        expect(res).to.have.property('statusCode', 200)
+      }
+
+      expect(ipfs.dns.callCount).to.equal(2)
+    })
+
+    it('caches DNSLink lookups for the configured time', async () => {
+      const clock = sinon.useFakeTimers({ toFake: ['Date'] })
+
+      try {
+        const server = await createServer({ ipfs, dnslinkCacheTTL: 1000 })
+        const request = {
+          method: 'GET',
+          url: '/index.html',
+          headers: { host: 'example.com' }
+        }
+
+        await server.inject(request)
+        clock.tick(999)
+        await server.inject(request)
+
+        expect(ipfs.dns.callCount).to.equal(1)
+
+        clock.tick(1)
+        await server.inject(request)
+
+        expect(ipfs.dns.callCount).to.equal(2)
+      } finally {
+        clock.restore()
+      }
+    })
+
+    it('caches DNSLink lookups for the TTL of the record', async () => {
+      const clock = sinon.useFakeTimers({ toFake: ['Date'] })
+
+      try {
+        const server = await createServer({ ipfs, dnslinkCacheTTL: 1000, dnslinkRecordTTL: async () => 500 })
+        const request = {
+          method: 'GET',
+          url: '/index.html',
+          headers: { host: 'example.com' }
+        }
+
+        await server.inject(request)
+        clock.tick(499)
+        await server.inject(request)
+
+        expect(ipfs.dns.callCount).to.equal(1)
+
+        clock.tick(1)
+        await server.inject(request)
+
+        expect(ipfs.dns.callCount).to.equal(2)
+      } finally {
+        clock.restore()
+      }
+    })
+
+    it('caches DNSLink lookups for the configured time at most', async () => {
+      const clock = sinon.useFakeTimers({ toFake: ['Date'] })
+
+      try {
+        const server = await createServer({ ipfs, dnslinkCacheTTL: 1000, dnslinkRecordTTL: async () => 3600 * 1000 })
+        const request = {
+          method: 'GET',
+          url: '/index.html',
+          headers: { host: 'example.com' }
+        }
+
+        await server.inject(request)
+        clock.tick(1000)
+        await server.inject(request)
+
+        expect(ipfs.dns.callCount).to.equal(2)
+      } finally {
+        clock.restore()
+      }
+    })
+
+    it('does not look up DNSLink records when disabled', async () => {
+      const res = await http({
+        method: 'GET',
+        url: '/index.html',
+        headers: { host: 'example.com' }
+      }, { ipfs, noDNSLink: true })
+
+      expect(res).to.have.property('statusCode', 404)
+      expect(ipfs.dns.called).to.be.false()
+    })
+
+    it('does not look up DNSLink records for public gateways with NoDNSLink', async () => {
+      const res = await http({
+        method: 'GET',
+        url: `/ipfs/${cid}`,
+        headers: { host: 'example.com' }
+      }, {
+        ipfs,
+        publicGateways: {
+          'example.com': {
+            NoDNSLink: true
+          }
+        }
+      })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res.headers['x-ipfs-path']).to.equal(`/ipfs/${cid}`)
+      expect(ipfs.dns.called).to.be.false()
+    })
+  })
+
+  describe('_redirects', () => {
+    const root = CID.parse('QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o')
+
+    /** @type {Record<string, { cid: CID, content: Uint8Array }>} */
+    let files
+
+    /**
+     * @param {Record<string, string>} contents - file contents keyed by path relative to the site root
+     */
+    async function createSite (contents) {
+      for (const [name, text] of Object.entries(contents)) {
+        const content = uint8ArrayFromString(text)
+
+        files[`/ipfs/${root}/${name}`] = {
+          cid: CID.createV1(raw.code, await sha256.digest(content)),
+          content
+        }
+      }
+    }
+
+    /**
+     * @param {string|CID} pathOrCid
+     */
+    function findFile (pathOrCid) {
+      const path = CID.asCID(pathOrCid) ? `/ipfs/${pathOrCid}` : pathOrCid
+
+      return files[path] || Object.values(files).find(file => path === `/ipfs/${file.cid}`)
+    }
+
+    beforeEach(() => {
+      files = {}
+
+      ipfs.dns.withArgs('example.com').resolves(`/ipfs/${root}`)
+      ipfs.name.resolve.callsFake(path => [path.replace('/ipns/example.com', `/ipfs/${root}`)])
+      ipfs.files.stat.callsFake(async path => {
+        const file = findFile(path)
+
+        if (!file) {
+          throw new Error(`no link named "${path.split('/').pop()}" under ${root}`)
+        }
+
+        return { cid: file.cid, type: 'file', size: file.content.length }
+      })
+      ipfs.cat.callsFake(async function * (pathOrCid) {
+        const file = findFile(pathOrCid)
+
+        if (!file) {
+          throw Object.assign(new Error('file does not exist'), { code: 'ERR_NOT_FOUND' })
+        }
+
+        yield file.content
+      })
+    })
+
+    it('rewrites missing paths to another file', async () => {
+      await createSite({
+        _redirects: '# single page app\n/app/* /index.html 200\n',
+        'index.html': '<html></html>'
+      })
+
+      const res = await http({
+        method: 'GET',
+        url: '/app/settings',
+        headers: { host: 'example.com' }
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res.payload).to.equal('<html></html>')
+    })
+
+    it('redirects missing paths with placeholders', async () => {
+      await createSite({
+        _redirects: '/blog/:year/:slug /posts/:year-:slug'
+      })
+
+      const res = await http({
+        method: 'GET',
+        url: '/blog/2022/hello',
+        headers: { host: 'example.com' }
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 301)
+      expect(res.headers.location).to.equal('/posts/2022-hello')
+    })
+
+    it('redirects missing paths with splats', async () => {
+      await createSite({
+        _redirects: '/old/* https://example.net/:splat 302'
+      })
+
+      const res = await http({
+        method: 'GET',
+        url: '/old/some/page',
+        headers: { host: 'example.com' }
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 302)
+      expect(res.headers.location).to.equal('https://example.net/some/page')
+    })
+
+    it('uses the first matching rule', async () => {
+      await createSite({
+        _redirects: '/docs/old /docs/new 302\n/docs/* /index.html 200'
+      })
+
+      const res = await http({
+        method: 'GET',
+        url: '/docs/old/',
+        headers: { host: 'example.com' }
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 302)
+      expect(res.headers.location).to.equal('/docs/new')
+    })
+
+    it('serves not found pages from rules', async () => {
+      await createSite({
+        _redirects: '/shop/* /shop-404.html 404',
+        'shop-404.html': 'no such product'
+      })
+
+      const res = await http({
+        method: 'GET',
+        url: '/shop/widget',
+        headers: { host: 'example.com' }
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 404)
+      expect(res.payload).to.equal('no such product')
+    })
+
+    it('serves a custom 404.html', async () => {
+      await createSite({
+        _redirects: '/app/* /index.html 200',
+        'index.html': '<html></html>',
+        '404.html': 'not found'
+      })
+
+      const res = await http({
+        method: 'GET',
+        url: '/missing',
+        headers: { host: 'example.com' }
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 404)
+      expect(res.payload).to.equal('not found')
+      expect(res.headers['x-ipfs-path']).to.equal(undefined)
+    })
+
+    it('returns 404 for sites without a _redirects file or 404.html', async () => {
+      await createSite({
+        'index.html': '<html></html>'
+      })
+
+      const res = await http({
+        method: 'GET',
+        url: '/missing',
+        headers: { host: 'example.com' }
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 404)
+    })
+
+    it('returns 404 when a rewrite target is missing', async () => {
+      await createSite({
+        _redirects: '/app/* /index.html 200',
+        '404.html': 'not found'
+      })
+
+      const res = await http({
+        method: 'GET',
+        url: '/app/settings',
+        headers: { host: 'example.com' }
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 404)
+      expect(res.payload).to.not.equal('not found')
+    })
+
+    it('returns 500 for an invalid _redirects file', async () => {
+      await createSite({
+        _redirects: '/app/* /index.html 307'
+      })
+
+      const res = await http({
+        method: 'GET',
+        url: '/app/settings',
+        headers: { host: 'example.com' }
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 500)
+    })
+
+    it('ignores _redirects on path gateways', async () => {
+      await createSite({
+        _redirects: '/app/* /index.html 200',
+        'index.html': '<html></html>',
+        '404.html': 'not found'
+      })
+
+      const res = await http({
+        method: 'GET',
+        url: `/ipfs/${root}/app/settings`
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 404)
+      expect(ipfs.cat.called).to.be.false()
+    })
+  })
 })
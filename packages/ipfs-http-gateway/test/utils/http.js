@@ -1,9 +1,18 @@
 
 import { HttpGateway } from '../../src/index.js'
 
-export async function http (request, { ipfs } = {}) {
+export async function createServer ({ ipfs, publicGateways, noDNSLink, dnslinkCacheTTL, dnslinkRecordTTL } = {}) {
   const api = new HttpGateway(ipfs)
-  const server = await api._createGatewayServer('127.0.0.1', 8080, ipfs)
+  const server = await api._createGatewayServer('127.0.0.1', 8080, ipfs, { publicGateways, noDNSLink, dnslinkCacheTTL })
+
+  // don't query real DNS servers for record TTLs
+  server.app.dnslink.recordTTL = dnslinkRecordTTL ?? (async () => undefined)
+
+  return server
+}
+
+export async function http (request, options) {
+  const server = await createServer(options)
 
   return server.inject(request)
 }
@@ -8,12 +8,12 @@ import all from 'it-all'
 import Boom from '@hapi/boom'
 
 /**
- * @typedef {import('ipfs-core-types/src/dht').QueryEvent} QueryEvent
+ * @typedef {import('ipfs-core-types/src/dht').ProvideEvent} ProvideEvent
  * @typedef {import('@libp2p/interface-peer-id').PeerId} PeerId
  */
 
 /**
- * @param {QueryEvent} event
+ * @param {ProvideEvent} event
  */
 function mapQueryEvent (event) {
   let id
@@ -49,6 +49,8 @@ function mapQueryEvent (event) {
       ID: event.peer.id,
       Addrs: event.peer.multiaddrs
     }]
+  } else if (event.name === 'PROVIDED') {
+    extra = event.cid.toString()
   }
 
   return {
@@ -275,12 +277,18 @@ export const provideResource = {
       },
       query: Joi.object().keys({
         cid: Joi.cid().required(),
+        recursive: Joi.boolean().default(false),
+        concurrency: Joi.number().integer().min(1),
         timeout: Joi.timeout()
       })
         .rename('arg', 'cid', {
           override: true,
           ignoreUndefined: true
         })
+        .rename('r', 'recursive', {
+          override: true,
+          ignoreUndefined: true
+        })
     }
   },
 
@@ -300,6 +308,8 @@ export const provideResource = {
       },
       query: {
         cid,
+        recursive,
+        concurrency,
         timeout
       }
     } = request
@@ -316,6 +326,8 @@ export const provideResource = {
     return streamResponse(request, h, () => {
       return (async function * () {
         for await (const event of ipfs.dht.provide(cid, {
+          recursive,
+          concurrency,
           signal: anySignal(signals)
         })) {
           yield mapQueryEvent(event)
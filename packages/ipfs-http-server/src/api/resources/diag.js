@@ -0,0 +1,129 @@
+import Joi from '../../utils/joi.js'
+
+export const cmdsResource = {
+  options: {
+    validate: {
+      options: {
+        allowUnknown: true,
+        stripUnknown: true
+      },
+      query: Joi.object().keys({
+        timeout: Joi.timeout()
+      })
+    }
+  },
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  handler: async (request, h) => {
+    const {
+      app: {
+        signal
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        timeout
+      }
+    } = request
+
+    const cmds = await ipfs.diag.cmds({
+      signal,
+      timeout
+    })
+
+    return h.response(cmds.map(cmd => ({
+      Active: cmd.active,
+      Args: cmd.args,
+      Command: cmd.command,
+      EndTime: cmd.endTime,
+      ID: cmd.id,
+      Options: cmd.options,
+      StartTime: cmd.startTime
+    })))
+  }
+}
+
+export const netResource = {
+  options: {
+    validate: {
+      options: {
+        allowUnknown: true,
+        stripUnknown: true
+      },
+      query: Joi.object().keys({
+        timeout: Joi.timeout()
+      })
+    }
+  },
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  handler: async (request, h) => {
+    const {
+      app: {
+        signal
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        timeout
+      }
+    } = request
+
+    const net = await ipfs.diag.net({
+      signal,
+      timeout
+    })
+
+    return h.response(net)
+  }
+}
+
+export const sysResource = {
+  options: {
+    validate: {
+      options: {
+        allowUnknown: true,
+        stripUnknown: true
+      },
+      query: Joi.object().keys({
+        timeout: Joi.timeout()
+      })
+    }
+  },
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  handler: async (request, h) => {
+    const {
+      app: {
+        signal
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        timeout
+      }
+    } = request
+
+    const sys = await ipfs.diag.sys({
+      signal,
+      timeout
+    })
+
+    return h.response(sys)
+  }
+}
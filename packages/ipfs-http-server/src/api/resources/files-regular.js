@@ -144,6 +144,7 @@ export const addResource = {
           cidBase: Joi.string().default('base58btc'),
           rawLeaves: Joi.boolean(),
           onlyHash: Joi.boolean(),
+          nocopy: Joi.boolean(),
           pin: Joi.boolean(),
           wrapWithDirectory: Joi.boolean(),
           fileImportConcurrency: Joi.number().integer().min(0),
@@ -217,6 +218,7 @@ export const addResource = {
         rawLeaves,
         progress,
         onlyHash,
+        nocopy,
         hashAlg,
         wrapWithDirectory,
         pin,
@@ -242,7 +244,8 @@ export const addResource = {
               path: entry.name,
               content: entry.content,
               mode: entry.mode,
-              mtime: entry.mtime
+              mtime: entry.mtime,
+              abspath: entry.abspath
             }
           }
 
@@ -277,6 +280,7 @@ export const addResource = {
                   }
                 : () => {},
               onlyHash,
+              nocopy,
               hashAlg,
               wrapWithDirectory,
               pin,
@@ -0,0 +1,194 @@
+import Joi from '../../utils/joi.js'
+import map from 'it-map'
+import { pipe } from 'it-pipe'
+import { streamResponse } from '../../utils/stream-response.js'
+
+/**
+ * The numeric statuses go-ipfs reports for filestore entries
+ *
+ * @type {Record<import('ipfs-core-types/src/filestore').FilestoreStatus, number>}
+ */
+const STATUS_CODES = {
+  ok: 0,
+  error: 10,
+  'no-file': 11,
+  changed: 12
+}
+
+const entriesOptions = {
+  validate: {
+    options: {
+      allowUnknown: true,
+      stripUnknown: true
+    },
+    query: Joi.object().keys({
+      cids: Joi.array().single().items(Joi.cid()),
+      fileOrder: Joi.boolean(),
+      cidBase: Joi.string().default('base58btc'),
+      timeout: Joi.timeout()
+    })
+      .rename('arg', 'cids', {
+        override: true,
+        ignoreUndefined: true
+      })
+      .rename('file-order', 'fileOrder', {
+        override: true,
+        ignoreUndefined: true
+      })
+      .rename('cid-base', 'cidBase', {
+        override: true,
+        ignoreUndefined: true
+      })
+  }
+}
+
+export const lsResource = {
+  options: entriesOptions,
+
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  async handler (request, h) {
+    const {
+      app: {
+        signal
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        cids,
+        fileOrder,
+        cidBase,
+        timeout
+      }
+    } = request
+
+    const base = await ipfs.bases.getBase(cidBase)
+
+    return streamResponse(request, h, () => pipe(
+      ipfs.filestore.ls({
+        cids,
+        fileOrder,
+        signal,
+        timeout
+      }),
+      async function * (source) {
+        yield * map(source, entry => ({
+          Status: STATUS_CODES.ok,
+          ErrorMsg: '',
+          Key: { '/': entry.cid.toString(base.encoder) },
+          FilePath: entry.path,
+          Offset: entry.offset,
+          Size: entry.size
+        }))
+      }
+    ))
+  }
+}
+
+export const verifyResource = {
+  options: entriesOptions,
+
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  async handler (request, h) {
+    const {
+      app: {
+        signal
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        cids,
+        fileOrder,
+        cidBase,
+        timeout
+      }
+    } = request
+
+    const base = await ipfs.bases.getBase(cidBase)
+
+    return streamResponse(request, h, () => pipe(
+      ipfs.filestore.verify({
+        cids,
+        fileOrder,
+        signal,
+        timeout
+      }),
+      async function * (source) {
+        yield * map(source, entry => ({
+          Status: STATUS_CODES[entry.status],
+          ErrorMsg: entry.error || '',
+          Key: { '/': entry.cid.toString(base.encoder) },
+          FilePath: entry.path,
+          Offset: entry.offset,
+          Size: entry.size
+        }))
+      }
+    ))
+  }
+}
+
+export const dupsResource = {
+  options: {
+    validate: {
+      options: {
+        allowUnknown: true,
+        stripUnknown: true
+      },
+      query: Joi.object().keys({
+        cidBase: Joi.string().default('base58btc'),
+        timeout: Joi.timeout()
+      })
+        .rename('cid-base', 'cidBase', {
+          override: true,
+          ignoreUndefined: true
+        })
+    }
+  },
+
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  async handler (request, h) {
+    const {
+      app: {
+        signal
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        cidBase,
+        timeout
+      }
+    } = request
+
+    const base = await ipfs.bases.getBase(cidBase)
+
+    return streamResponse(request, h, () => pipe(
+      ipfs.filestore.dups({
+        signal,
+        timeout
+      }),
+      async function * (source) {
+        yield * map(source, cid => ({
+          Ref: cid.toString(base.encoder),
+          Err: ''
+        }))
+      }
+    ))
+  }
+}
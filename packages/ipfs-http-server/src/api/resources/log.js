@@ -0,0 +1,129 @@
+import Joi from '../../utils/joi.js'
+import { streamResponse } from '../../utils/stream-response.js'
+
+export const levelResource = {
+  options: {
+    validate: {
+      options: {
+        allowUnknown: true,
+        stripUnknown: true
+      },
+      query: Joi.object().keys({
+        arg: Joi.array().single().length(2).required(),
+        timeout: Joi.timeout()
+      })
+    }
+  },
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  handler: async (request, h) => {
+    const {
+      app: {
+        signal
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        arg: [
+          subsystem,
+          level
+        ],
+        timeout
+      }
+    } = request
+
+    const result = await ipfs.log.level(subsystem, level, {
+      signal,
+      timeout
+    })
+
+    return h.response({
+      Message: result.message
+    })
+  }
+}
+
+export const lsResource = {
+  options: {
+    validate: {
+      options: {
+        allowUnknown: true,
+        stripUnknown: true
+      },
+      query: Joi.object().keys({
+        timeout: Joi.timeout()
+      })
+    }
+  },
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  handler: async (request, h) => {
+    const {
+      app: {
+        signal
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        timeout
+      }
+    } = request
+
+    const subsystems = await ipfs.log.ls({
+      signal,
+      timeout
+    })
+
+    return h.response({
+      Strings: subsystems
+    })
+  }
+}
+
+export const tailResource = {
+  options: {
+    validate: {
+      options: {
+        allowUnknown: true,
+        stripUnknown: true
+      },
+      query: Joi.object().keys({
+        timeout: Joi.timeout()
+      })
+    }
+  },
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  handler (request, h) {
+    const {
+      app: {
+        signal
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        timeout
+      }
+    } = request
+
+    return streamResponse(request, h, () => ipfs.log.tail({
+      signal,
+      timeout
+    }))
+  }
+}
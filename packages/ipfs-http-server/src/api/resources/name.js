@@ -1,9 +1,43 @@
 import Joi from '../../utils/joi.js'
+import Boom from '@hapi/boom'
 import { pipe } from 'it-pipe'
 import map from 'it-map'
 import last from 'it-last'
+import all from 'it-all'
+import { toString as uint8ArrayToString } from 'uint8arrays/to-string'
+import { multipartRequestParser } from '../../utils/multipart-request-parser.js'
 import { streamResponse } from '../../utils/stream-response.js'
 
+/**
+ * Reads a raw IPNS record uploaded as a multipart file
+ */
+const recordArg = {
+  assign: 'args',
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} _h
+   */
+  method: async (request, _h) => {
+    if (!request.payload) {
+      throw Boom.badRequest("File argument 'record' is required")
+    }
+
+    let record
+
+    for await (const part of multipartRequestParser(request.raw.req)) {
+      if (part.type === 'file') {
+        record = Buffer.concat(await all(part.content))
+      }
+    }
+
+    if (!record) {
+      throw Boom.badRequest("File argument 'record' is required")
+    }
+
+    return { record }
+  }
+}
+
 export const resolveResource = {
   options: {
     validate: {
@@ -139,6 +173,286 @@ export const publishResource = {
   }
 }
 
+export const getResource = {
+  options: {
+    validate: {
+      options: {
+        allowUnknown: true,
+        stripUnknown: true
+      },
+      query: Joi.object().keys({
+        name: Joi.string().required(),
+        timeout: Joi.timeout()
+      })
+        .rename('arg', 'name', {
+          override: true,
+          ignoreUndefined: true
+        })
+    }
+  },
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  async handler (request, h) {
+    const {
+      app: {
+        signal
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        name,
+        timeout
+      }
+    } = request
+
+    const record = await ipfs.name.get(name, {
+      signal,
+      timeout
+    })
+
+    return h.response(Buffer.from(record.buffer, record.byteOffset, record.byteLength)).header('X-Stream-Output', '1')
+  }
+}
+
+export const putResource = {
+  options: {
+    payload: {
+      parse: false,
+      output: 'stream'
+    },
+    pre: [recordArg],
+    validate: {
+      options: {
+        allowUnknown: true,
+        stripUnknown: true
+      },
+      query: Joi.object().keys({
+        name: Joi.string().required(),
+        force: Joi.boolean().default(false),
+        allowOffline: Joi.boolean(),
+        timeout: Joi.timeout()
+      })
+        .rename('allow-offline', 'allowOffline', {
+          override: true,
+          ignoreUndefined: true
+        })
+        .rename('arg', 'name', {
+          override: true,
+          ignoreUndefined: true
+        })
+    }
+  },
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  async handler (request, h) {
+    const {
+      app: {
+        signal
+      },
+      pre: {
+        args: {
+          record
+        }
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        name,
+        force,
+        allowOffline,
+        timeout
+      }
+    } = request
+
+    await ipfs.name.put(name, record, {
+      force,
+      allowOffline,
+      signal,
+      timeout
+    })
+
+    return h.response()
+  }
+}
+
+export const inspectResource = {
+  options: {
+    payload: {
+      parse: false,
+      output: 'stream'
+    },
+    pre: [recordArg],
+    validate: {
+      options: {
+        allowUnknown: true,
+        stripUnknown: true
+      },
+      query: Joi.object().keys({
+        verify: Joi.string(),
+        timeout: Joi.timeout()
+      })
+    }
+  },
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  async handler (request, h) {
+    const {
+      app: {
+        signal
+      },
+      pre: {
+        args: {
+          record
+        }
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        verify,
+        timeout
+      }
+    } = request
+
+    const res = await ipfs.name.inspect(record, {
+      verify,
+      signal,
+      timeout
+    })
+
+    return h.response({
+      Value: res.value,
+      ValidityType: res.validityType,
+      Validity: res.validity.toISOString(),
+      Expired: res.expired,
+      // bigints are sent as strings so they do not lose precision
+      Sequence: res.sequence.toString(),
+      TTL: res.ttl == null ? undefined : res.ttl.toString(),
+      PublicKey: res.publicKey == null ? undefined : uint8ArrayToString(res.publicKey, 'base64pad'),
+      SignatureV1: res.signatureV1,
+      SignatureV2: res.signatureV2,
+      Verification: res.verification == null
+        ? undefined
+        : {
+            Name: res.verification.name,
+            Valid: res.verification.valid,
+            Error: res.verification.error
+          }
+    })
+  }
+}
+
+/**
+ * @param {import('ipfs-core-types/src/name/republish').RepublishStatus[]} statuses
+ */
+const toRepublishStatuses = (statuses) => ({
+  Keys: statuses.map(status => ({
+    Name: status.name,
+    Key: status.key,
+    Lifetime: status.lifetime,
+    LastRun: status.lastRun == null ? undefined : status.lastRun.toISOString(),
+    NextRun: status.nextRun == null ? undefined : status.nextRun.toISOString(),
+    Error: status.error
+  }))
+})
+
+export const republishStatusResource = {
+  options: {
+    validate: {
+      options: {
+        allowUnknown: true,
+        stripUnknown: true
+      },
+      query: Joi.object().keys({
+        timeout: Joi.timeout()
+      })
+    }
+  },
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  async handler (request, h) {
+    const {
+      app: {
+        signal
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        timeout
+      }
+    } = request
+
+    const res = await ipfs.name.republish.status({
+      signal,
+      timeout
+    })
+
+    return h.response(toRepublishStatuses(res))
+  }
+}
+
+export const republishRunResource = {
+  options: {
+    validate: {
+      options: {
+        allowUnknown: true,
+        stripUnknown: true
+      },
+      query: Joi.object().keys({
+        key: Joi.string(),
+        timeout: Joi.timeout()
+      })
+    }
+  },
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  async handler (request, h) {
+    const {
+      app: {
+        signal
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        key,
+        timeout
+      }
+    } = request
+
+    const res = await ipfs.name.republish.run({
+      key,
+      signal,
+      timeout
+    })
+
+    return h.response(toRepublishStatuses(res))
+  }
+}
+
 export const stateResource = {
   options: {
     validate: {
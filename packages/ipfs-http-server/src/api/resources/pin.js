@@ -255,3 +255,150 @@ export const rmResource = {
     })
   }
 }
+
+export const updateResource = {
+  options: {
+    validate: {
+      options: {
+        allowUnknown: true,
+        stripUnknown: true
+      },
+      query: Joi.object().keys({
+        args: Joi.array().length(2).ordered(
+          Joi.ipfsPath().required(),
+          Joi.ipfsPath().required()
+        ).required(),
+        unpin: Joi.boolean().default(true),
+        cidBase: Joi.string().default('base58btc'),
+        timeout: Joi.timeout()
+      })
+        .rename('cid-base', 'cidBase', {
+          override: true,
+          ignoreUndefined: true
+        })
+        .rename('arg', 'args', {
+          override: true,
+          ignoreUndefined: true
+        })
+    }
+  },
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  async handler (request, h) {
+    const {
+      app: {
+        signal
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        args: [
+          from,
+          to
+        ],
+        unpin,
+        cidBase,
+        timeout
+      }
+    } = request
+
+    let result
+    try {
+      result = await ipfs.pin.update(from, to, {
+        unpin,
+        signal,
+        timeout
+      })
+    } catch (/** @type {any} */ err) {
+      if (err.code === 'ERR_BAD_PATH') {
+        throw Boom.boomify(err, { statusCode: 400 })
+      }
+
+      throw Boom.boomify(err, { message: 'Failed to update pin' })
+    }
+
+    const base = await ipfs.bases.getBase(cidBase)
+
+    return h.response({
+      Pins: [
+        result.from.toString(base.encoder),
+        result.to.toString(base.encoder)
+      ]
+    })
+  }
+}
+
+export const verifyResource = {
+  options: {
+    validate: {
+      options: {
+        allowUnknown: true,
+        stripUnknown: true
+      },
+      query: Joi.object().keys({
+        verbose: Joi.boolean().default(false),
+        includeOk: Joi.boolean().default(false),
+        cidBase: Joi.string().default('base58btc'),
+        timeout: Joi.timeout()
+      })
+        .rename('cid-base', 'cidBase', {
+          override: true,
+          ignoreUndefined: true
+        })
+        .rename('include-ok', 'includeOk', {
+          override: true,
+          ignoreUndefined: true
+        })
+    }
+  },
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  async handler (request, h) {
+    const {
+      app: {
+        signal
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        verbose,
+        includeOk,
+        cidBase,
+        timeout
+      }
+    } = request
+
+    const base = await ipfs.bases.getBase(cidBase)
+
+    return streamResponse(request, h, () => pipe(
+      ipfs.pin.verify({
+        verbose,
+        includeOk,
+        signal,
+        timeout
+      }),
+      async function * transform (source) {
+        yield * map(source, ({ cid, ok, badNodes }) => ({
+          Cid: cid.toString(base.encoder),
+          PinStatus: {
+            Ok: ok,
+            BadNodes: badNodes && badNodes.map(node => ({
+              Cid: node.cid.toString(base.encoder),
+              Err: node.error
+            }))
+          }
+        }))
+      }
+    ))
+  }
+}
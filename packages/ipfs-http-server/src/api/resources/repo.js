@@ -59,6 +59,158 @@ export const gcResource = {
   }
 }
 
+export const verifyResource = {
+  options: {
+    validate: {
+      options: {
+        allowUnknown: true,
+        stripUnknown: true
+      },
+      query: Joi.object().keys({
+        remove: Joi.boolean().default(false),
+        timeout: Joi.timeout()
+      })
+    }
+  },
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  handler (request, h) {
+    const {
+      app: {
+        signal
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        remove,
+        timeout
+      }
+    } = request
+
+    return streamResponse(request, h, () => pipe(
+      ipfs.repo.verify({
+        remove,
+        signal,
+        timeout
+      }),
+      async function * transformVerifyOutput (source) {
+        yield * map(source, r => ({
+          Key: { '/': r.cid.toString() },
+          Error: r.error,
+          Removed: r.removed
+        }))
+      }
+    ))
+  }
+}
+
+export const fsckResource = {
+  options: {
+    validate: {
+      options: {
+        allowUnknown: true,
+        stripUnknown: true
+      },
+      query: Joi.object().keys({
+        timeout: Joi.timeout()
+      })
+    }
+  },
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  handler (request, h) {
+    const {
+      app: {
+        signal
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        timeout
+      }
+    } = request
+
+    return streamResponse(request, h, () => pipe(
+      ipfs.repo.fsck({
+        signal,
+        timeout
+      }),
+      async function * transformFsckOutput (source) {
+        yield * map(source, r => ({
+          Type: r.type,
+          Key: (r.cid && { '/': r.cid.toString() }) || undefined,
+          Message: r.message
+        }))
+      }
+    ))
+  }
+}
+
+export const gcStatusResource = {
+  options: {
+    validate: {
+      options: {
+        allowUnknown: true,
+        stripUnknown: true
+      },
+      query: Joi.object().keys({
+        timeout: Joi.timeout()
+      })
+    }
+  },
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  handler: async (request, h) => {
+    const {
+      app: {
+        signal
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        timeout
+      }
+    } = request
+
+    const status = await ipfs.repo.gcStatus({
+      signal,
+      timeout
+    })
+    const lastRun = status.lastRun
+
+    return h.response({
+      Enabled: status.enabled,
+      Running: status.running,
+      Period: status.period,
+      StorageMax: status.storageMax.toString(),
+      Watermark: status.watermark,
+      LastRun: lastRun && {
+        StartTime: lastRun.startTime.toISOString(),
+        EndTime: lastRun.endTime && lastRun.endTime.toISOString(),
+        RepoSizeBefore: lastRun.repoSizeBefore.toString(),
+        RepoSizeAfter: lastRun.repoSizeAfter && lastRun.repoSizeAfter.toString(),
+        Removed: lastRun.removed,
+        Errors: lastRun.errors
+      }
+    })
+  }
+}
+
 export const versionResource = {
   options: {
     validate: {
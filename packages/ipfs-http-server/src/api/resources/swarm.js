@@ -12,6 +12,8 @@ export const peersResource = {
       query: Joi.object().keys({
         verbose: Joi.boolean().default(false),
         direction: Joi.boolean().default(false),
+        streams: Joi.boolean().default(false),
+        latency: Joi.boolean().default(false),
         timeout: Joi.timeout()
       })
         .rename('v', 'verbose', {
@@ -37,25 +39,45 @@ export const peersResource = {
       query: {
         verbose,
         direction,
+        streams,
+        latency,
         timeout
       }
     } = request
 
     const peers = await ipfs.swarm.peers({
       verbose,
+      direction,
+      streams,
+      latency,
       signal,
       timeout
     })
 
     return h.response({
       Peers: peers.map((p) => {
-        return {
+        /** @type {Record<string, any>} */
+        const peer = {
           Peer: p.peer.toString(),
           Addr: p.addr.toString(),
           Direction: verbose || direction ? p.direction : undefined,
           Muxer: verbose ? p.muxer : undefined,
-          Latency: verbose ? p.latency : undefined
+          Latency: verbose || latency ? p.latency : undefined
         }
+
+        if (verbose || streams) {
+          peer.Streams = (p.streams || []).map(s => ({ Protocol: s.protocol, Direction: s.direction }))
+        }
+
+        if (verbose) {
+          peer.Age = p.age
+          peer.AgentVersion = p.agentVersion
+          // bigints are sent as strings, the same as `stats/bw`
+          peer.TotalIn = p.totalIn?.toString()
+          peer.TotalOut = p.totalOut?.toString()
+        }
+
+        return peer
       })
     })
   }
@@ -274,3 +296,295 @@ export const disconnectResource = {
     })
   }
 }
+
+export const peeringAddResource = {
+  options: {
+    validate: {
+      options: {
+        allowUnknown: true,
+        stripUnknown: true
+      },
+      query: Joi.object().keys({
+        addr: Joi.multiaddr().required(),
+        timeout: Joi.timeout()
+      })
+        .rename('arg', 'addr', {
+          override: true,
+          ignoreUndefined: true
+        })
+    }
+  },
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  async handler (request, h) {
+    const {
+      app: {
+        signal
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        addr,
+        timeout
+      }
+    } = request
+
+    const ma = multiaddr(addr)
+
+    await ipfs.swarm.peering.add(ma, {
+      signal,
+      timeout
+    })
+
+    return h.response({
+      ID: ma.getPeerId(),
+      Status: 'success'
+    })
+  }
+}
+
+export const peeringRmResource = {
+  options: {
+    validate: {
+      options: {
+        allowUnknown: true,
+        stripUnknown: true
+      },
+      query: Joi.object().keys({
+        peerId: Joi.peerId().required(),
+        timeout: Joi.timeout()
+      })
+        .rename('arg', 'peerId', {
+          override: true,
+          ignoreUndefined: true
+        })
+    }
+  },
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  async handler (request, h) {
+    const {
+      app: {
+        signal
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        peerId,
+        timeout
+      }
+    } = request
+
+    await ipfs.swarm.peering.rm(peerId, {
+      signal,
+      timeout
+    })
+
+    return h.response({
+      ID: peerId.toString(),
+      Status: 'success'
+    })
+  }
+}
+
+export const peeringLsResource = {
+  options: {
+    validate: {
+      options: {
+        allowUnknown: true,
+        stripUnknown: true
+      },
+      query: Joi.object().keys({
+        timeout: Joi.timeout()
+      })
+    }
+  },
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  async handler (request, h) {
+    const {
+      app: {
+        signal
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        timeout
+      }
+    } = request
+
+    const peers = await ipfs.swarm.peering.ls({
+      signal,
+      timeout
+    })
+
+    return h.response({
+      Peers: peers.map(peer => ({
+        ID: peer.id.toString(),
+        Addrs: peer.addrs.map(addr => addr.toString())
+      }))
+    })
+  }
+}
+
+export const filtersAddResource = {
+  options: {
+    validate: {
+      options: {
+        allowUnknown: true,
+        stripUnknown: true
+      },
+      query: Joi.object().keys({
+        filter: Joi.string().required(),
+        allow: Joi.boolean().default(false),
+        timeout: Joi.timeout()
+      })
+        .rename('arg', 'filter', {
+          override: true,
+          ignoreUndefined: true
+        })
+    }
+  },
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  async handler (request, h) {
+    const {
+      app: {
+        signal
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        filter,
+        allow,
+        timeout
+      }
+    } = request
+
+    await ipfs.swarm.filters.add(filter, {
+      allow,
+      signal,
+      timeout
+    })
+
+    return h.response({
+      Strings: [filter]
+    })
+  }
+}
+
+export const filtersRmResource = {
+  options: {
+    validate: {
+      options: {
+        allowUnknown: true,
+        stripUnknown: true
+      },
+      query: Joi.object().keys({
+        filter: Joi.string().required(),
+        allow: Joi.boolean().default(false),
+        timeout: Joi.timeout()
+      })
+        .rename('arg', 'filter', {
+          override: true,
+          ignoreUndefined: true
+        })
+    }
+  },
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  async handler (request, h) {
+    const {
+      app: {
+        signal
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        filter,
+        allow,
+        timeout
+      }
+    } = request
+
+    await ipfs.swarm.filters.rm(filter, {
+      allow,
+      signal,
+      timeout
+    })
+
+    return h.response({
+      Strings: [filter]
+    })
+  }
+}
+
+export const filtersLsResource = {
+  options: {
+    validate: {
+      options: {
+        allowUnknown: true,
+        stripUnknown: true
+      },
+      query: Joi.object().keys({
+        allow: Joi.boolean().default(false),
+        timeout: Joi.timeout()
+      })
+    }
+  },
+  /**
+   * @param {import('../../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  async handler (request, h) {
+    const {
+      app: {
+        signal
+      },
+      server: {
+        app: {
+          ipfs
+        }
+      },
+      query: {
+        allow,
+        timeout
+      }
+    } = request
+
+    const filters = await ipfs.swarm.filters.ls({
+      allow,
+      signal,
+      timeout
+    })
+
+    return h.response({
+      Strings: filters
+    })
+  }
+}
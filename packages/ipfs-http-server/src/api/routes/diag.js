@@ -0,0 +1,23 @@
+import {
+  cmdsResource,
+  netResource,
+  sysResource
+} from '../resources/diag.js'
+
+export default [
+  {
+    method: 'POST',
+    path: '/api/v0/diag/cmds',
+    ...cmdsResource
+  },
+  {
+    method: 'POST',
+    path: '/api/v0/diag/net',
+    ...netResource
+  },
+  {
+    method: 'POST',
+    path: '/api/v0/diag/sys',
+    ...sysResource
+  }
+]
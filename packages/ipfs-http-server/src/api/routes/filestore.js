@@ -0,0 +1,23 @@
+import {
+  lsResource,
+  verifyResource,
+  dupsResource
+} from '../resources/filestore.js'
+
+export default [
+  {
+    method: 'POST',
+    path: '/api/v0/filestore/ls',
+    ...lsResource
+  },
+  {
+    method: 'POST',
+    path: '/api/v0/filestore/verify',
+    ...verifyResource
+  },
+  {
+    method: 'POST',
+    path: '/api/v0/filestore/dups',
+    ...dupsResource
+  }
+]
@@ -5,11 +5,14 @@ import configRoutes from './config.js'
 import dagRoutes from './dag.js'
 import debugRoutes from './debug.js'
 import dhtRoutes from './dht.js'
+import diagRoutes from './diag.js'
 import dnsRoutes from './dns.js'
 import filesRegularRoutes from './files-regular.js'
 import filesRoutes from './files.js'
+import filestoreRoutes from './filestore.js'
 import idRoutes from './id.js'
 import keyRoutes from './key.js'
+import logRoutes from './log.js'
 import nameRoutes from './name.js'
 import objectRoutes from './object.js'
 import pinRoutes from './pin.js'
@@ -34,11 +37,14 @@ routes.push(
   ...dagRoutes,
   ...debugRoutes,
   ...dhtRoutes,
+  ...diagRoutes,
   ...dnsRoutes,
   ...filesRegularRoutes,
   ...filesRoutes,
+  ...filestoreRoutes,
   ...idRoutes,
   ...keyRoutes,
+  ...logRoutes,
   ...nameRoutes,
   ...objectRoutes,
   ...pinRoutes,
@@ -0,0 +1,23 @@
+import {
+  levelResource,
+  lsResource,
+  tailResource
+} from '../resources/log.js'
+
+export default [
+  {
+    method: 'POST',
+    path: '/api/v0/log/level',
+    ...levelResource
+  },
+  {
+    method: 'POST',
+    path: '/api/v0/log/ls',
+    ...lsResource
+  },
+  {
+    method: 'POST',
+    path: '/api/v0/log/tail',
+    ...tailResource
+  }
+]
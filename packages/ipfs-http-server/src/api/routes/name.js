@@ -1,6 +1,11 @@
 import {
   resolveResource,
   publishResource,
+  getResource,
+  putResource,
+  inspectResource,
+  republishStatusResource,
+  republishRunResource,
   stateResource,
   pubsubSubsResource,
   pubsubCancelResource
@@ -17,6 +22,31 @@ export default [
     path: '/api/v0/name/publish',
     ...publishResource
   },
+  {
+    method: 'POST',
+    path: '/api/v0/name/get',
+    ...getResource
+  },
+  {
+    method: 'POST',
+    path: '/api/v0/name/put',
+    ...putResource
+  },
+  {
+    method: 'POST',
+    path: '/api/v0/name/inspect',
+    ...inspectResource
+  },
+  {
+    method: 'POST',
+    path: '/api/v0/name/republish/status',
+    ...republishStatusResource
+  },
+  {
+    method: 'POST',
+    path: '/api/v0/name/republish/run',
+    ...republishRunResource
+  },
   {
     method: 'POST',
     path: '/api/v0/name/pubsub/state',
@@ -1,7 +1,9 @@
 import {
   addResource,
   rmResource,
-  lsResource
+  lsResource,
+  updateResource,
+  verifyResource
 } from '../resources/pin.js'
 
 export default [
@@ -19,5 +21,15 @@ export default [
     method: 'POST',
     path: '/api/v0/pin/ls',
     ...lsResource
+  },
+  {
+    method: 'POST',
+    path: '/api/v0/pin/update',
+    ...updateResource
+  },
+  {
+    method: 'POST',
+    path: '/api/v0/pin/verify',
+    ...verifyResource
   }
 ]
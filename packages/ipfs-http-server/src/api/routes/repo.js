@@ -1,7 +1,10 @@
 import {
   versionResource,
   statResource,
-  gcResource
+  gcResource,
+  gcStatusResource,
+  verifyResource,
+  fsckResource
 } from '../resources/repo.js'
 
 export default [
@@ -19,5 +22,20 @@ export default [
     method: 'POST',
     path: '/api/v0/repo/gc',
     ...gcResource
+  },
+  {
+    method: 'POST',
+    path: '/api/v0/repo/gc/status',
+    ...gcStatusResource
+  },
+  {
+    method: 'POST',
+    path: '/api/v0/repo/verify',
+    ...verifyResource
+  },
+  {
+    method: 'POST',
+    path: '/api/v0/repo/fsck',
+    ...fsckResource
   }
 ]
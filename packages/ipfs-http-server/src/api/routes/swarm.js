@@ -3,7 +3,13 @@ import {
   addrsResource,
   localAddrsResource,
   connectResource,
-  disconnectResource
+  disconnectResource,
+  peeringAddResource,
+  peeringRmResource,
+  peeringLsResource,
+  filtersAddResource,
+  filtersRmResource,
+  filtersLsResource
 } from '../resources/swarm.js'
 
 export default [
@@ -31,5 +37,35 @@ export default [
     method: 'POST',
     path: '/api/v0/swarm/disconnect',
     ...disconnectResource
+  },
+  {
+    method: 'POST',
+    path: '/api/v0/swarm/peering/add',
+    ...peeringAddResource
+  },
+  {
+    method: 'POST',
+    path: '/api/v0/swarm/peering/rm',
+    ...peeringRmResource
+  },
+  {
+    method: 'POST',
+    path: '/api/v0/swarm/peering/ls',
+    ...peeringLsResource
+  },
+  {
+    method: 'POST',
+    path: '/api/v0/swarm/filters',
+    ...filtersLsResource
+  },
+  {
+    method: 'POST',
+    path: '/api/v0/swarm/filters/add',
+    ...filtersAddResource
+  },
+  {
+    method: 'POST',
+    path: '/api/v0/swarm/filters/rm',
+    ...filtersRmResource
   }
 ]
@@ -6,6 +6,7 @@ import toMultiaddr from '@multiformats/uri-to-multiaddr'
 import Boom from '@hapi/boom'
 import { routes } from './api/routes/index.js'
 import { errorHandler } from './error-handler.js'
+import { createAuthorizer } from './utils/authorization.js'
 import { setMaxListeners } from 'events'
 
 const LOG = 'ipfs:http-api'
@@ -108,8 +109,11 @@ export class HttpApi {
     const config = await ipfs.config.getAll()
     const headers = (config.API && config.API.HTTPHeaders) || {}
     const apiAddrs = (config.Addresses && config.Addresses.API) || []
+    const authorizations = config.API && config.API.Authorizations
 
-    this._apiServers = await serverCreator(apiAddrs, this._createApiServer, ipfs, {
+    this._apiServers = await serverCreator(apiAddrs, (host, port, ipfs, cors) => {
+      return this._createApiServer(host, port, ipfs, cors, { authorizations })
+    }, ipfs, {
       origin: headers['Access-Control-Allow-Origin'] || [],
       credentials: Boolean(headers['Access-Control-Allow-Credentials'])
     })
@@ -126,11 +130,12 @@ export class HttpApi {
    * @param {string} port
    * @param {IPFS} ipfs
    * @param {Record<string, any>} cors
+   * @param {import('./types').ApiServerOptions} [options]
    */
-  async _createApiServer (host, port, ipfs, cors) {
+  async _createApiServer (host, port, ipfs, cors, options = {}) {
     cors = {
       ...cors,
-      additionalHeaders: ['X-Stream-Output', 'X-Chunked-Output', 'X-Content-Length'],
+      additionalHeaders: ['X-Stream-Output', 'X-Chunked-Output', 'X-Content-Length', 'Authorization'],
       additionalExposedHeaders: ['X-Stream-Output', 'X-Chunked-Output', 'X-Content-Length']
     }
 
@@ -157,7 +162,8 @@ export class HttpApi {
       options: {
         prettyPrint: Boolean(enabled(LOG)),
         logEvents: ['onPostStart', 'onPostStop', 'response', 'request-error'],
-        level: enabled(LOG) ? 'debug' : (enabled(LOG_ERROR) ? 'error' : 'fatal')
+        level: enabled(LOG) ? 'debug' : (enabled(LOG_ERROR) ? 'error' : 'fatal'),
+        redact: ['req.headers.authorization']
       }
     })
 
@@ -185,6 +191,9 @@ export class HttpApi {
       }
     })
 
+    // require credentials when `API.Authorizations` is configured
+    server.ext('onRequest', createAuthorizer(options.authorizations))
+
     // https://tools.ietf.org/html/rfc7231#section-6.5.5
     server.ext('onPreResponse', (request, h) => {
       const { response } = request
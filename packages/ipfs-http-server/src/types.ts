@@ -2,6 +2,7 @@ import type { IPFS } from 'ipfs-core-types'
 import type { Request, Server } from '@hapi/hapi'
 import type { Multiaddr } from '@multiformats/multiaddr'
 import type { Mtime } from 'ipfs-unixfs'
+import type { APIAuthorization } from 'ipfs-core-types/src/config'
 
 declare module '@hapi/hapi' {
   interface ServerApplicationState {
@@ -17,6 +18,14 @@ declare module '@hapi/hapi' {
 
 export type { Request, Server }
 
+export interface ApiServerOptions {
+  /**
+   * Credentials allowed to call the API and the paths each may call, see
+   * `API.Authorizations` in the config
+   */
+  authorizations?: Record<string, APIAuthorization>
+}
+
 interface MultipartUpload {
   name: string
   mtime?: Mtime
@@ -26,6 +35,7 @@ interface MultipartUpload {
 export interface MultipartFile extends MultipartUpload {
   type: 'file'
   content: AsyncIterable<Uint8Array>
+  abspath?: string
 }
 
 export interface MultipartDirectory extends MultipartUpload {
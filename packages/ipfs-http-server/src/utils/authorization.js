@@ -0,0 +1,108 @@
+import Boom from '@hapi/boom'
+import { createHash, timingSafeEqual } from 'crypto'
+
+/**
+ * @typedef {import('ipfs-core-types/src/config').APIAuthorization} APIAuthorization
+ *
+ * @typedef {object} Credential
+ * @property {string} name - the key of the entry in `API.Authorizations`
+ * @property {Buffer} digest - the hash of the expected `Authorization` header
+ * @property {string[]} allowedPaths
+ */
+
+const REALM = 'IPFS RPC API'
+
+/**
+ * Turns an `AuthSecret` of the form `bearer:<token>`, `basic:<username>:<password>`
+ * or `basic:<base64 username:password>` into the `Authorization` header value
+ * clients are expected to send. Secrets without a scheme are bearer tokens.
+ *
+ * @param {string} secret
+ */
+export function toAuthorizationHeader (secret) {
+  if (secret.startsWith('basic:')) {
+    const credentials = secret.substring('basic:'.length)
+
+    return `Basic ${credentials.includes(':') ? Buffer.from(credentials).toString('base64') : credentials}`
+  }
+
+  if (secret.startsWith('bearer:')) {
+    return `Bearer ${secret.substring('bearer:'.length)}`
+  }
+
+  return `Bearer ${secret}`
+}
+
+/**
+ * Hashes a header value with a lowercased scheme so values can be compared in
+ * constant time regardless of their length
+ *
+ * @param {string} header
+ */
+function digest (header) {
+  const [scheme, ...rest] = header.trim().split(' ')
+
+  return createHash('sha256')
+    .update(`${scheme.toLowerCase()} ${rest.join(' ').trim()}`)
+    .digest()
+}
+
+/**
+ * @param {string} path
+ * @param {string[]} allowedPaths
+ */
+function isAllowedPath (path, allowedPaths) {
+  return allowedPaths.some(allowedPath => {
+    const prefix = allowedPath.endsWith('/') ? allowedPath.slice(0, -1) : allowedPath
+
+    return path === prefix || path.startsWith(`${prefix}/`)
+  })
+}
+
+/**
+ * Returns an `onRequest` extension that rejects RPC requests without
+ * credentials matching one of the configured authorizations, or for paths the
+ * matching authorization is not allowed to call. When no authorizations are
+ * configured every request is let through.
+ *
+ * @param {Record<string, APIAuthorization>} [authorizations]
+ */
+export function createAuthorizer (authorizations = {}) {
+  /** @type {Credential[]} */
+  const credentials = Object.entries(authorizations).map(([name, authorization]) => {
+    if (!authorization || !authorization.AuthSecret) {
+      throw new Error(`API.Authorizations.${name}.AuthSecret is required`)
+    }
+
+    return {
+      name,
+      digest: digest(toAuthorizationHeader(authorization.AuthSecret)),
+      allowedPaths: authorization.AllowedPaths || []
+    }
+  })
+
+  /**
+   * @param {import('../types').Request} request
+   * @param {import('@hapi/hapi').ResponseToolkit} h
+   */
+  return function authorize (request, h) {
+    // CORS preflight requests never carry credentials
+    if (!credentials.length || request.method === 'options' || !request.path.startsWith('/api/')) {
+      return h.continue
+    }
+
+    const header = request.headers.authorization
+    const received = header ? digest(header) : undefined
+    const credential = received && credentials.find(credential => timingSafeEqual(credential.digest, received))
+
+    if (!credential) {
+      throw Boom.unauthorized('Authorization required', 'Basic', { realm: REALM })
+    }
+
+    if (!isAllowedPath(request.path, credential.allowedPaths)) {
+      throw Boom.forbidden(`Not allowed to call ${request.path}`)
+    }
+
+    return h.continue
+  }
+}
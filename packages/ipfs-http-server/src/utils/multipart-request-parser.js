@@ -63,6 +63,7 @@ const collect = async (stream) => {
  * @property {AsyncIterable<Uint8Array>} body
  * @property {number} [mode]
  * @property {import('ipfs-unixfs').Mtime} [mtime]
+ * @property {string} [abspath]
  *
  * @param {AsyncIterable<Part>} stream
  * @returns {AsyncGenerator<MultipartUpload, void, undefined>}
@@ -107,6 +108,11 @@ async function * parseEntry (stream) {
       }
     }
 
+    // sent by clients adding files to the filestore
+    if (part.headers.abspath) {
+      entry.abspath = decodeURIComponent(readQueryParam(part.headers.abspath))
+    }
+
     entry.name = decodeURIComponent(disposition.filename)
     entry.body = part.body
 
@@ -156,7 +162,8 @@ export async function * multipartRequestParser (stream) {
         name: entry.name,
         content: entry.body,
         mtime: entry.mtime,
-        mode: entry.mode
+        mode: entry.mode,
+        abspath: entry.abspath
       }
     }
   }
@@ -0,0 +1,137 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import { http } from './utils/http.js'
+import sinon from 'sinon'
+
+describe('authorization', () => {
+  let ipfs
+
+  const authorizations = {
+    alice: {
+      AuthSecret: 'bearer:alices-token',
+      AllowedPaths: ['/api/v0']
+    },
+    bob: {
+      AuthSecret: 'basic:bob:bobs-password',
+      AllowedPaths: ['/api/v0/version', '/api/v0/id/']
+    }
+  }
+
+  beforeEach(() => {
+    ipfs = {
+      id: sinon.stub().returns({
+        id: 'id',
+        publicKey: 'publicKey',
+        addresses: 'addresses',
+        agentVersion: 'agentVersion',
+        protocolVersion: 'protocolVersion'
+      }),
+      version: sinon.stub().returns({
+        version: 'version',
+        commit: 'commit',
+        repo: 'repo'
+      }),
+      config: {
+        getAll: sinon.stub().returns({})
+      }
+    }
+  })
+
+  it('allows requests when no authorizations are configured', async () => {
+    const res = await http({
+      method: 'POST',
+      url: '/api/v0/id'
+    }, { ipfs })
+
+    expect(res).to.have.property('statusCode', 200)
+  })
+
+  it('rejects requests without credentials', async () => {
+    const res = await http({
+      method: 'POST',
+      url: '/api/v0/id'
+    }, { ipfs, authorizations })
+
+    expect(res).to.have.property('statusCode', 401)
+    expect(res).to.have.nested.property('headers.www-authenticate').that.matches(/^Basic realm="IPFS RPC API"/)
+    expect(ipfs.id.called).to.be.false()
+  })
+
+  it('rejects requests with the wrong credentials', async () => {
+    const res = await http({
+      method: 'POST',
+      url: '/api/v0/id',
+      headers: {
+        authorization: 'Bearer not-alices-token'
+      }
+    }, { ipfs, authorizations })
+
+    expect(res).to.have.property('statusCode', 401)
+  })
+
+  it('allows requests with a bearer token', async () => {
+    const res = await http({
+      method: 'POST',
+      url: '/api/v0/config/show',
+      headers: {
+        authorization: 'Bearer alices-token'
+      }
+    }, { ipfs, authorizations })
+
+    expect(res).to.have.property('statusCode', 200)
+  })
+
+  it('allows requests with basic auth', async () => {
+    const res = await http({
+      method: 'POST',
+      url: '/api/v0/version',
+      headers: {
+        authorization: `basic ${Buffer.from('bob:bobs-password').toString('base64')}`
+      }
+    }, { ipfs, authorizations })
+
+    expect(res).to.have.property('statusCode', 200)
+  })
+
+  it('rejects requests to paths that are not allowed', async () => {
+    const res = await http({
+      method: 'POST',
+      url: '/api/v0/config/show',
+      headers: {
+        authorization: `Basic ${Buffer.from('bob:bobs-password').toString('base64')}`
+      }
+    }, { ipfs, authorizations })
+
+    expect(res).to.have.property('statusCode', 403)
+    expect(ipfs.config.getAll.called).to.be.false()
+  })
+
+  it('only matches whole path segments', async () => {
+    const res = await http({
+      method: 'POST',
+      url: '/api/v0/identity',
+      headers: {
+        authorization: `Basic ${Buffer.from('bob:bobs-password').toString('base64')}`
+      }
+    }, { ipfs, authorizations })
+
+    expect(res).to.have.property('statusCode', 403)
+  })
+
+  it('does not require credentials for CORS preflight requests', async () => {
+    const origin = 'http://localhost:8080'
+    const res = await http({
+      method: 'OPTIONS',
+      url: '/api/v0/id',
+      headers: {
+        origin,
+        'Access-Control-Request-Method': 'POST',
+        'Access-Control-Request-Headers': 'Authorization'
+      }
+    }, { ipfs, authorizations, cors: { origin: [origin] } })
+
+    expect(res).to.have.property('statusCode', 200)
+    expect(res).to.have.nested.property('headers.access-control-allow-headers').that.includes('Authorization')
+  })
+})
@@ -210,6 +210,8 @@ describe('/dht', () => {
 
   describe('/provide', () => {
     const defaultOptions = {
+      recursive: false,
+      concurrency: undefined,
       signal: sinon.match.instanceOf(AbortSignal)
     }
 
@@ -292,6 +294,55 @@ describe('/dht', () => {
         Responses: []
       }])
     })
+
+    it('provides a DAG recursively', async () => {
+      const child = CID.parse('QmPBcZ5pbfqRGaW2fHfCrjBW1kKbgZdjDWh6AhWvCDmzjW')
+
+      ipfs.dht.provide.withArgs(cid, {
+        ...defaultOptions,
+        recursive: true,
+        concurrency: 2
+      }).returns([{
+        name: 'PROVIDED',
+        type: 8,
+        cid
+      }, {
+        name: 'PROVIDED',
+        type: 8,
+        cid: child
+      }])
+
+      const res = await http({
+        method: 'POST',
+        url: `/api/v0/dht/provide?arg=${cid}&recursive=true&concurrency=2`
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(allNdjson(res)).to.deep.equal([{
+        Extra: cid.toString(),
+        Type: 8,
+        Responses: null
+      }, {
+        Extra: child.toString(),
+        Type: 8,
+        Responses: null
+      }])
+    })
+
+    it('provides a DAG recursively (short option)', async () => {
+      ipfs.dht.provide.withArgs(cid, {
+        ...defaultOptions,
+        recursive: true
+      }).returns([])
+
+      const res = await http({
+        method: 'POST',
+        url: `/api/v0/dht/provide?arg=${cid}&r=true`
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(ipfs.dht.provide.called).to.be.true()
+    })
   })
 
   describe('/put', () => {
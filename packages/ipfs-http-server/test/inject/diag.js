@@ -0,0 +1,144 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import { testHttpMethod } from '../utils/test-http-method.js'
+import { http } from '../utils/http.js'
+import sinon from 'sinon'
+
+const defaultOptions = {
+  signal: sinon.match.instanceOf(AbortSignal),
+  timeout: undefined
+}
+
+describe('/diag', () => {
+  let ipfs
+
+  beforeEach(() => {
+    ipfs = {
+      diag: {
+        cmds: sinon.stub(),
+        net: sinon.stub(),
+        sys: sinon.stub()
+      }
+    }
+  })
+
+  describe('/cmds', () => {
+    it('only accepts POST', () => {
+      return testHttpMethod('/api/v0/diag/cmds')
+    })
+
+    it('lists commands', async () => {
+      const startTime = new Date('2022-01-01T00:00:00.000Z')
+      const endTime = new Date('2022-01-01T00:00:01.000Z')
+
+      ipfs.diag.cmds.withArgs(defaultOptions).resolves([{
+        id: '0',
+        command: 'cat',
+        args: ['QmHash'],
+        options: { offset: 5 },
+        active: false,
+        startTime,
+        endTime
+      }, {
+        id: '1',
+        command: 'diag.cmds',
+        args: [],
+        options: {},
+        active: true,
+        startTime: endTime
+      }])
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/diag/cmds'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(JSON.parse(res.payload)).to.deep.equal([{
+        ID: '0',
+        Command: 'cat',
+        Args: ['QmHash'],
+        Options: { offset: 5 },
+        Active: false,
+        StartTime: startTime.toISOString(),
+        EndTime: endTime.toISOString()
+      }, {
+        ID: '1',
+        Command: 'diag.cmds',
+        Args: [],
+        Options: {},
+        Active: true,
+        StartTime: endTime.toISOString()
+      }])
+    })
+
+    it('accepts a timeout', async () => {
+      ipfs.diag.cmds.withArgs({
+        ...defaultOptions,
+        timeout: 1000
+      }).resolves([])
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/diag/cmds?timeout=1s'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res).to.have.deep.property('result', [])
+    })
+  })
+
+  describe('/net', () => {
+    it('only accepts POST', () => {
+      return testHttpMethod('/api/v0/diag/net')
+    })
+
+    it('reports on the network', async () => {
+      const net = {
+        online: true,
+        connections: [],
+        transports: ['@libp2p/tcp'],
+        listenAddrs: ['/ip4/127.0.0.1/tcp/4001'],
+        announceAddrs: ['/ip4/127.0.0.1/tcp/4001'],
+        nat: { enabled: false, observedAddrs: [] },
+        relay: { enabled: true, addrs: [], connections: 0 }
+      }
+      ipfs.diag.net.withArgs(defaultOptions).resolves(net)
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/diag/net'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res).to.have.deep.property('result', net)
+    })
+  })
+
+  describe('/sys', () => {
+    it('only accepts POST', () => {
+      return testHttpMethod('/api/v0/diag/sys')
+    })
+
+    it('reports on the system', async () => {
+      const sys = {
+        runtime: { name: 'node', version: '18.0.0', uptime: 10 },
+        os: { platform: 'linux' },
+        memory: { rss: 100 },
+        repo: { path: '/repo', version: 12, size: 10, numObjects: 1 },
+        versions: { version: '1.0.0' },
+        net: { online: false }
+      }
+      ipfs.diag.sys.withArgs(defaultOptions).resolves(sys)
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/diag/sys'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res).to.have.deep.property('result', sys)
+    })
+  })
+})
@@ -83,6 +83,7 @@ describe('/files', () => {
       rawLeaves: undefined,
       progress: sinon.match.func,
       onlyHash: undefined,
+      nocopy: undefined,
       hashAlg: undefined,
       wrapWithDirectory: undefined,
       pin: undefined,
@@ -218,6 +219,48 @@ describe('/files', () => {
 
     it('should specify only hash', () => assertAddArgs('/api/v0/add?only-hash=true', (opts) => opts.onlyHash === true))
 
+    it('should specify nocopy', () => assertAddArgs('/api/v0/add?nocopy=true', (opts) => opts.nocopy === true))
+
+    it('should pass the absolute paths of files', async () => {
+      ipfs.bases.getBase.withArgs('base58btc').returns(base58btc)
+      const payload = Buffer.from([
+        '',
+        '------------287032381131322',
+        'Content-Disposition: form-data; name="file"; filename="test.txt"',
+        'Content-Type: application/octet-stream',
+        `Abspath: ${encodeURIComponent('/tmp/some dir/test.txt')}`,
+        '',
+        'hello',
+        '------------287032381131322--'
+      ].join('\r\n'))
+
+      ipfs.addAll.callsFake(async function * (source, opts) {
+        expect(opts).to.have.property('nocopy', true)
+
+        const input = await first(source)
+        expect(input).to.have.property('abspath', '/tmp/some dir/test.txt')
+        await drain(input.content)
+
+        yield {
+          path: 'test.txt',
+          cid,
+          size: 5
+        }
+      })
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/add?nocopy=true',
+        headers: {
+          'Content-Type': 'multipart/form-data; boundary=----------287032381131322'
+        },
+        payload
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(JSON.parse(res.result)).to.have.property('Hash', cid.toString())
+    })
+
     it('should specify pin', () => assertAddArgs('/api/v0/add?pin=true', (opts) => opts.pin === true))
 
     it('should specify wrap with directory', () => assertAddArgs('/api/v0/add?wrap-with-directory=true', (opts) => opts.wrapWithDirectory === true))
@@ -351,6 +394,26 @@ describe('/files', () => {
 
       expect(res).to.have.property('statusCode', 200)
     })
+
+    it('streams compressed output', async () => {
+      ipfs.get.withArgs(`${cid}`, {
+        ...defaultOptions,
+        archive: true,
+        compress: true,
+        compressionLevel: 9
+      }).returns(async function * () {
+        yield Uint8Array.from([0, 1, 2])
+        yield Uint8Array.from([3, 4])
+      }())
+
+      const res = await http({
+        method: 'POST',
+        url: `/api/v0/get?arg=${cid}&archive=true&compress=true&compression-level=9`
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(Uint8Array.from(res.rawPayload)).to.equalBytes(Uint8Array.from([0, 1, 2, 3, 4]))
+    })
   })
 
   describe('/ls', () => {
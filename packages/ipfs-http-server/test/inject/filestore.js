@@ -0,0 +1,176 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import { testHttpMethod } from '../utils/test-http-method.js'
+import { http } from '../utils/http.js'
+import sinon from 'sinon'
+import { CID } from 'multiformats/cid'
+import { allNdjson } from '../utils/all-ndjson.js'
+import { base58btc } from 'multiformats/bases/base58'
+import { base32 } from 'multiformats/bases/base32'
+
+describe('/filestore', () => {
+  const cid = CID.parse('bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4')
+  const cid2 = CID.parse('bafkreiguonpdujs64gkppla5sxyp5vpsxqbgykxkafrgzgdavqzwxc6v6q')
+  let ipfs
+
+  const defaultOptions = {
+    cids: undefined,
+    fileOrder: undefined,
+    signal: sinon.match.instanceOf(AbortSignal),
+    timeout: undefined
+  }
+
+  const entries = [{
+    cid,
+    path: '/tmp/file.txt',
+    offset: 0,
+    size: 10
+  }, {
+    cid: cid2,
+    path: '/tmp/file.txt',
+    offset: 10,
+    size: 4
+  }]
+
+  beforeEach(() => {
+    ipfs = {
+      filestore: {
+        ls: sinon.stub(),
+        verify: sinon.stub(),
+        dups: sinon.stub()
+      },
+      bases: {
+        getBase: sinon.stub()
+      }
+    }
+
+    ipfs.bases.getBase.withArgs('base58btc').returns(base58btc)
+    ipfs.bases.getBase.withArgs('base32').returns(base32)
+  })
+
+  describe('/ls', () => {
+    it('only accepts POST', () => {
+      return testHttpMethod('/api/v0/filestore/ls')
+    })
+
+    it('lists filestore entries', async () => {
+      ipfs.filestore.ls.withArgs(defaultOptions).returns(entries)
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/filestore/ls'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(allNdjson(res)).to.deep.equal([{
+        Status: 0,
+        ErrorMsg: '',
+        Key: { '/': cid.toString(base58btc) },
+        FilePath: '/tmp/file.txt',
+        Offset: 0,
+        Size: 10
+      }, {
+        Status: 0,
+        ErrorMsg: '',
+        Key: { '/': cid2.toString(base58btc) },
+        FilePath: '/tmp/file.txt',
+        Offset: 10,
+        Size: 4
+      }])
+    })
+
+    it('lists requested entries in file order', async () => {
+      ipfs.filestore.ls.withArgs({
+        ...defaultOptions,
+        cids: [cid],
+        fileOrder: true
+      }).returns([entries[0]])
+
+      const res = await http({
+        method: 'POST',
+        url: `/api/v0/filestore/ls?arg=${cid}&file-order=true`
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(allNdjson(res)).to.have.nested.property('[0].Key./', cid.toString(base58btc))
+    })
+
+    it('fails on invalid args', async () => {
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/filestore/ls?arg=invalid'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 400)
+    })
+
+    it('accepts a timeout', async () => {
+      ipfs.filestore.ls.withArgs({
+        ...defaultOptions,
+        timeout: 1000
+      }).returns([])
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/filestore/ls?timeout=1s'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+    })
+  })
+
+  describe('/verify', () => {
+    it('only accepts POST', () => {
+      return testHttpMethod('/api/v0/filestore/verify')
+    })
+
+    it('reports the status of filestore entries', async () => {
+      ipfs.filestore.verify.withArgs(defaultOptions).returns([{
+        ...entries[0],
+        status: 'ok'
+      }, {
+        ...entries[1],
+        status: 'changed',
+        error: '/tmp/file.txt has changed'
+      }])
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/filestore/verify'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(allNdjson(res).map(entry => [entry.Status, entry.ErrorMsg])).to.deep.equal([
+        [0, ''],
+        [12, '/tmp/file.txt has changed']
+      ])
+    })
+  })
+
+  describe('/dups', () => {
+    const defaultOptions = {
+      signal: sinon.match.instanceOf(AbortSignal),
+      timeout: undefined
+    }
+
+    it('only accepts POST', () => {
+      return testHttpMethod('/api/v0/filestore/dups')
+    })
+
+    it('lists duplicated blocks', async () => {
+      ipfs.filestore.dups.withArgs(defaultOptions).returns([cid, cid2])
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/filestore/dups?cid-base=base32'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(allNdjson(res)).to.deep.equal([
+        { Ref: cid.toString(base32), Err: '' },
+        { Ref: cid2.toString(base32), Err: '' }
+      ])
+    })
+  })
+})
@@ -0,0 +1,120 @@
+/* eslint-env mocha */
+
+import { expect } from 'aegir/chai'
+import { testHttpMethod } from '../utils/test-http-method.js'
+import { http } from '../utils/http.js'
+import sinon from 'sinon'
+import { allNdjson } from '../utils/all-ndjson.js'
+
+const defaultOptions = {
+  signal: sinon.match.instanceOf(AbortSignal),
+  timeout: undefined
+}
+
+describe('/log', () => {
+  let ipfs
+
+  beforeEach(() => {
+    ipfs = {
+      log: {
+        level: sinon.stub(),
+        ls: sinon.stub(),
+        tail: sinon.stub()
+      }
+    }
+  })
+
+  describe('/level', () => {
+    it('only accepts POST', () => {
+      return testHttpMethod('/api/v0/log/level?arg=all&arg=debug')
+    })
+
+    it('changes the level of a subsystem', async () => {
+      ipfs.log.level.withArgs('ipfs:bitswap', 'debug', defaultOptions).resolves({
+        message: "Changed log level of 'ipfs:bitswap' to 'debug'"
+      })
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/log/level?arg=ipfs:bitswap&arg=debug'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res).to.have.nested.property('result.Message', "Changed log level of 'ipfs:bitswap' to 'debug'")
+    })
+
+    it('requires a subsystem and a level', async () => {
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/log/level?arg=ipfs:bitswap'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 400)
+      expect(ipfs.log.level.called).to.be.false()
+    })
+
+    it('accepts a timeout', async () => {
+      ipfs.log.level.withArgs('all', 'error', {
+        ...defaultOptions,
+        timeout: 1000
+      }).resolves({
+        message: "Changed log level of 'all' to 'error'"
+      })
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/log/level?arg=all&arg=error&timeout=1s'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res).to.have.nested.property('result.Message', "Changed log level of 'all' to 'error'")
+    })
+  })
+
+  describe('/ls', () => {
+    it('only accepts POST', () => {
+      return testHttpMethod('/api/v0/log/ls')
+    })
+
+    it('lists subsystems', async () => {
+      ipfs.log.ls.withArgs(defaultOptions).resolves(['ipfs:bitswap', 'libp2p:dialer'])
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/log/ls'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res).to.have.deep.nested.property('result.Strings', ['ipfs:bitswap', 'libp2p:dialer'])
+    })
+  })
+
+  describe('/tail', () => {
+    it('only accepts POST', () => {
+      return testHttpMethod('/api/v0/log/tail')
+    })
+
+    it('streams log events', async () => {
+      const events = [{
+        level: 'debug',
+        ts: '2022-01-01T00:00:00.000Z',
+        logger: 'ipfs:bitswap',
+        msg: 'one'
+      }, {
+        level: 'error',
+        ts: '2022-01-01T00:00:01.000Z',
+        logger: 'libp2p:dialer',
+        msg: 'two'
+      }]
+      ipfs.log.tail.withArgs(defaultOptions).returns(events)
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/log/tail'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(allNdjson(res)).to.deep.equal(events)
+    })
+  })
+})
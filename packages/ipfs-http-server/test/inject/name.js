@@ -3,10 +3,24 @@
 
 import { CID } from 'multiformats/cid'
 import { expect } from 'aegir/chai'
+import FormData from 'form-data'
+import streamToPromise from 'stream-to-promise'
 import { testHttpMethod } from '../utils/test-http-method.js'
 import { http } from '../utils/http.js'
 import sinon from 'sinon'
 
+const sendRecord = async (record) => {
+  const form = new FormData()
+  form.append('record', record)
+  const headers = form.getHeaders()
+  const payload = await streamToPromise(form)
+
+  return {
+    headers,
+    payload
+  }
+}
+
 describe('/name', function () {
   const cid = CID.parse('QmbndGRXYRyfU41TUvc52gMrwq87JJg18QsDPcCeaMcM61')
   let ipfs
@@ -16,6 +30,13 @@ describe('/name', function () {
       name: {
         resolve: sinon.stub(),
         publish: sinon.stub(),
+        get: sinon.stub(),
+        put: sinon.stub(),
+        inspect: sinon.stub(),
+        republish: {
+          status: sinon.stub(),
+          run: sinon.stub()
+        },
         pubsub: {
           state: sinon.stub(),
           subs: sinon.stub(),
@@ -165,6 +186,282 @@ describe('/name', function () {
     })
   })
 
+  describe('/get', () => {
+    const name = 'k51qzi5uqu5dlvj2baxnqndepeb86cbk3ng7n3i46uzyxzyqj2xjonzllnv0v8'
+    const record = Buffer.from('a record')
+    const defaultOptions = {
+      signal: sinon.match.instanceOf(AbortSignal),
+      timeout: undefined
+    }
+
+    it('only accepts POST', () => {
+      return testHttpMethod(`/api/v0/name/get?arg=${name}`)
+    })
+
+    it('should get a record', async () => {
+      ipfs.name.get.withArgs(name, defaultOptions).resolves(Uint8Array.from(record))
+
+      const res = await http({
+        method: 'POST',
+        url: `/api/v0/name/get?arg=${name}`
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res.rawPayload).to.deep.equal(record)
+    })
+
+    it('accepts a timeout', async () => {
+      ipfs.name.get.withArgs(name, {
+        ...defaultOptions,
+        timeout: 1000
+      }).resolves(Uint8Array.from(record))
+
+      const res = await http({
+        method: 'POST',
+        url: `/api/v0/name/get?arg=${name}&timeout=1s`
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res.rawPayload).to.deep.equal(record)
+    })
+  })
+
+  describe('/put', () => {
+    const name = 'k51qzi5uqu5dlvj2baxnqndepeb86cbk3ng7n3i46uzyxzyqj2xjonzllnv0v8'
+    const record = Buffer.from('a record')
+    const defaultOptions = {
+      force: false,
+      allowOffline: undefined,
+      signal: sinon.match.instanceOf(AbortSignal),
+      timeout: undefined
+    }
+
+    it('only accepts POST', () => {
+      return testHttpMethod(`/api/v0/name/put?arg=${name}`)
+    })
+
+    it('returns 400 if no record is provided', async () => {
+      const form = new FormData()
+      const headers = form.getHeaders()
+      const payload = await streamToPromise(form)
+
+      const res = await http({
+        method: 'POST',
+        url: `/api/v0/name/put?arg=${name}`,
+        headers,
+        payload
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 400)
+    })
+
+    it('should put a record', async () => {
+      const res = await http({
+        method: 'POST',
+        url: `/api/v0/name/put?arg=${name}&force=true&allow-offline=true`,
+        ...await sendRecord(record)
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(ipfs.name.put.calledWith(name, record, {
+        ...defaultOptions,
+        force: true,
+        allowOffline: true
+      })).to.be.true()
+    })
+
+    it('accepts a timeout', async () => {
+      const res = await http({
+        method: 'POST',
+        url: `/api/v0/name/put?arg=${name}&timeout=1s`,
+        ...await sendRecord(record)
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(ipfs.name.put.calledWith(name, record, {
+        ...defaultOptions,
+        timeout: 1000
+      })).to.be.true()
+    })
+  })
+
+  describe('/inspect', () => {
+    const name = 'k51qzi5uqu5dlvj2baxnqndepeb86cbk3ng7n3i46uzyxzyqj2xjonzllnv0v8'
+    const record = Buffer.from('a record')
+    const validity = new Date()
+    const defaultOptions = {
+      verify: undefined,
+      signal: sinon.match.instanceOf(AbortSignal),
+      timeout: undefined
+    }
+    const result = {
+      value: cid.toString(),
+      validityType: 'EOL',
+      validity,
+      expired: false,
+      sequence: 5n,
+      ttl: 10n,
+      publicKey: undefined,
+      signatureV1: true,
+      signatureV2: true
+    }
+
+    it('only accepts POST', () => {
+      return testHttpMethod('/api/v0/name/inspect')
+    })
+
+    it('should inspect a record', async () => {
+      ipfs.name.inspect.withArgs(record, defaultOptions).resolves(result)
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/name/inspect',
+        ...await sendRecord(record)
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res).to.have.deep.property('result', {
+        Value: cid.toString(),
+        ValidityType: 'EOL',
+        Validity: validity.toISOString(),
+        Expired: false,
+        Sequence: '5',
+        TTL: '10',
+        PublicKey: undefined,
+        SignatureV1: true,
+        SignatureV2: true,
+        Verification: undefined
+      })
+    })
+
+    it('should verify a record', async () => {
+      ipfs.name.inspect.withArgs(record, {
+        ...defaultOptions,
+        verify: name
+      }).resolves({
+        ...result,
+        verification: {
+          name,
+          valid: false,
+          error: 'record signature verification failed'
+        }
+      })
+
+      const res = await http({
+        method: 'POST',
+        url: `/api/v0/name/inspect?verify=${name}`,
+        ...await sendRecord(record)
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res).to.have.deep.nested.property('result.Verification', {
+        Name: name,
+        Valid: false,
+        Error: 'record signature verification failed'
+      })
+    })
+  })
+
+  describe('/republish', () => {
+    const lastRun = new Date()
+    const nextRun = new Date(lastRun.getTime() + 1000)
+    const status = {
+      name: 'k51qzi5uqu5dlvj2baxnqndepeb86cbk3ng7n3i46uzyxzyqj2xjonzllnv0v8',
+      key: 'self',
+      lifetime: 1000,
+      lastRun,
+      nextRun,
+      error: undefined
+    }
+    const expected = {
+      Keys: [{
+        Name: status.name,
+        Key: 'self',
+        Lifetime: 1000,
+        LastRun: lastRun.toISOString(),
+        NextRun: nextRun.toISOString(),
+        Error: undefined
+      }]
+    }
+
+    describe('/status', () => {
+      const defaultOptions = {
+        signal: sinon.match.instanceOf(AbortSignal),
+        timeout: undefined
+      }
+
+      it('only accepts POST', () => {
+        return testHttpMethod('/api/v0/name/republish/status')
+      })
+
+      it('should return the republish status', async () => {
+        ipfs.name.republish.status.withArgs(defaultOptions).resolves([status])
+
+        const res = await http({
+          method: 'POST',
+          url: '/api/v0/name/republish/status'
+        }, { ipfs })
+
+        expect(res).to.have.property('statusCode', 200)
+        expect(res).to.have.deep.property('result', expected)
+      })
+
+      it('accepts a timeout', async () => {
+        ipfs.name.republish.status.withArgs({
+          ...defaultOptions,
+          timeout: 1000
+        }).resolves([status])
+
+        const res = await http({
+          method: 'POST',
+          url: '/api/v0/name/republish/status?timeout=1s'
+        }, { ipfs })
+
+        expect(res).to.have.property('statusCode', 200)
+        expect(res).to.have.deep.property('result', expected)
+      })
+    })
+
+    describe('/run', () => {
+      const defaultOptions = {
+        key: undefined,
+        signal: sinon.match.instanceOf(AbortSignal),
+        timeout: undefined
+      }
+
+      it('only accepts POST', () => {
+        return testHttpMethod('/api/v0/name/republish/run')
+      })
+
+      it('should republish', async () => {
+        ipfs.name.republish.run.withArgs(defaultOptions).resolves([status])
+
+        const res = await http({
+          method: 'POST',
+          url: '/api/v0/name/republish/run'
+        }, { ipfs })
+
+        expect(res).to.have.property('statusCode', 200)
+        expect(res).to.have.deep.property('result', expected)
+      })
+
+      it('should republish a key', async () => {
+        ipfs.name.republish.run.withArgs({
+          ...defaultOptions,
+          key: 'self'
+        }).resolves([status])
+
+        const res = await http({
+          method: 'POST',
+          url: '/api/v0/name/republish/run?key=self'
+        }, { ipfs })
+
+        expect(res).to.have.property('statusCode', 200)
+        expect(res).to.have.deep.property('result', expected)
+      })
+    })
+  })
+
   describe('/pubsub', () => {
     describe('/state', () => {
       const defaultOptions = {
@@ -21,6 +21,8 @@ describe('/pin', () => {
         ls: sinon.stub(),
         addAll: sinon.stub(),
         rmAll: sinon.stub(),
+        update: sinon.stub(),
+        verify: sinon.stub(),
         query: sinon.stub()
       },
       bases: {
@@ -365,4 +367,161 @@ describe('/pin', () => {
       expect(res).to.have.nested.property('result.Keys').that.includes.keys(cid.toString())
     })
   })
+
+  describe('/update', () => {
+    const defaultOptions = {
+      unpin: true,
+      signal: sinon.match.instanceOf(AbortSignal),
+      timeout: undefined
+    }
+
+    it('only accepts POST', () => {
+      return testHttpMethod(`/api/v0/pin/update?arg=${cid}&arg=${cid2}`)
+    })
+
+    it('fails without two args', async () => {
+      const res = await http({
+        method: 'POST',
+        url: `/api/v0/pin/update?arg=${cid}`
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 400)
+    })
+
+    it('updates a pin', async () => {
+      ipfs.bases.getBase.withArgs('base58btc').returns(base58btc)
+      ipfs.pin.update.withArgs(`${cid}`, `${cid2}`, defaultOptions).resolves({
+        from: cid,
+        to: cid2
+      })
+
+      const res = await http({
+        method: 'POST',
+        url: `/api/v0/pin/update?arg=${cid}&arg=${cid2}`
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res).to.have.deep.nested.property('result.Pins', [cid.toString(), cid2.toString()])
+    })
+
+    it('updates a pin without removing the old one', async () => {
+      ipfs.bases.getBase.withArgs('base58btc').returns(base58btc)
+      ipfs.pin.update.withArgs(`${cid}`, `${cid2}`, {
+        ...defaultOptions,
+        unpin: false
+      }).resolves({
+        from: cid,
+        to: cid2
+      })
+
+      const res = await http({
+        method: 'POST',
+        url: `/api/v0/pin/update?arg=${cid}&arg=${cid2}&unpin=false`
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res).to.have.deep.nested.property('result.Pins', [cid.toString(), cid2.toString()])
+    })
+
+    it('accepts a timeout', async () => {
+      ipfs.bases.getBase.withArgs('base58btc').returns(base58btc)
+      ipfs.pin.update.withArgs(`${cid}`, `${cid2}`, {
+        ...defaultOptions,
+        timeout: 1000
+      }).resolves({
+        from: cid,
+        to: cid2
+      })
+
+      const res = await http({
+        method: 'POST',
+        url: `/api/v0/pin/update?arg=${cid}&arg=${cid2}&timeout=1s`
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+    })
+  })
+
+  describe('/verify', () => {
+    const defaultOptions = {
+      verbose: false,
+      includeOk: false,
+      signal: sinon.match.instanceOf(AbortSignal),
+      timeout: undefined
+    }
+
+    it('only accepts POST', () => {
+      return testHttpMethod('/api/v0/pin/verify')
+    })
+
+    it('streams broken pins', async () => {
+      ipfs.bases.getBase.withArgs('base58btc').returns(base58btc)
+      ipfs.pin.verify.withArgs(defaultOptions).returns([{
+        cid,
+        ok: false
+      }])
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/pin/verify'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(allNdjson(res)).to.deep.equal([{
+        Cid: cid.toString(),
+        PinStatus: {
+          Ok: false
+        }
+      }])
+    })
+
+    it('streams bad nodes', async () => {
+      ipfs.bases.getBase.withArgs('base58btc').returns(base58btc)
+      ipfs.pin.verify.withArgs({
+        ...defaultOptions,
+        verbose: true,
+        includeOk: true
+      }).returns([{
+        cid,
+        ok: false,
+        badNodes: [{
+          cid: cid2,
+          error: 'block not found locally'
+        }]
+      }])
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/pin/verify?verbose=true&include-ok=true'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(allNdjson(res)).to.deep.equal([{
+        Cid: cid.toString(),
+        PinStatus: {
+          Ok: false,
+          BadNodes: [{
+            Cid: cid2.toString(),
+            Err: 'block not found locally'
+          }]
+        }
+      }])
+    })
+
+    it('accepts a timeout', async () => {
+      ipfs.bases.getBase.withArgs('base58btc').returns(base58btc)
+      ipfs.pin.verify.withArgs({
+        ...defaultOptions,
+        timeout: 1000
+      }).returns([])
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/pin/verify?timeout=1s'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(allNdjson(res)).to.be.empty()
+    })
+  })
 })
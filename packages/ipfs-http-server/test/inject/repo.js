@@ -16,8 +16,11 @@ describe('/repo', () => {
     ipfs = {
       repo: {
         gc: sinon.stub(),
+        gcStatus: sinon.stub(),
         version: sinon.stub(),
-        stat: sinon.stub()
+        stat: sinon.stub(),
+        verify: sinon.stub(),
+        fsck: sinon.stub()
       }
     }
   })
@@ -195,4 +198,187 @@ describe('/repo', () => {
       expect(res).to.have.nested.property('result.StorageMax', 'storageMax')
     })
   })
+
+  describe('/gc/status', () => {
+    const defaultOptions = {
+      signal: sinon.match.instanceOf(AbortSignal),
+      timeout: undefined
+    }
+
+    const status = {
+      enabled: true,
+      running: false,
+      period: 3600000,
+      storageMax: 10000n,
+      watermark: 90
+    }
+
+    it('only accepts POST', () => {
+      return testHttpMethod('/api/v0/repo/gc/status')
+    })
+
+    it('returns the gc status', async () => {
+      ipfs.repo.gcStatus.withArgs(defaultOptions).resolves({
+        ...status,
+        lastRun: {
+          startTime: new Date(0),
+          endTime: new Date(1000),
+          repoSizeBefore: 9500n,
+          repoSizeAfter: 500n,
+          removed: 10,
+          errors: []
+        }
+      })
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/repo/gc/status'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res).to.have.deep.property('result', {
+        Enabled: true,
+        Running: false,
+        Period: 3600000,
+        StorageMax: '10000',
+        Watermark: 90,
+        LastRun: {
+          StartTime: '1970-01-01T00:00:00.000Z',
+          EndTime: '1970-01-01T00:00:01.000Z',
+          RepoSizeBefore: '9500',
+          RepoSizeAfter: '500',
+          Removed: 10,
+          Errors: []
+        }
+      })
+    })
+
+    it('accepts a timeout', async () => {
+      ipfs.repo.gcStatus.withArgs({
+        ...defaultOptions,
+        timeout: 1000
+      }).resolves(status)
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/repo/gc/status?timeout=1s'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res).to.have.nested.property('result.Enabled', true)
+      expect(res).to.have.nested.property('result.LastRun', undefined)
+    })
+  })
+
+  describe('/verify', () => {
+    const defaultOptions = {
+      remove: false,
+      signal: sinon.match.instanceOf(AbortSignal),
+      timeout: undefined
+    }
+
+    it('only accepts POST', () => {
+      return testHttpMethod('/api/v0/repo/verify')
+    })
+
+    it('streams corrupt blocks', async () => {
+      ipfs.repo.verify.withArgs(defaultOptions).returns([{
+        cid,
+        error: 'corrupt',
+        removed: false
+      }])
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/repo/verify'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(allNdjson(res)).to.deep.equal([
+        { Key: { '/': cid.toString() }, Error: 'corrupt', Removed: false }
+      ])
+    })
+
+    it('removes corrupt blocks', async () => {
+      ipfs.repo.verify.withArgs({
+        ...defaultOptions,
+        remove: true
+      }).returns([{
+        cid,
+        error: 'corrupt',
+        removed: true
+      }])
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/repo/verify?remove=true'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(allNdjson(res)).to.have.nested.property('[0].Removed', true)
+    })
+
+    it('accepts a timeout', async () => {
+      ipfs.repo.verify.withArgs({
+        ...defaultOptions,
+        timeout: 1000
+      }).returns([])
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/repo/verify?timeout=1s'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(allNdjson(res)).to.be.empty()
+    })
+  })
+
+  describe('/fsck', () => {
+    const defaultOptions = {
+      signal: sinon.match.instanceOf(AbortSignal),
+      timeout: undefined
+    }
+
+    it('only accepts POST', () => {
+      return testHttpMethod('/api/v0/repo/fsck')
+    })
+
+    it('streams problems', async () => {
+      ipfs.repo.fsck.withArgs(defaultOptions).returns([{
+        type: 'dangling-pin',
+        cid,
+        message: 'missing'
+      }, {
+        type: 'stale-lock',
+        message: 'stale'
+      }])
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/repo/fsck'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(allNdjson(res)).to.deep.equal([
+        { Type: 'dangling-pin', Key: { '/': cid.toString() }, Message: 'missing' },
+        { Type: 'stale-lock', Message: 'stale' }
+      ])
+    })
+
+    it('accepts a timeout', async () => {
+      ipfs.repo.fsck.withArgs({
+        ...defaultOptions,
+        timeout: 1000
+      }).returns([])
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/repo/fsck?timeout=1s'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(allNdjson(res)).to.be.empty()
+    })
+  })
 })
@@ -1,3 +1,4 @@
+/* eslint max-nested-callbacks: ["error", 8] */
 /* eslint-env mocha */
 
 import { expect } from 'aegir/chai'
@@ -16,7 +17,17 @@ describe('/swarm', () => {
         addrs: sinon.stub(),
         localAddrs: sinon.stub(),
         connect: sinon.stub(),
-        disconnect: sinon.stub()
+        disconnect: sinon.stub(),
+        peering: {
+          add: sinon.stub(),
+          rm: sinon.stub(),
+          ls: sinon.stub()
+        },
+        filters: {
+          add: sinon.stub(),
+          rm: sinon.stub(),
+          ls: sinon.stub()
+        }
       }
     }
   })
@@ -24,6 +35,9 @@ describe('/swarm', () => {
   describe('/peers', () => {
     const defaultOptions = {
       verbose: false,
+      direction: false,
+      streams: false,
+      latency: false,
       signal: sinon.match.instanceOf(AbortSignal),
       timeout: undefined
     }
@@ -65,7 +79,12 @@ describe('/swarm', () => {
         addr: 'addr',
         direction: 'direction',
         muxer: 'muxer',
-        latency: 'latency'
+        latency: 'latency',
+        streams: [{ protocol: '/ipfs/bitswap/1.2.0', direction: 'outbound' }],
+        age: 1000,
+        agentVersion: 'go-ipfs/0.17.0',
+        totalIn: 10n,
+        totalOut: 20n
       }])
 
       const res = await http({
@@ -79,7 +98,12 @@ describe('/swarm', () => {
         Addr: 'addr',
         Direction: 'direction',
         Muxer: 'muxer',
-        Latency: 'latency'
+        Latency: 'latency',
+        Streams: [{ Protocol: '/ipfs/bitswap/1.2.0', Direction: 'outbound' }],
+        Age: 1000,
+        AgentVersion: 'go-ipfs/0.17.0',
+        TotalIn: '10',
+        TotalOut: '20'
       })
     })
 
@@ -92,7 +116,12 @@ describe('/swarm', () => {
         addr: 'addr',
         direction: 'direction',
         muxer: 'muxer',
-        latency: 'latency'
+        latency: 'latency',
+        streams: [{ protocol: '/ipfs/bitswap/1.2.0', direction: 'outbound' }],
+        age: 1000,
+        agentVersion: 'go-ipfs/0.17.0',
+        totalIn: 10n,
+        totalOut: 20n
       }])
 
       const res = await http({
@@ -106,12 +135,20 @@ describe('/swarm', () => {
         Addr: 'addr',
         Direction: 'direction',
         Muxer: 'muxer',
-        Latency: 'latency'
+        Latency: 'latency',
+        Streams: [{ Protocol: '/ipfs/bitswap/1.2.0', Direction: 'outbound' }],
+        Age: 1000,
+        AgentVersion: 'go-ipfs/0.17.0',
+        TotalIn: '10',
+        TotalOut: '20'
       })
     })
 
     it('should return peers with direction', async () => {
-      ipfs.swarm.peers.withArgs(defaultOptions).returns([{
+      ipfs.swarm.peers.withArgs({
+        ...defaultOptions,
+        direction: true
+      }).returns([{
         peer: 'peerId',
         addr: 'addr',
         direction: 'direction',
@@ -134,6 +171,34 @@ describe('/swarm', () => {
       })
     })
 
+    it('should return peers with streams and latency', async () => {
+      ipfs.swarm.peers.withArgs({
+        ...defaultOptions,
+        streams: true,
+        latency: true
+      }).returns([{
+        peer: 'peerId',
+        addr: 'addr',
+        latency: '12ms',
+        streams: [{ protocol: '/ipfs/id/1.0.0', direction: 'inbound' }]
+      }])
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/swarm/peers?streams=true&latency=true'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res).to.have.nested.property('result.Peers').with.lengthOf(1).that.deep.includes({
+        Peer: 'peerId',
+        Addr: 'addr',
+        Direction: undefined,
+        Muxer: undefined,
+        Latency: '12ms',
+        Streams: [{ Protocol: '/ipfs/id/1.0.0', Direction: 'inbound' }]
+      })
+    })
+
     it('accepts a timeout', async () => {
       ipfs.swarm.peers.withArgs({
         ...defaultOptions,
@@ -331,4 +396,172 @@ describe('/swarm', () => {
       })).to.be.true()
     })
   })
+
+  describe('/peering', () => {
+    const peerId = 'QmfGBRT6BbWJd7yUc2uYdaUZJBbnEFvTqehPFoSMQ6wgdr'
+    const defaultOptions = {
+      signal: sinon.match.instanceOf(AbortSignal),
+      timeout: undefined
+    }
+
+    describe('/add', () => {
+      it('only accepts POST', () => {
+        return testHttpMethod('/api/v0/swarm/peering/add')
+      })
+
+      it('should add a peer', async () => {
+        const res = await http({
+          method: 'POST',
+          url: `/api/v0/swarm/peering/add?arg=${multiaddr}`
+        }, { ipfs })
+
+        expect(res).to.have.property('statusCode', 200)
+        expect(res).to.have.deep.property('result', { ID: peerId, Status: 'success' })
+        expect(ipfs.swarm.peering.add.calledWith(sinon.match(ma => ma.toString() === multiaddr), defaultOptions)).to.be.true()
+      })
+
+      it('should require an address', async () => {
+        const res = await http({
+          method: 'POST',
+          url: '/api/v0/swarm/peering/add'
+        }, { ipfs })
+
+        expect(res).to.have.property('statusCode', 400)
+        expect(ipfs.swarm.peering.add.called).to.be.false()
+      })
+    })
+
+    describe('/rm', () => {
+      it('only accepts POST', () => {
+        return testHttpMethod('/api/v0/swarm/peering/rm')
+      })
+
+      it('should remove a peer', async () => {
+        const res = await http({
+          method: 'POST',
+          url: `/api/v0/swarm/peering/rm?arg=${peerId}&timeout=1s`
+        }, { ipfs })
+
+        expect(res).to.have.property('statusCode', 200)
+        expect(res).to.have.deep.property('result', { ID: peerId, Status: 'success' })
+        expect(ipfs.swarm.peering.rm.calledWith(sinon.match(id => id.toString() === peerId), {
+          ...defaultOptions,
+          timeout: 1000
+        })).to.be.true()
+      })
+    })
+
+    describe('/ls', () => {
+      it('only accepts POST', () => {
+        return testHttpMethod('/api/v0/swarm/peering/ls')
+      })
+
+      it('should list peers', async () => {
+        ipfs.swarm.peering.ls.withArgs(defaultOptions).resolves([{
+          id: peerId,
+          addrs: ['/ip4/127.0.0.1/tcp/4002']
+        }])
+
+        const res = await http({
+          method: 'POST',
+          url: '/api/v0/swarm/peering/ls'
+        }, { ipfs })
+
+        expect(res).to.have.property('statusCode', 200)
+        expect(res).to.have.deep.property('result', {
+          Peers: [{
+            ID: peerId,
+            Addrs: ['/ip4/127.0.0.1/tcp/4002']
+          }]
+        })
+      })
+    })
+  })
+  describe('/filters', () => {
+    const filter = '/ip4/10.0.0.0/ipcidr/8'
+    const defaultOptions = {
+      allow: false,
+      signal: sinon.match.instanceOf(AbortSignal),
+      timeout: undefined
+    }
+
+    it('only accepts POST', () => {
+      return testHttpMethod('/api/v0/swarm/filters')
+    })
+
+    it('should list filters', async () => {
+      ipfs.swarm.filters.ls.withArgs(defaultOptions).resolves([filter])
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/swarm/filters'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res).to.have.deep.property('result', { Strings: [filter] })
+    })
+
+    it('should list allow filters', async () => {
+      ipfs.swarm.filters.ls.withArgs({
+        ...defaultOptions,
+        allow: true
+      }).resolves([filter])
+
+      const res = await http({
+        method: 'POST',
+        url: '/api/v0/swarm/filters?allow=true'
+      }, { ipfs })
+
+      expect(res).to.have.property('statusCode', 200)
+      expect(res).to.have.deep.property('result', { Strings: [filter] })
+    })
+
+    describe('/add', () => {
+      it('only accepts POST', () => {
+        return testHttpMethod('/api/v0/swarm/filters/add')
+      })
+
+      it('should add a filter', async () => {
+        const res = await http({
+          method: 'POST',
+          url: `/api/v0/swarm/filters/add?arg=${filter}`
+        }, { ipfs })
+
+        expect(res).to.have.property('statusCode', 200)
+        expect(res).to.have.deep.property('result', { Strings: [filter] })
+        expect(ipfs.swarm.filters.add.calledWith(filter, defaultOptions)).to.be.true()
+      })
+
+      it('should require a filter', async () => {
+        const res = await http({
+          method: 'POST',
+          url: '/api/v0/swarm/filters/add'
+        }, { ipfs })
+
+        expect(res).to.have.property('statusCode', 400)
+        expect(ipfs.swarm.filters.add.called).to.be.false()
+      })
+    })
+
+    describe('/rm', () => {
+      it('only accepts POST', () => {
+        return testHttpMethod('/api/v0/swarm/filters/rm')
+      })
+
+      it('should remove an allow filter', async () => {
+        const res = await http({
+          method: 'POST',
+          url: `/api/v0/swarm/filters/rm?arg=${filter}&allow=true&timeout=1s`
+        }, { ipfs })
+
+        expect(res).to.have.property('statusCode', 200)
+        expect(res).to.have.deep.property('result', { Strings: [filter] })
+        expect(ipfs.swarm.filters.rm.calledWith(filter, {
+          ...defaultOptions,
+          allow: true,
+          timeout: 1000
+        })).to.be.true()
+      })
+    })
+  })
 })
@@ -1,2 +1,3 @@
 import './routes.js'
 import './cors.js'
+import './auth.js'
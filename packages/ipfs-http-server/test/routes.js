@@ -7,10 +7,13 @@ import './inject/browser-headers.js'
 import './inject/config.js'
 import './inject/dag.js'
 import './inject/dht.js'
+import './inject/diag.js'
 import './inject/dns.js'
 import './inject/files.js'
+import './inject/filestore.js'
 import './inject/id.js'
 import './inject/key.js'
+import './inject/log.js'
 import './inject/mfs/chmod.js'
 import './inject/mfs/cp.js'
 import './inject/mfs/flush.js'
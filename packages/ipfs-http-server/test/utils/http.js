@@ -1,8 +1,8 @@
 import { HttpApi } from '../../src/index.js'
 
-export async function http (request, { ipfs, cors } = {}) {
+export async function http (request, { ipfs, cors, authorizations } = {}) {
   const api = new HttpApi(ipfs)
-  const server = await api._createApiServer('127.0.0.1', 8080, ipfs, cors)
+  const server = await api._createApiServer('127.0.0.1', 8080, ipfs, cors, { authorizations })
 
   return server.inject(request)
 }
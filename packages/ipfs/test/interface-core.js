@@ -75,24 +75,7 @@ describe('interface-ipfs-core tests', function () {
 
   tests.object(commonFactory)
 
-  tests.pin(commonFactory, {
-    skip: [{
-      name: '.pin.remote.service',
-      reason: 'Not implemented'
-    }, {
-      name: '.pin.remote.add',
-      reason: 'Not implemented'
-    }, {
-      name: '.pin.remote.ls',
-      reason: 'Not implemented'
-    }, {
-      name: '.pin.remote.rm',
-      reason: 'Not implemented'
-    }, {
-      name: '.pin.remote.rmAll',
-      reason: 'Not implemented'
-    }]
-  })
+  tests.pin(commonFactory)
 
   tests.ping(commonFactory)
 